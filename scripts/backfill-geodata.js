@@ -0,0 +1,96 @@
+/*
+  Geocodes the free-text `location` of existing profiles and products and fills
+  in `city`, `latitude` and `longitude`.
+
+  Usage:
+    node scripts/backfill-geodata.js [--dry-run] [--force]
+
+  --dry-run  report what would change without writing
+  --force    re-geocode rows that already have coordinates
+*/
+import { getServiceSupabaseClient } from '../src/config/supabase.js';
+import { resolveLocation } from '../src/geocoding/index.js';
+
+const BATCH_SIZE = 500;
+
+const args = new Set(process.argv.slice(2));
+const dryRun = args.has('--dry-run');
+const force = args.has('--force');
+
+const supabase = getServiceSupabaseClient();
+
+const backfillTable = async (table) => {
+  const stats = { scanned: 0, updated: 0, unresolved: [] };
+  let lastId = null;
+
+  for (;;) {
+    let query = supabase
+      .from(table)
+      .select('id, location')
+      .neq('location', '')
+      .order('id')
+      .limit(BATCH_SIZE);
+
+    if (!force) {
+      query = query.is('latitude', null);
+    }
+
+    if (lastId) {
+      query = query.gt('id', lastId);
+    }
+
+    const { data: rows, error } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    if (rows.length === 0) {
+      break;
+    }
+
+    for (const row of rows) {
+      stats.scanned += 1;
+      const geodata = await resolveLocation(row.location);
+
+      if (geodata.latitude === null) {
+        stats.unresolved.push(row.location);
+        continue;
+      }
+
+      if (!dryRun) {
+        const { error: updateError } = await supabase
+          .from(table)
+          .update(geodata)
+          .eq('id', row.id);
+
+        if (updateError) {
+          throw updateError;
+        }
+      }
+
+      stats.updated += 1;
+    }
+
+    lastId = rows[rows.length - 1].id;
+  }
+
+  return stats;
+};
+
+const main = async () => {
+  for (const table of ['profiles', 'products']) {
+    const { scanned, updated, unresolved } = await backfillTable(table);
+    const unique = [...new Set(unresolved)];
+
+    console.log(`${table}: scanned ${scanned}, ${dryRun ? 'would update' : 'updated'} ${updated}, unresolved ${unresolved.length}`);
+    if (unique.length > 0) {
+      console.log(`  unresolved locations: ${unique.slice(0, 20).join('; ')}${unique.length > 20 ? ' ...' : ''}`);
+    }
+  }
+};
+
+main().catch((error) => {
+  console.error('Geodata backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,20 @@
+/*
+  Retries webhook deliveries that are due. The API does this every few
+  minutes itself; use the script when the in-process scheduler is off
+  (SCHEDULER_DISABLED=true).
+
+  Usage:
+    node scripts/deliver-webhooks.js
+*/
+import { deliverDueWebhooks } from '../src/jobs/webhooks.job.js';
+
+const main = async () => {
+  const { delivered, failed } = await deliverDueWebhooks();
+
+  console.log(`webhooks: delivered ${delivered}, failed ${failed}`);
+};
+
+main().catch((error) => {
+  console.error('Webhook delivery run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,23 @@
+/*
+  Deletes the accounts whose deletion grace period has ended, following the
+  account deletion policy in README.md. Meant to run on a schedule (e.g. daily).
+
+  Usage:
+    node scripts/process-account-deletions.js
+*/
+import { processDueAccountDeletions } from '../src/jobs/account-deletion.job.js';
+
+const main = async () => {
+  const { due, deleted, failed } = await processDueAccountDeletions();
+
+  console.log(`accounts: due ${due}, deleted ${deleted}, failed ${failed}`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+};
+
+main().catch((error) => {
+  console.error('Account deletion run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,26 @@
+/*
+  Publishes scheduled drafts, warns sellers about listings that expire soon,
+  archives expired listings and ends expired promotions. The API does this
+  every few minutes itself; use the script when the in-process scheduler is
+  off (SCHEDULER_DISABLED=true).
+
+  Usage:
+    node scripts/process-listing-lifecycle.js
+*/
+import { processListingLifecycle } from '../src/jobs/listing-lifecycle.job.js';
+import { expirePromotions } from '../src/jobs/promotions.job.js';
+
+const main = async () => {
+  const { published, notified, expired } = await processListingLifecycle();
+
+  console.log(`listings: published ${published}, expiry notices ${notified}, expired ${expired}`);
+
+  const promotions = await expirePromotions();
+
+  console.log(`promotions: expired ${promotions}`);
+};
+
+main().catch((error) => {
+  console.error('Listing lifecycle run failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+/*
+  Finds auth users without a profile row (left behind by signups that failed
+  before profiles were created by a database trigger) and creates the missing
+  profiles from their signup metadata.
+
+  Usage:
+    node scripts/repair-orphan-profiles.js [--dry-run]
+
+  --dry-run  list orphaned users without writing
+
+  Repaired profiles may lack coordinates; run `npm run backfill:geo` afterwards.
+*/
+import { getServiceSupabaseClient } from '../src/config/supabase.js';
+import { buildProfile } from '../src/services/profiles.service.js';
+
+const PAGE_SIZE = 500;
+
+const args = new Set(process.argv.slice(2));
+const dryRun = args.has('--dry-run');
+
+const supabase = getServiceSupabaseClient();
+
+const main = async () => {
+  const stats = { scanned: 0, orphaned: 0, repaired: 0, failed: 0 };
+
+  for (let page = 1; ; page += 1) {
+    const { data, error } = await supabase.auth.admin.listUsers({ page, perPage: PAGE_SIZE });
+
+    if (error) {
+      throw error;
+    }
+
+    const { users } = data;
+
+    if (users.length === 0) {
+      break;
+    }
+
+    stats.scanned += users.length;
+
+    const { data: profiles, error: profilesError } = await supabase
+      .from('profiles')
+      .select('id')
+      .in('id', users.map((user) => user.id));
+
+    if (profilesError) {
+      throw profilesError;
+    }
+
+    const existing = new Set(profiles.map((profile) => profile.id));
+    const orphans = users.filter((user) => !existing.has(user.id));
+
+    for (const user of orphans) {
+      stats.orphaned += 1;
+      console.log(`${dryRun ? 'orphaned' : 'repairing'}: ${user.id} ${user.email || '(no email)'}`);
+
+      if (dryRun) {
+        continue;
+      }
+
+      const { error: insertError } = await supabase
+        .from('profiles')
+        .insert(buildProfile(user));
+
+      if (insertError && insertError.code !== '23505') {
+        stats.failed += 1;
+        console.error(`  failed: ${insertError.message}`);
+      } else {
+        stats.repaired += 1;
+      }
+    }
+
+    if (users.length < PAGE_SIZE) {
+      break;
+    }
+  }
+
+  console.log(`users: scanned ${stats.scanned}, orphaned ${stats.orphaned}, ${dryRun ? 'would repair' : 'repaired'} ${dryRun ? stats.orphaned : stats.repaired}, failed ${stats.failed}`);
+
+  if (stats.failed > 0) {
+    process.exit(1);
+  }
+};
+
+main().catch((error) => {
+  console.error('Orphan profile repair failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,98 @@
+import express from 'express';
+import cors from 'cors';
+import helmet from 'helmet';
+import dotenv from 'dotenv';
+
+import authRoutes from './routes/auth.routes.js';
+import productsRoutes from './routes/products.routes.js';
+import categoriesRoutes from './routes/categories.routes.js';
+import profileRoutes from './routes/profile.routes.js';
+import favoritesRoutes from './routes/favorites.routes.js';
+import feedRoutes from './routes/feed.routes.js';
+import conversationsRoutes from './routes/conversations.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import reviewsRoutes from './routes/reviews.routes.js';
+import savedSearchesRoutes from './routes/saved-searches.routes.js';
+import notificationsRoutes from './routes/notifications.routes.js';
+import webhooksRoutes from './routes/webhooks.routes.js';
+import docsRoutes from './routes/docs.routes.js';
+import { storageDriver, uploadDir } from './storage/index.js';
+import { rateLimit } from './middleware/rate-limit.js';
+import { requestId } from './middleware/request-id.js';
+import { validateContract } from './middleware/openapi.js';
+import { requireSupabase } from './middleware/data-store.js';
+import { notFoundHandler, errorHandler } from './middleware/error-handler.js';
+
+dotenv.config();
+
+const app = express();
+
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 for one hop) so req.ip, and
+// with it rate limiting, sees the client address instead of the proxy's.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+app.use(requestId);
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+if (storageDriver === 'local') {
+  app.use('/uploads', express.static(uploadDir, {
+    setHeaders: (res) => {
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    },
+  }));
+}
+
+app.get('/', (req, res) => {
+  res.json({
+    message: 'OLX-like Marketplace API',
+    version: '1.0.0',
+    endpoints: {
+      auth: '/api/auth',
+      products: '/api/products',
+      categories: '/api/categories',
+      profile: '/api/profile',
+      favorites: '/api/favorites',
+      feed: '/api/feed',
+      conversations: '/api/conversations',
+      reviews: '/api/reviews',
+      savedSearches: '/api/saved-searches',
+      notifications: '/api/notifications',
+      webhooks: '/api/webhooks',
+      admin: '/api/admin',
+      docs: '/api/docs',
+    },
+  });
+});
+
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+});
+
+app.use('/api', rateLimit('api'));
+app.use('/api', validateContract);
+
+app.use('/api/docs', docsRoutes);
+
+app.use('/api/auth', authRoutes);
+app.use('/api/products', productsRoutes);
+app.use('/api/categories', categoriesRoutes);
+app.use('/api/profile', profileRoutes);
+app.use('/api/favorites', favoritesRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/conversations', requireSupabase, conversationsRoutes);
+app.use('/api/reviews', requireSupabase, reviewsRoutes);
+app.use('/api/saved-searches', requireSupabase, savedSearchesRoutes);
+app.use('/api/notifications', requireSupabase, notificationsRoutes);
+app.use('/api/webhooks', requireSupabase, webhooksRoutes);
+app.use('/api/admin', adminRoutes);
+
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+export default app;
@@ -0,0 +1,33 @@
+import dotenv from 'dotenv';
+import { createMemoryStore } from './memory.store.js';
+
+dotenv.config();
+
+/*
+  Cache stores keep values under string keys until they expire.
+  - get(key) => Promise<value | null>
+  - set(key, value, ttlMs) => Promise<void>
+  - deleteByPrefix(prefix) => Promise<void>  drops every key starting with prefix
+  - clear() => Promise<void>
+
+  CACHE_STORE selects the implementation. Only 'memory' (default) ships with
+  the API: an LRU holding at most CACHE_MAX_ENTRIES values (default 1000).
+  With more than one instance, invalidation only reaches the instance that
+  handled the write, so run a shared store (e.g. Redis) or rely on the short
+  TTLs. CACHE_DISABLED=true turns caching off.
+*/
+
+export const cacheDisabled = process.env.CACHE_DISABLED === 'true';
+
+const createStore = () => {
+  const driver = process.env.CACHE_STORE || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore({ maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || 1000) });
+    default:
+      throw new Error(`Unknown cache store: ${driver}`);
+  }
+};
+
+export const responseCache = createStore();
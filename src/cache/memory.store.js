@@ -0,0 +1,49 @@
+// Single-process LRU cache. Entries live in this process only, so every
+// instance behind a load balancer caches, and invalidates, on its own.
+export const createMemoryStore = ({ maxEntries = 1000 } = {}) => {
+  // Maps iterate in insertion order: moving an entry to the end on every read
+  // keeps the least recently used one first in line for eviction.
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      if (!entry) {
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async deleteByPrefix(prefix) {
+      entries.forEach((entry, key) => {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+        }
+      });
+    },
+
+    async clear() {
+      entries.clear();
+    },
+  };
+};
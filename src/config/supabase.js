@@ -6,14 +6,26 @@ dotenv.config();
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
 
-if (!supabaseUrl || !supabaseAnonKey) {
+const isConfigured = !!(supabaseUrl && supabaseAnonKey);
+
+// Only the Supabase data store needs the variables up front. With another
+// store (see repositories/index.js) the clients below fail when used instead.
+if (!isConfigured && (process.env.DATA_STORE || 'supabase') === 'supabase') {
   throw new Error('Missing Supabase environment variables');
 }
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+const unconfiguredClient = new Proxy({}, {
+  get() {
+    throw new Error('Supabase is not configured (SUPABASE_URL, SUPABASE_ANON_KEY)');
+  },
+});
+
+const connect = (key, options) => (isConfigured ? createClient(supabaseUrl, key, options) : unconfiguredClient);
+
+export const supabase = connect(supabaseAnonKey);
 
 export const getSupabaseClient = (accessToken) => {
-  return createClient(supabaseUrl, supabaseAnonKey, {
+  return connect(supabaseAnonKey, {
     global: {
       headers: {
         Authorization: `Bearer ${accessToken}`,
@@ -21,3 +33,30 @@ export const getSupabaseClient = (accessToken) => {
     },
   });
 };
+
+// Auth calls that sign in or refresh store the resulting session on the client
+// that made them. Use a fresh client per request for those so one user's
+// session never ends up on the shared client.
+export const createAuthClient = () => {
+  return connect(supabaseAnonKey, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false,
+      detectSessionInUrl: false,
+    },
+  });
+};
+
+// Bypasses RLS. Only for maintenance scripts and server-owned data, never for
+// requests made on behalf of a user.
+export const getServiceSupabaseClient = () => {
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!serviceRoleKey) {
+    throw new Error('Missing SUPABASE_SERVICE_ROLE_KEY environment variable');
+  }
+
+  return connect(serviceRoleKey, {
+    auth: { persistSession: false },
+  });
+};
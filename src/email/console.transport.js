@@ -0,0 +1,6 @@
+// Development transport: prints each message to stdout instead of sending it.
+export const createConsoleTransport = ({ from }) => ({
+  async send({ to, subject, text }) {
+    console.log(`[email] from=${from} to=${to} subject=${JSON.stringify(subject)}\n${text}`);
+  },
+});
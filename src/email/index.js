@@ -0,0 +1,27 @@
+import dotenv from 'dotenv';
+import { createConsoleTransport } from './console.transport.js';
+
+dotenv.config();
+
+/*
+  Email transports expose a single method:
+  - send({ to, subject, text }) => Promise<void>   rejects if the message was not accepted
+
+  EMAIL_TRANSPORT selects the implementation. Only 'console' (default) ships with
+  the API; a provider-backed transport only needs to implement send(). EMAIL_FROM
+  sets the sender address.
+*/
+
+const createTransport = () => {
+  const driver = process.env.EMAIL_TRANSPORT || 'console';
+  const from = process.env.EMAIL_FROM || 'no-reply@marketplace.local';
+
+  switch (driver) {
+    case 'console':
+      return createConsoleTransport({ from });
+    default:
+      throw new Error(`Unknown email transport: ${driver}`);
+  }
+};
+
+export const emailTransport = createTransport();
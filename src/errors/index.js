@@ -0,0 +1,162 @@
+// Typed errors thrown by routes and middleware. The error handler in
+// middleware/error-handler.js turns them into the response body
+// { error: { code, message, details, requestId } }.
+export class AppError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(message = 'Bad request', details = null) {
+    super(400, 'bad_request', message, details);
+  }
+}
+
+// Field errors use express-validator's shape ({ path, location, msg }), which
+// attributes.service.js produces as well. The submitted value is left out so
+// passwords and tokens are never echoed back.
+export class ValidationError extends AppError {
+  constructor(fieldErrors, message = 'Validation failed') {
+    super(400, 'validation_failed', message, fieldErrors.map((fieldError) => ({
+      field: fieldError.path,
+      location: fieldError.location,
+      message: fieldError.msg,
+    })));
+  }
+}
+
+export class AuthenticationError extends AppError {
+  constructor(message = 'Authentication required', code = 'unauthenticated') {
+    super(401, code, message);
+  }
+}
+
+export class PaymentRequiredError extends AppError {
+  constructor(message = 'Payment was declined') {
+    super(402, 'payment_declined', message);
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action', code = 'forbidden', details = null) {
+    super(403, code, message, details);
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found') {
+    super(404, 'not_found', message);
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Resource already exists') {
+    super(409, 'conflict', message);
+  }
+}
+
+export class PayloadTooLargeError extends AppError {
+  constructor(message = 'Request body is too large') {
+    super(413, 'payload_too_large', message);
+  }
+}
+
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(message = 'Unsupported media type') {
+    super(415, 'unsupported_media_type', message);
+  }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(retryAfter, message = 'Too many requests, please try again later') {
+    super(429, 'rate_limited', message, { retryAfter });
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class InternalError extends AppError {
+  constructor(message = 'Internal server error') {
+    super(500, 'internal_error', message);
+  }
+}
+
+export class NotImplementedError extends AppError {
+  constructor(message = 'Not implemented') {
+    super(501, 'not_implemented', message);
+  }
+}
+
+// Raised when response validation is on and a route answers with a body the
+// OpenAPI document does not allow.
+export class ResponseValidationError extends AppError {
+  constructor(details) {
+    super(500, 'response_validation_failed', 'Response does not match the API specification', details);
+  }
+}
+
+const RLS_VIOLATION = /row-level security/i;
+
+// Maps an error returned by supabase-js (PostgREST, Postgres or Auth) to an
+// AppError. Raw database messages never reach the client; the exceptions are
+// Auth rejections and the RAISE EXCEPTION messages of our own triggers
+// (SQLSTATE 42501). Anything unrecognised becomes a 500, with the original
+// error kept on `cause` for the log.
+export const fromSupabaseError = (error, notFoundMessage = 'Resource not found') => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  let mapped;
+
+  // Supabase Auth rejections ("User already registered", "Password should be
+  // at least 6 characters") are written for end users and keep their message.
+  if (error.__isAuthError && error.status >= 400 && error.status < 500) {
+    const status = error.code === 'user_already_exists' || error.code === 'email_exists' ? 409 : error.status;
+    mapped = new AppError(status, error.code || 'auth_error', error.message);
+    mapped.cause = error;
+    return mapped;
+  }
+
+  switch (error.code) {
+    case 'PGRST116':
+      mapped = new NotFoundError(notFoundMessage);
+      break;
+    case '23505':
+      mapped = new ConflictError();
+      break;
+    case '23503':
+      mapped = new ConflictError('A related resource does not exist or is still in use');
+      break;
+    case '42501':
+      mapped = RLS_VIOLATION.test(error.message)
+        ? new ForbiddenError()
+        : new ForbiddenError(error.message);
+      break;
+    case '22P02':
+      mapped = new BadRequestError('Invalid identifier or value format');
+      break;
+    case '23502':
+    case '23514':
+    case '22003':
+      mapped = new BadRequestError('A value is missing or out of range');
+      break;
+    case 'PGRST301':
+    case 'PGRST302':
+      mapped = new AuthenticationError('Invalid or expired token');
+      break;
+    default:
+      // Other PGRST1xx codes: PostgREST could not parse the request, e.g. a
+      // malformed filter built from query parameters
+      mapped = /^PGRST1\d\d$/.test(error.code)
+        ? new BadRequestError('Invalid query parameters')
+        : new InternalError();
+  }
+
+  mapped.cause = error;
+  return mapped;
+};
@@ -0,0 +1,42 @@
+import fs from 'fs';
+
+const normalize = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Offline geocoder backed by a JSON list of cities. It resolves a free-text
+// location such as "Brooklyn, New York" by trying the whole string and then
+// each comma-separated part against city names and aliases.
+export const createGazetteerGeocoder = ({ file }) => {
+  const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const index = new Map();
+
+  entries.forEach((entry) => {
+    [entry.city, ...(entry.aliases || [])].forEach((name) => {
+      index.set(normalize(name), entry);
+    });
+  });
+
+  return {
+    async geocode(text) {
+      const candidates = [text, ...text.split(',')].map(normalize).filter(Boolean);
+
+      for (const candidate of candidates) {
+        const entry = index.get(candidate);
+        if (entry) {
+          return {
+            city: entry.city,
+            latitude: entry.latitude,
+            longitude: entry.longitude,
+          };
+        }
+      }
+
+      return null;
+    },
+  };
+};
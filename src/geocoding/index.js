@@ -0,0 +1,43 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createGazetteerGeocoder } from './gazetteer.geocoder.js';
+
+dotenv.config();
+
+/*
+  Geocoders expose a single method:
+  - geocode(text) => Promise<{ city, latitude, longitude } | null>
+
+  GEOCODER selects the implementation. Only 'gazetteer' (default) ships with the
+  API; it reads GAZETTEER_FILE, falling back to the bundled gazetteer.json.
+*/
+
+const defaultGazetteer = path.join(path.dirname(fileURLToPath(import.meta.url)), 'gazetteer.json');
+
+const createGeocoder = () => {
+  const driver = process.env.GEOCODER || 'gazetteer';
+
+  switch (driver) {
+    case 'gazetteer':
+      return createGazetteerGeocoder({ file: process.env.GAZETTEER_FILE || defaultGazetteer });
+    default:
+      throw new Error(`Unknown geocoder: ${driver}`);
+  }
+};
+
+export const geocoder = createGeocoder();
+
+// Builds the structured location columns for a row. Explicit coordinates from
+// the client win over geocoding; an unknown place leaves them empty rather
+// than failing the request.
+export const resolveLocation = async (location, { latitude, longitude } = {}) => {
+  const match = location ? await geocoder.geocode(location) : null;
+  const hasCoordinates = latitude !== undefined && longitude !== undefined;
+
+  return {
+    city: match ? match.city : null,
+    latitude: hasCoordinates ? parseFloat(latitude) : (match ? match.latitude : null),
+    longitude: hasCoordinates ? parseFloat(longitude) : (match ? match.longitude : null),
+  };
+};
@@ -0,0 +1,125 @@
+import { getServiceSupabaseClient } from '../config/supabase.js';
+import { invalidateCache } from '../middleware/cache.js';
+import { removeStoredImage, isOwnAvatarPath } from '../services/images.service.js';
+
+// Accounts are deleted this long after the request, by the scheduler or, where
+// it is disabled, scripts/process-account-deletions.js run from cron.
+export const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || 30);
+
+const ANONYMISED_PROFILE = {
+  full_name: 'Deleted user',
+  phone: '',
+  avatar_url: '',
+  avatar_storage_path: null,
+  location: '',
+  city: null,
+  latitude: null,
+  longitude: null,
+};
+
+const check = ({ error }) => {
+  if (error) {
+    throw error;
+  }
+};
+
+// Applies the account deletion policy documented in README.md to one profile.
+// Every step is safe to repeat, so a run that fails halfway is finished by the
+// next one.
+export const purgeAccount = async (supabase, profile) => {
+  const { data: listings, error: listingsError } = await supabase
+    .from('products')
+    .select('id, images:product_images(storage_path)')
+    .eq('user_id', profile.id)
+    .neq('status', 'sold');
+
+  if (listingsError) {
+    throw listingsError;
+  }
+
+  if (listings.length > 0) {
+    const storagePaths = listings
+      .flatMap((listing) => listing.images)
+      .map((image) => image.storage_path)
+      .filter(Boolean);
+
+    check(await supabase.from('products').delete().in('id', listings.map((listing) => listing.id)));
+
+    await Promise.all(storagePaths.map((storagePath) => removeStoredImage(storagePath).catch((error) => {
+      console.error(`Error removing image ${storagePath}:`, error);
+    })));
+  }
+
+  check(await supabase.from('favorites').delete().eq('user_id', profile.id));
+  check(await supabase.from('saved_searches').delete().eq('user_id', profile.id));
+  check(await supabase.from('notifications').delete().eq('user_id', profile.id));
+  // Deleting the endpoints stops their deliveries and removes the log with them.
+  check(await supabase.from('webhook_endpoints').delete().eq('user_id', profile.id));
+  check(await supabase.from('product_views').delete().eq('viewer_key', `user:${profile.id}`));
+  check(await supabase
+    .from('offers')
+    .update({ status: 'withdrawn' })
+    .eq('buyer_id', profile.id)
+    .in('status', ['pending', 'countered']));
+
+  // Paths outside the account's avatar prefix belong to someone else.
+  if (isOwnAvatarPath(profile.id, profile.avatar_storage_path)) {
+    await removeStoredImage(profile.avatar_storage_path);
+  }
+
+  check(await supabase
+    .from('profiles')
+    .update({
+      ...ANONYMISED_PROFILE,
+      email: `deleted-${profile.id}@deleted.invalid`,
+    })
+    .eq('id', profile.id));
+
+  // Soft delete keeps the auth.users row that profiles reference but removes
+  // the login and the identifying details Supabase holds.
+  const { error: authError } = await supabase.auth.admin.deleteUser(profile.id, true);
+
+  if (authError && authError.status !== 404) {
+    throw authError;
+  }
+
+  check(await supabase
+    .from('profiles')
+    .update({ deleted_at: new Date().toISOString(), deletion_scheduled_for: null })
+    .eq('id', profile.id));
+};
+
+// Deletes every account whose grace period has ended.
+export const processDueAccountDeletions = async () => {
+  const supabase = getServiceSupabaseClient();
+
+  const { data: due, error } = await supabase
+    .from('profiles')
+    .select('id, avatar_storage_path')
+    .lte('deletion_scheduled_for', new Date().toISOString())
+    .is('deleted_at', null);
+
+  if (error) {
+    throw error;
+  }
+
+  const stats = { due: due.length, deleted: 0, failed: 0 };
+
+  for (const profile of due) {
+    try {
+      await purgeAccount(supabase, profile);
+      stats.deleted += 1;
+    } catch (purgeError) {
+      stats.failed += 1;
+      console.error(`Account deletion failed for ${profile.id}:`, purgeError);
+    }
+  }
+
+  // Deleted accounts take their listings with them and leave anonymised
+  // profiles behind.
+  if (stats.deleted > 0) {
+    await invalidateCache('products', 'profiles');
+  }
+
+  return stats;
+};
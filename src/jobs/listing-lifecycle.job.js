@@ -0,0 +1,150 @@
+import { getServiceSupabaseClient } from '../config/supabase.js';
+import { invalidateCache } from '../middleware/cache.js';
+import { createNotifications, sendNotificationEmail } from '../services/notifications.service.js';
+import { activationFields, LISTING_EXPIRY_NOTICE_DAYS } from '../services/products.service.js';
+import { matchSavedSearches } from './saved-searches.job.js';
+
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Notification dedupe keys include the expiry date, so a renewed listing is
+// announced again when its new term runs out, while a repeated run for the
+// same term is a no-op.
+const notifySellers = async (supabase, listings, build) => {
+  const { data: created, error } = await createNotifications(supabase, listings.map((listing) => ({
+    user_id: listing.user_id,
+    data: { product_id: listing.id },
+    ...build(listing),
+  })));
+
+  if (error) {
+    throw error;
+  }
+
+  return created;
+};
+
+// Drafts whose publish_at has passed go active, and saved searches are
+// matched against them as if the seller had published them by hand.
+const publishScheduledListings = async (supabase, now) => {
+  const { data: published, error } = await supabase
+    .from('products')
+    .update({ status: 'active', ...activationFields(now) })
+    .eq('status', 'draft')
+    .lte('publish_at', new Date(now).toISOString())
+    .select('id, user_id, title, expires_at');
+
+  if (error) {
+    throw error;
+  }
+
+  await notifySellers(supabase, published, (listing) => ({
+    type: 'listing_published',
+    title: 'Your listing is live',
+    body: `${listing.title} was published as scheduled`,
+    dedupe_key: `listing_published:${listing.id}:${listing.expires_at}`,
+  }));
+
+  for (const listing of published) {
+    await matchSavedSearches(listing.id).catch((matchError) => {
+      console.error('Saved search matching error:', matchError);
+    });
+  }
+
+  return published.length;
+};
+
+// Warns sellers once per term, in-app and by email, that an active listing
+// expires within LISTING_EXPIRY_NOTICE_DAYS.
+const notifyExpiringListings = async (supabase, now) => {
+  const { data: expiring, error } = await supabase
+    .from('products')
+    .select('id, user_id, title, expires_at, seller:profiles(email, full_name)')
+    .eq('status', 'active')
+    .is('expiry_notified_at', null)
+    .gt('expires_at', new Date(now).toISOString())
+    .lte('expires_at', new Date(now + LISTING_EXPIRY_NOTICE_DAYS * DAY_MS).toISOString());
+
+  if (error) {
+    throw error;
+  }
+
+  if (expiring.length === 0) {
+    return 0;
+  }
+
+  const created = await notifySellers(supabase, expiring, (listing) => ({
+    type: 'listing_expiring',
+    title: 'Your listing expires soon',
+    body: `${listing.title} expires on ${listing.expires_at.slice(0, 10)}. Renew it to keep it online`,
+    dedupe_key: `listing_expiring:${listing.id}:${listing.expires_at}`,
+  }));
+
+  const notifiedIds = new Set(created.map((notification) => notification.data.product_id));
+
+  for (const listing of expiring.filter((candidate) => notifiedIds.has(candidate.id) && candidate.seller)) {
+    await sendNotificationEmail({
+      to: listing.seller.email,
+      subject: `Your listing "${listing.title}" expires soon`,
+      text: [
+        `Hi ${listing.seller.full_name},`,
+        '',
+        `Your listing "${listing.title}" expires on ${listing.expires_at.slice(0, 10)} and will then be archived.`,
+        'Renew it to keep it online:',
+        `POST ${PUBLIC_URL}/api/products/${listing.id}/renew`,
+      ].join('\n'),
+    });
+  }
+
+  const { error: markError } = await supabase
+    .from('products')
+    .update({ expiry_notified_at: new Date(now).toISOString() })
+    .in('id', expiring.map((listing) => listing.id));
+
+  if (markError) {
+    throw markError;
+  }
+
+  return created.length;
+};
+
+// Active listings past their expiry are archived. Sellers bring them back
+// with POST /api/products/:id/renew.
+const archiveExpiredListings = async (supabase, now) => {
+  const { data: expired, error } = await supabase
+    .from('products')
+    .update({ status: 'archived' })
+    .eq('status', 'active')
+    .lte('expires_at', new Date(now).toISOString())
+    .select('id, user_id, title, expires_at');
+
+  if (error) {
+    throw error;
+  }
+
+  await notifySellers(supabase, expired, (listing) => ({
+    type: 'listing_expired',
+    title: 'Your listing has expired',
+    body: `${listing.title} was archived. Renew it to put it back online`,
+    dedupe_key: `listing_expired:${listing.id}:${listing.expires_at}`,
+  }));
+
+  return expired.length;
+};
+
+// One pass of the listing lifecycle. Every step only touches rows still in
+// the state it looks for, so overlapping or repeated runs are harmless.
+export const processListingLifecycle = async (now = Date.now()) => {
+  const supabase = getServiceSupabaseClient();
+
+  const published = await publishScheduledListings(supabase, now);
+  const notified = await notifyExpiringListings(supabase, now);
+  const expired = await archiveExpiredListings(supabase, now);
+
+  if (published > 0 || notified > 0 || expired > 0) {
+    await invalidateCache('products', 'profiles');
+  }
+
+  return { published, notified, expired };
+};
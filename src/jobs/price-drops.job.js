@@ -0,0 +1,73 @@
+import { getServiceSupabaseClient } from '../config/supabase.js';
+import { createNotifications } from '../services/notifications.service.js';
+import { dataStore } from '../repositories/index.js';
+
+// Notifies the users who favorited an active listing that its price dropped
+// from `previousPrice`. The seller is never notified about their own
+// listing, and a user hears about each new price once.
+export const notifyPriceDrop = async (productId, previousPrice) => {
+  const supabase = getServiceSupabaseClient();
+
+  const { data: product, error: productError } = await supabase
+    .from('products')
+    .select('id, user_id, title, price, status')
+    .eq('id', productId)
+    .maybeSingle();
+
+  if (productError) {
+    throw productError;
+  }
+
+  if (!product || product.status !== 'active' || Number(product.price) >= Number(previousPrice)) {
+    return { notified: 0 };
+  }
+
+  const { data: favorites, error: favoritesError } = await supabase
+    .from('favorites')
+    .select('user_id, price_at_favorite, price_drop_percent')
+    .eq('product_id', productId)
+    .neq('user_id', product.user_id);
+
+  if (favoritesError) {
+    throw favoritesError;
+  }
+
+  const { data: created, error: notifyError } = await createNotifications(
+    supabase,
+    favorites.map((favorite) => ({
+      user_id: favorite.user_id,
+      type: 'price_drop',
+      title: `Price drop: ${product.title}`,
+      body: `Now ${product.price}, down from ${previousPrice}`,
+      data: {
+        product_id: product.id,
+        price: product.price,
+        previous_price: previousPrice,
+        price_at_favorite: favorite.price_at_favorite,
+        price_drop_percent: favorite.price_drop_percent,
+      },
+      dedupe_key: `price_drop:${product.id}:${product.price}`,
+    }))
+  );
+
+  if (notifyError) {
+    throw notifyError;
+  }
+
+  return { notified: created.length };
+};
+
+// Runs after the response has been sent, like saved search alerts.
+// Notifications live in Supabase only, so nothing is sent with another data
+// store.
+export const queuePriceDropAlerts = (productId, previousPrice) => {
+  if (dataStore !== 'supabase') {
+    return;
+  }
+
+  setImmediate(() => {
+    notifyPriceDrop(productId, previousPrice).catch((error) => {
+      console.error('Price drop alert error:', error);
+    });
+  });
+};
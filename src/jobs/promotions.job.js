@@ -0,0 +1,19 @@
+import { getServiceSupabaseClient } from '../config/supabase.js';
+import { invalidateCache } from '../middleware/cache.js';
+
+// Ends promotions whose time is up and drops their listings back to the
+// tier of whatever promotion still runs (see expire_promotions). Returns the
+// number of promotions that ended.
+export const expirePromotions = async () => {
+  const { data: expired, error } = await getServiceSupabaseClient().rpc('expire_promotions');
+
+  if (error) {
+    throw error;
+  }
+
+  if (expired > 0) {
+    await invalidateCache('products');
+  }
+
+  return expired;
+};
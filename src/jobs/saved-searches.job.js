@@ -0,0 +1,109 @@
+import { getServiceSupabaseClient } from '../config/supabase.js';
+import { createNotifications, sendNotificationEmail } from '../services/notifications.service.js';
+import { dataStore } from '../repositories/index.js';
+
+const PUBLIC_URL = process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+// Notifies the owners of saved searches that an active product matches. A user
+// hears about a product once, however many of their searches match it and
+// however often it is re-activated.
+export const matchSavedSearches = async (productId) => {
+  const supabase = getServiceSupabaseClient();
+
+  const { data: matches, error: matchError } = await supabase
+    .rpc('saved_searches_matching', { target_product_id: productId });
+
+  if (matchError) {
+    throw matchError;
+  }
+
+  if (matches.length === 0) {
+    return { notified: 0, emailed: 0 };
+  }
+
+  const { data: product, error: productError } = await supabase
+    .from('products')
+    .select('id, title, price, location')
+    .eq('id', productId)
+    .single();
+
+  if (productError) {
+    throw productError;
+  }
+
+  const byUser = new Map();
+  matches.forEach((search) => {
+    const current = byUser.get(search.user_id);
+    if (!current || (search.notify_email && !current.notify_email)) {
+      byUser.set(search.user_id, search);
+    }
+  });
+
+  const { data: created, error: notifyError } = await createNotifications(
+    supabase,
+    [...byUser.values()].map((search) => ({
+      user_id: search.user_id,
+      type: 'saved_search_match',
+      title: `New listing for "${search.name}"`,
+      body: `${product.title} - ${product.price}${product.location ? ` - ${product.location}` : ''}`,
+      data: { saved_search_id: search.id, product_id: product.id },
+      dedupe_key: `saved_search_match:${product.id}`,
+    }))
+  );
+
+  if (notifyError) {
+    throw notifyError;
+  }
+
+  const emailUserIds = created
+    .filter((notification) => byUser.get(notification.user_id).notify_email)
+    .map((notification) => notification.user_id);
+
+  let emailed = 0;
+
+  if (emailUserIds.length > 0) {
+    const { data: recipients, error: recipientsError } = await supabase
+      .from('profiles')
+      .select('id, email, full_name')
+      .in('id', emailUserIds);
+
+    if (recipientsError) {
+      throw recipientsError;
+    }
+
+    for (const recipient of recipients) {
+      const search = byUser.get(recipient.id);
+      const sent = await sendNotificationEmail({
+        to: recipient.email,
+        subject: `New listing for "${search.name}": ${product.title}`,
+        text: [
+          `Hi ${recipient.full_name},`,
+          '',
+          `A new listing matches your saved search "${search.name}":`,
+          `${product.title} - ${product.price}`,
+          `${PUBLIC_URL}/api/products/${product.id}`,
+        ].join('\n'),
+      });
+      if (sent) {
+        emailed += 1;
+      }
+    }
+  }
+
+  return { notified: created.length, emailed };
+};
+
+// Runs matching after the response has been sent so publishing a listing never
+// waits on, or fails because of, alert delivery. Saved searches live in
+// Supabase only, so there is nothing to match with another data store.
+export const queueSavedSearchMatching = (productId) => {
+  if (dataStore !== 'supabase') {
+    return;
+  }
+
+  setImmediate(() => {
+    matchSavedSearches(productId).catch((error) => {
+      console.error('Saved search matching error:', error);
+    });
+  });
+};
@@ -0,0 +1,52 @@
+import { processDueAccountDeletions } from './account-deletion.job.js';
+import { processListingLifecycle } from './listing-lifecycle.job.js';
+import { expirePromotions } from './promotions.job.js';
+import { deliverDueWebhooks } from './webhooks.job.js';
+import { dataStore } from '../repositories/index.js';
+
+// Runs background jobs inside the API process every
+// SCHEDULER_INTERVAL_MINUTES (default 5), starting at boot. With several
+// instances, set SCHEDULER_DISABLED=true on all but one, or on all of them
+// and run the scripts in scripts/ from cron instead. The jobs work on
+// Supabase, so they never run with another data store.
+export const schedulerDisabled = process.env.SCHEDULER_DISABLED === 'true' || dataStore !== 'supabase';
+export const SCHEDULER_INTERVAL_MINUTES = parseInt(process.env.SCHEDULER_INTERVAL_MINUTES || 5);
+
+const JOBS = [
+  { name: 'Listing lifecycle', run: processListingLifecycle },
+  { name: 'Promotion expiry', run: expirePromotions },
+  { name: 'Webhook delivery', run: deliverDueWebhooks },
+  { name: 'Account deletion', run: processDueAccountDeletions },
+];
+
+const running = new Set();
+
+// A job is skipped while its previous run is still going.
+const runJob = async (job) => {
+  if (running.has(job.name)) {
+    return;
+  }
+
+  running.add(job.name);
+
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`${job.name} job error:`, error);
+  } finally {
+    running.delete(job.name);
+  }
+};
+
+export const startScheduler = () => {
+  if (schedulerDisabled) {
+    return null;
+  }
+
+  const tick = () => JOBS.forEach(runJob);
+
+  setImmediate(tick);
+
+  // Never keeps the process alive on its own.
+  return setInterval(tick, SCHEDULER_INTERVAL_MINUTES * 60 * 1000).unref();
+};
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { getServiceSupabaseClient } from '../config/supabase.js';
+import { dataStore } from '../repositories/index.js';
+import { attemptDelivery, redeliveryOf } from '../services/webhooks.service.js';
+
+const DUE_BATCH_SIZE = 100;
+
+const DELIVERY_ENDPOINT = 'endpoint:webhook_endpoints!inner(url, secret, active)';
+
+// Sends the first attempts right away; failures are retried by
+// deliverDueWebhooks.
+const sendAll = async (supabase, deliveries, endpointsById) => {
+  for (const delivery of deliveries) {
+    try {
+      await attemptDelivery(supabase, delivery, endpointsById.get(delivery.endpoint_id));
+    } catch (error) {
+      console.error(`Webhook delivery ${delivery.id} error:`, error);
+    }
+  }
+};
+
+// Logs a delivery of the event to every active endpoint subscribed to it:
+// endpoints with scope 'all', and the seller's own endpoints. `data` is
+// added to the payload next to the listing. Deliveries are written with the
+// service role, since the caller cannot write to other users' logs. Returns
+// the number of deliveries created.
+export const dispatchWebhookEvent = async (event, productId, data = {}) => {
+  const supabase = getServiceSupabaseClient();
+
+  const { data: product, error: productError } = await supabase
+    .from('products')
+    .select('*')
+    .eq('id', productId)
+    .maybeSingle();
+
+  if (productError) {
+    throw productError;
+  }
+
+  if (!product) {
+    return 0;
+  }
+
+  const { data: endpoints, error: endpointsError } = await supabase
+    .from('webhook_endpoints')
+    .select('id, url, secret')
+    .eq('active', true)
+    .contains('events', [event])
+    .or(`scope.eq.all,user_id.eq.${product.user_id}`);
+
+  if (endpointsError) {
+    throw endpointsError;
+  }
+
+  if (endpoints.length === 0) {
+    return 0;
+  }
+
+  const eventId = crypto.randomUUID();
+  const payload = {
+    id: eventId,
+    event,
+    created_at: new Date().toISOString(),
+    data: { product, ...data },
+  };
+
+  const { data: deliveries, error } = await supabase
+    .from('webhook_deliveries')
+    .insert(endpoints.map((endpoint) => ({
+      endpoint_id: endpoint.id,
+      event_id: eventId,
+      event,
+      payload,
+    })))
+    .select();
+
+  if (error) {
+    throw error;
+  }
+
+  await sendAll(supabase, deliveries, new Map(endpoints.map((endpoint) => [endpoint.id, endpoint])));
+
+  return deliveries.length;
+};
+
+// Dispatches after the response has been sent, so a slow or failing endpoint
+// never holds up or fails the request that caused the event. Webhooks live in
+// Supabase only, so nothing is sent with another data store.
+export const queueWebhookEvent = (event, productId, data) => {
+  if (dataStore !== 'supabase') {
+    return;
+  }
+
+  setImmediate(() => {
+    dispatchWebhookEvent(event, productId, data).catch((error) => {
+      console.error(`Webhook dispatch error (${event}):`, error);
+    });
+  });
+};
+
+// Queues the events caused by an update of a listing, given the row before
+// and after it. A sale sends product.sold as well as the status change.
+export const queueListingUpdateEvents = (previous, product) => {
+  if (product.status !== previous.status) {
+    queueWebhookEvent('product.status_changed', product.id, { previous_status: previous.status });
+
+    if (product.status === 'sold') {
+      queueWebhookEvent('product.sold', product.id, { buyer_id: product.buyer_id ?? null });
+    }
+  }
+
+  if (Number(product.price) !== Number(previous.price)) {
+    queueWebhookEvent('product.price_changed', product.id, { previous_price: previous.price });
+  }
+};
+
+// Sends a logged delivery again as a new delivery of the same event (same
+// payload and X-Webhook-Id), whatever the outcome of the original. Returns
+// the new delivery; it is sent after the response.
+export const redeliverWebhook = async (original) => {
+  const supabase = getServiceSupabaseClient();
+
+  const { data: delivery, error } = await supabase
+    .from('webhook_deliveries')
+    .insert(redeliveryOf(original))
+    .select(`*, ${DELIVERY_ENDPOINT}`)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  const { endpoint, ...row } = delivery;
+
+  setImmediate(() => {
+    sendAll(supabase, [row], new Map([[row.endpoint_id, endpoint]]));
+  });
+
+  return row;
+};
+
+// Retries pending deliveries that are due, oldest first. Deliveries to
+// inactive endpoints wait until the endpoint is active again. Returns the
+// number of deliveries that succeeded and that ran out of attempts.
+export const deliverDueWebhooks = async () => {
+  const supabase = getServiceSupabaseClient();
+
+  const { data: due, error } = await supabase
+    .from('webhook_deliveries')
+    .select(`*, ${DELIVERY_ENDPOINT}`)
+    .eq('status', 'pending')
+    .eq('endpoint.active', true)
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(DUE_BATCH_SIZE);
+
+  if (error) {
+    throw error;
+  }
+
+  let delivered = 0;
+  let failed = 0;
+
+  for (const { endpoint, ...delivery } of due) {
+    try {
+      const updated = await attemptDelivery(supabase, delivery, endpoint);
+
+      if (updated?.status === 'succeeded') {
+        delivered += 1;
+      } else if (updated?.status === 'failed') {
+        failed += 1;
+      }
+    } catch (deliveryError) {
+      console.error(`Webhook delivery ${delivery.id} error:`, deliveryError);
+    }
+  }
+
+  return { delivered, failed };
+};
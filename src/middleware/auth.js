@@ -1,27 +1,38 @@
-import { supabase } from '../config/supabase.js';
+import { repositories, getRepositories } from '../repositories/index.js';
+import { AuthenticationError, ForbiddenError } from '../errors/index.js';
+
+export const ROLES = ['user', 'moderator', 'admin'];
 
 export const authenticateUser = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid authorization header' });
+      return next(new AuthenticationError('Missing or invalid authorization header'));
     }
 
     const token = authHeader.split(' ')[1];
 
-    const { data: { user }, error } = await supabase.auth.getUser(token);
+    const user = await repositories.auth.getUser(token);
 
-    if (error || !user) {
-      return res.status(401).json({ error: 'Invalid or expired token' });
+    if (!user) {
+      return next(new AuthenticationError('Invalid or expired token'));
+    }
+
+    const profile = await getRepositories(token).profiles.findById(user.id);
+
+    if (profile?.suspended_at) {
+      return next(new ForbiddenError('Account suspended', 'account_suspended', {
+        reason: profile.suspension_reason || null,
+      }));
     }
 
     req.user = user;
+    req.user.role = profile?.role || 'user';
     req.token = token;
     next();
   } catch (error) {
-    console.error('Auth middleware error:', error);
-    res.status(500).json({ error: 'Authentication failed' });
+    next(error);
   }
 };
 
@@ -31,7 +42,7 @@ export const optionalAuth = async (req, res, next) => {
 
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.split(' ')[1];
-      const { data: { user } } = await supabase.auth.getUser(token);
+      const user = await repositories.auth.getUser(token);
 
       if (user) {
         req.user = user;
@@ -44,3 +55,15 @@ export const optionalAuth = async (req, res, next) => {
     next();
   }
 };
+
+// Must run after authenticateUser. Roles are ranked, so requireRole('moderator')
+// also admits admins.
+export const requireRole = (role) => (req, res, next) => {
+  const userRank = ROLES.indexOf(req.user?.role);
+
+  if (userRank < ROLES.indexOf(role)) {
+    return next(new ForbiddenError('Insufficient permissions'));
+  }
+
+  next();
+};
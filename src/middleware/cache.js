@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import { responseCache, cacheDisabled } from '../cache/index.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// How long a cached response is served before it is rebuilt. Writes through
+// the API and the scheduled jobs invalidate their scope straight away; the
+// TTL bounds how stale a response can get from changes made elsewhere
+// (another instance, or the database edited directly).
+export const CACHE_POLICIES = {
+  categories: { ttlMs: 10 * MINUTE },
+  products: { ttlMs: MINUTE },
+  profiles: { ttlMs: 5 * MINUTE },
+};
+
+const entityTag = (body) => {
+  const hash = crypto
+    .createHash('sha1')
+    .update(JSON.stringify(body))
+    .digest('base64url');
+
+  return `"${hash}"`;
+};
+
+// Caches the successful JSON responses of a read endpoint in the shared
+// response cache, and sends ETag and Last-Modified with them. Express answers
+// If-None-Match and If-Modified-Since with a 304 from those headers.
+//
+// Signed-in and anonymous callers can see different rows, so they get
+// separate entries; `bypass(req)` skips the cache for responses that depend
+// on who exactly is asking (they still get an ETag). Must run after
+// authenticateUser or optionalAuth.
+export const cacheResponse = (scope, { bypass = () => false } = {}) => {
+  const policy = CACHE_POLICIES[scope];
+
+  if (!policy) {
+    throw new Error(`Unknown cache policy: ${scope}`);
+  }
+
+  return async (req, res, next) => {
+    const cacheable = !cacheDisabled && !bypass(req);
+    const key = `${scope}:${req.user ? 'user' : 'anon'}:${req.originalUrl}`;
+
+    // Clients keep the response but check back before reusing it.
+    res.set('Cache-Control', 'no-cache');
+
+    if (cacheable) {
+      try {
+        const entry = await responseCache.get(key);
+
+        if (entry) {
+          res.set({
+            ETag: entry.etag,
+            'Last-Modified': new Date(entry.storedAt).toUTCString(),
+            'X-Cache': 'HIT',
+          });
+          return res.json(entry.body);
+        }
+      } catch (error) {
+        // A broken cache should not take the API down with it
+        console.error('Response cache error:', error);
+      }
+    }
+
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      if (res.statusCode !== 200) {
+        return json(body);
+      }
+
+      const etag = entityTag(body);
+      res.set('ETag', etag);
+
+      if (cacheable) {
+        const storedAt = Date.now();
+        res.set({
+          'Last-Modified': new Date(storedAt).toUTCString(),
+          'X-Cache': 'MISS',
+        });
+        responseCache.set(key, { body, etag, storedAt }, policy.ttlMs).catch((error) => {
+          console.error('Response cache error:', error);
+        });
+      }
+
+      return json(body);
+    };
+
+    next();
+  };
+};
+
+// Drops every cached response of the given scopes. Call it once a write has
+// succeeded; failures are logged and never fail the request.
+export const invalidateCache = async (...scopes) => {
+  try {
+    await Promise.all(scopes.map((scope) => responseCache.deleteByPrefix(`${scope}:`)));
+  } catch (error) {
+    console.error('Response cache error:', error);
+  }
+};
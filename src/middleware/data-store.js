@@ -0,0 +1,13 @@
+import { NotImplementedError } from '../errors/index.js';
+import { dataStore } from '../repositories/index.js';
+
+// For routes that still talk to Supabase directly rather than through the
+// repositories (see repositories/index.js). With another data store they
+// answer 501 instead of failing on a missing Supabase connection.
+export const requireSupabase = (req, res, next) => {
+  if (dataStore !== 'supabase') {
+    return next(new NotImplementedError(`Not available with DATA_STORE=${dataStore}`));
+  }
+
+  next();
+};
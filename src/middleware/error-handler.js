@@ -0,0 +1,62 @@
+import {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  PayloadTooLargeError,
+  InternalError,
+  fromSupabaseError,
+} from '../errors/index.js';
+
+const toAppError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  // body-parser
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Malformed JSON body');
+  }
+  if (err.type === 'entity.too.large') {
+    return new PayloadTooLargeError();
+  }
+
+  // A supabase-js error that was thrown as-is
+  if (err.__isAuthError || (typeof err.code === 'string' && 'details' in err && 'hint' in err)) {
+    return fromSupabaseError(err);
+  }
+
+  const internal = new InternalError();
+  internal.cause = err;
+  return internal;
+};
+
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Route not found'));
+};
+
+// The only place error responses are written. Express recognises error
+// handlers by their four parameters, so `next` stays even when unused.
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl} failed:`, error.cause || err);
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  res.status(error.status).json({
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+      requestId: req.id,
+    },
+  });
+};
@@ -0,0 +1,222 @@
+import Ajv from 'ajv/dist/2020.js';
+import addFormats from 'ajv-formats';
+import { openApiDocument, findOperation } from '../openapi/index.js';
+import { ValidationError, ResponseValidationError } from '../errors/index.js';
+
+// Responses are checked against the document unless running in production,
+// so a route that drifts from the contract fails with a 500 in development
+// and tests. OPENAPI_VALIDATE_RESPONSES=true|false overrides the default.
+export const VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES
+  ? process.env.OPENAPI_VALIDATE_RESPONSES === 'true'
+  : process.env.NODE_ENV !== 'production';
+
+// Path parameters, query strings and form bodies arrive as strings, so
+// requests are checked with type coercion. Coercion rewrites the data it
+// checks, which is why requests are validated on a copy: route handlers and
+// their express-validator chains still see the original values.
+const requestAjv = addFormats(new Ajv({ strict: false, allErrors: true, coerceTypes: 'array' }));
+const responseAjv = addFormats(new Ajv({ strict: false, allErrors: true }));
+
+const validators = new Map();
+
+// Each schema is compiled on first use, with the component schemas alongside
+// so `#/components/schemas/...` references resolve.
+const getValidator = (ajv, key, schema) => {
+  if (!validators.has(key)) {
+    validators.set(key, ajv.compile({
+      ...schema,
+      components: { schemas: openApiDocument.components.schemas },
+    }));
+  }
+  return validators.get(key);
+};
+
+const FORMAT_NAMES = {
+  uuid: 'UUID',
+  email: 'email address',
+  uri: 'URL',
+  'date-time': 'date-time',
+};
+
+const toFieldPath = (error) => {
+  const segments = error.instancePath
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  }
+
+  if (error.keyword === 'additionalProperties') {
+    segments.push(error.params.additionalProperty);
+  }
+
+  return segments.reduce((path, segment) => {
+    if (/^\d+$/.test(segment)) {
+      return `${path}[${segment}]`;
+    }
+    return path ? `${path}.${segment}` : segment;
+  }, '');
+};
+
+const describe = (error) => {
+  switch (error.keyword) {
+    case 'required':
+      return 'is required';
+    case 'additionalProperties':
+      return 'is not allowed';
+    case 'enum':
+      return `must be one of: ${error.params.allowedValues.filter((value) => value !== null).join(', ')}`;
+    case 'format':
+      return `must be a valid ${FORMAT_NAMES[error.params.format] || error.params.format}`;
+    case 'type':
+      return `must be of type ${[].concat(error.params.type).join(' or ')}`;
+    default:
+      return error.message;
+  }
+};
+
+// In express-validator's shape, which ValidationError expects.
+const toFieldErrors = (errors, location) => errors.map((error) => {
+  const path = toFieldPath(error);
+  return {
+    path,
+    location,
+    msg: path ? `${path} ${describe(error)}` : `Request ${location} ${describe(error)}`,
+  };
+});
+
+// Express calls path parameters `params`; OpenAPI calls them `path`.
+const PARAMETER_LOCATIONS = { params: 'path', query: 'query' };
+
+const parametersSchema = (parameters, location) => {
+  const selected = parameters.filter((parameter) => parameter.in === PARAMETER_LOCATIONS[location]);
+  return {
+    type: 'object',
+    properties: Object.fromEntries(selected.map((parameter) => [parameter.name, parameter.schema])),
+    required: selected.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+  };
+};
+
+const requiresAuth = ({ security = [] }) => (
+  security.length > 0 && security.every((requirement) => Object.keys(requirement).length > 0)
+);
+
+const checkRequest = (req, match) => {
+  const key = `${match.method} ${match.template}`;
+  const errors = [];
+
+  [['params', match.params], ['query', req.query]].forEach(([location, values]) => {
+    const validate = getValidator(requestAjv, `${key} ${location}`, parametersSchema(match.parameters, location));
+    if (!validate(structuredClone(values || {}))) {
+      errors.push(...toFieldErrors(validate.errors, location));
+    }
+  });
+
+  // Multipart bodies are parsed by multer inside the route, after this runs;
+  // validateMultipartBody checks them there.
+  const schema = match.operation.requestBody?.content['application/json']?.schema;
+  if (schema && !req.is('multipart/form-data')) {
+    const validate = getValidator(requestAjv, `${key} body`, schema);
+    if (!validate(structuredClone(req.body || {}))) {
+      errors.push(...toFieldErrors(validate.errors, 'body'));
+    }
+  }
+
+  return errors;
+};
+
+const isFile = (schema) => schema.format === 'binary' || schema.items?.format === 'binary';
+
+// Multer puts files in req.file(s) and only text fields in req.body, so file
+// properties are left out of the schema the body is checked against.
+const textFieldsSchema = (schema) => {
+  const fileFields = Object.keys(schema.properties || {}).filter((name) => isFile(schema.properties[name]));
+
+  return {
+    ...schema,
+    properties: Object.fromEntries(Object.entries(schema.properties || {})
+      .filter(([name]) => !fileFields.includes(name))),
+    required: (schema.required || []).filter((name) => !fileFields.includes(name)),
+  };
+};
+
+const checkResponse = (match, status, body) => {
+  const responses = match.operation.responses;
+  const response = responses[status] || responses.default;
+
+  if (!response) {
+    return [{ field: '', message: `status ${status} is not documented` }];
+  }
+
+  const schema = response.content?.['application/json']?.schema;
+  if (!schema) {
+    return null;
+  }
+
+  const validate = getValidator(responseAjv, `${match.method} ${match.template} ${status}`, schema);
+  if (validate(body)) {
+    return null;
+  }
+
+  return validate.errors.map((error) => ({ field: toFieldPath(error), message: describe(error) }));
+};
+
+// Mounted on /api. Requests to operations in the OpenAPI document are checked
+// against their parameters and JSON body before reaching the router; other
+// paths pass through untouched. Requests without credentials to operations
+// that need them are left for authenticateUser to answer with a 401.
+export const validateContract = (req, res, next) => {
+  const match = findOperation(req.method, req.path);
+
+  if (!match) {
+    return next();
+  }
+
+  if (VALIDATE_RESPONSES) {
+    const json = res.json.bind(res);
+
+    // Error bodies are written by the error handler alone, so only successful
+    // responses are checked. Throwing here lands in the route's catch block
+    // and from there in the error handler.
+    res.json = (body) => {
+      if (res.statusCode < 300) {
+        const problems = checkResponse(match, res.statusCode, body);
+        if (problems) {
+          throw new ResponseValidationError(problems);
+        }
+      }
+      return json(body);
+    };
+  }
+
+  // For validateMultipartBody, which runs inside the router.
+  req.openApiOperation = match;
+
+  if (requiresAuth(match.operation) && !req.headers.authorization?.startsWith('Bearer ')) {
+    return next();
+  }
+
+  const errors = checkRequest(req, match);
+  next(errors.length > 0 ? new ValidationError(errors) : undefined);
+};
+
+// Placed after the upload middleware of routes that take multipart bodies:
+// checks the text fields multer parsed against the operation's
+// multipart/form-data schema, as validateContract does for JSON bodies.
+export const validateMultipartBody = (req, res, next) => {
+  const match = req.openApiOperation;
+  const schema = match?.operation.requestBody?.content['multipart/form-data']?.schema;
+
+  if (!schema || !req.is('multipart/form-data')) {
+    return next();
+  }
+
+  const validate = getValidator(requestAjv, `${match.method} ${match.template} multipart body`, textFieldsSchema(schema));
+  if (!validate(structuredClone({ ...req.body }))) {
+    return next(new ValidationError(toFieldErrors(validate.errors, 'body')));
+  }
+
+  next();
+};
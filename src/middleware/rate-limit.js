@@ -0,0 +1,72 @@
+import { rateLimitStore, rateLimitDisabled } from '../rate-limit/index.js';
+import { TooManyRequestsError } from '../errors/index.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// key: 'ip' counts per client address; 'user' counts per authenticated user
+// and falls back to the address for anonymous requests, so it must run after
+// authenticateUser or optionalAuth.
+export const RATE_LIMIT_POLICIES = {
+  api: { windowMs: MINUTE, max: 300, key: 'ip' },
+  login: { windowMs: 15 * MINUTE, max: 20, key: 'ip' },
+  signup: { windowMs: HOUR, max: 5, key: 'ip' },
+  authEmail: { windowMs: HOUR, max: 5, key: 'ip' },
+  auth: { windowMs: 15 * MINUTE, max: 30, key: 'ip' },
+  browse: { windowMs: MINUTE, max: 60, key: 'user' },
+  write: { windowMs: MINUTE, max: 30, key: 'user' },
+  import: { windowMs: HOUR, max: 10, key: 'user' },
+};
+
+const clientKey = (req, policy) => {
+  if (policy.key === 'user' && req.user) {
+    return `user:${req.user.id}`;
+  }
+  return `ip:${req.ip}`;
+};
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+export const tooManyRequests = (resetAt, message) => {
+  return new TooManyRequestsError(secondsUntil(resetAt), message);
+};
+
+// Fixed-window limiter. Sets the RateLimit-* headers from the IETF draft on
+// every response it sees and answers 429 once the window's budget is spent.
+export const rateLimit = (name) => {
+  const policy = RATE_LIMIT_POLICIES[name];
+
+  if (!policy) {
+    throw new Error(`Unknown rate limit policy: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    if (rateLimitDisabled) {
+      return next();
+    }
+
+    try {
+      const { count, resetAt } = await rateLimitStore.increment(
+        `${name}:${clientKey(req, policy)}`,
+        policy.windowMs
+      );
+
+      res.set({
+        'RateLimit-Policy': `${policy.max};w=${policy.windowMs / 1000}`,
+        'RateLimit-Limit': String(policy.max),
+        'RateLimit-Remaining': String(Math.max(0, policy.max - count)),
+        'RateLimit-Reset': String(secondsUntil(resetAt)),
+      });
+
+      if (count > policy.max) {
+        return next(tooManyRequests(resetAt));
+      }
+
+      next();
+    } catch (error) {
+      // A broken store should not take the API down with it
+      console.error('Rate limit error:', error);
+      next();
+    }
+  };
+};
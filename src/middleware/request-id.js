@@ -0,0 +1,13 @@
+import { randomUUID } from 'crypto';
+
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Reuses the X-Request-Id set by a proxy when it looks sane, otherwise makes
+// one. It is echoed in the response header and in error bodies so a client
+// report can be matched to the server log.
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
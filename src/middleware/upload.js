@@ -0,0 +1,82 @@
+import multer from 'multer';
+import { ALLOWED_IMAGE_TYPES, MAX_IMAGE_BYTES } from '../services/images.service.js';
+import { IMPORT_MAX_BYTES } from '../services/bulk-listings.service.js';
+import { BadRequestError, PayloadTooLargeError, UnsupportedMediaTypeError } from '../errors/index.js';
+
+export const MAX_IMAGES_PER_UPLOAD = 10;
+
+const megabytes = (bytes) => Math.round(bytes / 1024 / 1024);
+
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_BYTES,
+    files: MAX_IMAGES_PER_UPLOAD,
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      const error = new Error(`Unsupported file type: ${file.mimetype}. Allowed types: ${ALLOWED_IMAGE_TYPES.join(', ')}`);
+      error.code = 'UNSUPPORTED_MEDIA_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  },
+});
+
+// The format of a listings file is told from its name and type by the import
+// route, since CSV arrives under many different MIME types.
+const listingFileUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: IMPORT_MAX_BYTES,
+    files: 1,
+  },
+});
+
+const multerErrorMessages = ({ maxBytes, maxFiles }) => ({
+  LIMIT_FILE_SIZE: maxFiles > 1
+    ? `Each file must be at most ${megabytes(maxBytes)} MB`
+    : `The file must be at most ${megabytes(maxBytes)} MB`,
+  LIMIT_FILE_COUNT: `At most ${maxFiles} ${maxFiles > 1 ? 'files' : 'file'} can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field',
+});
+
+const handleUpload = (middleware, limits) => {
+  const messages = multerErrorMessages(limits);
+
+  return (req, res, next) => {
+    middleware(req, res, (err) => {
+      if (!err) {
+        return next();
+      }
+
+      if (err.code === 'UNSUPPORTED_MEDIA_TYPE') {
+        return next(new UnsupportedMediaTypeError(err.message));
+      }
+
+      if (err instanceof multer.MulterError) {
+        const message = messages[err.code] || err.message;
+        return next(err.code === 'LIMIT_FILE_SIZE'
+          ? new PayloadTooLargeError(message)
+          : new BadRequestError(message));
+      }
+
+      next(err);
+    });
+  };
+};
+
+export const uploadImages = (field, maxCount = MAX_IMAGES_PER_UPLOAD) => handleUpload(
+  imageUpload.array(field, maxCount),
+  { maxBytes: MAX_IMAGE_BYTES, maxFiles: maxCount },
+);
+
+export const uploadImage = (field) => handleUpload(
+  imageUpload.single(field),
+  { maxBytes: MAX_IMAGE_BYTES, maxFiles: 1 },
+);
+
+export const uploadListingFile = (field) => handleUpload(
+  listingFileUpload.single(field),
+  { maxBytes: IMPORT_MAX_BYTES, maxFiles: 1 },
+);
@@ -0,0 +1,15 @@
+import { validationResult } from 'express-validator';
+import { ValidationError } from '../errors/index.js';
+
+// Runs express-validator chains and fails the request with a ValidationError
+// listing every invalid field.
+export const validate = (chains) => [
+  ...chains,
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(new ValidationError(errors.array()));
+    }
+    next();
+  },
+];
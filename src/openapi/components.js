@@ -0,0 +1,470 @@
+import {
+  ref,
+  nullable,
+  arrayOf,
+  object,
+  exactObject,
+  queryParam,
+  jsonResponse,
+} from './helpers.js';
+import { PROMOTION_TYPES } from '../services/promotions.service.js';
+import { WEBHOOK_EVENTS, WEBHOOK_SCOPES, WEBHOOK_DELIVERY_STATUSES } from '../services/webhooks.service.js';
+
+const uuid = { type: 'string', format: 'uuid' };
+const timestamp = { type: 'string', format: 'date-time' };
+const text = { type: 'string' };
+const number = { type: 'number' };
+const integer = { type: 'integer' };
+const boolean = { type: 'boolean' };
+
+export const CONDITIONS = ['new', 'like_new', 'good', 'fair', 'poor'];
+export const PRODUCT_STATUSES = ['draft', 'active', 'sold', 'archived', 'removed'];
+export const OFFER_STATUSES = ['pending', 'countered', 'accepted', 'rejected', 'declined', 'withdrawn'];
+export const REPORT_STATUSES = ['open', 'dismissed', 'actioned'];
+export const PROMOTION_STATUSES = ['pending', 'active', 'failed', 'expired'];
+
+// Database rows are described by the columns the API relies on. They allow
+// extra properties because most routes select `*`, so a new column is not a
+// contract break.
+const schemas = {
+  Error: exactObject({
+    error: exactObject({
+      code: { ...text, description: 'Machine-readable error code' },
+      message: text,
+      details: { description: 'Code-specific details, or null' },
+      requestId: { ...text, description: 'Same as the X-Request-Id response header' },
+    }),
+  }),
+
+  FieldError: exactObject({
+    field: { ...text, example: 'attributes.year' },
+    location: { type: 'string', enum: ['body', 'query', 'params'] },
+    message: text,
+  }),
+
+  Pagination: exactObject({
+    limit: integer,
+    offset: { ...nullable(integer), description: 'null when paging by cursor' },
+    total: { ...nullable(integer), description: 'null when paging by cursor' },
+    hasMore: boolean,
+    nextCursor: { ...nullable(text), description: 'Pass as `cursor` to get the next page; null on the last page' },
+  }),
+
+  Session: exactObject({
+    access_token: text,
+    refresh_token: text,
+    expires_in: integer,
+    expires_at: integer,
+  }),
+
+  // The Supabase Auth user object, passed through as-is.
+  AuthUser: object({
+    id: uuid,
+    email: text,
+  }),
+
+  // The caller's own profile row.
+  Profile: object({
+    id: uuid,
+    email: text,
+    full_name: nullable(text),
+    phone: nullable(text),
+    avatar_url: nullable(text),
+    location: nullable(text),
+    city: nullable(text),
+    latitude: nullable(number),
+    longitude: nullable(number),
+    role: { type: 'string', enum: ['user', 'moderator', 'admin'] },
+    suspended_at: nullable(timestamp),
+    suspension_reason: nullable(text),
+    deletion_requested_at: nullable(timestamp),
+    deletion_scheduled_for: nullable(timestamp),
+    created_at: timestamp,
+    updated_at: timestamp,
+  }, ['id', 'email']),
+
+  PublicProfile: exactObject({
+    id: uuid,
+    full_name: nullable(text),
+    location: nullable(text),
+    city: nullable(text),
+    avatar_url: nullable(text),
+    created_at: timestamp,
+    member_since: timestamp,
+    average_rating: { ...nullable(number), description: 'null until the user has a review' },
+    review_count: integer,
+    completed_sales: integer,
+  }),
+
+  // Seller shown on a listing. phone and email are only included for
+  // signed-in callers.
+  Seller: object({
+    id: uuid,
+    full_name: nullable(text),
+    location: nullable(text),
+    avatar_url: nullable(text),
+    phone: nullable(text),
+    email: text,
+  }, ['id', 'full_name', 'avatar_url']),
+
+  UserSummary: object({
+    id: uuid,
+    full_name: nullable(text),
+    avatar_url: nullable(text),
+  }),
+
+  AdminUser: object({
+    id: uuid,
+    email: text,
+    full_name: nullable(text),
+    location: nullable(text),
+    role: { type: 'string', enum: ['user', 'moderator', 'admin'] },
+    suspended_at: nullable(timestamp),
+    suspension_reason: nullable(text),
+    created_at: timestamp,
+  }, ['id', 'email', 'role']),
+
+  AttributeDefinition: object({
+    key: { type: 'string', pattern: '^[a-z][a-z0-9_]*$' },
+    label: text,
+    type: { type: 'string', enum: ['string', 'number', 'integer', 'boolean', 'enum'] },
+    required: boolean,
+    options: arrayOf({}),
+    min: number,
+    max: number,
+  }, ['key', 'type']),
+
+  Category: object({
+    id: uuid,
+    name: text,
+    slug: text,
+    description: nullable(text),
+    icon: nullable(text),
+    parent_id: nullable(uuid),
+    attribute_schema: arrayOf(ref('AttributeDefinition')),
+    created_at: timestamp,
+  }, ['id', 'name', 'slug', 'parent_id']),
+
+  CategoryNode: {
+    allOf: [ref('Category')],
+    type: 'object',
+    properties: {
+      children: arrayOf(ref('CategoryNode')),
+    },
+    required: ['children'],
+  },
+
+  CategoryDetail: {
+    allOf: [ref('Category')],
+    type: 'object',
+    properties: {
+      children: arrayOf(ref('Category')),
+      attributes: {
+        ...arrayOf(ref('AttributeDefinition')),
+        description: 'Attribute definitions that apply, including inherited ones',
+      },
+    },
+    required: ['children', 'attributes'],
+  },
+
+  Breadcrumb: exactObject({
+    id: uuid,
+    name: text,
+    slug: text,
+  }),
+
+  ProductImage: object({
+    id: uuid,
+    product_id: uuid,
+    image_url: text,
+    thumbnail_url: nullable(text),
+    display_order: integer,
+    is_primary: boolean,
+    created_at: timestamp,
+  }, ['id', 'product_id', 'image_url', 'display_order', 'is_primary']),
+
+  ProductRow: object({
+    id: uuid,
+    user_id: uuid,
+    category_id: uuid,
+    title: text,
+    description: text,
+    price: number,
+    status: { type: 'string', enum: PRODUCT_STATUSES },
+    condition: nullable({ type: 'string', enum: CONDITIONS }),
+    location: text,
+    city: nullable(text),
+    latitude: nullable(number),
+    longitude: nullable(number),
+    attributes: { type: 'object' },
+    views: nullable(integer),
+    buyer_id: nullable(uuid),
+    sold_at: nullable(timestamp),
+    expires_at: { ...nullable(timestamp), description: 'When an active listing expires and is archived' },
+    publish_at: { ...nullable(timestamp), description: 'When a scheduled draft goes active' },
+    expiry_notified_at: nullable(timestamp),
+    promotion_tier: { ...integer, enum: [0, 1, 2], description: '2 while featured, 1 while bumped, 0 otherwise' },
+    featured: boolean,
+    featured_until: nullable(timestamp),
+    bumped_until: nullable(timestamp),
+    created_at: timestamp,
+    updated_at: timestamp,
+  }, ['id', 'user_id', 'category_id', 'title', 'price', 'status']),
+
+  Product: {
+    allOf: [ref('ProductRow')],
+    type: 'object',
+    properties: {
+      category: nullable(ref('Category')),
+      seller: nullable(ref('Seller')),
+      images: arrayOf(ref('ProductImage')),
+    },
+    required: ['category', 'seller', 'images'],
+  },
+
+  ScoredProduct: {
+    allOf: [ref('Product')],
+    type: 'object',
+    properties: {
+      score: { ...number, description: 'Ranking score; higher is a better match' },
+    },
+    required: ['score'],
+  },
+
+  PriceHistory: exactObject({
+    original_price: { ...number, description: 'Price the listing was created with' },
+    change_percent: { ...nullable(number), description: 'Change from the original to the current price; null if the original was 0' },
+    changes: arrayOf(exactObject({
+      price: number,
+      previous_price: { ...nullable(number), description: 'Null for the original price' },
+      changed_at: timestamp,
+    })),
+  }),
+
+  ProductListItem: {
+    allOf: [ref('Product')],
+    type: 'object',
+    properties: {
+      search: {
+        ...exactObject({
+          rank: number,
+          title: text,
+          description: text,
+        }),
+        description: 'Only when `search` is set. Highlights wrap matches in <mark>',
+      },
+      distance_km: { ...number, description: 'Only when `lat`/`lng` are set' },
+    },
+  },
+
+  ProductSummary: object({
+    id: uuid,
+    title: text,
+    price: number,
+    status: { type: 'string', enum: PRODUCT_STATUSES },
+    images: arrayOf(ref('ProductImage')),
+  }, ['id', 'title']),
+
+  // Counts per facet value, as returned by product_search_facets.
+  Facets: object({
+    categories: arrayOf(object({ category_id: uuid, name: text, slug: text, count: integer })),
+    conditions: arrayOf(object({ condition: nullable(text), count: integer })),
+    price_ranges: arrayOf(object({ min: number, max: nullable(number), count: integer })),
+  }),
+
+  Offer: object({
+    id: uuid,
+    product_id: uuid,
+    buyer_id: uuid,
+    seller_id: uuid,
+    amount: number,
+    message: nullable(text),
+    status: { type: 'string', enum: OFFER_STATUSES },
+    counter_amount: nullable(number),
+    responded_at: nullable(timestamp),
+    created_at: timestamp,
+    updated_at: timestamp,
+  }, ['id', 'product_id', 'buyer_id', 'seller_id', 'amount', 'status']),
+
+  Promotion: object({
+    id: uuid,
+    product_id: nullable(uuid),
+    user_id: uuid,
+    type: { type: 'string', enum: PROMOTION_TYPES },
+    days: integer,
+    amount: number,
+    currency: text,
+    status: { type: 'string', enum: PROMOTION_STATUSES },
+    payment_provider: text,
+    payment_reference: nullable(text),
+    failure_reason: nullable(text),
+    starts_at: nullable(timestamp),
+    ends_at: nullable(timestamp),
+    created_at: timestamp,
+    updated_at: timestamp,
+  }, ['id', 'product_id', 'type', 'days', 'amount', 'currency', 'status', 'starts_at', 'ends_at']),
+
+  Review: object({
+    id: uuid,
+    product_id: uuid,
+    reviewer_id: uuid,
+    seller_id: uuid,
+    rating: { type: 'integer', minimum: 1, maximum: 5 },
+    comment: nullable(text),
+    reply: nullable(text),
+    replied_at: nullable(timestamp),
+    created_at: timestamp,
+  }, ['id', 'product_id', 'reviewer_id', 'seller_id', 'rating']),
+
+  Conversation: object({
+    id: uuid,
+    product_id: uuid,
+    buyer_id: uuid,
+    seller_id: uuid,
+    last_message_at: nullable(timestamp),
+    last_message_preview: nullable(text),
+    created_at: timestamp,
+    product: nullable(ref('ProductSummary')),
+    buyer: nullable(ref('UserSummary')),
+    seller: nullable(ref('UserSummary')),
+  }, ['id', 'product_id', 'buyer_id', 'seller_id', 'product', 'buyer', 'seller']),
+
+  Message: object({
+    id: uuid,
+    conversation_id: uuid,
+    sender_id: uuid,
+    body: text,
+    read_at: nullable(timestamp),
+    created_at: timestamp,
+  }, ['id', 'conversation_id', 'sender_id', 'body']),
+
+  Favorite: object({
+    id: uuid,
+    user_id: uuid,
+    product_id: uuid,
+    price_at_favorite: { ...nullable(number), description: 'Price of the listing when it was favorited' },
+    price_drop: { ...number, description: 'Drop from price_at_favorite to the current price; negative if it went up' },
+    price_drop_percent: { ...number, description: 'price_drop as a percentage of price_at_favorite' },
+    created_at: timestamp,
+  }, ['id', 'user_id', 'product_id']),
+
+  SavedSearch: object({
+    id: uuid,
+    user_id: uuid,
+    name: text,
+    category_id: nullable(uuid),
+    min_price: nullable(number),
+    max_price: nullable(number),
+    condition: nullable({ type: 'string', enum: CONDITIONS }),
+    search: nullable(text),
+    notify_email: boolean,
+    created_at: timestamp,
+    updated_at: timestamp,
+    category: nullable(object({ id: uuid, name: text, slug: text })),
+  }, ['id', 'user_id', 'name', 'notify_email', 'category']),
+
+  Notification: object({
+    id: uuid,
+    user_id: uuid,
+    type: text,
+    title: text,
+    body: nullable(text),
+    data: { type: 'object' },
+    read_at: nullable(timestamp),
+    created_at: timestamp,
+  }, ['id', 'user_id', 'type', 'title', 'data', 'read_at']),
+
+  WebhookEndpoint: object({
+    id: uuid,
+    user_id: uuid,
+    url: { type: 'string', format: 'uri' },
+    description: text,
+    events: arrayOf({ type: 'string', enum: WEBHOOK_EVENTS }),
+    scope: { type: 'string', enum: WEBHOOK_SCOPES },
+    active: boolean,
+    created_at: timestamp,
+    updated_at: timestamp,
+  }, ['id', 'user_id', 'url', 'events', 'scope', 'active']),
+
+  WebhookDelivery: object({
+    id: uuid,
+    endpoint_id: uuid,
+    event_id: uuid,
+    event: { type: 'string', enum: WEBHOOK_EVENTS },
+    payload: object({
+      id: uuid,
+      event: { type: 'string', enum: WEBHOOK_EVENTS },
+      created_at: timestamp,
+      data: { type: 'object' },
+    }, ['id', 'event', 'created_at', 'data']),
+    status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES },
+    attempts: integer,
+    next_attempt_at: timestamp,
+    last_attempt_at: nullable(timestamp),
+    response_status: nullable(integer),
+    last_error: nullable(text),
+    delivered_at: nullable(timestamp),
+    redelivery_of: nullable(uuid),
+    created_at: timestamp,
+  }, ['id', 'endpoint_id', 'event_id', 'event', 'payload', 'status', 'attempts']),
+
+  Report: object({
+    id: uuid,
+    product_id: uuid,
+    reporter_id: uuid,
+    reason: { type: 'string', enum: ['scam', 'prohibited', 'duplicate', 'wrong_category', 'offensive', 'other'] },
+    details: nullable(text),
+    status: { type: 'string', enum: REPORT_STATUSES },
+    resolved_by: nullable(uuid),
+    resolved_at: nullable(timestamp),
+    resolution_note: nullable(text),
+    created_at: timestamp,
+  }, ['id', 'product_id', 'reporter_id', 'reason', 'status']),
+};
+
+const errorResponse = (description) => jsonResponse(description, ref('Error'));
+
+const responses = {
+  NotModified: {
+    description: 'The `ETag` sent in `If-None-Match`, or the `Last-Modified` date sent in '
+      + '`If-Modified-Since`, is still current; there is no body',
+    headers: {
+      ETag: { schema: { type: 'string' }, description: 'Entity tag of the current response' },
+    },
+  },
+  BadRequest: errorResponse('Invalid request (`bad_request`, or `validation_failed` with the rejected fields in `details`)'),
+  Unauthorized: errorResponse('Missing, invalid or expired access token'),
+  PaymentRequired: errorResponse('The payment provider declined the charge (`payment_declined`)'),
+  Forbidden: errorResponse('Not allowed, or the account is suspended (`account_suspended`)'),
+  NotFound: errorResponse('Resource not found'),
+  Conflict: errorResponse('Duplicate, or a related resource is still in use'),
+  PayloadTooLarge: errorResponse('Upload or body too large'),
+  UnsupportedMediaType: errorResponse('Upload is not a supported image'),
+  TooManyRequests: {
+    ...errorResponse('Rate limited; `details.retryAfter` is in seconds'),
+    headers: {
+      'Retry-After': { schema: integer, description: 'Seconds until the limit resets' },
+    },
+  },
+};
+
+const parameters = {
+  Limit: queryParam('limit', { type: 'integer', minimum: 1, maximum: 100 }, 'Page size'),
+  Offset: queryParam('offset', { type: 'integer', minimum: 0 }, 'Number of items to skip'),
+  Cursor: queryParam('cursor', { type: 'string', minLength: 1 },
+    'Opaque `nextCursor` of the previous page; cannot be combined with offset'),
+};
+
+export const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'Supabase access token from /auth/login, /auth/signup or /auth/refresh',
+    },
+  },
+  schemas,
+  responses,
+  parameters,
+};
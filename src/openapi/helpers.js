@@ -0,0 +1,103 @@
+// Small builders that keep the path modules readable. Schemas follow
+// OpenAPI 3.1, so they are plain JSON Schema (nullable values use
+// `type: ['string', 'null']`).
+
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+export const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+export const nullable = (schema) => {
+  if (!schema.type) {
+    return { anyOf: [schema, { type: 'null' }] };
+  }
+
+  return {
+    ...schema,
+    type: [].concat(schema.type, 'null'),
+    ...(schema.enum && { enum: [...schema.enum, null] }),
+  };
+};
+
+export const arrayOf = (items) => ({ type: 'array', items });
+
+// Objects the API assembles itself (rather than database rows) list every
+// property, so a field added or dropped in a route is caught by response
+// validation.
+export const object = (properties, required = Object.keys(properties)) => ({
+  type: 'object',
+  properties,
+  required,
+});
+
+export const exactObject = (properties, required) => ({
+  ...object(properties, required),
+  additionalProperties: false,
+});
+
+export const pathParam = (name, description, schema = { type: 'string', format: 'uuid' }) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema,
+});
+
+export const queryParam = (name, schema, description) => ({
+  name,
+  in: 'query',
+  required: false,
+  ...(description && { description }),
+  schema,
+});
+
+export const jsonBody = (schema, required = true) => ({
+  required,
+  content: { 'application/json': { schema } },
+});
+
+export const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } },
+});
+
+// A `{ message, ...fields }` body, the shape of most write responses.
+export const messageResponse = (description, properties = {}) => jsonResponse(
+  description,
+  object({ message: { type: 'string' }, ...properties }),
+);
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  402: 'PaymentRequired',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  413: 'PayloadTooLarge',
+  415: 'UnsupportedMediaType',
+  429: 'TooManyRequests',
+};
+
+export const errorResponses = (...statuses) => Object.fromEntries(
+  statuses.map((status) => [status, { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` }]),
+);
+
+// limit, offset and cursor, accepted by every list endpoint
+export const paginationParams = () => [param('Limit'), param('Offset'), param('Cursor')];
+
+const BEARER = [{ bearerAuth: [] }];
+
+// `auth` is 'required' (authenticateUser), 'optional' (optionalAuth) or
+// 'none'. Every operation can also fail validation or be rate limited, and
+// authenticated ones can be refused. `cached` operations (cacheResponse)
+// answer conditional requests with a 304.
+export const operation = ({ auth = 'required', cached = false, responses, ...rest }) => ({
+  ...rest,
+  security: { required: BEARER, optional: [{}, ...BEARER], none: [] }[auth],
+  responses: {
+    ...responses,
+    ...(cached && { 304: { $ref: '#/components/responses/NotModified' } }),
+    ...errorResponses(400, 429),
+    ...(auth === 'required' && errorResponses(401, 403)),
+  },
+});
@@ -0,0 +1,133 @@
+import { components } from './components.js';
+import authPaths from './paths/auth.paths.js';
+import productsPaths from './paths/products.paths.js';
+import offersPaths from './paths/offers.paths.js';
+import imagesPaths from './paths/images.paths.js';
+import promotionsPaths from './paths/promotions.paths.js';
+import categoriesPaths from './paths/categories.paths.js';
+import profilePaths from './paths/profile.paths.js';
+import favoritesPaths from './paths/favorites.paths.js';
+import feedPaths from './paths/feed.paths.js';
+import conversationsPaths from './paths/conversations.paths.js';
+import reviewsPaths from './paths/reviews.paths.js';
+import savedSearchesPaths from './paths/saved-searches.paths.js';
+import notificationsPaths from './paths/notifications.paths.js';
+import webhooksPaths from './paths/webhooks.paths.js';
+import adminPaths from './paths/admin.paths.js';
+
+// One module per router under src/routes. Paths are relative to the /api
+// server URL, like the routers' mount points in server.js.
+export const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'OLX-like Marketplace API',
+    version: '1.0.0',
+    description: 'Errors use the `Error` schema. Every response carries an `X-Request-Id` header, '
+      + 'and rate-limited routes send `RateLimit-*` headers. Cached reads send `ETag` and, when '
+      + 'served from the shared cache, `Last-Modified`; they answer `If-None-Match` and '
+      + '`If-Modified-Since` with a 304.',
+  },
+  servers: [{ url: '/api' }],
+  tags: [
+    { name: 'Auth' },
+    { name: 'Products' },
+    { name: 'Offers' },
+    { name: 'Images' },
+    { name: 'Promotions' },
+    { name: 'Categories' },
+    { name: 'Profile' },
+    { name: 'Favorites' },
+    { name: 'Feed' },
+    { name: 'Conversations' },
+    { name: 'Reviews' },
+    { name: 'Saved searches' },
+    { name: 'Notifications' },
+    { name: 'Webhooks' },
+    { name: 'Admin' },
+  ],
+  paths: {
+    ...authPaths,
+    ...productsPaths,
+    ...offersPaths,
+    ...imagesPaths,
+    ...promotionsPaths,
+    ...categoriesPaths,
+    ...profilePaths,
+    ...favoritesPaths,
+    ...feedPaths,
+    ...conversationsPaths,
+    ...reviewsPaths,
+    ...savedSearchesPaths,
+    ...notificationsPaths,
+    ...webhooksPaths,
+    ...adminPaths,
+  },
+  components,
+};
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const resolve = (node) => {
+  if (!node || !node.$ref) {
+    return node;
+  }
+
+  return node.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((target, key) => target[key], openApiDocument);
+};
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const toMatcher = (template) => {
+  const names = [];
+  const pattern = template.replace(/\{([^}]+)\}/g, (match, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+
+  return { regex: new RegExp(`^${pattern}/?$`, 'i'), names };
+};
+
+// Templates without parameters go first so /categories/tree is not taken for
+// /categories/{id}.
+const operations = Object.entries(openApiDocument.paths)
+  .flatMap(([template, pathItem]) => METHODS
+    .filter((method) => pathItem[method])
+    .map((method) => ({
+      method,
+      template,
+      ...toMatcher(template),
+      operation: pathItem[method],
+      parameters: [...(pathItem.parameters || []), ...(pathItem[method].parameters || [])].map(resolve),
+    })))
+  .sort((a, b) => a.names.length - b.names.length);
+
+// Looks up the operation for a request path relative to /api, together with
+// its path parameter values and its parameters with references resolved.
+export const findOperation = (method, path) => {
+  const lowerMethod = method.toLowerCase();
+
+  for (const entry of operations) {
+    if (entry.method !== lowerMethod) {
+      continue;
+    }
+
+    const match = entry.regex.exec(path);
+    if (match) {
+      return {
+        ...entry,
+        params: Object.fromEntries(entry.names.map((name, index) => [name, decode(match[index + 1])])),
+      };
+    }
+  }
+
+  return null;
+};
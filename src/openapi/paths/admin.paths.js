@@ -0,0 +1,236 @@
+import {
+  ref,
+  nullable,
+  arrayOf,
+  object,
+  pathParam,
+  paginationParams,
+  queryParam,
+  jsonBody,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+import { ROLES } from '../../middleware/auth.js';
+import { PRODUCT_STATUSES, REPORT_STATUSES } from '../components.js';
+
+const tags = ['Admin'];
+
+// Every admin route needs a moderator; these add "(admin)" to the summary
+// when they need an admin.
+const adminOnly = (summary) => `${summary} (admin)`;
+
+const categoryFields = {
+  name: { type: 'string', minLength: 1 },
+  slug: { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$' },
+  description: { type: 'string' },
+  icon: { type: 'string' },
+  parent_id: nullable({ type: 'string', format: 'uuid' }),
+  attribute_schema: arrayOf(ref('AttributeDefinition')),
+};
+
+const reason = { type: 'string', minLength: 1 };
+
+const suspension = (summary, outcome, requestBody) => ({
+  parameters: [pathParam('id', 'User ID')],
+
+  post: operation({
+    tags,
+    summary,
+    description: 'Only admins can change the suspension of moderators and admins.',
+    ...(requestBody && { requestBody }),
+    responses: {
+      200: messageResponse(outcome, {
+        user: object({
+          id: { type: 'string', format: 'uuid' },
+          email: { type: 'string' },
+          full_name: nullable({ type: 'string' }),
+          role: { type: 'string', enum: ROLES },
+          suspended_at: nullable({ type: 'string', format: 'date-time' }),
+          suspension_reason: nullable({ type: 'string' }),
+        }),
+      }),
+      ...errorResponses(404),
+    },
+  }),
+});
+
+const moderatedProduct = object({
+  id: { type: 'string', format: 'uuid' },
+  status: { type: 'string', enum: PRODUCT_STATUSES },
+  takedown_reason: nullable({ type: 'string' }),
+  taken_down_at: nullable({ type: 'string', format: 'date-time' }),
+  taken_down_by: nullable({ type: 'string', format: 'uuid' }),
+}, ['id', 'status']);
+
+export default {
+  '/admin/categories': {
+    post: operation({
+      tags,
+      summary: adminOnly('Create a category'),
+      requestBody: jsonBody(object(categoryFields, ['name', 'slug'])),
+      responses: {
+        201: messageResponse('Category created', { category: ref('Category') }),
+        ...errorResponses(409),
+      },
+    }),
+  },
+
+  '/admin/categories/{id}': {
+    parameters: [pathParam('id', 'Category ID')],
+
+    put: operation({
+      tags,
+      summary: adminOnly('Update a category'),
+      requestBody: jsonBody(object(categoryFields, [])),
+      responses: {
+        200: messageResponse('Category updated', { category: ref('Category') }),
+        ...errorResponses(404, 409),
+      },
+    }),
+
+    delete: operation({
+      tags,
+      summary: adminOnly('Delete a category'),
+      description: 'Fails with 409 while the category still has listings.',
+      responses: {
+        200: messageResponse('Category deleted'),
+        ...errorResponses(404, 409),
+      },
+    }),
+  },
+
+  '/admin/users': {
+    get: operation({
+      tags,
+      summary: 'Search users',
+      parameters: [
+        queryParam('search', { type: 'string' }, 'Matches name or email'),
+        queryParam('role', { type: 'string', enum: ROLES }),
+        queryParam('suspended', { type: 'boolean' }),
+        ...paginationParams(),
+      ],
+      responses: {
+        200: jsonResponse('Users, newest first', object({
+          users: arrayOf(ref('AdminUser')),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+  },
+
+  '/admin/users/{id}/role': {
+    parameters: [pathParam('id', 'User ID')],
+
+    patch: operation({
+      tags,
+      summary: adminOnly('Change the role of a user'),
+      requestBody: jsonBody(object({
+        role: { type: 'string', enum: ROLES },
+      })),
+      responses: {
+        200: messageResponse('Role updated', {
+          user: object({
+            id: { type: 'string', format: 'uuid' },
+            email: { type: 'string' },
+            full_name: nullable({ type: 'string' }),
+            role: { type: 'string', enum: ROLES },
+          }),
+        }),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/admin/users/{id}/suspend': suspension(
+    'Suspend a user',
+    'User suspended',
+    jsonBody(object({ reason })),
+  ),
+
+  '/admin/users/{id}/unsuspend': suspension('Lift a suspension', 'User unsuspended'),
+
+  '/admin/reports': {
+    get: operation({
+      tags,
+      summary: 'Get the report queue, oldest first',
+      parameters: [
+        queryParam('status', { type: 'string', enum: REPORT_STATUSES, default: 'open' }),
+        ...paginationParams(),
+      ],
+      responses: {
+        200: jsonResponse('Reports', object({
+          reports: arrayOf({
+            allOf: [ref('Report')],
+            type: 'object',
+            properties: {
+              product: nullable(object({
+                id: { type: 'string', format: 'uuid' },
+                title: { type: 'string' },
+                status: { type: 'string', enum: PRODUCT_STATUSES },
+                user_id: { type: 'string', format: 'uuid' },
+                takedown_reason: nullable({ type: 'string' }),
+              })),
+              reporter: nullable(object({
+                id: { type: 'string', format: 'uuid' },
+                full_name: nullable({ type: 'string' }),
+                email: { type: 'string' },
+              })),
+            },
+            required: ['product', 'reporter'],
+          }),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+  },
+
+  '/admin/reports/{id}/dismiss': {
+    parameters: [pathParam('id', 'Report ID')],
+
+    post: operation({
+      tags,
+      summary: 'Dismiss an open report',
+      requestBody: jsonBody(object({
+        note: { type: 'string', maxLength: 2000 },
+      }, []), false),
+      responses: {
+        200: messageResponse('Report dismissed', { report: ref('Report') }),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/admin/products/{id}/takedown': {
+    parameters: [pathParam('id', 'Product ID')],
+
+    post: operation({
+      tags,
+      summary: 'Take a listing down',
+      description: 'Sets the listing to `removed` and resolves its open reports.',
+      requestBody: jsonBody(object({ reason })),
+      responses: {
+        200: messageResponse('Listing taken down', {
+          product: moderatedProduct,
+          resolved_reports: { type: 'integer' },
+        }),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/admin/products/{id}/restore': {
+    parameters: [pathParam('id', 'Product ID')],
+
+    post: operation({
+      tags,
+      summary: 'Restore a removed listing',
+      description: 'The listing comes back archived so the seller decides when to publish it again.',
+      responses: {
+        200: messageResponse('Listing restored', { product: moderatedProduct }),
+        ...errorResponses(404),
+      },
+    }),
+  },
+};
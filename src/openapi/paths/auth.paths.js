@@ -0,0 +1,201 @@
+import {
+  ref,
+  nullable,
+  object,
+  exactObject,
+  jsonBody,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+
+const tags = ['Auth'];
+
+const email = { type: 'string', format: 'email' };
+const password = { type: 'string', minLength: 6 };
+const otp = {
+  token_hash: { type: 'string', minLength: 1, description: 'From the emailed link' },
+  email,
+  token: { type: 'string', minLength: 1, description: 'One-time code from the email; requires email' },
+};
+
+export default {
+  '/auth/signup': {
+    post: operation({
+      tags,
+      auth: 'none',
+      summary: 'Create an account',
+      description: 'The profile is created together with the account; if either fails, neither is kept.',
+      requestBody: jsonBody(object({
+        email,
+        password,
+        full_name: { type: 'string', minLength: 1 },
+        phone: { type: 'string' },
+        location: { type: 'string', minLength: 1 },
+      }, ['email', 'password', 'full_name', 'location'])),
+      responses: {
+        201: messageResponse('Account created', {
+          user: ref('AuthUser'),
+          session: {
+            ...nullable({ type: 'object' }),
+            description: 'null until the email is confirmed, when confirmation is required',
+          },
+        }),
+        ...errorResponses(409),
+      },
+    }),
+  },
+
+  '/auth/login': {
+    post: operation({
+      tags,
+      auth: 'none',
+      summary: 'Sign in with email and password',
+      requestBody: jsonBody(object({
+        email,
+        password: { type: 'string', minLength: 1 },
+      })),
+      responses: {
+        200: messageResponse('Signed in', {
+          user: exactObject({
+            id: { type: 'string', format: 'uuid' },
+            email: { type: 'string' },
+            full_name: nullable({ type: 'string' }),
+            phone: nullable({ type: 'string' }),
+            location: nullable({ type: 'string' }),
+          }),
+          session: ref('Session'),
+        }),
+        ...errorResponses(401),
+      },
+    }),
+  },
+
+  '/auth/refresh': {
+    post: operation({
+      tags,
+      auth: 'none',
+      summary: 'Exchange a refresh token for a new session',
+      requestBody: jsonBody(object({
+        refresh_token: { type: 'string', minLength: 1 },
+      })),
+      responses: {
+        200: messageResponse('New session', { session: ref('Session') }),
+        ...errorResponses(401),
+      },
+    }),
+  },
+
+  '/auth/logout': {
+    post: operation({
+      tags,
+      summary: 'Revoke the current session',
+      description: 'Other devices stay signed in.',
+      responses: {
+        200: messageResponse('Signed out'),
+      },
+    }),
+  },
+
+  '/auth/forgot-password': {
+    post: operation({
+      tags,
+      auth: 'none',
+      summary: 'Email a password reset link',
+      description: 'Answers the same way whether or not the account exists.',
+      requestBody: jsonBody(object({ email })),
+      responses: {
+        200: messageResponse('Reset link sent if the account exists'),
+      },
+    }),
+  },
+
+  '/auth/reset-password': {
+    post: operation({
+      tags,
+      auth: 'none',
+      summary: 'Set a new password with a reset token',
+      description: 'Send `token_hash`, or `email` and `token`. Every session of the user is revoked afterwards.',
+      requestBody: jsonBody(object({ ...otp, password }, ['password'])),
+      responses: {
+        200: messageResponse('Password reset'),
+      },
+    }),
+  },
+
+  '/auth/resend-verification': {
+    post: operation({
+      tags,
+      auth: 'none',
+      summary: 'Resend the signup confirmation email',
+      requestBody: jsonBody(object({ email })),
+      responses: {
+        200: messageResponse('Link sent if the email is awaiting verification'),
+      },
+    }),
+  },
+
+  '/auth/verify-email': {
+    post: operation({
+      tags,
+      auth: 'none',
+      summary: 'Confirm a signup or an email change',
+      description: 'Send `token_hash`, or `email` and `token`.',
+      requestBody: jsonBody(object({
+        type: { type: 'string', enum: ['signup', 'email_change'], default: 'signup' },
+        ...otp,
+      }, [])),
+      responses: {
+        200: messageResponse('Email verified', {
+          user: ref('AuthUser'),
+          session: nullable(ref('Session')),
+        }),
+      },
+    }),
+  },
+
+  '/auth/change-password': {
+    post: operation({
+      tags,
+      summary: 'Change the password',
+      description: 'Signs out every other session. The response carries a session that replaces the current one.',
+      requestBody: jsonBody(object({
+        current_password: { type: 'string', minLength: 1 },
+        new_password: password,
+      })),
+      responses: {
+        200: messageResponse('Password changed', { session: ref('Session') }),
+      },
+    }),
+  },
+
+  '/auth/change-email': {
+    post: operation({
+      tags,
+      summary: 'Start an email change',
+      description: 'The address changes once the user follows the confirmation link sent to it.',
+      requestBody: jsonBody(object({
+        new_email: email,
+        password: { type: 'string', minLength: 1 },
+      })),
+      responses: {
+        200: messageResponse('Confirmation email sent'),
+        ...errorResponses(409),
+      },
+    }),
+  },
+
+  '/auth/me': {
+    get: operation({
+      tags,
+      summary: 'Get the signed-in user and their profile',
+      responses: {
+        200: jsonResponse('Current user', object({
+          user: ref('AuthUser'),
+          profile: ref('Profile'),
+        })),
+      },
+    }),
+  },
+};
@@ -0,0 +1,82 @@
+import {
+  ref,
+  arrayOf,
+  object,
+  pathParam,
+  paginationParams,
+  jsonResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+
+const tags = ['Categories'];
+
+const id = pathParam('id', 'Category UUID or slug', { type: 'string', minLength: 1 });
+
+export default {
+  '/categories': {
+    get: operation({
+      tags,
+      auth: 'none',
+      cached: true,
+      summary: 'List all categories',
+      responses: {
+        200: jsonResponse('Categories by name', object({
+          categories: arrayOf(ref('Category')),
+        })),
+      },
+    }),
+  },
+
+  '/categories/tree': {
+    get: operation({
+      tags,
+      auth: 'none',
+      cached: true,
+      summary: 'Get the category tree',
+      responses: {
+        200: jsonResponse('Top-level categories with nested children', object({
+          categories: arrayOf(ref('CategoryNode')),
+        })),
+      },
+    }),
+  },
+
+  '/categories/{id}': {
+    parameters: [id],
+
+    get: operation({
+      tags,
+      auth: 'none',
+      cached: true,
+      summary: 'Get a category',
+      responses: {
+        200: jsonResponse('The category with its direct children', object({
+          category: ref('CategoryDetail'),
+          breadcrumbs: arrayOf(ref('Breadcrumb')),
+        })),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/categories/{id}/products': {
+    parameters: [id],
+
+    get: operation({
+      tags,
+      auth: 'none',
+      cached: true,
+      summary: 'List active listings in a category and its subcategories',
+      parameters: paginationParams(),
+      responses: {
+        200: jsonResponse('Listings, promoted first, then newest first', object({
+          products: arrayOf(ref('Product')),
+          breadcrumbs: arrayOf(ref('Breadcrumb')),
+          pagination: ref('Pagination'),
+        })),
+        ...errorResponses(404),
+      },
+    }),
+  },
+};
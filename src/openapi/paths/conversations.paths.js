@@ -0,0 +1,105 @@
+import {
+  ref,
+  arrayOf,
+  object,
+  pathParam,
+  paginationParams,
+  jsonBody,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+
+const tags = ['Conversations'];
+
+const id = pathParam('id', 'Conversation ID');
+
+const messageBody = { type: 'string', minLength: 1, maxLength: 2000 };
+
+export default {
+  '/conversations': {
+    post: operation({
+      tags,
+      summary: 'Start a conversation about a listing',
+      description: 'Returns the existing conversation (200) if the caller already has one for the listing.',
+      requestBody: jsonBody(object({
+        product_id: { type: 'string', format: 'uuid' },
+        message: { ...messageBody, description: 'Optional first message' },
+      }, ['product_id'])),
+      responses: {
+        200: messageResponse('Conversation already exists', { conversation: ref('Conversation') }),
+        201: messageResponse('Conversation started', { conversation: ref('Conversation') }),
+        ...errorResponses(404),
+      },
+    }),
+
+    get: operation({
+      tags,
+      summary: 'Get the caller\'s inbox',
+      parameters: paginationParams(),
+      responses: {
+        200: jsonResponse('Conversations, most recent message first', object({
+          conversations: arrayOf({
+            allOf: [ref('Conversation')],
+            type: 'object',
+            properties: { unread_count: { type: 'integer' } },
+            required: ['unread_count'],
+          }),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+  },
+
+  '/conversations/{id}': {
+    parameters: [id],
+
+    get: operation({
+      tags,
+      summary: 'Get a conversation',
+      responses: {
+        200: jsonResponse('The conversation', object({ conversation: ref('Conversation') })),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/conversations/{id}/messages': {
+    parameters: [id],
+
+    get: operation({
+      tags,
+      summary: 'List messages, newest first',
+      parameters: paginationParams(),
+      responses: {
+        200: jsonResponse('Messages', object({
+          messages: arrayOf(ref('Message')),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+
+    post: operation({
+      tags,
+      summary: 'Send a message',
+      requestBody: jsonBody(object({ body: messageBody })),
+      responses: {
+        201: messageResponse('Message sent', { data: ref('Message') }),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/conversations/{id}/read': {
+    parameters: [id],
+
+    post: operation({
+      tags,
+      summary: 'Mark the other party\'s messages as read',
+      responses: {
+        200: messageResponse('Conversation marked as read', { updated: { type: 'integer' } }),
+      },
+    }),
+  },
+};
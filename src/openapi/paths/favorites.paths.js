@@ -0,0 +1,81 @@
+import {
+  ref,
+  nullable,
+  arrayOf,
+  object,
+  pathParam,
+  queryParam,
+  paginationParams,
+  jsonBody,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+import { FAVORITE_SORTS } from '../../services/favorites.service.js';
+
+const tags = ['Favorites'];
+
+const productId = pathParam('product_id', 'Product ID');
+
+export default {
+  '/favorites': {
+    get: operation({
+      tags,
+      summary: 'List the caller\'s favorites',
+      description: '`price_drop` and `price_drop_percent` put the listings that got cheapest since they '
+        + 'were favorited first.',
+      parameters: [
+        queryParam('sort', { type: 'string', enum: FAVORITE_SORTS }),
+        ...paginationParams(),
+      ],
+      responses: {
+        200: jsonResponse('Favorites in the requested order', object({
+          favorites: arrayOf({
+            allOf: [ref('Favorite')],
+            type: 'object',
+            properties: { product: nullable(ref('Product')) },
+            required: ['product'],
+          }),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+
+    post: operation({
+      tags,
+      summary: 'Add a listing to favorites',
+      requestBody: jsonBody(object({
+        product_id: { type: 'string', format: 'uuid' },
+      })),
+      responses: {
+        201: messageResponse('Added to favorites', { favorite: ref('Favorite') }),
+        ...errorResponses(409),
+      },
+    }),
+  },
+
+  '/favorites/{product_id}': {
+    parameters: [productId],
+
+    delete: operation({
+      tags,
+      summary: 'Remove a listing from favorites',
+      responses: {
+        200: messageResponse('Removed from favorites'),
+      },
+    }),
+  },
+
+  '/favorites/check/{product_id}': {
+    parameters: [productId],
+
+    get: operation({
+      tags,
+      summary: 'Check whether a listing is a favorite',
+      responses: {
+        200: jsonResponse('Favorite status', object({ isFavorite: { type: 'boolean' } })),
+      },
+    }),
+  },
+};
@@ -0,0 +1,29 @@
+import {
+  ref,
+  arrayOf,
+  object,
+  paginationParams,
+  jsonResponse,
+  operation,
+} from '../helpers.js';
+
+const tags = ['Feed'];
+
+export default {
+  '/feed': {
+    get: operation({
+      tags,
+      summary: 'Recommended listings for the caller',
+      description: 'Active listings of other sellers, ranked by the caller\'s interest in their category '
+        + '(from favorites, saved searches and recently viewed listings), then newest first. Listings '
+        + 'the caller already favorited are left out.',
+      parameters: paginationParams(),
+      responses: {
+        200: jsonResponse('Recommended listings', object({
+          products: arrayOf(ref('ScoredProduct')),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+  },
+};
@@ -0,0 +1,89 @@
+import {
+  ref,
+  arrayOf,
+  object,
+  pathParam,
+  jsonBody,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+import { MAX_IMAGES_PER_UPLOAD } from '../../middleware/upload.js';
+import { ALLOWED_IMAGE_TYPES } from '../../services/images.service.js';
+
+const tags = ['Images'];
+
+const id = pathParam('id', 'Product ID');
+
+const imagesResponse = (description) => messageResponse(description, {
+  images: {
+    ...arrayOf(ref('ProductImage')),
+    description: 'Every image of the product, in display order',
+  },
+});
+
+export default {
+  '/products/{id}/images': {
+    parameters: [id],
+
+    post: operation({
+      tags,
+      summary: 'Upload images to a listing',
+      description: `Images are resized and get a thumbnail. Allowed types: ${ALLOWED_IMAGE_TYPES.join(', ')}.`,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: object({
+              images: {
+                type: 'array',
+                minItems: 1,
+                maxItems: MAX_IMAGES_PER_UPLOAD,
+                items: { type: 'string', format: 'binary' },
+              },
+            }),
+          },
+        },
+      },
+      responses: {
+        201: imagesResponse('Images uploaded'),
+        ...errorResponses(404, 413, 415),
+      },
+    }),
+  },
+
+  '/products/{id}/images/order': {
+    parameters: [id],
+
+    put: operation({
+      tags,
+      summary: 'Reorder the images of a listing',
+      description: 'The first image becomes the primary one.',
+      requestBody: jsonBody(object({
+        image_ids: {
+          type: 'array',
+          minItems: 1,
+          items: { type: 'string', format: 'uuid' },
+          description: 'Every image ID of the product, exactly once',
+        },
+      })),
+      responses: {
+        200: imagesResponse('Images reordered'),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/products/{id}/images/{imageId}': {
+    parameters: [id, pathParam('imageId', 'Image ID')],
+
+    delete: operation({
+      tags,
+      summary: 'Delete an image from a listing',
+      responses: {
+        200: imagesResponse('Image deleted'),
+        ...errorResponses(404),
+      },
+    }),
+  },
+};
@@ -0,0 +1,76 @@
+import {
+  ref,
+  arrayOf,
+  object,
+  pathParam,
+  paginationParams,
+  queryParam,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+
+const tags = ['Notifications'];
+
+const id = pathParam('id', 'Notification ID');
+
+const setRead = (summary, outcome) => ({
+  parameters: [id],
+
+  post: operation({
+    tags,
+    summary,
+    responses: {
+      200: messageResponse(outcome, { notification: ref('Notification') }),
+      ...errorResponses(404),
+    },
+  }),
+});
+
+export default {
+  '/notifications': {
+    get: operation({
+      tags,
+      summary: 'List the caller\'s notifications, newest first',
+      parameters: [
+        queryParam('unread', { type: 'boolean' }, 'Only unread notifications'),
+        ...paginationParams(),
+      ],
+      responses: {
+        200: jsonResponse('Notifications', object({
+          notifications: arrayOf(ref('Notification')),
+          unread_count: { type: 'integer' },
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+  },
+
+  '/notifications/read-all': {
+    post: operation({
+      tags,
+      summary: 'Mark every notification as read',
+      responses: {
+        200: messageResponse('Notifications marked as read', { updated: { type: 'integer' } }),
+      },
+    }),
+  },
+
+  '/notifications/{id}/read': setRead('Mark a notification as read', 'Notification marked as read'),
+
+  '/notifications/{id}/unread': setRead('Mark a notification as unread', 'Notification marked as unread'),
+
+  '/notifications/{id}': {
+    parameters: [id],
+
+    delete: operation({
+      tags,
+      summary: 'Delete a notification',
+      responses: {
+        200: messageResponse('Notification deleted'),
+        ...errorResponses(404),
+      },
+    }),
+  },
+};
@@ -0,0 +1,105 @@
+import {
+  ref,
+  arrayOf,
+  object,
+  pathParam,
+  paginationParams,
+  jsonBody,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+
+const tags = ['Offers'];
+
+const id = pathParam('id', 'Product ID');
+const offerId = pathParam('offerId', 'Offer ID');
+
+const respond = (summary, outcome) => ({
+  parameters: [id, offerId],
+
+  post: operation({
+    tags,
+    summary,
+    responses: {
+      200: messageResponse(outcome, { offer: ref('Offer') }),
+      ...errorResponses(404, 409),
+    },
+  }),
+});
+
+export default {
+  '/products/{id}/offers': {
+    parameters: [id],
+
+    post: operation({
+      tags,
+      summary: 'Make an offer',
+      description: 'Replaces the caller\'s previous open offer on the listing.',
+      requestBody: jsonBody(object({
+        amount: { type: 'number', exclusiveMinimum: 0 },
+        message: { type: 'string', maxLength: 1000 },
+      }, ['amount'])),
+      responses: {
+        201: messageResponse('Offer submitted', { offer: ref('Offer') }),
+        ...errorResponses(404),
+      },
+    }),
+
+    get: operation({
+      tags,
+      summary: 'List offers on a listing',
+      description: 'The seller sees every offer; a buyer sees their own.',
+      parameters: paginationParams(),
+      responses: {
+        200: jsonResponse('Offers, newest first', object({
+          offers: arrayOf({
+            allOf: [ref('Offer')],
+            type: 'object',
+            properties: { buyer: ref('UserSummary') },
+          }),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+  },
+
+  '/products/{id}/offers/{offerId}/accept': {
+    parameters: [id, offerId],
+
+    post: operation({
+      tags,
+      summary: 'Accept an offer',
+      description: 'Marks the listing sold to the buyer and declines the other open offers, in one transaction. '
+        + 'Answers 409 when the offer or the listing changed in the meantime.',
+      responses: {
+        200: messageResponse('Offer accepted', {
+          offer: ref('Offer'),
+          product: ref('ProductRow'),
+        }),
+        ...errorResponses(404, 409),
+      },
+    }),
+  },
+
+  '/products/{id}/offers/{offerId}/reject': respond('Reject an offer', 'Offer rejected'),
+
+  '/products/{id}/offers/{offerId}/counter': {
+    parameters: [id, offerId],
+
+    post: operation({
+      tags,
+      summary: 'Counter an offer',
+      requestBody: jsonBody(object({
+        counter_amount: { type: 'number', exclusiveMinimum: 0 },
+      })),
+      responses: {
+        200: messageResponse('Counter offer sent', { offer: ref('Offer') }),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/products/{id}/offers/{offerId}/withdraw': respond('Withdraw an offer', 'Offer withdrawn'),
+};
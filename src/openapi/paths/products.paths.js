@@ -0,0 +1,284 @@
+import {
+  ref,
+  nullable,
+  arrayOf,
+  object,
+  exactObject,
+  pathParam,
+  paginationParams,
+  queryParam,
+  jsonBody,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+import { CONDITIONS } from '../components.js';
+import { PRODUCT_SORTS } from '../../services/products.service.js';
+import { IMPORT_MAX_ROWS, LISTING_FILE_FORMATS } from '../../services/bulk-listings.service.js';
+
+const tags = ['Products'];
+
+const id = pathParam('id', 'Product ID');
+
+const price = { type: 'number', minimum: 0 };
+const latitude = { type: 'number', minimum: -90, maximum: 90 };
+const longitude = { type: 'number', minimum: -180, maximum: 180 };
+const condition = { type: 'string', enum: CONDITIONS };
+
+const publishAt = {
+  type: 'string',
+  format: 'date-time',
+  description: 'Only for drafts. Publishes the draft at this future time',
+};
+
+const productFields = {
+  title: { type: 'string', minLength: 1 },
+  description: { type: 'string', minLength: 1 },
+  price,
+  category_id: { type: 'string', format: 'uuid' },
+  condition,
+  location: { type: 'string', minLength: 1, description: 'Geocoded when latitude/longitude are omitted' },
+  latitude,
+  longitude,
+  attributes: {
+    type: 'object',
+    description: 'Category-specific fields declared by the category and its ancestors',
+  },
+};
+
+const importReport = exactObject({
+  dry_run: { type: 'boolean' },
+  summary: exactObject({
+    total: { type: 'integer' },
+    valid: { type: 'integer', description: 'Rows that passed validation' },
+    created: { type: 'integer', description: 'Listings created; 0 in a dry run' },
+    failed: { type: 'integer' },
+  }),
+  rows: arrayOf(exactObject({
+    row: { type: 'integer', minimum: 1, description: 'Position of the listing in the file, from 1' },
+    status: { type: 'string', enum: ['created', 'valid', 'failed'] },
+    product_id: nullable({ type: 'string', format: 'uuid' }),
+    errors: arrayOf(exactObject({
+      field: nullable({ type: 'string' }),
+      message: { type: 'string' },
+    })),
+  })),
+});
+
+export default {
+  '/products': {
+    post: operation({
+      tags,
+      summary: 'Create a listing',
+      requestBody: jsonBody(object({
+        ...productFields,
+        images: {
+          type: 'array',
+          maxItems: 10,
+          items: { type: 'string', format: 'uri', pattern: '^https?://' },
+          description: 'Absolute image URLs. To upload files, use POST /products/{id}/images',
+        },
+        status: { type: 'string', enum: ['draft', 'active'], default: 'draft' },
+        publish_at: publishAt,
+      }, ['title', 'description', 'price', 'category_id', 'condition', 'location'])),
+      responses: {
+        201: messageResponse('Listing created', { product: ref('Product') }),
+      },
+    }),
+
+    get: operation({
+      tags,
+      cached: true,
+      summary: 'Browse and search listings',
+      description: 'Only active listings are returned, unless `user_id` is the caller, who then sees '
+        + 'their own listings in any `status`. Promoted listings come first (featured, then bumped), '
+        + 'each group in the requested `sort` order.',
+      parameters: [
+        queryParam('category_id', { type: 'string', format: 'uuid' }, 'Includes subcategories'),
+        queryParam('status', { type: 'string', enum: ['active', 'sold', 'draft', 'archived'] }),
+        queryParam('min_price', price),
+        queryParam('max_price', price),
+        queryParam('condition', condition),
+        queryParam('search', { type: 'string' }, 'Full-text query: free text, "quoted phrases", `or` and `-excluded` words'),
+        queryParam('user_id', { type: 'string', format: 'uuid' }),
+        queryParam('lat', latitude, 'Search origin; requires `lng`'),
+        queryParam('lng', longitude, 'Search origin; requires `lat`'),
+        queryParam('radius_km', { type: 'number', exclusiveMinimum: 0, maximum: 1000 }, 'Requires `lat`/`lng`'),
+        {
+          ...queryParam('attributes', { type: 'object' }, 'Requires `category_id`. Exact match: '
+            + '`attributes[fuel]=diesel`; numeric range: `attributes[year][min]=2015`'),
+          style: 'deepObject',
+          explode: true,
+        },
+        queryParam('sort', { type: 'string', enum: PRODUCT_SORTS }),
+        ...paginationParams(),
+      ],
+      responses: {
+        200: jsonResponse('Matching listings', object({
+          products: arrayOf(ref('ProductListItem')),
+          facets: ref('Facets'),
+          sort: { type: 'string', enum: PRODUCT_SORTS },
+          pagination: ref('Pagination'),
+        })),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/products/import': {
+    post: operation({
+      tags,
+      summary: 'Create listings from a CSV or JSON file',
+      description: `Each listing is validated like POST /products and reported on by row; invalid rows `
+        + `are skipped and the rest are created. A file holds at most ${IMPORT_MAX_ROWS} listings. `
+        + 'Listings have the fields of POST /products, except that `category` is a category slug or ID. '
+        + 'CSV files have a header row, separate `images` URLs with `|` and put each attribute in an '
+        + '`attributes.<key>` column. JSON files hold an array of listings. The format is taken from '
+        + `the file name or type (${LISTING_FILE_FORMATS.join(', ')}). Files from GET /profile/listings/export `
+        + 'can be imported; their read-only columns are ignored.',
+      parameters: [
+        queryParam('dry_run', { type: 'boolean', default: false }, 'Validate every row without creating anything'),
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: object({
+              file: { type: 'string', format: 'binary' },
+            }),
+          },
+        },
+      },
+      responses: {
+        200: jsonResponse('Per-row import report', importReport),
+        ...errorResponses(413, 415),
+      },
+    }),
+  },
+
+  '/products/{id}': {
+    parameters: [id],
+
+    get: operation({
+      tags,
+      auth: 'optional',
+      summary: 'Get a listing',
+      description: 'Listings that are not active are only visible to their owner. Signed-in callers also '
+        + 'get the seller\'s phone and email. Counts a view, at most once per viewer per window; views by '
+        + 'the seller and by bots are not counted. `price_history` lists every price the listing has had.',
+      responses: {
+        200: jsonResponse('The listing', object({
+          product: {
+            allOf: [ref('Product')],
+            type: 'object',
+            properties: { price_history: ref('PriceHistory') },
+            required: ['price_history'],
+          },
+        })),
+        ...errorResponses(403, 404),
+      },
+    }),
+
+    put: operation({
+      tags,
+      summary: 'Update a listing',
+      description: '`attributes` replaces the stored object as a whole. A `status` change follows the '
+        + 'same rules as PATCH /products/{id}/status. `publish_at: null` cancels a schedule.',
+      requestBody: jsonBody(exactObject({
+        ...productFields,
+        status: { type: 'string', enum: ['draft', 'active', 'sold', 'archived'] },
+        publish_at: nullable(publishAt),
+      }, [])),
+      responses: {
+        200: messageResponse('Listing updated', { product: ref('Product') }),
+        ...errorResponses(404),
+      },
+    }),
+
+    delete: operation({
+      tags,
+      summary: 'Delete a listing',
+      responses: {
+        200: messageResponse('Listing deleted'),
+      },
+    }),
+  },
+
+  '/products/{id}/similar': {
+    parameters: [id],
+
+    get: operation({
+      tags,
+      auth: 'optional',
+      cached: true,
+      summary: 'List listings similar to a listing',
+      description: 'Other active listings, ranked by category, title similarity, price and distance. '
+        + 'Never includes the caller\'s own listings. `limit` defaults to 12.',
+      parameters: paginationParams(),
+      responses: {
+        200: jsonResponse('Similar listings, best match first', object({
+          products: arrayOf(ref('ScoredProduct')),
+          pagination: ref('Pagination'),
+        })),
+        ...errorResponses(403, 404),
+      },
+    }),
+  },
+
+  '/products/{id}/status': {
+    parameters: [id],
+
+    patch: operation({
+      tags,
+      summary: 'Change the status of a listing',
+      description: 'Allowed changes: draft to active or archived; active to draft, sold or archived; '
+        + 'archived to active or draft; sold to archived. Going active starts a new expiry term. '
+        + 'Removed listings can only be restored by a moderator.',
+      requestBody: jsonBody(object({
+        status: { type: 'string', enum: ['draft', 'active', 'sold', 'archived'] },
+        buyer_id: {
+          type: 'string',
+          format: 'uuid',
+          description: 'Only with `sold`. Must have messaged or made an offer about the listing',
+        },
+      }, ['status'])),
+      responses: {
+        200: messageResponse('Status updated', { product: ref('ProductRow') }),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/products/{id}/renew': {
+    parameters: [id],
+
+    post: operation({
+      tags,
+      summary: 'Renew a listing',
+      description: 'Starts a new expiry term for an active listing, or re-activates an archived '
+        + '(e.g. expired) one.',
+      responses: {
+        200: messageResponse('Listing renewed', { product: ref('ProductRow') }),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/products/{id}/report': {
+    parameters: [id],
+
+    post: operation({
+      tags,
+      summary: 'Report a listing',
+      requestBody: jsonBody(object({
+        reason: { type: 'string', enum: ['scam', 'prohibited', 'duplicate', 'wrong_category', 'offensive', 'other'] },
+        details: { type: 'string', maxLength: 2000 },
+      }, ['reason'])),
+      responses: {
+        201: messageResponse('Report submitted', { report: ref('Report') }),
+        ...errorResponses(404, 409),
+      },
+    }),
+  },
+};
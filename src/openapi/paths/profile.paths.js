@@ -0,0 +1,304 @@
+import {
+  ref,
+  nullable,
+  arrayOf,
+  object,
+  exactObject,
+  pathParam,
+  paginationParams,
+  queryParam,
+  jsonBody,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+import { CONDITIONS, OFFER_STATUSES, PRODUCT_STATUSES } from '../components.js';
+import { ANALYTICS_MAX_DAYS, ANALYTICS_METRICS } from '../../services/analytics.service.js';
+import { LISTING_FILE_FORMATS } from '../../services/bulk-listings.service.js';
+
+const tags = ['Profile'];
+
+const id = pathParam('id', 'User ID');
+
+const metrics = object(Object.fromEntries(ANALYTICS_METRICS.map((metric) => [metric, { type: 'integer' }])));
+
+const EXPORTED_COLLECTIONS = [
+  'listings',
+  'favorites',
+  'saved_searches',
+  'notifications',
+  'conversations',
+  'offers',
+  'reviews_written',
+  'reviews_received',
+  'reports',
+  'promotions',
+  'webhook_endpoints',
+];
+
+const listingFileRow = object({
+  id: { type: 'string', format: 'uuid' },
+  title: { type: 'string' },
+  description: { type: 'string' },
+  price: { type: 'number' },
+  category: nullable({ type: 'string', description: 'Category slug' }),
+  condition: { type: 'string', enum: CONDITIONS },
+  location: { type: 'string' },
+  latitude: nullable({ type: 'number' }),
+  longitude: nullable({ type: 'number' }),
+  status: { type: 'string', enum: PRODUCT_STATUSES },
+  publish_at: nullable({ type: 'string', format: 'date-time' }),
+  images: arrayOf({ type: 'string' }),
+  attributes: { type: 'object' },
+  views: { type: 'integer' },
+  expires_at: nullable({ type: 'string', format: 'date-time' }),
+  created_at: { type: 'string', format: 'date-time' },
+});
+
+const profileFields = exactObject({
+  full_name: { type: 'string', minLength: 1 },
+  phone: { type: 'string' },
+  location: { type: 'string', minLength: 1, description: 'Geocoded when latitude/longitude are omitted' },
+  latitude: { type: 'number', minimum: -90, maximum: 90 },
+  longitude: { type: 'number', minimum: -180, maximum: 180 },
+  avatar_url: { type: 'string', description: 'Image URL; replaced when an avatar file is uploaded' },
+}, []);
+
+export default {
+  '/profile': {
+    get: operation({
+      tags,
+      summary: 'Get the caller\'s profile',
+      responses: {
+        200: jsonResponse('Own profile', object({ profile: nullable(ref('Profile')) })),
+      },
+    }),
+
+    put: operation({
+      tags,
+      summary: 'Update the caller\'s profile',
+      description: 'Send JSON, or multipart/form-data with an `avatar` image file.',
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': { schema: profileFields },
+          'multipart/form-data': {
+            schema: {
+              ...profileFields,
+              properties: {
+                ...profileFields.properties,
+                avatar: { type: 'string', format: 'binary' },
+              },
+            },
+          },
+        },
+      },
+      responses: {
+        200: messageResponse('Profile updated', { profile: ref('Profile') }),
+        ...errorResponses(413, 415),
+      },
+    }),
+
+    delete: operation({
+      tags,
+      summary: 'Schedule deletion of the caller\'s account',
+      description: 'The account is anonymised after the grace period unless the deletion is cancelled.',
+      requestBody: jsonBody(object({
+        password: { type: 'string', minLength: 1 },
+      })),
+      responses: {
+        202: messageResponse('Deletion scheduled', {
+          deletion_scheduled_for: { type: 'string', format: 'date-time' },
+        }),
+        ...errorResponses(409),
+      },
+    }),
+  },
+
+  '/profile/cancel-deletion': {
+    post: operation({
+      tags,
+      summary: 'Cancel a scheduled account deletion',
+      responses: {
+        200: messageResponse('Deletion cancelled'),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/profile/export': {
+    get: operation({
+      tags,
+      summary: 'Export all data held about the caller',
+      description: 'Sent as a JSON file attachment.',
+      responses: {
+        200: jsonResponse('Account data', {
+          type: 'object',
+          properties: {
+            exported_at: { type: 'string', format: 'date-time' },
+            account: object({
+              id: { type: 'string', format: 'uuid' },
+              email: { type: 'string' },
+              created_at: { type: 'string', format: 'date-time' },
+              last_sign_in_at: nullable({ type: 'string', format: 'date-time' }),
+            }, ['id', 'email']),
+            profile: nullable(ref('Profile')),
+            ...Object.fromEntries(EXPORTED_COLLECTIONS.map((key) => [key, arrayOf({ type: 'object' })])),
+          },
+          required: ['exported_at', 'account', 'profile', ...EXPORTED_COLLECTIONS],
+        }),
+      },
+    }),
+  },
+
+  '/profile/listings': {
+    get: operation({
+      tags,
+      summary: 'List the caller\'s listings',
+      parameters: [
+        queryParam('status', { type: 'string', enum: PRODUCT_STATUSES }),
+        ...paginationParams(),
+      ],
+      responses: {
+        200: jsonResponse('Own listings, newest first', object({
+          products: arrayOf({
+            allOf: [ref('ProductRow')],
+            type: 'object',
+            properties: {
+              category: nullable(ref('Category')),
+              images: arrayOf(ref('ProductImage')),
+            },
+            required: ['category', 'images'],
+          }),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+  },
+
+  '/profile/listings/export': {
+    get: operation({
+      tags,
+      summary: 'Export the caller\'s listings as a file',
+      description: 'Sent as a file attachment, oldest listing first, in the format POST /products/import '
+        + 'reads. CSV columns are those of the JSON rows, with `images` joined by `|` and one '
+        + '`attributes.<key>` column per attribute.',
+      parameters: [
+        queryParam('format', { type: 'string', enum: LISTING_FILE_FORMATS, default: 'csv' }),
+        queryParam('status', { type: 'string', enum: PRODUCT_STATUSES }),
+      ],
+      responses: {
+        200: {
+          description: 'Own listings',
+          content: {
+            'text/csv': { schema: { type: 'string' } },
+            'application/json': { schema: arrayOf(listingFileRow) },
+          },
+        },
+      },
+    }),
+  },
+
+  '/profile/listings/analytics': {
+    get: operation({
+      tags,
+      summary: 'Get daily statistics for the caller\'s listings',
+      description: `Per listing and UTC day: \`views\` (deduplicated, excluding the seller and bots), `
+        + '`favorites` added, `contacts` (conversations started) and `messages` from buyers. '
+        + `The range covers at most ${ANALYTICS_MAX_DAYS} days.`,
+      parameters: [
+        queryParam('from', { type: 'string', format: 'date' }, 'First day; defaults to 29 days before `to`'),
+        queryParam('to', { type: 'string', format: 'date' }, 'Last day; defaults to today'),
+        queryParam('product_id', { type: 'string', format: 'uuid' }, 'Only this listing'),
+        ...paginationParams(),
+      ],
+      responses: {
+        200: jsonResponse('Listings, newest first, with their daily statistics', object({
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' },
+          listings: arrayOf(object({
+            product: object({
+              id: { type: 'string', format: 'uuid' },
+              title: { type: 'string' },
+              status: { type: 'string', enum: PRODUCT_STATUSES },
+              created_at: { type: 'string', format: 'date-time' },
+            }),
+            totals: metrics,
+            daily: arrayOf(object({
+              date: { type: 'string', format: 'date' },
+              ...metrics.properties,
+            })),
+          })),
+          pagination: ref('Pagination'),
+        })),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/profile/offers': {
+    get: operation({
+      tags,
+      summary: 'List offers the caller sent or received',
+      parameters: [
+        queryParam('type', { type: 'string', enum: ['sent', 'received'], default: 'sent' }),
+        queryParam('status', { type: 'string', enum: OFFER_STATUSES }),
+        ...paginationParams(),
+      ],
+      responses: {
+        200: jsonResponse('Offers, newest first', object({
+          offers: arrayOf({
+            allOf: [ref('Offer')],
+            type: 'object',
+            properties: {
+              product: nullable(ref('ProductSummary')),
+              buyer: nullable(ref('UserSummary')),
+              seller: nullable(ref('UserSummary')),
+            },
+            required: ['product', 'buyer', 'seller'],
+          }),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+  },
+
+  '/profile/{id}': {
+    parameters: [id],
+
+    get: operation({
+      tags,
+      auth: 'optional',
+      cached: true,
+      summary: 'Get a public profile with seller reputation',
+      description: 'Profiles are only visible to signed-in callers; anonymous requests get 404.',
+      responses: {
+        200: jsonResponse('Public profile', object({ profile: ref('PublicProfile') })),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/profile/{id}/reviews': {
+    parameters: [id],
+
+    get: operation({
+      tags,
+      auth: 'none',
+      summary: 'List reviews of a seller',
+      parameters: paginationParams(),
+      responses: {
+        200: jsonResponse('Reviews, newest first', object({
+          reviews: arrayOf({
+            allOf: [ref('Review')],
+            type: 'object',
+            properties: { reviewer: nullable(ref('UserSummary')) },
+            required: ['reviewer'],
+          }),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+  },
+};
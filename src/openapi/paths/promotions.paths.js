@@ -0,0 +1,53 @@
+import {
+  ref,
+  arrayOf,
+  object,
+  pathParam,
+  paginationParams,
+  jsonBody,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+import { PROMOTION_TYPES, PROMOTION_MAX_DAYS } from '../../services/promotions.service.js';
+
+const tags = ['Promotions'];
+
+const id = pathParam('id', 'Product ID');
+
+export default {
+  '/products/{id}/promotions': {
+    parameters: [id],
+
+    post: operation({
+      tags,
+      summary: 'Promote a listing',
+      description: 'Charges the seller through the payment provider and records the purchase. A `bump` '
+        + 'lists the listing above unpromoted ones, a `feature` above all others. Buying a type the '
+        + 'listing already has extends it. Only active listings can be promoted.',
+      requestBody: jsonBody(object({
+        type: { type: 'string', enum: PROMOTION_TYPES },
+        days: { type: 'integer', minimum: 1, maximum: PROMOTION_MAX_DAYS },
+        payment_token: { type: 'string', minLength: 1, description: 'Payment method token from the provider' },
+      }, ['type', 'days'])),
+      responses: {
+        201: messageResponse('Promotion active', { promotion: ref('Promotion') }),
+        ...errorResponses(402, 404),
+      },
+    }),
+
+    get: operation({
+      tags,
+      summary: 'List promotions bought for a listing',
+      description: 'Only the seller\'s own purchases are returned.',
+      parameters: paginationParams(),
+      responses: {
+        200: jsonResponse('Promotions, newest first', object({
+          promotions: arrayOf(ref('Promotion')),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+  },
+};
@@ -0,0 +1,46 @@
+import {
+  ref,
+  object,
+  pathParam,
+  jsonBody,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+
+const tags = ['Reviews'];
+
+export default {
+  '/reviews': {
+    post: operation({
+      tags,
+      summary: 'Review the seller of a purchase',
+      description: 'Only the buyer recorded on a sold listing can review it, once.',
+      requestBody: jsonBody(object({
+        product_id: { type: 'string', format: 'uuid' },
+        rating: { type: 'integer', minimum: 1, maximum: 5 },
+        comment: { type: 'string', maxLength: 2000 },
+      }, ['product_id', 'rating'])),
+      responses: {
+        201: messageResponse('Review submitted', { review: ref('Review') }),
+        ...errorResponses(409),
+      },
+    }),
+  },
+
+  '/reviews/{id}/reply': {
+    parameters: [pathParam('id', 'Review ID')],
+
+    post: operation({
+      tags,
+      summary: 'Reply to a review of the caller',
+      requestBody: jsonBody(object({
+        reply: { type: 'string', minLength: 1, maxLength: 2000 },
+      })),
+      responses: {
+        200: messageResponse('Reply posted', { review: ref('Review') }),
+        ...errorResponses(404),
+      },
+    }),
+  },
+};
@@ -0,0 +1,88 @@
+import {
+  ref,
+  nullable,
+  arrayOf,
+  object,
+  pathParam,
+  paginationParams,
+  jsonBody,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+import { CONDITIONS } from '../components.js';
+
+const tags = ['Saved searches'];
+
+const id = pathParam('id', 'Saved search ID');
+
+const name = { type: 'string', minLength: 1, maxLength: 100 };
+
+// null clears a criterion on update
+const criteria = {
+  category_id: { ...nullable({ type: 'string', format: 'uuid' }), description: 'Also matches subcategories' },
+  min_price: nullable({ type: 'number', minimum: 0 }),
+  max_price: nullable({ type: 'number', minimum: 0 }),
+  condition: nullable({ type: 'string', enum: CONDITIONS }),
+  search: { ...nullable({ type: 'string', minLength: 1, maxLength: 200 }), description: 'Same syntax as GET /products?search=' },
+  notify_email: { type: 'boolean', description: 'Also send alerts by email' },
+};
+
+export default {
+  '/saved-searches': {
+    get: operation({
+      tags,
+      summary: 'List the caller\'s saved searches',
+      parameters: paginationParams(),
+      responses: {
+        200: jsonResponse('Saved searches, newest first', object({
+          saved_searches: arrayOf(ref('SavedSearch')),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+
+    post: operation({
+      tags,
+      summary: 'Save a search',
+      description: 'Needs at least one criterion. New matching listings create notifications.',
+      requestBody: jsonBody(object({ name, ...criteria }, ['name'])),
+      responses: {
+        201: messageResponse('Saved search created', { saved_search: ref('SavedSearch') }),
+      },
+    }),
+  },
+
+  '/saved-searches/{id}': {
+    parameters: [id],
+
+    get: operation({
+      tags,
+      summary: 'Get a saved search',
+      responses: {
+        200: jsonResponse('The saved search', object({ saved_search: ref('SavedSearch') })),
+        ...errorResponses(404),
+      },
+    }),
+
+    put: operation({
+      tags,
+      summary: 'Update a saved search',
+      requestBody: jsonBody(object({ name, ...criteria }, [])),
+      responses: {
+        200: messageResponse('Saved search updated', { saved_search: ref('SavedSearch') }),
+        ...errorResponses(404),
+      },
+    }),
+
+    delete: operation({
+      tags,
+      summary: 'Delete a saved search',
+      responses: {
+        200: messageResponse('Saved search deleted'),
+        ...errorResponses(404),
+      },
+    }),
+  },
+};
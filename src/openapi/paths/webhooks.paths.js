@@ -0,0 +1,134 @@
+import {
+  ref,
+  arrayOf,
+  object,
+  pathParam,
+  queryParam,
+  paginationParams,
+  jsonBody,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  operation,
+} from '../helpers.js';
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_SCOPES,
+  WEBHOOK_DELIVERY_STATUSES,
+  MAX_WEBHOOK_ENDPOINTS,
+} from '../../services/webhooks.service.js';
+
+const tags = ['Webhooks'];
+
+const id = pathParam('id', 'Webhook ID');
+
+const endpoint = {
+  url: { type: 'string', format: 'uri', description: 'http(s) URL; local and private addresses are rejected' },
+  events: arrayOf({ type: 'string', enum: WEBHOOK_EVENTS }),
+  description: { type: 'string', maxLength: 200 },
+  scope: {
+    type: 'string',
+    enum: WEBHOOK_SCOPES,
+    description: '`own` receives events about the caller\'s listings, `all` (admins only) about every listing',
+  },
+};
+
+export default {
+  '/webhooks': {
+    get: operation({
+      tags,
+      summary: 'List the caller\'s webhooks',
+      parameters: paginationParams(),
+      responses: {
+        200: jsonResponse('Webhooks, newest first', object({
+          webhooks: arrayOf(ref('WebhookEndpoint')),
+          pagination: ref('Pagination'),
+        })),
+      },
+    }),
+
+    post: operation({
+      tags,
+      summary: 'Register a webhook',
+      description: `A user can register at most ${MAX_WEBHOOK_ENDPOINTS} webhooks. The response carries `
+        + 'the signing secret, which is not returned again.',
+      requestBody: jsonBody(object(endpoint, ['url', 'events'])),
+      responses: {
+        201: messageResponse('Webhook created', {
+          webhook: {
+            allOf: [ref('WebhookEndpoint'), object({ secret: { type: 'string' } })],
+          },
+        }),
+      },
+    }),
+  },
+
+  '/webhooks/{id}': {
+    parameters: [id],
+
+    get: operation({
+      tags,
+      summary: 'Get a webhook',
+      responses: {
+        200: jsonResponse('The webhook', object({ webhook: ref('WebhookEndpoint') })),
+        ...errorResponses(404),
+      },
+    }),
+
+    put: operation({
+      tags,
+      summary: 'Update a webhook',
+      description: 'Deliveries to an inactive webhook are not sent until it is active again.',
+      requestBody: jsonBody(object({ ...endpoint, active: { type: 'boolean' } }, [])),
+      responses: {
+        200: messageResponse('Webhook updated', { webhook: ref('WebhookEndpoint') }),
+        ...errorResponses(404),
+      },
+    }),
+
+    delete: operation({
+      tags,
+      summary: 'Delete a webhook and its delivery log',
+      responses: {
+        200: messageResponse('Webhook deleted'),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/webhooks/{id}/deliveries': {
+    parameters: [id],
+
+    get: operation({
+      tags,
+      summary: 'List a webhook\'s deliveries',
+      parameters: [
+        queryParam('status', { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES }),
+        queryParam('event', { type: 'string', enum: WEBHOOK_EVENTS }),
+        ...paginationParams(),
+      ],
+      responses: {
+        200: jsonResponse('Deliveries, newest first', object({
+          deliveries: arrayOf(ref('WebhookDelivery')),
+          pagination: ref('Pagination'),
+        })),
+        ...errorResponses(404),
+      },
+    }),
+  },
+
+  '/webhooks/{id}/deliveries/{deliveryId}/redeliver': {
+    parameters: [id, pathParam('deliveryId', 'Delivery ID')],
+
+    post: operation({
+      tags,
+      summary: 'Send a delivery again',
+      description: 'Creates a new delivery with the same payload and event ID, sent right away and '
+        + 'retried like any other.',
+      responses: {
+        202: messageResponse('Redelivery queued', { delivery: ref('WebhookDelivery') }),
+        ...errorResponses(404),
+      },
+    }),
+  },
+};
@@ -0,0 +1,20 @@
+import crypto from 'crypto';
+
+// The payment token that the fake provider declines, for trying the failure path.
+export const FAKE_DECLINED_TOKEN = 'tok_declined';
+
+// Development provider: approves every charge, except ones paid with
+// FAKE_DECLINED_TOKEN, and logs it instead of moving money.
+export const createFakeProvider = () => ({
+  name: 'fake',
+
+  async charge({ amount, currency, description, reference, source }) {
+    if (source === FAKE_DECLINED_TOKEN) {
+      return { status: 'declined', reason: 'Card declined' };
+    }
+
+    const chargeId = `fake_${crypto.randomUUID()}`;
+    console.log(`[payments] charged ${amount} ${currency} for ${JSON.stringify(description)} (promotion ${reference}, charge ${chargeId})`);
+    return { status: 'succeeded', reference: chargeId };
+  },
+});
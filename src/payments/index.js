@@ -0,0 +1,30 @@
+import dotenv from 'dotenv';
+import { createFakeProvider } from './fake.provider.js';
+
+dotenv.config();
+
+/*
+  Payment providers charge sellers for promotions. They expose:
+  - name                                   recorded on every ledger entry
+  - charge({ amount, currency, description, reference, source })
+      => Promise<{ status: 'succeeded', reference } | { status: 'declined', reason }>
+    `reference` passed in is the promotion ID, for reconciliation; `source` is
+    the payment token the client got from the provider, if any. Rejects only
+    when the provider could not be reached or failed.
+
+  PAYMENT_PROVIDER selects the implementation. Only 'fake' (default), which
+  approves every charge without moving money, ships with the API.
+*/
+
+const createProvider = () => {
+  const driver = process.env.PAYMENT_PROVIDER || 'fake';
+
+  switch (driver) {
+    case 'fake':
+      return createFakeProvider();
+    default:
+      throw new Error(`Unknown payment provider: ${driver}`);
+  }
+};
+
+export const paymentProvider = createProvider();
@@ -0,0 +1,32 @@
+import dotenv from 'dotenv';
+import { createMemoryStore } from './memory.store.js';
+
+dotenv.config();
+
+/*
+  Rate limit stores keep expiring counters. Records look like
+  { count, resetAt } where resetAt is a timestamp in milliseconds.
+  - increment(key, windowMs) => Promise<record>  starts a new window if the key has none
+  - get(key) => Promise<record | null>
+  - set(key, record) => Promise<void>
+  - reset(key) => Promise<void>
+
+  RATE_LIMIT_STORE selects the implementation. Only 'memory' (default) ships
+  with the API; run a shared store (e.g. Redis) when there is more than one
+  instance. RATE_LIMIT_DISABLED=true turns limiting off, e.g. for tests.
+*/
+
+export const rateLimitDisabled = process.env.RATE_LIMIT_DISABLED === 'true';
+
+const createStore = () => {
+  const driver = process.env.RATE_LIMIT_STORE || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${driver}`);
+  }
+};
+
+export const rateLimitStore = createStore();
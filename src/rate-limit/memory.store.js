@@ -0,0 +1,50 @@
+// Single-process store. Counters live in this process only, so every instance
+// behind a load balancer enforces its own limits.
+export const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const records = new Map();
+
+  const live = (key) => {
+    const record = records.get(key);
+    if (record && record.resetAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    records.forEach((record, key) => {
+      if (record.resetAt <= now) {
+        records.delete(key);
+      }
+    });
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const record = live(key);
+      if (record) {
+        record.count += 1;
+        return { ...record };
+      }
+      const created = { count: 1, resetAt: Date.now() + windowMs };
+      records.set(key, created);
+      return { ...created };
+    },
+
+    async get(key) {
+      const record = live(key);
+      return record ? { ...record } : null;
+    },
+
+    async set(key, record) {
+      records.set(key, { count: record.count, resetAt: record.resetAt });
+    },
+
+    async reset(key) {
+      records.delete(key);
+    },
+  };
+};
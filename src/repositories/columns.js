@@ -0,0 +1,7 @@
+// Columns of related rows embedded in responses, shared by the data stores.
+
+// Sellers shown on listings. Signed-in callers also get contact details.
+export const SELLER_COLUMNS = ['id', 'full_name', 'location', 'avatar_url'];
+export const SELLER_CONTACT_COLUMNS = [...SELLER_COLUMNS, 'phone', 'email'];
+
+export const PUBLIC_PROFILE_COLUMNS = ['id', 'full_name', 'location', 'city', 'avatar_url', 'created_at'];
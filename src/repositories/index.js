@@ -0,0 +1,46 @@
+import dotenv from 'dotenv';
+import { createSupabaseRepositories } from './supabase/index.js';
+import { createMemoryRepositories } from './memory/index.js';
+
+dotenv.config();
+
+/*
+  Repositories are the data access layer for products, listing images,
+  profiles, categories and favorites. A data store exposes:
+  - auth.getUser(token) => Promise<user | null>      user behind an access token
+  - auth.verifyPassword(email, password) => Promise<boolean>
+  - auth.signIn(email, password) => Promise<{ user, session } | null>
+  - forCaller(token) => { products, profiles, categories, favorites, images }
+      repositories acting as the user of `token`, or anonymously without one.
+      Like row level security, they only see and change what that user may.
+
+  Repository methods resolve to plain rows and reject with AppErrors, mapped
+  the same way whatever the store (see fromSupabaseError). Search filters use
+  the argument names of the search_products database function.
+
+  DATA_STORE selects the store: 'supabase' (default) or 'memory'. The memory
+  store keeps everything in this process and starts empty; it enforces the
+  ownership rules of the RLS policies and triggers, and is meant for tests
+  and offline development. Everything else (auth routes, messaging, offers,
+  reviews, moderation, jobs) still talks to Supabase directly; those routes
+  are guarded by requireSupabase (middleware/data-store.js) and answer 501
+  with another store.
+*/
+
+export const dataStore = process.env.DATA_STORE || 'supabase';
+
+const createRepositories = () => {
+  switch (dataStore) {
+    case 'supabase':
+      return createSupabaseRepositories();
+    case 'memory':
+      return createMemoryRepositories();
+    default:
+      throw new Error(`Unknown data store: ${dataStore}`);
+  }
+};
+
+export const repositories = createRepositories();
+
+// Pass req.token: routes act as the authenticated caller, or anonymously.
+export const getRepositories = (token) => repositories.forCaller(token);
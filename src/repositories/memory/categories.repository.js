@@ -0,0 +1,84 @@
+import { ConflictError } from '../../errors/index.js';
+import {
+  applyUpdates,
+  buildRow,
+  copy,
+  dbError,
+  rlsError,
+} from './store.js';
+
+const DUPLICATE_CATEGORY = 'A category with this name or slug already exists';
+
+export const createCategoriesRepository = (tables, policies) => {
+  // The unique name and slug constraints.
+  const checkUnique = (category) => {
+    const duplicate = [...tables.categories.values()].some((other) => other.id !== category.id
+      && (other.name === category.name || other.slug === category.slug));
+
+    if (duplicate) {
+      throw new ConflictError(DUPLICATE_CATEGORY);
+    }
+  };
+
+  const checkParent = (category) => {
+    if (category.parent_id && !tables.categories.has(category.parent_id)) {
+      throw dbError('23503', 'insert or update on table "categories" violates foreign key constraint "categories_parent_id_fkey"');
+    }
+  };
+
+  // Only admins may change categories; for others the policies match no rows.
+  const findChangeable = (id) => (policies.hasRole('admin') ? tables.categories.get(id) || null : null);
+
+  return {
+    async list() {
+      return [...tables.categories.values()]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(copy);
+    },
+
+    async create(fields) {
+      if (!policies.hasRole('admin')) {
+        throw rlsError('categories');
+      }
+
+      const category = buildRow('categories', fields);
+      checkUnique(category);
+      checkParent(category);
+      tables.categories.set(category.id, category);
+      return copy(category);
+    },
+
+    async update(id, fields) {
+      const category = findChangeable(id);
+
+      if (!category) {
+        return null;
+      }
+
+      const updated = applyUpdates('categories', category, fields);
+      checkUnique(updated);
+      checkParent(updated);
+      tables.categories.set(id, updated);
+      return copy(updated);
+    },
+
+    async remove(id) {
+      const category = findChangeable(id);
+
+      if (!category) {
+        return null;
+      }
+
+      if ([...tables.products.values()].some((product) => product.category_id === id)) {
+        throw new ConflictError('Category still has products; move them first');
+      }
+
+      [...tables.categories.values()]
+        .filter((child) => child.parent_id === id)
+        .forEach((child) => tables.categories.set(child.id, { ...child, parent_id: null }));
+
+      tables.categories.delete(id);
+      return copy(category);
+    },
+  };
+};
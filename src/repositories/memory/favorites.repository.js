@@ -0,0 +1,77 @@
+import { ConflictError } from '../../errors/index.js';
+import { SELLER_COLUMNS } from '../columns.js';
+import {
+  buildRow,
+  copy,
+  dbError,
+  pageRows,
+  pick,
+  rlsError,
+} from './store.js';
+
+export const createFavoritesRepository = (tables, policies) => {
+  const own = (userId) => [...tables.favorites.values()]
+    .filter((favorite) => favorite.user_id === userId && favorite.user_id === policies.userId);
+
+  const productOf = (favorite) => {
+    const product = tables.products.get(favorite.product_id);
+
+    if (!product || !policies.canSeeProduct(product)) {
+      return null;
+    }
+
+    const seller = tables.profiles.get(product.user_id);
+
+    return {
+      ...copy(product),
+      category: copy(tables.categories.get(product.category_id)),
+      seller: seller ? pick(seller, SELLER_COLUMNS) : null,
+      images: policies.canSeeImagesOf(product)
+        ? [...tables.product_images.values()]
+          .filter((image) => image.product_id === product.id)
+          .sort((a, b) => a.display_order - b.display_order)
+          .map(copy)
+        : [],
+    };
+  };
+
+  return {
+    async list(userId, page) {
+      const { rows, total } = pageRows(own(userId), page);
+      return { rows: rows.map((favorite) => ({ ...copy(favorite), product: productOf(favorite) })), total };
+    },
+
+    async add(userId, productId) {
+      const favorite = buildRow('favorites', {
+        user_id: userId,
+        product_id: productId,
+        price_at_favorite: tables.products.get(productId)?.price ?? null,
+      });
+
+      if (userId !== policies.userId) {
+        throw rlsError('favorites');
+      }
+
+      if (!tables.products.has(productId)) {
+        throw dbError('23503', 'insert or update on table "favorites" violates foreign key constraint "favorites_product_id_fkey"');
+      }
+
+      if (own(userId).some((existing) => existing.product_id === productId)) {
+        throw new ConflictError('Product already in favorites');
+      }
+
+      tables.favorites.set(favorite.id, favorite);
+      return copy(favorite);
+    },
+
+    async remove(userId, productId) {
+      own(userId)
+        .filter((favorite) => favorite.product_id === productId)
+        .forEach((favorite) => tables.favorites.delete(favorite.id));
+    },
+
+    async exists(userId, productId) {
+      return own(userId).some((favorite) => favorite.product_id === productId);
+    },
+  };
+};
@@ -0,0 +1,66 @@
+import {
+  buildRow,
+  copy,
+  rlsError,
+} from './store.js';
+
+export const createImagesRepository = (tables, policies) => {
+  // Only the seller may add, change or remove the images of a listing.
+  const ownsProduct = (productId) => {
+    const product = tables.products.get(productId);
+    return !!product && policies.userId !== null && product.user_id === policies.userId;
+  };
+
+  const imagesOf = (productId) => {
+    const product = tables.products.get(productId);
+
+    if (!product || !policies.canSeeImagesOf(product)) {
+      return [];
+    }
+
+    return [...tables.product_images.values()]
+      .filter((image) => image.product_id === productId)
+      .sort((a, b) => a.display_order - b.display_order || a.created_at.localeCompare(b.created_at))
+      .map(copy);
+  };
+
+  return {
+    async list(productId) {
+      return imagesOf(productId);
+    },
+
+    async add(productId, images) {
+      if (!ownsProduct(productId)) {
+        throw rlsError('product_images');
+      }
+
+      const rows = images.map((image) => buildRow('product_images', { ...image, product_id: productId }));
+      rows.forEach((row) => tables.product_images.set(row.id, row));
+      return rows.map(copy);
+    },
+
+    async remove(productId, imageId) {
+      const image = tables.product_images.get(imageId);
+
+      if (!image || image.product_id !== productId || !ownsProduct(productId)) {
+        return null;
+      }
+
+      tables.product_images.delete(imageId);
+      return copy(image);
+    },
+
+    async reorder(productId, orderedIds) {
+      if (ownsProduct(productId)) {
+        orderedIds.forEach((id, index) => {
+          const image = tables.product_images.get(id);
+          if (image && image.product_id === productId) {
+            tables.product_images.set(id, { ...image, display_order: index, is_primary: index === 0 });
+          }
+        });
+      }
+
+      return imagesOf(productId);
+    },
+  };
+};
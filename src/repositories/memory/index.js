@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import { buildProfile } from '../../services/profiles.service.js';
+import {
+  buildRow,
+  copy,
+  createPolicies,
+  createTables,
+  timestamp,
+} from './store.js';
+import { createProductsRepository } from './products.repository.js';
+import { createProfilesRepository } from './profiles.repository.js';
+import { createCategoriesRepository } from './categories.repository.js';
+import { createFavoritesRepository } from './favorites.repository.js';
+import { createImagesRepository } from './images.repository.js';
+
+const hashPassword = (password, salt) => crypto.scryptSync(password, salt, 32).toString('hex');
+
+const SESSION_SECONDS = 60 * 60;
+
+// Keeps every table in this process. Users and categories are added with
+// createUser and createCategory (there are no sign-up or admin routes on this
+// store); reset() empties it.
+export const createMemoryRepositories = () => {
+  let tables = createTables();
+
+  const userWithPassword = (email, password) => {
+    const user = [...tables.users.values()].find((candidate) => candidate.account.email === email);
+    const matches = !!user && crypto.timingSafeEqual(
+      Buffer.from(user.passwordHash, 'hex'),
+      Buffer.from(hashPassword(password, user.salt), 'hex'),
+    );
+    return matches ? user : null;
+  };
+
+  const userFor = (token) => {
+    const userId = token ? tables.sessions.get(token) : null;
+    return userId ? tables.users.get(userId) || null : null;
+  };
+
+  return {
+    auth: {
+      async getUser(token) {
+        const user = userFor(token);
+        return user ? copy(user.account) : null;
+      },
+
+      async verifyPassword(email, password) {
+        return !!userWithPassword(email, password);
+      },
+
+      // Sessions do not expire in this store; expires_at is informational.
+      async signIn(email, password) {
+        const user = userWithPassword(email, password);
+
+        if (!user) {
+          return null;
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        tables.sessions.set(token, user.account.id);
+
+        return {
+          user: copy(user.account),
+          session: {
+            access_token: token,
+            refresh_token: crypto.randomBytes(24).toString('hex'),
+            expires_in: SESSION_SECONDS,
+            expires_at: Math.floor(Date.now() / 1000) + SESSION_SECONDS,
+          },
+        };
+      },
+    },
+
+    forCaller(token) {
+      const policies = createPolicies(tables, userFor(token)?.account.id ?? null);
+
+      return {
+        products: createProductsRepository(tables, policies),
+        profiles: createProfilesRepository(tables, policies),
+        categories: createCategoriesRepository(tables, policies),
+        favorites: createFavoritesRepository(tables, policies),
+        images: createImagesRepository(tables, policies),
+      };
+    },
+
+    // Adds a user with a profile and an access token, as sign-up and sign-in
+    // would. Profile columns other than the metadata ones (e.g. role) can be
+    // given in `profile`.
+    createUser({ email, password = 'password123', metadata = {}, profile = {} }) {
+      const account = {
+        id: crypto.randomUUID(),
+        email,
+        user_metadata: metadata,
+        created_at: timestamp(),
+      };
+      const salt = crypto.randomBytes(16).toString('hex');
+      const token = crypto.randomBytes(24).toString('hex');
+      const row = buildRow('profiles', { ...buildProfile(account), ...profile });
+
+      tables.users.set(account.id, { account, salt, passwordHash: hashPassword(password, salt) });
+      tables.sessions.set(token, account.id);
+      tables.profiles.set(account.id, row);
+
+      return { user: copy(account), token, profile: copy(row) };
+    },
+
+    createCategory(fields) {
+      const category = buildRow('categories', fields);
+      tables.categories.set(category.id, category);
+      return copy(category);
+    },
+
+    reset() {
+      tables = createTables();
+    },
+  };
+};
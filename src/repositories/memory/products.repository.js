@@ -0,0 +1,276 @@
+import { SELLER_COLUMNS, SELLER_CONTACT_COLUMNS } from '../columns.js';
+import {
+  applyUpdates,
+  buildRow,
+  copy,
+  dbError,
+  pageRows,
+  pick,
+  rlsError,
+  timestamp,
+} from './store.js';
+import {
+  buildFacets,
+  filterProducts,
+  highlight,
+  matchesListFilters,
+} from './search.js';
+import { scoreFeed, scoreSimilar } from './recommendations.js';
+
+export const createProductsRepository = (tables, policies) => {
+  const visible = () => [...tables.products.values()].filter(policies.canSeeProduct);
+
+  const imagesOf = (product) => (policies.canSeeImagesOf(product)
+    ? [...tables.product_images.values()]
+      .filter((image) => image.product_id === product.id)
+      .sort((a, b) => a.display_order - b.display_order)
+      .map(copy)
+    : []);
+
+  const sellerOf = (product, columns) => {
+    const seller = tables.profiles.get(product.user_id);
+    return policies.canSeeProfiles() && seller ? pick(seller, columns) : null;
+  };
+
+  const withRelations = (product, sellerColumns = SELLER_COLUMNS) => ({
+    ...copy(product),
+    category: copy(tables.categories.get(product.category_id)),
+    seller: sellerOf(product, sellerColumns),
+    images: imagesOf(product),
+  });
+
+  const findChangeable = (id, userId) => {
+    const product = tables.products.get(id);
+    return product && product.user_id === userId && policies.canChangeProduct(product) ? product : null;
+  };
+
+  // record_product_price: logs the price and refreshes the price drops of
+  // the listing's favorites.
+  const recordPrice = (product, previousPrice = null) => {
+    const entry = buildRow('product_price_history', {
+      product_id: product.id,
+      price: product.price,
+      previous_price: previousPrice,
+    });
+    tables.product_price_history.set(entry.id, entry);
+
+    [...tables.favorites.values()]
+      .filter((favorite) => favorite.product_id === product.id)
+      .forEach((favorite) => {
+        favorite.price_drop = Math.round((favorite.price_at_favorite - product.price) * 100) / 100;
+        favorite.price_drop_percent = favorite.price_at_favorite > 0
+          ? Math.round((favorite.price_drop * 10000) / favorite.price_at_favorite) / 100
+          : 0;
+      });
+  };
+
+  const removeProduct = (id) => {
+    tables.products.delete(id);
+
+    [...tables.product_images.values()]
+      .filter((image) => image.product_id === id)
+      .forEach((image) => tables.product_images.delete(image.id));
+
+    [...tables.favorites.values()]
+      .filter((favorite) => favorite.product_id === id)
+      .forEach((favorite) => tables.favorites.delete(favorite.id));
+
+    [...tables.product_price_history.values()]
+      .filter((entry) => entry.product_id === id)
+      .forEach((entry) => tables.product_price_history.delete(entry.id));
+
+    [...tables.product_views.keys()]
+      .filter((key) => key.startsWith(`${id}|`))
+      .forEach((key) => tables.product_views.delete(key));
+  };
+
+  return {
+    async findById(id, { contact = false } = {}) {
+      const product = tables.products.get(id);
+
+      if (!product || !policies.canSeeProduct(product)) {
+        return null;
+      }
+
+      return withRelations(product, contact ? SELLER_CONTACT_COLUMNS : SELLER_COLUMNS);
+    },
+
+    async priceHistory(id) {
+      const product = tables.products.get(id);
+
+      if (!product || !policies.canSeeProduct(product)) {
+        return [];
+      }
+
+      return [...tables.product_price_history.values()]
+        .filter((entry) => entry.product_id === id)
+        .map(({ price, previous_price, changed_at }) => ({ price, previous_price, changed_at }));
+    },
+
+    async findOwned(id, userId) {
+      const product = tables.products.get(id);
+      return product && product.user_id === userId && policies.canSeeProduct(product) ? copy(product) : null;
+    },
+
+    // There are no conversations or offers in this store.
+    async buyerHasContacted() {
+      return false;
+    },
+
+    async create(fields, imageUrls = []) {
+      const product = buildRow('products', fields);
+      policies.checkProductInsert(product);
+
+      if (!tables.categories.has(product.category_id)) {
+        throw dbError('23503', 'insert or update on table "products" violates foreign key constraint "products_category_id_fkey"');
+      }
+
+      const images = imageUrls.map((url, index) => buildRow('product_images', {
+        product_id: product.id,
+        image_url: url,
+        display_order: index,
+        is_primary: index === 0,
+      }));
+
+      tables.products.set(product.id, product);
+      images.forEach((image) => tables.product_images.set(image.id, image));
+      recordPrice(product);
+
+      return copy(product);
+    },
+
+    async update(id, userId, updates, { from } = {}) {
+      const product = findChangeable(id, userId);
+
+      if (!product || (from && product.status !== from)) {
+        return null;
+      }
+
+      const updated = applyUpdates('products', product, updates);
+
+      if (updated.user_id !== userId) {
+        throw rlsError('products');
+      }
+
+      policies.checkProductUpdate(product, updated);
+      tables.products.set(id, updated);
+
+      if (updated.price !== product.price) {
+        recordPrice(updated, product.price);
+      }
+      return copy(updated);
+    },
+
+    async delete(id, userId) {
+      const product = tables.products.get(id);
+
+      if (product && product.user_id === userId && policies.userId === userId) {
+        removeProduct(id);
+      }
+    },
+
+    async browse(filters, page) {
+      const matching = filterProducts(visible(), filters, null)
+        .map(({ product }) => product)
+        .filter(matchesListFilters(filters));
+
+      const { rows, total } = pageRows(matching, page);
+      return { rows: rows.map((product) => withRelations(product)), total };
+    },
+
+    async search(filters, { search }, page) {
+      const matches = filterProducts(visible(), filters, search)
+        .filter(({ product }) => matchesListFilters(filters)(product))
+        .map((match) => ({
+          ...match.product,
+          rank: match.rank,
+          distance_km: match.distance_km,
+          alternatives: match.alternatives,
+        }));
+
+      // page.orders names the rank and distance_km of each match.
+      const { rows } = pageRows(matches, page);
+
+      return {
+        matches: rows.map(({ alternatives, ...row }) => ({
+          id: row.id,
+          rank: row.rank,
+          title_highlight: highlight(row.title, alternatives),
+          description_highlight: highlight(row.description, alternatives),
+          distance_km: row.distance_km,
+          total_count: matches.length,
+          product: withRelations(tables.products.get(row.id)),
+        })),
+        total: matches.length,
+      };
+    },
+
+    async facets(filters, { search }) {
+      const base = filterProducts(visible(), filters, search).map(({ product }) => product);
+      return buildFacets(base, filters, [...tables.categories.values()]);
+    },
+
+    // Active listings like `id` that are not the caller's, with their score;
+    // { rows, total } for toPage.
+    async similar(id, page) {
+      const target = tables.products.get(id);
+      const candidates = visible().filter((product) => product.status === 'active'
+        && product.id !== id
+        && product.user_id !== policies.userId);
+
+      const { rows, total } = pageRows(scoreSimilar(target, candidates, tables.categories), page);
+      return { rows: rows.map(({ score, ...product }) => ({ ...withRelations(product), score })), total };
+    },
+
+    // Active listings of other sellers that the caller has not favorited,
+    // scored by the caller's interests; { rows, total } for toPage.
+    async feed(page) {
+      const { userId } = policies;
+      const favorites = [...tables.favorites.values()].filter((favorite) => favorite.user_id === userId);
+      const views = [...tables.product_views.values()].filter((view) => view.viewer_key === `user:${userId}`);
+      const favoriteIds = new Set(favorites.map((favorite) => favorite.product_id));
+      const candidates = visible().filter((product) => product.status === 'active'
+        && product.user_id !== userId
+        && !favoriteIds.has(product.id));
+
+      const scored = userId
+        ? scoreFeed(candidates, { favorites, views }, tables.products, tables.categories)
+        : [];
+
+      const { rows, total } = pageRows(scored, page);
+      return { rows: rows.map(({ score, ...product }) => ({ ...withRelations(product), score })), total };
+    },
+
+    async listAllByUser(userId, { status } = {}) {
+      return visible()
+        .filter((product) => product.user_id === userId && (!status || product.status === status))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.id.localeCompare(b.id))
+        .map((product) => ({
+          ...copy(product),
+          category: tables.categories.has(product.category_id)
+            ? { slug: tables.categories.get(product.category_id).slug }
+            : null,
+          images: imagesOf(product).map(({ image_url, display_order }) => ({ image_url, display_order })),
+        }));
+    },
+
+    // record_product_view: one view per viewer per window, whoever the caller.
+    async recordView(id, viewer, windowMinutes) {
+      const product = tables.products.get(id);
+
+      if (!product) {
+        return null;
+      }
+
+      const windowMs = windowMinutes * 60 * 1000;
+      const key = `${id}|${viewer}|${Math.floor(Date.now() / windowMs)}`;
+
+      if (!tables.product_views.has(key)) {
+        tables.product_views.set(key, { product_id: id, viewer_key: viewer, viewed_at: timestamp() });
+        product.views += 1;
+      }
+
+      return product.views;
+    },
+  };
+};
@@ -0,0 +1,104 @@
+import { PUBLIC_PROFILE_COLUMNS } from '../columns.js';
+import { applyUpdates, copy, pick } from './store.js';
+
+export const createProfilesRepository = (tables, policies) => {
+  const find = (id) => (policies.canSeeProfiles() ? tables.profiles.get(id) || null : null);
+
+  const change = (id, updates) => {
+    const profile = find(id);
+
+    if (!profile || !policies.canChangeProfile(profile)) {
+      return null;
+    }
+
+    const updated = applyUpdates('profiles', profile, updates);
+    policies.checkProfileUpdate(profile, updated);
+    tables.profiles.set(id, updated);
+    return updated;
+  };
+
+  return {
+    async findById(id) {
+      return copy(find(id));
+    },
+
+    // Users are created with their profile in this store.
+    async ensure(user) {
+      return copy(find(user.id));
+    },
+
+    async findPublic(id) {
+      const profile = find(id);
+      return profile ? pick(profile, PUBLIC_PROFILE_COLUMNS) : null;
+    },
+
+    // There are no reviews in this store, so only sales are counted.
+    async sellerStats(id) {
+      const completedSales = [...tables.products.values()]
+        .filter((product) => product.user_id === id && product.status === 'sold')
+        .length;
+
+      return { average_rating: null, review_count: 0, completed_sales: completedSales };
+    },
+
+    async update(id, updates) {
+      return copy(change(id, updates));
+    },
+
+    async requestDeletion(id, { requestedAt, scheduledFor }) {
+      if (find(id)?.deletion_scheduled_for) {
+        return null;
+      }
+
+      const profile = change(id, {
+        deletion_requested_at: requestedAt,
+        deletion_scheduled_for: scheduledFor,
+      });
+
+      return profile && pick(profile, ['deletion_requested_at', 'deletion_scheduled_for']);
+    },
+
+    async cancelDeletion(id) {
+      if (!find(id)?.deletion_scheduled_for) {
+        return false;
+      }
+
+      return !!change(id, { deletion_requested_at: null, deletion_scheduled_for: null });
+    },
+
+    // Only profiles, listings and favorites are kept in this store, so the
+    // other collections of the export are empty.
+    async exportData(id) {
+      const ownListings = [...tables.products.values()]
+        .filter((product) => product.user_id === id && policies.userId === id)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map((product) => ({
+          ...copy(product),
+          images: [...tables.product_images.values()]
+            .filter((image) => image.product_id === product.id)
+            .sort((a, b) => a.display_order - b.display_order)
+            .map(copy),
+        }));
+
+      const ownFavorites = [...tables.favorites.values()]
+        .filter((favorite) => favorite.user_id === id && policies.userId === id)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at))
+        .map(copy);
+
+      return {
+        profile: policies.userId === id ? copy(find(id)) : null,
+        listings: ownListings,
+        favorites: ownFavorites,
+        saved_searches: [],
+        notifications: [],
+        conversations: [],
+        offers: [],
+        reviews_written: [],
+        reviews_received: [],
+        reports: [],
+        promotions: [],
+        webhook_endpoints: [],
+      };
+    },
+  };
+};
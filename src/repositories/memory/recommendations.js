@@ -0,0 +1,110 @@
+// The in-memory counterparts of the similar_products and recommended_products
+// database functions. Title words are compared whole, without stemming or
+// stop words, so text similarity comes out a little differently.
+import {
+  FEED_SIGNAL_WEIGHTS,
+  FEED_VIEW_DAYS,
+  SIMILARITY_WEIGHTS,
+  SIMILAR_RADIUS_KM,
+  roundScore,
+} from '../../services/recommendations.service.js';
+import { distanceKm, words } from './search.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const categoryScore = (target, candidate, categories) => {
+  if (candidate.category_id === target.category_id) {
+    return 1;
+  }
+
+  const targetParent = categories.get(target.category_id)?.parent_id ?? null;
+  const candidateParent = categories.get(candidate.category_id)?.parent_id ?? null;
+
+  return (targetParent !== null && candidateParent === targetParent)
+    || candidate.category_id === targetParent
+    || candidateParent === target.category_id
+    ? 0.5
+    : 0;
+};
+
+// Jaccard similarity of the title words.
+const textScore = (target, candidate) => {
+  const targetWords = new Set(words(target.title));
+  const candidateWords = new Set(words(candidate.title));
+  const shared = [...candidateWords].filter((word) => targetWords.has(word)).length;
+  const all = new Set([...targetWords, ...candidateWords]).size;
+  return all > 0 ? shared / all : 0;
+};
+
+const priceScore = (target, candidate) => {
+  const higher = Math.max(target.price, candidate.price);
+  return higher === 0 ? 1 : 1 - Math.abs(target.price - candidate.price) / higher;
+};
+
+const locationScore = (target, candidate) => {
+  if ([target.latitude, target.longitude, candidate.latitude, candidate.longitude].some((value) => value === null)) {
+    return 0;
+  }
+
+  const distance = distanceKm(target.latitude, target.longitude, candidate.latitude, candidate.longitude);
+  return Math.max(0, 1 - distance / SIMILAR_RADIUS_KM);
+};
+
+// similar_products: the candidates related to `target` by category or title,
+// each with its score.
+export const scoreSimilar = (target, candidates, categories) => candidates.flatMap((candidate) => {
+  const signals = {
+    category: categoryScore(target, candidate, categories),
+    text: textScore(target, candidate),
+    price: priceScore(target, candidate),
+    location: locationScore(target, candidate),
+  };
+
+  if (signals.category === 0 && signals.text === 0) {
+    return [];
+  }
+
+  const score = Object.entries(SIMILARITY_WEIGHTS)
+    .reduce((sum, [signal, weight]) => sum + weight * signals[signal], 0);
+
+  return [{ ...candidate, score: roundScore(score) }];
+});
+
+const ancestorsOf = (categoryId, categories) => {
+  const ancestors = [];
+  let current = categories.get(categoryId);
+
+  while (current) {
+    ancestors.push(current.id);
+    current = current.parent_id ? categories.get(current.parent_id) : null;
+  }
+
+  return ancestors;
+};
+
+// recommended_products: the candidates scored by the user's interest in
+// their categories. `views` are the user's product_views entries. This store
+// has no saved searches, so only favorites and views count.
+export const scoreFeed = (candidates, { favorites, views }, products, categories) => {
+  const since = Date.now() - FEED_VIEW_DAYS * DAY_MS;
+  const viewedIds = new Set(views
+    .filter((view) => Date.parse(view.viewed_at) > since)
+    .map((view) => view.product_id));
+
+  const signals = [
+    ...favorites.map((favorite) => [favorite.product_id, FEED_SIGNAL_WEIGHTS.favorite]),
+    ...[...viewedIds].map((productId) => [productId, FEED_SIGNAL_WEIGHTS.view]),
+  ].filter(([productId]) => products.has(productId));
+
+  const weights = new Map();
+  signals.forEach(([productId, weight]) => {
+    const categoryId = products.get(productId).category_id;
+    weights.set(categoryId, (weights.get(categoryId) || 0) + weight);
+  });
+
+  return candidates.map((candidate) => ({
+    ...candidate,
+    score: ancestorsOf(candidate.category_id, categories)
+      .reduce((sum, categoryId) => sum + (weights.get(categoryId) || 0), 0),
+  }));
+};
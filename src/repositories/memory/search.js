@@ -0,0 +1,221 @@
+// The in-memory counterparts of the filtered_products, search_products and
+// product_search_facets database functions. Text search follows the syntax
+// of websearch_to_tsquery (words, "quoted phrases", `or` and -excluded
+// words) but matches whole words without stemming, and the rank is a simple
+// count of matched terms.
+
+export const words = (text) => (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// A list of alternatives, each a list of { words, negated } terms.
+export const parseQuery = (query) => {
+  const alternatives = [[]];
+  const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const [, quoteNegation, phrase, token] = match;
+
+    if (token && token.toLowerCase() === 'or') {
+      alternatives.push([]);
+      continue;
+    }
+
+    const negated = phrase !== undefined ? quoteNegation === '-' : token.startsWith('-');
+    const termWords = words(phrase !== undefined ? phrase : token.replace(/^-/, ''));
+
+    if (termWords.length > 0) {
+      alternatives[alternatives.length - 1].push({ words: termWords, negated });
+    }
+  }
+
+  return alternatives.filter((terms) => terms.length > 0);
+};
+
+const occurrences = (textWords, termWords) => {
+  let count = 0;
+  for (let index = 0; index + termWords.length <= textWords.length; index += 1) {
+    if (termWords.every((word, offset) => textWords[index + offset] === word)) {
+      count += 1;
+    }
+  }
+  return count;
+};
+
+// The rank of a product for the query, or null when it does not match.
+export const rankProduct = (product, alternatives) => {
+  const textWords = words(`${product.title} ${product.description}`);
+  let best = null;
+
+  alternatives.forEach((terms) => {
+    const counts = terms.map((term) => ({ term, count: occurrences(textWords, term.words) }));
+
+    if (counts.every(({ term, count }) => (term.negated ? count === 0 : count > 0))) {
+      const rank = counts
+        .filter(({ term }) => !term.negated)
+        .reduce((sum, { count }) => sum + count, 0) / 10;
+      best = Math.max(best ?? 0, rank);
+    }
+  });
+
+  return best;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (character) => HTML_ENTITIES[character]);
+
+// Escapes the text and wraps the matched words in <mark>, like ts_headline
+// over escape_html().
+export const highlight = (text, alternatives) => {
+  const matched = [...new Set((alternatives || [])
+    .flat()
+    .filter((term) => !term.negated)
+    .flatMap((term) => term.words))];
+
+  if (matched.length === 0) {
+    return escapeHtml(text);
+  }
+
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${matched.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  let highlighted = '';
+  let end = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    highlighted += `${escapeHtml(text.slice(end, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    end = match.index + match[0].length;
+  }
+
+  return highlighted + escapeHtml(text.slice(end));
+};
+
+const radians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance, as distance_km() in the database.
+export const distanceKm = (lat1, lng1, lat2, lng2) => 2 * 6371 * Math.asin(Math.sqrt(
+  Math.sin(radians(lat2 - lat1) / 2) ** 2
+  + Math.cos(radians(lat1)) * Math.cos(radians(lat2)) * Math.sin(radians(lng2 - lng1) / 2) ** 2,
+));
+
+const matchesAttributes = (product, exact, ranges) => {
+  const attributes = product.attributes || {};
+
+  if (exact && !Object.entries(exact).every(([key, value]) => attributes[key] === value)) {
+    return false;
+  }
+
+  return !ranges || Object.entries(ranges).every(([key, bounds]) => {
+    const value = Number(attributes[key]);
+    if (attributes[key] === undefined || attributes[key] === null || Number.isNaN(value)) {
+      return false;
+    }
+    return (bounds.min === undefined || value >= Number(bounds.min))
+      && (bounds.max === undefined || value <= Number(bounds.max));
+  });
+};
+
+// filtered_products: the listings matching the search text, status, seller,
+// attribute and location filters, with their rank and distance.
+export const filterProducts = (products, filters, search) => {
+  const alternatives = search ? parseQuery(search) : null;
+  const hasOrigin = filters.origin_lat !== null && filters.origin_lat !== undefined
+    && filters.origin_lng !== null && filters.origin_lng !== undefined;
+
+  return products.flatMap((product) => {
+    if (filters.filter_status && product.status !== filters.filter_status) {
+      return [];
+    }
+
+    if (filters.filter_user_id && product.user_id !== filters.filter_user_id) {
+      return [];
+    }
+
+    if (!matchesAttributes(product, filters.filter_attributes, filters.filter_attribute_ranges)) {
+      return [];
+    }
+
+    const rank = alternatives ? rankProduct(product, alternatives) : 0;
+
+    if (rank === null) {
+      return [];
+    }
+
+    let distance = null;
+
+    if (hasOrigin) {
+      if (product.latitude === null || product.longitude === null) {
+        return [];
+      }
+
+      distance = distanceKm(filters.origin_lat, filters.origin_lng, product.latitude, product.longitude);
+
+      if (filters.radius_km && distance > filters.radius_km) {
+        return [];
+      }
+    }
+
+    return [{ product, rank, distance_km: distance, alternatives }];
+  });
+};
+
+const inCategories = (filters) => (product) => (
+  !filters.filter_category_ids || filters.filter_category_ids.includes(product.category_id)
+);
+
+const hasCondition = (filters) => (product) => (
+  !filters.filter_condition || product.condition === filters.filter_condition
+);
+
+const inPriceRange = (filters) => (product) => (
+  (!filters.filter_min_price || product.price >= Number(filters.filter_min_price))
+  && (!filters.filter_max_price || product.price <= Number(filters.filter_max_price))
+);
+
+// The remaining filters of search_products.
+export const matchesListFilters = (filters) => {
+  const checks = [inCategories(filters), hasCondition(filters), inPriceRange(filters)];
+  return (product) => checks.every((check) => check(product));
+};
+
+const PRICE_RANGES = [[0, 50], [50, 100], [100, 500], [500, 1000], [1000, 5000], [5000, null]];
+
+const countBy = (items, key) => {
+  const counts = new Map();
+  items.forEach((item) => counts.set(key(item), (counts.get(key(item)) || 0) + 1));
+  return [...counts];
+};
+
+// product_search_facets: each facet applies every filter except its own.
+export const buildFacets = (base, filters, categories) => {
+  const byId = new Map(categories.map((category) => [category.id, category]));
+
+  return {
+    categories: countBy(base.filter((product) => hasCondition(filters)(product) && inPriceRange(filters)(product)), (product) => product.category_id)
+      .filter(([categoryId]) => byId.has(categoryId))
+      .map(([categoryId, count]) => ({
+        category_id: categoryId,
+        name: byId.get(categoryId).name,
+        slug: byId.get(categoryId).slug,
+        count,
+      }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    conditions: countBy(base.filter((product) => inCategories(filters)(product) && inPriceRange(filters)(product)), (product) => product.condition)
+      .map(([condition, count]) => ({ condition, count }))
+      .sort((a, b) => b.count - a.count),
+    price_ranges: PRICE_RANGES.map(([min, max]) => ({
+      min,
+      max,
+      count: base.filter((product) => inCategories(filters)(product)
+        && hasCondition(filters)(product)
+        && product.price >= min
+        && (max === null || product.price < max)).length,
+    })),
+  };
+};
@@ -0,0 +1,307 @@
+import { randomUUID } from 'crypto';
+import { fromSupabaseError } from '../../errors/index.js';
+import { isOwnAvatarPath } from '../../services/images.service.js';
+
+// Tables of the memory store. Rows are copied on the way in and out, so no
+// caller ever holds a reference to stored state.
+export const createTables = () => ({
+  users: new Map(),
+  sessions: new Map(),
+  profiles: new Map(),
+  categories: new Map(),
+  products: new Map(),
+  product_images: new Map(),
+  favorites: new Map(),
+  product_price_history: new Map(),
+  // `${product_id}|${viewer_key}|${window}` => { product_id, viewer_key, viewed_at }
+  product_views: new Map(),
+});
+
+export const copy = (row) => (row ? structuredClone(row) : null);
+
+export const pick = (row, columns) => Object.fromEntries(columns.map((column) => [column, row[column] ?? null]));
+
+export const timestamp = () => new Date().toISOString();
+
+// Failures look like the ones PostgREST returns and are mapped by
+// fromSupabaseError, so both stores fail the same way.
+export const dbError = (code, message) => fromSupabaseError({ code, message, details: null, hint: null });
+
+export const rlsError = (table) => dbError('42501', `new row violates row-level security policy for table "${table}"`);
+
+// Column defaults of the migrations. Columns without one are required.
+export const COLUMNS = {
+  profiles: {
+    full_name: '',
+    phone: '',
+    avatar_url: '',
+    location: '',
+    city: null,
+    latitude: null,
+    longitude: null,
+    avatar_storage_path: null,
+    role: 'user',
+    suspended_at: null,
+    suspension_reason: null,
+    deletion_requested_at: null,
+    deletion_scheduled_for: null,
+    deleted_at: null,
+  },
+  categories: {
+    description: '',
+    icon: '',
+    parent_id: null,
+    attribute_schema: [],
+  },
+  products: {
+    status: 'draft',
+    condition: 'good',
+    city: null,
+    latitude: null,
+    longitude: null,
+    attributes: {},
+    views: 0,
+    buyer_id: null,
+    sold_at: null,
+    takedown_reason: null,
+    taken_down_at: null,
+    taken_down_by: null,
+    expires_at: null,
+    publish_at: null,
+    expiry_notified_at: null,
+    promotion_tier: 0,
+    featured: false,
+    featured_until: null,
+    bumped_until: null,
+  },
+  product_images: {
+    thumbnail_url: '',
+    storage_path: null,
+    display_order: 0,
+    is_primary: false,
+  },
+  favorites: {
+    price_at_favorite: null,
+    price_drop: 0,
+    price_drop_percent: 0,
+  },
+  product_price_history: {
+    previous_price: null,
+  },
+};
+
+const REQUIRED = {
+  profiles: ['id', 'email'],
+  categories: ['name', 'slug'],
+  products: ['user_id', 'category_id', 'title', 'description', 'price', 'location'],
+  product_images: ['product_id', 'image_url'],
+  favorites: ['user_id', 'product_id'],
+  product_price_history: ['product_id', 'price'],
+};
+
+const TIMESTAMPS = {
+  profiles: ['created_at', 'updated_at'],
+  categories: ['created_at'],
+  products: ['created_at', 'updated_at'],
+  product_images: ['created_at'],
+  favorites: ['created_at'],
+  product_price_history: ['changed_at'],
+};
+
+// Postgres parses numeric strings sent through the API.
+const NUMERIC = ['price', 'latitude', 'longitude'];
+
+const checkColumns = (table, values) => {
+  const known = new Set(['id', ...Object.keys(COLUMNS[table]), ...REQUIRED[table], ...TIMESTAMPS[table]]);
+  const unknown = Object.keys(values).find((column) => !known.has(column));
+
+  if (unknown) {
+    throw dbError('PGRST204', `Could not find the '${unknown}' column of '${table}'`);
+  }
+
+  const parsed = { ...values };
+
+  NUMERIC.forEach((column) => {
+    if (typeof parsed[column] === 'string') {
+      parsed[column] = Number(parsed[column]);
+      if (Number.isNaN(parsed[column])) {
+        throw dbError('22P02', `invalid input syntax for type numeric: "${values[column]}"`);
+      }
+    }
+  });
+
+  return parsed;
+};
+
+// A new row with defaults applied. Does not store it.
+export const buildRow = (table, values) => {
+  const now = timestamp();
+  const row = {
+    id: randomUUID(),
+    ...structuredClone(COLUMNS[table]),
+    ...Object.fromEntries(TIMESTAMPS[table].map((column) => [column, now])),
+    ...checkColumns(table, values),
+  };
+
+  const missing = REQUIRED[table].find((column) => row[column] === undefined || row[column] === null);
+
+  if (missing) {
+    throw dbError('23502', `null value in column "${missing}" of relation "${table}" violates not-null constraint`);
+  }
+
+  return row;
+};
+
+// The row with `updates` applied and updated_at refreshed. Does not store it.
+export const applyUpdates = (table, row, updates) => ({
+  ...row,
+  ...checkColumns(table, structuredClone(updates)),
+  ...(TIMESTAMPS[table].includes('updated_at') && { updated_at: timestamp() }),
+});
+
+// The same ranking as has_role().
+const ROLES = ['user', 'moderator', 'admin'];
+
+// The columns moderators and admins may change on someone else's profile.
+const MODERATED_PROFILE_COLUMNS = ['role', 'suspended_at', 'suspension_reason', 'updated_at'];
+
+// What the caller may see and change: the RLS policies and protective
+// triggers of the migrations, for the tables in this store. `userId` is null
+// for anonymous callers.
+export const createPolicies = (tables, userId) => {
+  const hasRole = (role) => {
+    const profile = userId && tables.profiles.get(userId);
+    return !!profile && ROLES.indexOf(profile.role) >= ROLES.indexOf(role);
+  };
+
+  return {
+    userId,
+    hasRole,
+
+    // Profiles and favorites are only visible to signed-in users.
+    canSeeProfiles: () => userId !== null,
+
+    canSeeProduct: (product) => product.status === 'active'
+      || (userId !== null && (product.user_id === userId || product.buyer_id === userId))
+      || hasRole('moderator'),
+
+    canSeeImagesOf: (product) => product.status === 'active' || (userId !== null && product.user_id === userId),
+
+    canChangeProduct: (product) => (userId !== null && product.user_id === userId) || hasRole('moderator'),
+
+    canChangeProfile: (profile) => (userId !== null && profile.id === userId) || hasRole('moderator'),
+
+    // protect_product_moderation, protect_product_promotion and
+    // protect_product_views
+    checkProductUpdate(before, after) {
+      if (!hasRole('moderator')) {
+        if (before.status === 'removed') {
+          throw dbError('42501', 'This listing was removed by a moderator');
+        }
+
+        if (after.status === 'removed'
+          || ['takedown_reason', 'taken_down_at', 'taken_down_by'].some((column) => after[column] !== before[column])) {
+          throw dbError('42501', 'Only moderators can remove listings');
+        }
+      }
+
+      if (['featured', 'promotion_tier', 'featured_until', 'bumped_until'].some((column) => after[column] !== before[column])) {
+        throw dbError('42501', 'Listings are promoted through a promotion purchase');
+      }
+
+      if (after.views !== before.views) {
+        throw dbError('42501', 'View counts are recorded by the server');
+      }
+    },
+
+    checkProductInsert(product) {
+      if (product.user_id !== userId) {
+        throw rlsError('products');
+      }
+
+      if (product.featured || product.promotion_tier !== 0 || product.featured_until || product.bumped_until) {
+        throw dbError('42501', 'Listings are promoted through a promotion purchase');
+      }
+
+      if (product.views !== 0) {
+        throw dbError('42501', 'View counts are recorded by the server');
+      }
+    },
+
+    // protect_profile_privileges
+    checkProfileUpdate(before, after) {
+      if (before.id !== userId
+        && Object.keys(after).some((column) => !MODERATED_PROFILE_COLUMNS.includes(column)
+          && after[column] !== before[column])) {
+        throw dbError('42501', 'Moderators can only change roles and suspensions');
+      }
+
+      if (after.role !== before.role && !hasRole('admin')) {
+        throw dbError('42501', 'Only admins can change roles');
+      }
+
+      if ((after.suspended_at !== before.suspended_at || after.suspension_reason !== before.suspension_reason)
+        && !hasRole('moderator')) {
+        throw dbError('42501', 'Only moderators can change suspensions');
+      }
+
+      if (after.deleted_at !== before.deleted_at) {
+        throw dbError('42501', 'Accounts are deleted by the server');
+      }
+
+      if (after.avatar_storage_path !== before.avatar_storage_path
+        && after.avatar_storage_path !== null
+        && !isOwnAvatarPath(after.id, after.avatar_storage_path)) {
+        throw dbError('42501', 'Avatars are stored by the server');
+      }
+
+      if (after.email !== before.email) {
+        throw dbError('42501', 'Email addresses are changed through Supabase Auth');
+      }
+    },
+  };
+};
+
+// Postgres sorts NULLs last ascending and first descending.
+const compareValues = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  if (a === null || a === undefined) {
+    return 1;
+  }
+  if (b === null || b === undefined) {
+    return -1;
+  }
+  return a < b ? -1 : 1;
+};
+
+const compareBy = (orders) => (a, b) => {
+  for (const [column, ascending] of orders) {
+    const result = compareValues(a[column], b[column]);
+    if (result !== 0) {
+      return ascending ? result : -result;
+    }
+  }
+  return 0;
+};
+
+// The in-memory counterpart of applyPage: orders the rows, continues after
+// the cursor and returns one row more than the page size, with the total
+// for offset pages.
+export const pageRows = (rows, page) => {
+  const compare = compareBy(page.orders);
+  let ordered = [...rows].sort(compare);
+
+  if (page.after) {
+    const cursor = Object.fromEntries(page.orders.map(([column], index) => [column, page.after[index]]));
+    ordered = ordered.filter((row) => compare(row, cursor) > 0);
+  }
+
+  const start = page.offset || 0;
+
+  return {
+    rows: ordered.slice(start, start + page.limit + 1),
+    total: page.offset === null ? null : rows.length,
+  };
+};
@@ -0,0 +1,65 @@
+import { ConflictError, fromSupabaseError } from '../../errors/index.js';
+import { fetchAllCategories } from '../../services/categories.service.js';
+import { unwrap } from './unwrap.js';
+
+const DUPLICATE_CATEGORY = 'A category with this name or slug already exists';
+
+const categoryError = (error) => (error.code === '23505'
+  ? new ConflictError(DUPLICATE_CATEGORY)
+  : fromSupabaseError(error));
+
+export const createCategoriesRepository = (client) => ({
+  // Every category, ordered by name.
+  async list() {
+    return unwrap(await fetchAllCategories(client));
+  },
+
+  async create(fields) {
+    const { data, error } = await client
+      .from('categories')
+      .insert(fields)
+      .select()
+      .single();
+
+    if (error) {
+      throw categoryError(error);
+    }
+
+    return data;
+  },
+
+  // Returns the updated category, or null when there is none to update.
+  async update(id, fields) {
+    const { data, error } = await client
+      .from('categories')
+      .update(fields)
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw categoryError(error);
+    }
+
+    return data;
+  },
+
+  // Returns the deleted category, or null when there is none to delete.
+  // Subcategories move to the top level; categories with listings stay.
+  async remove(id) {
+    const { data, error } = await client
+      .from('categories')
+      .delete()
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw error.code === '23503'
+        ? new ConflictError('Category still has products; move them first')
+        : fromSupabaseError(error);
+    }
+
+    return data;
+  },
+});
@@ -0,0 +1,68 @@
+import { ConflictError, fromSupabaseError } from '../../errors/index.js';
+import { applyPage, countOption } from '../../services/pagination.service.js';
+import { SELLER_COLUMNS } from '../columns.js';
+import { unwrap } from './unwrap.js';
+
+export const createFavoritesRepository = (client) => ({
+  // Favorites with their products; { rows, total } for toPage.
+  async list(userId, page) {
+    const favoritesQuery = client
+      .from('favorites')
+      .select(`
+        *,
+        product:products(
+          *,
+          category:categories(*),
+          seller:profiles(${SELLER_COLUMNS.join(', ')}),
+          images:product_images(*)
+        )
+      `, countOption(page))
+      .eq('user_id', userId);
+
+    const { data, error, count } = await applyPage(favoritesQuery, page);
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    return { rows: data, total: count };
+  },
+
+  async add(userId, productId) {
+    const { data, error } = await client
+      .from('favorites')
+      .insert({
+        user_id: userId,
+        product_id: productId,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw error.code === '23505'
+        ? new ConflictError('Product already in favorites')
+        : fromSupabaseError(error);
+    }
+
+    return data;
+  },
+
+  async remove(userId, productId) {
+    unwrap(await client
+      .from('favorites')
+      .delete()
+      .eq('user_id', userId)
+      .eq('product_id', productId));
+  },
+
+  async exists(userId, productId) {
+    const favorite = unwrap(await client
+      .from('favorites')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('product_id', productId)
+      .maybeSingle());
+
+    return !!favorite;
+  },
+});
@@ -0,0 +1,56 @@
+import { unwrap } from './unwrap.js';
+
+const listImages = async (client, productId) => unwrap(await client
+  .from('product_images')
+  .select('*')
+  .eq('product_id', productId)
+  .order('display_order')
+  .order('created_at'));
+
+export const createImagesRepository = (client) => ({
+  // The images of a listing in display order.
+  async list(productId) {
+    return listImages(client, productId);
+  },
+
+  // Inserts image rows for a listing and returns them.
+  async add(productId, images) {
+    return unwrap(await client
+      .from('product_images')
+      .insert(images.map((image) => ({ ...image, product_id: productId })))
+      .select());
+  },
+
+  // Returns the deleted image, or null when the listing has no such image.
+  async remove(productId, imageId) {
+    return unwrap(await client
+      .from('product_images')
+      .delete()
+      .eq('id', imageId)
+      .eq('product_id', productId)
+      .select()
+      .maybeSingle());
+  },
+
+  // Rewrites display_order as 0..n-1 following orderedIds and makes the first
+  // image the only primary one. Primary flags are cleared first so there is
+  // never a moment with two primaries for the same product. Returns the
+  // images in their new order.
+  async reorder(productId, orderedIds) {
+    unwrap(await client
+      .from('product_images')
+      .update({ is_primary: false })
+      .eq('product_id', productId)
+      .eq('is_primary', true));
+
+    for (const [index, id] of orderedIds.entries()) {
+      unwrap(await client
+        .from('product_images')
+        .update({ display_order: index, is_primary: index === 0 })
+        .eq('id', id)
+        .eq('product_id', productId));
+    }
+
+    return listImages(client, productId);
+  },
+});
@@ -0,0 +1,57 @@
+import { supabase, getSupabaseClient, createAuthClient } from '../../config/supabase.js';
+import { fromSupabaseError } from '../../errors/index.js';
+import { verifyPassword } from '../../services/auth.service.js';
+import { createProductsRepository } from './products.repository.js';
+import { createProfilesRepository } from './profiles.repository.js';
+import { createCategoriesRepository } from './categories.repository.js';
+import { createFavoritesRepository } from './favorites.repository.js';
+import { createImagesRepository } from './images.repository.js';
+
+// Each repository wraps a supabase-js client, so Postgres and its RLS
+// policies decide what the caller may see and change.
+export const createSupabaseRepositories = () => ({
+  auth: {
+    async getUser(token) {
+      const { data, error } = await supabase.auth.getUser(token);
+      return error ? null : data.user;
+    },
+
+    // The check signs in, so its session is signed out again straight away.
+    async verifyPassword(email, password) {
+      const { authClient, session, error } = await verifyPassword(email, password);
+
+      if (error) {
+        return false;
+      }
+
+      await authClient.auth.admin.signOut(session.access_token, 'local');
+      return true;
+    },
+
+    // Resolves to { user, session }, or null when the credentials are wrong.
+    async signIn(email, password) {
+      const { data, error } = await createAuthClient().auth.signInWithPassword({ email, password });
+
+      if (error) {
+        if (error.code === 'invalid_credentials') {
+          return null;
+        }
+        throw fromSupabaseError(error);
+      }
+
+      return { user: data.user, session: data.session };
+    },
+  },
+
+  forCaller(token) {
+    const client = token ? getSupabaseClient(token) : supabase;
+
+    return {
+      products: createProductsRepository(client),
+      profiles: createProfilesRepository(client),
+      categories: createCategoriesRepository(client),
+      favorites: createFavoritesRepository(client),
+      images: createImagesRepository(client),
+    };
+  },
+});
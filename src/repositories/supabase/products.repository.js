@@ -0,0 +1,302 @@
+import { getServiceSupabaseClient } from '../../config/supabase.js';
+import { fromSupabaseError } from '../../errors/index.js';
+import { applyPage, countOption } from '../../services/pagination.service.js';
+import { SELLER_COLUMNS, SELLER_CONTACT_COLUMNS } from '../columns.js';
+import { unwrap } from './unwrap.js';
+
+const withRelations = (sellerColumns) => `
+  *,
+  category:categories(*),
+  seller:profiles(${sellerColumns.join(', ')}),
+  images:product_images(*)
+`;
+
+const EXPORT_BATCH_SIZE = 1000;
+
+// Keyset arguments for search_products: the promotion tier, the value of the
+// leading sort column (none when sorting by newest) and the created_at/id
+// tie-breakers.
+const searchCursorArgs = (page) => {
+  if (!page.after) {
+    return {
+      after_promotion_tier: null,
+      after_sort_value: null,
+      after_created_at: null,
+      after_id: null,
+    };
+  }
+
+  const [promotionTier, ...sortValues] = page.after;
+  const [createdAt, id] = sortValues.slice(-2);
+  return {
+    after_promotion_tier: promotionTier,
+    after_sort_value: sortValues.length > 2 ? sortValues[0] : null,
+    after_created_at: createdAt,
+    after_id: id,
+  };
+};
+
+// Keyset arguments for similar_products and recommended_products: the score
+// and the created_at/id tie-breakers of the last row of the previous page.
+const scoreCursorArgs = (page) => {
+  const [score, createdAt, id] = page.after || [null, null, null];
+  return { after_score: score, after_created_at: createdAt, after_id: id };
+};
+
+// Runs a scoring function and loads the listings it ranked, in its order,
+// each with its score; { rows, total } for toPage.
+const rankedProducts = async (client, fn, args, page) => {
+  const ranked = unwrap(await client.rpc(fn, {
+    ...args,
+    page_limit: page.limit + 1,
+    page_offset: page.offset || 0,
+    ...scoreCursorArgs(page),
+  }));
+
+  const found = unwrap(await client
+    .from('products')
+    .select(withRelations(SELLER_COLUMNS))
+    .in('id', ranked.map((row) => row.id)));
+
+  const rowsById = new Map(found.map((row) => [row.id, row]));
+
+  return {
+    rows: ranked
+      .filter((row) => rowsById.has(row.id))
+      .map((row) => ({ ...rowsById.get(row.id), score: row.score })),
+    total: ranked.length > 0 ? ranked[0].total_count : 0,
+  };
+};
+
+export const createProductsRepository = (client) => ({
+  // The listing with its category, seller and images, or null.
+  async findById(id, { contact = false } = {}) {
+    return unwrap(await client
+      .from('products')
+      .select(withRelations(contact ? SELLER_CONTACT_COLUMNS : SELLER_COLUMNS))
+      .eq('id', id)
+      .maybeSingle());
+  },
+
+  // Every price of a listing, oldest first.
+  async priceHistory(id) {
+    return unwrap(await client
+      .from('product_price_history')
+      .select('price, previous_price, changed_at')
+      .eq('product_id', id)
+      .order('changed_at', { ascending: true })
+      .order('id', { ascending: true }));
+  },
+
+  async findOwned(id, userId) {
+    return unwrap(await client
+      .from('products')
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle());
+  },
+
+  // Whether the buyer has contacted the seller about the listing, through a
+  // conversation or an offer.
+  async buyerHasContacted(id, buyerId) {
+    const [conversation, offers] = await Promise.all([
+      client
+        .from('conversations')
+        .select('id')
+        .eq('product_id', id)
+        .eq('buyer_id', buyerId)
+        .maybeSingle(),
+      client
+        .from('offers')
+        .select('id')
+        .eq('product_id', id)
+        .eq('buyer_id', buyerId)
+        .limit(1),
+    ]);
+
+    return !!unwrap(conversation) || unwrap(offers).length > 0;
+  },
+
+  // Inserts the listing and its image URLs, deleting the listing again if the
+  // images cannot be saved.
+  async create(fields, imageUrls = []) {
+    const product = unwrap(await client
+      .from('products')
+      .insert(fields)
+      .select()
+      .single());
+
+    if (imageUrls.length > 0) {
+      const { error: imagesError } = await client
+        .from('product_images')
+        .insert(imageUrls.map((url, index) => ({
+          product_id: product.id,
+          image_url: url,
+          display_order: index,
+          is_primary: index === 0,
+        })));
+
+      if (imagesError) {
+        await client
+          .from('products')
+          .delete()
+          .eq('id', product.id);
+
+        throw fromSupabaseError(imagesError);
+      }
+    }
+
+    return product;
+  },
+
+  // Applies only while the listing still has status `from`, when given.
+  // Returns the updated row, or null when nothing matched.
+  async update(id, userId, updates, { from } = {}) {
+    let query = client
+      .from('products')
+      .update(updates)
+      .eq('id', id)
+      .eq('user_id', userId);
+
+    if (from) {
+      query = query.eq('status', from);
+    }
+
+    return unwrap(await query.select().maybeSingle());
+  },
+
+  async delete(id, userId) {
+    unwrap(await client
+      .from('products')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId));
+  },
+
+  // Listings with their relations; { rows, total } for toPage.
+  async browse(filters, page) {
+    let query = client
+      .from('products')
+      .select(withRelations(SELLER_COLUMNS), countOption(page));
+
+    if (filters.filter_status) {
+      query = query.eq('status', filters.filter_status);
+    }
+
+    if (filters.filter_user_id) {
+      query = query.eq('user_id', filters.filter_user_id);
+    }
+
+    if (filters.filter_category_ids) {
+      query = query.in('category_id', filters.filter_category_ids);
+    }
+
+    if (filters.filter_min_price) {
+      query = query.gte('price', filters.filter_min_price);
+    }
+
+    if (filters.filter_max_price) {
+      query = query.lte('price', filters.filter_max_price);
+    }
+
+    if (filters.filter_condition) {
+      query = query.eq('condition', filters.filter_condition);
+    }
+
+    const { data, error, count } = await applyPage(query, page);
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    return { rows: data, total: count };
+  },
+
+  // Ranking, distance and attribute filters are computed in Postgres by
+  // search_products. Returns { matches, total }; each match has the rank,
+  // highlights and distance of a listing, and the listing as `product`.
+  async search(filters, { search, sort }, page) {
+    const matches = unwrap(await client.rpc('search_products', {
+      ...filters,
+      search_query: search,
+      sort_by: sort,
+      page_limit: page.limit + 1,
+      page_offset: page.offset || 0,
+      ...searchCursorArgs(page),
+    }));
+
+    const found = unwrap(await client
+      .from('products')
+      .select(withRelations(SELLER_COLUMNS))
+      .in('id', matches.map((match) => match.id)));
+
+    const rowsById = new Map(found.map((row) => [row.id, row]));
+
+    return {
+      matches: matches
+        .filter((match) => rowsById.has(match.id))
+        .map((match) => ({ ...match, product: rowsById.get(match.id) })),
+      total: matches.length > 0 ? matches[0].total_count : 0,
+    };
+  },
+
+  async facets(filters, { search }) {
+    return unwrap(await client.rpc('product_search_facets', {
+      ...filters,
+      search_query: search,
+    }));
+  },
+
+  // Active listings like `id` that are not the caller's, ranked by
+  // similar_products.
+  async similar(id, page) {
+    return rankedProducts(client, 'similar_products', { target_product_id: id }, page);
+  },
+
+  // Active listings of other sellers that the caller has not favorited,
+  // ranked by recommended_products.
+  async feed(page) {
+    return rankedProducts(client, 'recommended_products', {}, page);
+  },
+
+  // All of a seller's listings, oldest first, with the category slug and
+  // image URLs. Fetched in batches since PostgREST caps the rows of a
+  // response.
+  async listAllByUser(userId, { status } = {}) {
+    const listings = [];
+
+    for (let start = 0; ; start += EXPORT_BATCH_SIZE) {
+      let batchQuery = client
+        .from('products')
+        .select('*, category:categories(slug), images:product_images(image_url, display_order)')
+        .eq('user_id', userId);
+
+      if (status) {
+        batchQuery = batchQuery.eq('status', status);
+      }
+
+      const batch = unwrap(await batchQuery
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .range(start, start + EXPORT_BATCH_SIZE - 1));
+
+      listings.push(...batch);
+
+      if (batch.length < EXPORT_BATCH_SIZE) {
+        return listings;
+      }
+    }
+  },
+
+  // Counts a view unless the viewer was counted within the window, and
+  // returns the view count. record_product_view is only open to the service
+  // role, so views cannot be inflated by calling it directly.
+  async recordView(id, viewer, windowMinutes) {
+    return unwrap(await getServiceSupabaseClient().rpc('record_product_view', {
+      target_product_id: id,
+      viewer,
+      window_minutes: windowMinutes,
+    }));
+  },
+});
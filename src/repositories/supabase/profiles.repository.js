@@ -0,0 +1,76 @@
+import { PUBLIC_PROFILE_COLUMNS } from '../columns.js';
+import { collectAccountData, ensureProfile } from '../../services/profiles.service.js';
+import { unwrap } from './unwrap.js';
+
+export const createProfilesRepository = (client) => ({
+  async findById(id) {
+    return unwrap(await client
+      .from('profiles')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle());
+  },
+
+  // The profile of an auth user, created from their sign-up metadata if it
+  // is missing. The client must act as that user.
+  async ensure(user) {
+    return unwrap(await ensureProfile(client, user));
+  },
+
+  async findPublic(id) {
+    return unwrap(await client
+      .from('profiles')
+      .select(PUBLIC_PROFILE_COLUMNS.join(', '))
+      .eq('id', id)
+      .maybeSingle());
+  },
+
+  // { average_rating, review_count, completed_sales }
+  async sellerStats(id) {
+    return unwrap(await client
+      .rpc('seller_stats', { seller: id })
+      .single());
+  },
+
+  // Returns the updated row, or null when the caller cannot update it.
+  async update(id, updates) {
+    return unwrap(await client
+      .from('profiles')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .maybeSingle());
+  },
+
+  // Returns null when a deletion is already scheduled.
+  async requestDeletion(id, { requestedAt, scheduledFor }) {
+    return unwrap(await client
+      .from('profiles')
+      .update({
+        deletion_requested_at: requestedAt,
+        deletion_scheduled_for: scheduledFor,
+      })
+      .eq('id', id)
+      .is('deletion_scheduled_for', null)
+      .select('deletion_requested_at, deletion_scheduled_for')
+      .maybeSingle());
+  },
+
+  // Returns false when no deletion was scheduled.
+  async cancelDeletion(id) {
+    const profile = unwrap(await client
+      .from('profiles')
+      .update({ deletion_requested_at: null, deletion_scheduled_for: null })
+      .eq('id', id)
+      .not('deletion_scheduled_for', 'is', null)
+      .select('id')
+      .maybeSingle());
+
+    return !!profile;
+  },
+
+  // Everything stored about the user, for data export requests.
+  async exportData(id) {
+    return unwrap(await collectAccountData(client, id));
+  },
+});
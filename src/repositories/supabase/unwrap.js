@@ -0,0 +1,9 @@
+import { fromSupabaseError } from '../../errors/index.js';
+
+// The data of a supabase-js result, or its error mapped to an AppError.
+export const unwrap = ({ data, error }, notFoundMessage) => {
+  if (error) {
+    throw fromSupabaseError(error, notFoundMessage);
+  }
+  return data;
+};
@@ -0,0 +1,437 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { authenticateUser, requireRole, ROLES } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { requireSupabase } from '../middleware/data-store.js';
+import { invalidateCache } from '../middleware/cache.js';
+import { fromSupabaseError, ValidationError, BadRequestError, ForbiddenError, NotFoundError } from '../errors/index.js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { getRepositories } from '../repositories/index.js';
+import { getDescendantIds } from '../services/categories.service.js';
+import { validateAttributeSchema } from '../services/attributes.service.js';
+import {
+  paginationRules,
+  parsePage,
+  countOption,
+  applyPage,
+  toPage,
+  byNewest,
+  byOldest,
+} from '../services/pagination.service.js';
+
+const router = express.Router();
+
+// Everything here needs at least a moderator; admin-only routes add
+// requireRole('admin') on top.
+router.use(authenticateUser, requireRole('moderator'));
+
+const categoryValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().notEmpty().withMessage('Name is required'),
+    field('slug').trim().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug must be lowercase words separated by hyphens'),
+    body('description').optional().trim(),
+    body('icon').optional().trim(),
+    body('parent_id').optional({ values: 'null' }).isUUID().withMessage('Valid parent ID is required'),
+    body('attribute_schema').optional().isArray().withMessage('Attribute schema must be an array'),
+  ];
+};
+
+const pickCategoryFields = ({ name, slug, description, icon, parent_id, attribute_schema }) => {
+  return Object.fromEntries(
+    Object.entries({ name, slug, description, icon, parent_id, attribute_schema })
+      .filter(([, value]) => value !== undefined),
+  );
+};
+
+router.post('/categories',
+  requireRole('admin'),
+  validate(categoryValidators(false)),
+  async (req, res, next) => {
+    try {
+      const fields = pickCategoryFields(req.body);
+
+      const schemaErrors = validateAttributeSchema(fields.attribute_schema || []);
+      if (schemaErrors.length > 0) {
+        throw new ValidationError(schemaErrors);
+      }
+
+      const category = await getRepositories(req.token).categories.create(fields);
+
+      await invalidateCache('categories', 'products');
+
+      res.status(201).json({ message: 'Category created successfully', category });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put('/categories/:id',
+  requireRole('admin'),
+  validate(categoryValidators(true)),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const fields = pickCategoryFields(req.body);
+
+      if (fields.attribute_schema) {
+        const schemaErrors = validateAttributeSchema(fields.attribute_schema);
+        if (schemaErrors.length > 0) {
+          throw new ValidationError(schemaErrors);
+        }
+      }
+
+      const { categories } = getRepositories(req.token);
+
+      if (fields.parent_id && getDescendantIds(await categories.list(), id).includes(fields.parent_id)) {
+        throw new BadRequestError('A category cannot be moved under itself or its subcategories');
+      }
+
+      const category = await categories.update(id, fields);
+
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+
+      await invalidateCache('categories', 'products');
+
+      res.json({ message: 'Category updated successfully', category });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete('/categories/:id', requireRole('admin'), async (req, res, next) => {
+  try {
+    const category = await getRepositories(req.token).categories.remove(req.params.id);
+
+    if (!category) {
+      throw new NotFoundError('Category not found');
+    }
+
+    await invalidateCache('categories', 'products');
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Users, reports and takedowns are not in the repositories yet.
+router.use(['/users', '/reports', '/products'], requireSupabase);
+
+router.get('/users',
+  validate([
+    query('search').optional().isString().trim(),
+    query('role').optional().isIn(ROLES),
+    query('suspended').optional().isBoolean(),
+    ...paginationRules(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { search, role, suspended } = req.query;
+      const page = parsePage(req.query, byNewest);
+      const userSupabase = getSupabaseClient(req.token);
+
+      let query = userSupabase
+        .from('profiles')
+        .select('id, email, full_name, location, role, suspended_at, suspension_reason, created_at', countOption(page));
+
+      if (search) {
+        // PostgREST's or() syntax treats commas and parentheses as separators.
+        const term = search.replace(/[,()]/g, ' ');
+        query = query.or(`full_name.ilike.%${term}%,email.ilike.%${term}%`);
+      }
+
+      if (role) {
+        query = query.eq('role', role);
+      }
+
+      if (suspended !== undefined) {
+        query = suspended === 'true'
+          ? query.not('suspended_at', 'is', null)
+          : query.is('suspended_at', null);
+      }
+
+      const { data, error, count } = await applyPage(query, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      const { items: users, pagination } = toPage(data, page, { total: count });
+
+      res.json({ users, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.patch('/users/:id/role',
+  requireRole('admin'),
+  validate([
+    body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      if (id === req.user.id) {
+        throw new BadRequestError('You cannot change your own role');
+      }
+
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { data: user, error } = await userSupabase
+        .from('profiles')
+        .update({ role: req.body.role })
+        .eq('id', id)
+        .select('id, email, full_name, role')
+        .maybeSingle();
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+
+      res.json({ message: 'Role updated successfully', user });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const setSuspension = (suspend) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      throw new BadRequestError('You cannot change your own suspension');
+    }
+
+    const userSupabase = getSupabaseClient(req.token);
+
+    const { data: target, error: targetError } = await userSupabase
+      .from('profiles')
+      .select('id, role')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (targetError) {
+      throw fromSupabaseError(targetError);
+    }
+
+    if (!target) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (target.role !== 'user' && req.user.role !== 'admin') {
+      throw new ForbiddenError('Only admins can suspend staff accounts');
+    }
+
+    const { data: user, error } = await userSupabase
+      .from('profiles')
+      .update(suspend
+        ? { suspended_at: new Date().toISOString(), suspension_reason: req.body.reason }
+        : { suspended_at: null, suspension_reason: null })
+      .eq('id', id)
+      .select('id, email, full_name, role, suspended_at, suspension_reason')
+      .single();
+
+    if (error) {
+      throw fromSupabaseError(error, 'User not found');
+    }
+
+    res.json({
+      message: suspend ? 'User suspended successfully' : 'User unsuspended successfully',
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post('/users/:id/suspend',
+  validate([
+    body('reason').trim().notEmpty().withMessage('Reason is required'),
+  ]),
+  setSuspension(true)
+);
+
+router.post('/users/:id/unsuspend', setSuspension(false));
+
+router.get('/reports',
+  validate([
+    query('status').optional().isIn(['open', 'dismissed', 'actioned']),
+    ...paginationRules(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const status = req.query.status || 'open';
+      // Oldest first, so the queue is worked in the order reports came in.
+      const page = parsePage(req.query, byOldest);
+      const userSupabase = getSupabaseClient(req.token);
+
+      const reportsQuery = userSupabase
+        .from('reports')
+        .select(`
+          *,
+          product:products(id, title, status, user_id, takedown_reason),
+          reporter:profiles!reports_reporter_id_fkey(id, full_name, email)
+        `, countOption(page))
+        .eq('status', status);
+
+      const { data, error, count } = await applyPage(reportsQuery, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      const { items: reports, pagination } = toPage(data, page, { total: count });
+
+      res.json({ reports, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/reports/:id/dismiss',
+  validate([
+    body('note').optional().trim().isLength({ max: 2000 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { data: report, error } = await userSupabase
+        .from('reports')
+        .update({
+          status: 'dismissed',
+          resolved_by: req.user.id,
+          resolved_at: new Date().toISOString(),
+          resolution_note: req.body.note || null,
+        })
+        .eq('id', id)
+        .eq('status', 'open')
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      if (!report) {
+        throw new NotFoundError('Open report not found');
+      }
+
+      res.json({ message: 'Report dismissed successfully', report });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/products/:id/takedown',
+  validate([
+    body('reason').trim().notEmpty().withMessage('Reason is required'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { reason } = req.body;
+      const userSupabase = getSupabaseClient(req.token);
+      const now = new Date().toISOString();
+
+      const { data: product, error } = await userSupabase
+        .from('products')
+        .update({
+          status: 'removed',
+          takedown_reason: reason,
+          taken_down_at: now,
+          taken_down_by: req.user.id,
+        })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      if (!product) {
+        throw new NotFoundError('Product not found');
+      }
+
+      const { data: reports, error: reportsError } = await userSupabase
+        .from('reports')
+        .update({
+          status: 'actioned',
+          resolved_by: req.user.id,
+          resolved_at: now,
+          resolution_note: reason,
+        })
+        .eq('product_id', id)
+        .eq('status', 'open')
+        .select('id');
+
+      if (reportsError) {
+        console.error('Error resolving reports:', reportsError);
+      }
+
+      await invalidateCache('products');
+
+      res.json({
+        message: 'Product taken down successfully',
+        product,
+        resolved_reports: reports ? reports.length : 0,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/products/:id/restore', async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userSupabase = getSupabaseClient(req.token);
+
+    // Restored listings come back archived so the seller decides when to
+    // publish them again.
+    const { data: product, error } = await userSupabase
+      .from('products')
+      .update({
+        status: 'archived',
+        takedown_reason: null,
+        taken_down_at: null,
+        taken_down_by: null,
+      })
+      .eq('id', id)
+      .eq('status', 'removed')
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    if (!product) {
+      throw new NotFoundError('Removed product not found');
+    }
+
+    res.json({ message: 'Product restored successfully', product });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,48 +1,74 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import { supabase } from '../config/supabase.js';
+import { body } from 'express-validator';
+import { supabase, createAuthClient } from '../config/supabase.js';
 import { authenticateUser } from '../middleware/auth.js';
+import { resolveLocation } from '../geocoding/index.js';
+import { verifyPassword } from '../services/auth.service.js';
+import { getLoginLock, recordLoginFailure, clearLoginFailures } from '../services/lockout.service.js';
+import { rateLimit, tooManyRequests } from '../middleware/rate-limit.js';
+import { validate } from '../middleware/validate.js';
+import { requireSupabase } from '../middleware/data-store.js';
+import { repositories, getRepositories } from '../repositories/index.js';
+import { fromSupabaseError, BadRequestError, AuthenticationError } from '../errors/index.js';
 
 const router = express.Router();
 
+// Sign-up, sessions and account emails are handled by Supabase Auth.
+router.use([
+  '/signup',
+  '/refresh',
+  '/logout',
+  '/forgot-password',
+  '/reset-password',
+  '/resend-verification',
+  '/verify-email',
+  '/change-password',
+  '/change-email',
+], requireSupabase);
+
+// Where links in auth emails (verification, password reset, email change)
+// send the user. Usually a page of the frontend.
+const AUTH_REDIRECT_URL = process.env.AUTH_REDIRECT_URL || undefined;
+
+const formatSession = (session) => ({
+  access_token: session.access_token,
+  refresh_token: session.refresh_token,
+  expires_in: session.expires_in,
+  expires_at: session.expires_at,
+});
+
 router.post('/signup',
-  [
+  rateLimit('signup'),
+  validate([
     body('email').isEmail().withMessage('Valid email is required'),
     body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
     body('full_name').notEmpty().withMessage('Full name is required'),
     body('phone').optional(),
     body('location').notEmpty().withMessage('Location is required'),
-  ],
-  async (req, res) => {
+  ]),
+  async (req, res, next) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-      }
-
       const { email, password, full_name, phone, location } = req.body;
+      const geodata = await resolveLocation(location);
 
-      const { data: authData, error: authError } = await supabase.auth.signUp({
+      // The profile is created from this metadata by a trigger on auth.users,
+      // in the same transaction as the user, so a failure leaves neither behind.
+      const { data: authData, error: authError } = await createAuthClient().auth.signUp({
         email,
         password,
+        options: {
+          data: {
+            full_name,
+            phone: phone || '',
+            location,
+            ...geodata,
+          },
+          emailRedirectTo: AUTH_REDIRECT_URL,
+        },
       });
 
       if (authError) {
-        return res.status(400).json({ error: authError.message });
-      }
-
-      const { error: profileError } = await supabase
-        .from('profiles')
-        .insert({
-          id: authData.user.id,
-          email,
-          full_name,
-          phone: phone || '',
-          location,
-        });
-
-      if (profileError) {
-        return res.status(400).json({ error: profileError.message });
+        throw fromSupabaseError(authError);
       }
 
       res.status(201).json({
@@ -51,47 +77,42 @@ router.post('/signup',
         session: authData.session,
       });
     } catch (error) {
-      console.error('Signup error:', error);
-      res.status(500).json({ error: 'Registration failed' });
+      next(error);
     }
   }
 );
 
 router.post('/login',
-  [
+  rateLimit('login'),
+  validate([
     body('email').isEmail().withMessage('Valid email is required'),
     body('password').notEmpty().withMessage('Password is required'),
-  ],
-  async (req, res) => {
+  ]),
+  async (req, res, next) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-      }
-
       const { email, password } = req.body;
 
-      // 1️⃣ Login using Supabase Auth
-      const { data, error } = await supabase.auth.signInWithPassword({
-        email,
-        password,
-      });
-
-      if (error) {
-        return res.status(401).json({ error: error.message });
+      const lockedUntil = await getLoginLock(email, req.ip);
+      if (lockedUntil) {
+        throw tooManyRequests(lockedUntil, 'Too many failed login attempts, please try again later');
       }
 
-      // 2️⃣ Fetch profile
-      const { data: profile, error: profileError } = await supabase
-        .from('profiles')
-        .select('full_name, phone, location')
-        .eq('id', data.user.id)
-        .single();
+      // 1️⃣ Login through the auth of the data store
+      const data = await repositories.auth.signIn(email, password);
 
-      if (profileError) {
-        return res.status(400).json({ error: profileError.message });
+      if (!data) {
+        const newLock = await recordLoginFailure(email, req.ip);
+        if (newLock) {
+          throw tooManyRequests(newLock, 'Too many failed login attempts, please try again later');
+        }
+        throw new AuthenticationError('Invalid email or password', 'invalid_credentials');
       }
 
+      await clearLoginFailures(email, req.ip);
+
+      // 2️⃣ Fetch profile, recreating it for accounts left without one
+      const profile = await getRepositories(data.session.access_token).profiles.ensure(data.user);
+
       // 3️⃣ MERGED single user object
       res.status(200).json({
         message: 'Login successful',
@@ -102,54 +123,272 @@ router.post('/login',
           phone: profile.phone,
           location: profile.location,
         },
-        session: {
-          access_token: data.session.access_token,
-          refresh_token: data.session.refresh_token,
-          expires_in: data.session.expires_in,
-          expires_at: data.session.expires_at,
-        },
+        session: formatSession(data.session),
       });
 
     } catch (error) {
-      console.error('Login error:', error);
-      res.status(500).json({ error: 'Login failed' });
+      next(error);
     }
   }
 );
 
+router.post('/refresh',
+  rateLimit('auth'),
+  validate([
+    body('refresh_token').notEmpty().withMessage('Refresh token is required'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { data, error } = await createAuthClient().auth.refreshSession({
+        refresh_token: req.body.refresh_token,
+      });
 
+      if (error || !data.session) {
+        throw new AuthenticationError('Invalid or expired refresh token');
+      }
 
-router.post('/logout', authenticateUser, async (req, res) => {
+      res.json({ message: 'Session refreshed', session: formatSession(data.session) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Revokes only the session behind the caller's access token; the user's other
+// devices stay signed in.
+router.post('/logout', authenticateUser, async (req, res, next) => {
   try {
-    const { error } = await supabase.auth.signOut();
+    const { error } = await supabase.auth.admin.signOut(req.token, 'local');
 
     if (error) {
-      return res.status(400).json({ error: error.message });
+      throw fromSupabaseError(error);
     }
 
     res.json({ message: 'Logout successful' });
   } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({ error: 'Logout failed' });
+    next(error);
   }
 });
 
-router.get('/me', authenticateUser, async (req, res) => {
-  try {
-    const { data: profile, error } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('id', req.user.id)
-      .maybeSingle();
+// Always answers the same way so the endpoint cannot be used to find out
+// which emails have accounts.
+router.post('/forgot-password',
+  rateLimit('authEmail'),
+  validate([
+    body('email').isEmail().withMessage('Valid email is required'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { error } = await createAuthClient().auth.resetPasswordForEmail(req.body.email, {
+        redirectTo: AUTH_REDIRECT_URL,
+      });
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
+      if (error) {
+        console.error('Forgot password error:', error.message);
+      }
+
+      res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Accepts either the token_hash from the reset link or the email plus the
+// one-time code from the reset email. Every session of the user is revoked
+// afterwards, so they sign in again with the new password.
+router.post('/reset-password',
+  rateLimit('auth'),
+  validate([
+    body('token_hash').optional().notEmpty(),
+    body('email').optional().isEmail().withMessage('Valid email is required'),
+    body('token').optional().notEmpty(),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { token_hash, email, token, password } = req.body;
+
+      if (!token_hash && !(email && token)) {
+        throw new BadRequestError('Provide token_hash, or email and token');
+      }
+
+      const authClient = createAuthClient();
+
+      const { data, error: verifyError } = await authClient.auth.verifyOtp(
+        token_hash
+          ? { type: 'recovery', token_hash }
+          : { type: 'recovery', email, token }
+      );
+
+      if (verifyError || !data.session) {
+        throw new BadRequestError('Invalid or expired reset token');
+      }
+
+      const { error: updateError } = await authClient.auth.updateUser({ password });
+
+      if (updateError) {
+        throw fromSupabaseError(updateError);
+      }
+
+      await authClient.auth.admin.signOut(data.session.access_token, 'global');
+
+      res.json({ message: 'Password reset successfully' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/resend-verification',
+  rateLimit('authEmail'),
+  validate([
+    body('email').isEmail().withMessage('Valid email is required'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { error } = await createAuthClient().auth.resend({
+        type: 'signup',
+        email: req.body.email,
+        options: { emailRedirectTo: AUTH_REDIRECT_URL },
+      });
+
+      if (error) {
+        console.error('Resend verification error:', error.message);
+      }
+
+      res.json({ message: 'If this email is awaiting verification, a new link has been sent' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Confirms a signup or an email change from the token_hash in the emailed
+// link, or the email plus one-time code, and signs the user in.
+router.post('/verify-email',
+  rateLimit('auth'),
+  validate([
+    body('type').optional().isIn(['signup', 'email_change']).withMessage('Type must be signup or email_change'),
+    body('token_hash').optional().notEmpty(),
+    body('email').optional().isEmail().withMessage('Valid email is required'),
+    body('token').optional().notEmpty(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { token_hash, email, token } = req.body;
+      const type = req.body.type || 'signup';
+
+      if (!token_hash && !(email && token)) {
+        throw new BadRequestError('Provide token_hash, or email and token');
+      }
+
+      const { data, error } = await createAuthClient().auth.verifyOtp(
+        token_hash ? { type, token_hash } : { type, email, token }
+      );
+
+      if (error) {
+        throw new BadRequestError('Invalid or expired verification token');
+      }
+
+      res.json({
+        message: 'Email verified successfully',
+        user: data.user,
+        session: data.session ? formatSession(data.session) : null,
+      });
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+// Changing the password signs out every other session. The response carries
+// a new session that replaces the caller's current one.
+router.post('/change-password',
+  authenticateUser,
+  rateLimit('auth'),
+  validate([
+    body('current_password').notEmpty().withMessage('Current password is required'),
+    body('new_password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { current_password, new_password } = req.body;
+
+      if (current_password === new_password) {
+        throw new BadRequestError('New password must be different from the current one');
+      }
+
+      const { authClient, session, error: verifyError } = await verifyPassword(req.user.email, current_password);
+
+      if (verifyError) {
+        throw new AuthenticationError('Current password is incorrect');
+      }
+
+      const { error: updateError } = await authClient.auth.updateUser({ password: new_password });
+
+      if (updateError) {
+        throw fromSupabaseError(updateError);
+      }
+
+      await authClient.auth.admin.signOut(session.access_token, 'others');
+
+      res.json({ message: 'Password changed successfully', session: formatSession(session) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// The address only changes once the user follows the confirmation link sent
+// to it (and, depending on project settings, to the old address too). The
+// profile email follows auth.users through a database trigger.
+router.post('/change-email',
+  authenticateUser,
+  rateLimit('auth'),
+  validate([
+    body('new_email').isEmail().withMessage('Valid email is required'),
+    body('password').notEmpty().withMessage('Password is required'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { new_email, password } = req.body;
+
+      if (new_email.toLowerCase() === req.user.email.toLowerCase()) {
+        throw new BadRequestError('New email must be different from the current one');
+      }
+
+      const { authClient, session, error: verifyError } = await verifyPassword(req.user.email, password);
+
+      if (verifyError) {
+        throw new AuthenticationError('Password is incorrect');
+      }
+
+      const { error: updateError } = await authClient.auth.updateUser(
+        { email: new_email },
+        { emailRedirectTo: AUTH_REDIRECT_URL }
+      );
+
+      await authClient.auth.admin.signOut(session.access_token, 'local');
+
+      if (updateError) {
+        throw fromSupabaseError(updateError);
+      }
+
+      res.json({ message: 'Confirmation email sent. The change takes effect once it is confirmed' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/me', authenticateUser, async (req, res, next) => {
+  try {
+    const profile = await getRepositories(req.token).profiles.ensure(req.user);
 
     res.json({ user: req.user, profile });
   } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to get user data' });
+    next(error);
   }
 });
 
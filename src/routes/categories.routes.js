@@ -1,86 +1,104 @@
 import express from 'express';
-import { supabase } from '../config/supabase.js';
+import { validate } from '../middleware/validate.js';
+import { cacheResponse } from '../middleware/cache.js';
+import { NotFoundError } from '../errors/index.js';
+import { getRepositories } from '../repositories/index.js';
+import {
+  findCategory,
+  buildCategoryTree,
+  getBreadcrumbs,
+  getDescendantIds,
+  getAttributeSchema,
+} from '../services/categories.service.js';
+import {
+  paginationRules,
+  parsePage,
+  toPage,
+} from '../services/pagination.service.js';
+import { getProductOrders } from '../services/products.service.js';
 
 const router = express.Router();
 
-router.get('/', async (req, res) => {
+router.get('/', cacheResponse('categories'), async (req, res, next) => {
   try {
-    const { data: categories, error } = await supabase
-      .from('categories')
-      .select('*')
-      .order('name');
-
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+    const categories = await getRepositories().categories.list();
 
     res.json({ categories });
   } catch (error) {
-    console.error('Get categories error:', error);
-    res.status(500).json({ error: 'Failed to fetch categories' });
+    next(error);
   }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/tree', cacheResponse('categories'), async (req, res, next) => {
   try {
-    const { id } = req.params;
-
-    const { data: category, error } = await supabase
-      .from('categories')
-      .select('*')
-      .eq('id', id)
-      .maybeSingle();
-
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+    const categories = await getRepositories().categories.list();
 
-    if (!category) {
-      return res.status(404).json({ error: 'Category not found' });
-    }
-
-    res.json({ category });
+    res.json({ categories: buildCategoryTree(categories) });
   } catch (error) {
-    console.error('Get category error:', error);
-    res.status(500).json({ error: 'Failed to fetch category' });
+    next(error);
   }
 });
 
-router.get('/:id/products', async (req, res) => {
+// :id accepts either the category UUID or its slug.
+router.get('/:id', cacheResponse('categories'), async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { limit = 20, offset = 0 } = req.query;
-
-    const { data: products, error, count } = await supabase
-      .from('products')
-      .select(`
-        *,
-        category:categories(*),
-        seller:profiles(id, full_name, location, avatar_url),
-        images:product_images(*)
-      `, { count: 'exact' })
-      .eq('category_id', id)
-      .eq('status', 'active')
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (error) {
-      return res.status(400).json({ error: error.message });
+
+    const categories = await getRepositories().categories.list();
+
+    const category = findCategory(categories, id);
+
+    if (!category) {
+      throw new NotFoundError('Category not found');
     }
 
     res.json({
-      products,
-      pagination: {
-        total: count,
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        hasMore: count > parseInt(offset) + parseInt(limit),
+      category: {
+        ...category,
+        children: categories.filter((child) => child.parent_id === category.id),
+        attributes: getAttributeSchema(categories, category.id),
       },
+      breadcrumbs: getBreadcrumbs(categories, category.id),
     });
   } catch (error) {
-    console.error('Get category products error:', error);
-    res.status(500).json({ error: 'Failed to fetch category products' });
+    next(error);
   }
 });
 
+// Cached with the other listing pages, so listing writes invalidate it.
+router.get('/:id/products',
+  validate(paginationRules()),
+  cacheResponse('products'),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const page = parsePage(req.query, getProductOrders('newest'));
+
+      const { categories: categoriesRepository, products: productsRepository } = getRepositories();
+      const categories = await categoriesRepository.list();
+
+      const category = findCategory(categories, id);
+
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+
+      const { rows, total } = await productsRepository.browse({
+        filter_category_ids: getDescendantIds(categories, category.id),
+        filter_status: 'active',
+      }, page);
+
+      const { items: products, pagination } = toPage(rows, page, { total });
+
+      res.json({
+        products,
+        breadcrumbs: getBreadcrumbs(categories, category.id),
+        pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 export default router;
@@ -0,0 +1,299 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { authenticateUser } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { validate } from '../middleware/validate.js';
+import { fromSupabaseError, BadRequestError, NotFoundError } from '../errors/index.js';
+import { getSupabaseClient } from '../config/supabase.js';
+import {
+  paginationRules,
+  parsePage,
+  countOption,
+  applyPage,
+  toPage,
+  byNewest,
+} from '../services/pagination.service.js';
+
+const router = express.Router();
+
+const CONVERSATION_SELECT = `
+  *,
+  product:products(id, title, price, status, images:product_images(*)),
+  buyer:profiles!conversations_buyer_id_fkey(id, full_name, avatar_url),
+  seller:profiles!conversations_seller_id_fkey(id, full_name, avatar_url)
+`;
+
+// Most recently active first
+const CONVERSATION_ORDER = [['last_message_at', false], ['id', false]];
+
+const fetchConversation = async (client, id) => {
+  return client
+    .from('conversations')
+    .select(CONVERSATION_SELECT)
+    .eq('id', id)
+    .maybeSingle();
+};
+
+router.post('/',
+  authenticateUser,
+  rateLimit('write'),
+  validate([
+    body('product_id').isUUID().withMessage('Valid product ID is required'),
+    body('message').optional().trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { product_id, message } = req.body;
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { data: product, error: productError } = await userSupabase
+        .from('products')
+        .select('id, user_id, status')
+        .eq('id', product_id)
+        .maybeSingle();
+
+      if (productError) {
+        throw fromSupabaseError(productError);
+      }
+
+      if (!product || product.status !== 'active') {
+        throw new NotFoundError('Product not found');
+      }
+
+      if (product.user_id === req.user.id) {
+        throw new BadRequestError('You cannot start a conversation on your own listing');
+      }
+
+      const { data: existing, error: existingError } = await userSupabase
+        .from('conversations')
+        .select('id')
+        .eq('product_id', product_id)
+        .eq('buyer_id', req.user.id)
+        .maybeSingle();
+
+      if (existingError) {
+        throw fromSupabaseError(existingError);
+      }
+
+      let conversationId = existing?.id;
+
+      if (!conversationId) {
+        const { data: created, error: createError } = await userSupabase
+          .from('conversations')
+          .insert({
+            product_id,
+            buyer_id: req.user.id,
+            seller_id: product.user_id,
+          })
+          .select('id')
+          .single();
+
+        if (createError) {
+          throw fromSupabaseError(createError);
+        }
+
+        conversationId = created.id;
+      }
+
+      if (message) {
+        const { error: messageError } = await userSupabase
+          .from('messages')
+          .insert({
+            conversation_id: conversationId,
+            sender_id: req.user.id,
+            body: message,
+          });
+
+        if (messageError) {
+          throw fromSupabaseError(messageError);
+        }
+      }
+
+      const { data: conversation, error } = await fetchConversation(userSupabase, conversationId);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      res.status(existing ? 200 : 201).json({
+        message: existing ? 'Conversation already exists' : 'Conversation started successfully',
+        conversation,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/',
+  authenticateUser,
+  validate(paginationRules()),
+  async (req, res, next) => {
+    try {
+      const page = parsePage(req.query, CONVERSATION_ORDER);
+      const userSupabase = getSupabaseClient(req.token);
+
+      const conversationsQuery = userSupabase
+        .from('conversations')
+        .select(CONVERSATION_SELECT, countOption(page))
+        .or(`buyer_id.eq.${req.user.id},seller_id.eq.${req.user.id}`);
+
+      const { data, error, count } = await applyPage(conversationsQuery, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      const { items: conversations, pagination } = toPage(data, page, { total: count });
+      const unreadCounts = {};
+
+      if (conversations.length > 0) {
+        const { data: unread, error: unreadError } = await userSupabase
+          .from('messages')
+          .select('conversation_id')
+          .in('conversation_id', conversations.map((c) => c.id))
+          .neq('sender_id', req.user.id)
+          .is('read_at', null);
+
+        if (unreadError) {
+          throw fromSupabaseError(unreadError);
+        }
+
+        unread.forEach(({ conversation_id }) => {
+          unreadCounts[conversation_id] = (unreadCounts[conversation_id] || 0) + 1;
+        });
+      }
+
+      res.json({
+        conversations: conversations.map((conversation) => ({
+          ...conversation,
+          unread_count: unreadCounts[conversation.id] || 0,
+        })),
+        pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/:id', authenticateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userSupabase = getSupabaseClient(req.token);
+
+    const { data: conversation, error } = await fetchConversation(userSupabase, id);
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    if (!conversation) {
+      throw new NotFoundError('Conversation not found');
+    }
+
+    res.json({ conversation });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id/messages',
+  authenticateUser,
+  validate(paginationRules()),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const page = parsePage(req.query, byNewest, { defaultLimit: 50 });
+      const userSupabase = getSupabaseClient(req.token);
+
+      const messagesQuery = userSupabase
+        .from('messages')
+        .select('*', countOption(page))
+        .eq('conversation_id', id);
+
+      const { data, error, count } = await applyPage(messagesQuery, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      const { items: messages, pagination } = toPage(data, page, { total: count });
+
+      res.json({ messages, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/:id/messages',
+  authenticateUser,
+  rateLimit('write'),
+  validate([
+    body('body').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { data: conversation, error: conversationError } = await userSupabase
+        .from('conversations')
+        .select('id')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (conversationError) {
+        throw fromSupabaseError(conversationError);
+      }
+
+      if (!conversation) {
+        throw new NotFoundError('Conversation not found');
+      }
+
+      const { data: message, error } = await userSupabase
+        .from('messages')
+        .insert({
+          conversation_id: id,
+          sender_id: req.user.id,
+          body: req.body.body,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      res.status(201).json({ message: 'Message sent successfully', data: message });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/:id/read', authenticateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userSupabase = getSupabaseClient(req.token);
+
+    const { data: updated, error } = await userSupabase
+      .from('messages')
+      .update({ read_at: new Date().toISOString() })
+      .eq('conversation_id', id)
+      .neq('sender_id', req.user.id)
+      .is('read_at', null)
+      .select('id');
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    res.json({ message: 'Conversation marked as read', updated: updated.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
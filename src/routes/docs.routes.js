@@ -0,0 +1,27 @@
+import express from 'express';
+import swaggerUi from 'swagger-ui-express';
+import { openApiDocument } from '../openapi/index.js';
+
+const router = express.Router();
+
+router.get('/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// The viewer's assets are linked relative to the page, so it has to be
+// served from /api/docs/ rather than /api/docs.
+const requireTrailingSlash = (req, res, next) => {
+  if (!req.originalUrl.split('?')[0].endsWith('/')) {
+    return res.redirect(301, `${req.baseUrl}/`);
+  }
+  next();
+};
+
+router.use('/', swaggerUi.serve);
+router.get('/', requireTrailingSlash, swaggerUi.setup(openApiDocument, {
+  customSiteTitle: openApiDocument.info.title,
+  // Keeps the viewer from sending the document to swagger.io for validation
+  swaggerOptions: { validatorUrl: null },
+}));
+
+export default router;
@@ -1,120 +1,82 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body, query } from 'express-validator';
 import { authenticateUser } from '../middleware/auth.js';
-import { getSupabaseClient } from '../config/supabase.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { validate } from '../middleware/validate.js';
+import { getRepositories } from '../repositories/index.js';
+import { queueWebhookEvent } from '../jobs/webhooks.job.js';
+import {
+  paginationRules,
+  parsePage,
+  toPage,
+} from '../services/pagination.service.js';
+import { FAVORITE_SORTS, getFavoriteOrders } from '../services/favorites.service.js';
 
 const router = express.Router();
 
-router.get('/', authenticateUser, async (req, res) => {
-  try {
-    const userSupabase = getSupabaseClient(req.token);
-
-    const { data: favorites, error } = await userSupabase
-      .from('favorites')
-      .select(`
-        *,
-        product:products(
-          *,
-          category:categories(*),
-          seller:profiles(id, full_name, location, avatar_url),
-          images:product_images(*)
-        )
-      `)
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+router.get('/',
+  authenticateUser,
+  validate([
+    query('sort').optional().isIn(FAVORITE_SORTS),
+    ...paginationRules(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const page = parsePage(req.query, getFavoriteOrders(req.query.sort));
 
-    res.json({ favorites });
-  } catch (error) {
-    console.error('Get favorites error:', error);
-    res.status(500).json({ error: 'Failed to fetch favorites' });
+      const { rows, total } = await getRepositories(req.token).favorites.list(req.user.id, page);
+
+      const { items: favorites, pagination } = toPage(rows, page, { total });
+
+      res.json({ favorites, pagination });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 router.post('/',
   authenticateUser,
-  [
+  rateLimit('write'),
+  validate([
     body('product_id').isUUID().withMessage('Valid product ID is required'),
-  ],
-  async (req, res) => {
+  ]),
+  async (req, res, next) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-      }
-
       const { product_id } = req.body;
-      const userSupabase = getSupabaseClient(req.token);
-
-      const { data: favorite, error } = await userSupabase
-        .from('favorites')
-        .insert({
-          user_id: req.user.id,
-          product_id,
-        })
-        .select()
-        .single();
-
-      if (error) {
-        if (error.code === '23505') {
-          return res.status(400).json({ error: 'Product already in favorites' });
-        }
-        return res.status(400).json({ error: error.message });
-      }
+
+      const favorite = await getRepositories(req.token).favorites.add(req.user.id, product_id);
+
+      queueWebhookEvent('product.favorited', product_id);
 
       res.status(201).json({ message: 'Product added to favorites', favorite });
     } catch (error) {
-      console.error('Add favorite error:', error);
-      res.status(500).json({ error: 'Failed to add favorite' });
+      next(error);
     }
   }
 );
 
-router.delete('/:product_id', authenticateUser, async (req, res) => {
+router.delete('/:product_id', authenticateUser, async (req, res, next) => {
   try {
     const { product_id } = req.params;
-    const userSupabase = getSupabaseClient(req.token);
 
-    const { error } = await userSupabase
-      .from('favorites')
-      .delete()
-      .eq('user_id', req.user.id)
-      .eq('product_id', product_id);
-
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+    await getRepositories(req.token).favorites.remove(req.user.id, product_id);
 
     res.json({ message: 'Product removed from favorites' });
   } catch (error) {
-    console.error('Remove favorite error:', error);
-    res.status(500).json({ error: 'Failed to remove favorite' });
+    next(error);
   }
 });
 
-router.get('/check/:product_id', authenticateUser, async (req, res) => {
+router.get('/check/:product_id', authenticateUser, async (req, res, next) => {
   try {
     const { product_id } = req.params;
-    const userSupabase = getSupabaseClient(req.token);
 
-    const { data: favorite, error } = await userSupabase
-      .from('favorites')
-      .select('id')
-      .eq('user_id', req.user.id)
-      .eq('product_id', product_id)
-      .maybeSingle();
-
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+    const isFavorite = await getRepositories(req.token).favorites.exists(req.user.id, product_id);
 
-    res.json({ isFavorite: !!favorite });
+    res.json({ isFavorite });
   } catch (error) {
-    console.error('Check favorite error:', error);
-    res.status(500).json({ error: 'Failed to check favorite status' });
+    next(error);
   }
 });
 
@@ -0,0 +1,31 @@
+import express from 'express';
+import { authenticateUser } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { getRepositories } from '../repositories/index.js';
+import { paginationRules, parsePage, toPage } from '../services/pagination.service.js';
+import { RECOMMENDATION_ORDERS } from '../services/recommendations.service.js';
+
+const router = express.Router();
+
+// Active listings of other sellers, ranked by the caller's interest in their
+// categories (see recommendations.service.js), then newest first. Listings
+// the caller already favorited are left out.
+router.get('/',
+  authenticateUser,
+  validate(paginationRules()),
+  async (req, res, next) => {
+    try {
+      const page = parsePage(req.query, RECOMMENDATION_ORDERS);
+
+      const { rows, total } = await getRepositories(req.token).products.feed(page);
+
+      const { items: products, pagination } = toPage(rows, page, { total });
+
+      res.json({ products, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,150 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { authenticateUser } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { uploadImages } from '../middleware/upload.js';
+import { validate } from '../middleware/validate.js';
+import { validateMultipartBody } from '../middleware/openapi.js';
+import { invalidateCache } from '../middleware/cache.js';
+import { BadRequestError, NotFoundError, UnsupportedMediaTypeError } from '../errors/index.js';
+import { getRepositories } from '../repositories/index.js';
+import { isSupportedImage, storeImage, removeStoredImage } from '../services/images.service.js';
+
+// Mounted under /api/products/:id/images, so req.params.id is the product ID.
+const router = express.Router({ mergeParams: true });
+
+const loadOwnProduct = async (repositories, id, userId) => {
+  const product = await repositories.products.findOwned(id, userId);
+
+  if (!product) {
+    throw new NotFoundError('Product not found');
+  }
+
+  return product;
+};
+
+router.post('/',
+  authenticateUser,
+  rateLimit('write'),
+  uploadImages('images'),
+  validateMultipartBody,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const files = req.files || [];
+
+      if (files.length === 0) {
+        throw new BadRequestError('At least one image file is required');
+      }
+
+      const repositories = getRepositories(req.token);
+      await loadOwnProduct(repositories, id, req.user.id);
+
+      for (const file of files) {
+        if (!(await isSupportedImage(file.buffer))) {
+          throw new UnsupportedMediaTypeError(`${file.originalname} is not a valid image`);
+        }
+      }
+
+      const existing = await repositories.images.list(id);
+
+      const stored = [];
+      for (const file of files) {
+        stored.push(await storeImage(file.buffer, `products/${id}`));
+      }
+
+      let inserted;
+      try {
+        inserted = await repositories.images.add(id, stored.map((image, index) => ({
+          ...image,
+          display_order: existing.length + index,
+          is_primary: false,
+        })));
+      } catch (insertError) {
+        await Promise.all(stored.map((image) => removeStoredImage(image.storage_path)));
+        throw insertError;
+      }
+
+      const images = await repositories.images.reorder(id, [
+        ...existing.map((image) => image.id),
+        ...inserted.map((image) => image.id),
+      ]);
+
+      await invalidateCache('products');
+
+      res.status(201).json({ message: 'Images uploaded successfully', images });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.put('/order',
+  authenticateUser,
+  validate([
+    body('image_ids').isArray({ min: 1 }).withMessage('image_ids must be a non-empty array'),
+    body('image_ids.*').isUUID().withMessage('Each image ID must be a valid UUID'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { image_ids } = req.body;
+      const repositories = getRepositories(req.token);
+
+      await loadOwnProduct(repositories, id, req.user.id);
+
+      const existing = await repositories.images.list(id);
+
+      const existingIds = new Set(existing.map((image) => image.id));
+      const requestedIds = new Set(image_ids);
+
+      if (
+        requestedIds.size !== image_ids.length
+        || requestedIds.size !== existingIds.size
+        || image_ids.some((imageId) => !existingIds.has(imageId))
+      ) {
+        throw new BadRequestError('image_ids must list every image of the product exactly once');
+      }
+
+      const images = await repositories.images.reorder(id, image_ids);
+
+      await invalidateCache('products');
+
+      res.json({ message: 'Images reordered successfully', images });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete('/:imageId', authenticateUser, async (req, res, next) => {
+  try {
+    const { id, imageId } = req.params;
+    const repositories = getRepositories(req.token);
+
+    await loadOwnProduct(repositories, id, req.user.id);
+
+    const image = await repositories.images.remove(id, imageId);
+
+    if (!image) {
+      throw new NotFoundError('Image not found');
+    }
+
+    try {
+      await removeStoredImage(image.storage_path);
+    } catch (storageError) {
+      console.error('Error removing stored image:', storageError);
+    }
+
+    const remaining = await repositories.images.list(id);
+    const images = await repositories.images.reorder(id, remaining.map((remainingImage) => remainingImage.id));
+
+    await invalidateCache('products');
+
+    res.json({ message: 'Image deleted successfully', images });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,145 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { authenticateUser } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { fromSupabaseError, NotFoundError } from '../errors/index.js';
+import { getSupabaseClient } from '../config/supabase.js';
+import {
+  paginationRules,
+  parsePage,
+  countOption,
+  applyPage,
+  toPage,
+  byNewest,
+} from '../services/pagination.service.js';
+
+const router = express.Router();
+
+router.get('/',
+  authenticateUser,
+  validate([
+    query('unread').optional().isBoolean(),
+    ...paginationRules(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const page = parsePage(req.query, byNewest);
+      const userSupabase = getSupabaseClient(req.token);
+
+      let notificationsQuery = userSupabase
+        .from('notifications')
+        .select('*', countOption(page))
+        .eq('user_id', req.user.id);
+
+      if (req.query.unread === 'true') {
+        notificationsQuery = notificationsQuery.is('read_at', null);
+      }
+
+      const [{ data, error, count }, { count: unreadCount, error: unreadError }] = await Promise.all([
+        applyPage(notificationsQuery, page),
+        userSupabase
+          .from('notifications')
+          .select('id', { count: 'exact', head: true })
+          .eq('user_id', req.user.id)
+          .is('read_at', null),
+      ]);
+
+      if (error || unreadError) {
+        throw fromSupabaseError(error || unreadError);
+      }
+
+      const { items: notifications, pagination } = toPage(data, page, { total: count });
+
+      res.json({
+        notifications,
+        unread_count: unreadCount,
+        pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/read-all', authenticateUser, async (req, res, next) => {
+  try {
+    const userSupabase = getSupabaseClient(req.token);
+
+    const { data: updated, error } = await userSupabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', req.user.id)
+      .is('read_at', null)
+      .select('id');
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    res.json({ message: 'Notifications marked as read', updated: updated.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+const setRead = (read) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userSupabase = getSupabaseClient(req.token);
+
+    const { data: notification, error } = await userSupabase
+      .from('notifications')
+      .update({ read_at: read ? new Date().toISOString() : null })
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    if (!notification) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    res.json({
+      message: read ? 'Notification marked as read' : 'Notification marked as unread',
+      notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+router.post('/:id/read', authenticateUser, setRead(true));
+
+router.post('/:id/unread', authenticateUser, setRead(false));
+
+router.delete('/:id', authenticateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userSupabase = getSupabaseClient(req.token);
+
+    const { data: deleted, error } = await userSupabase
+      .from('notifications')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    if (deleted.length === 0) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    res.json({ message: 'Notification deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,332 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { authenticateUser } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { validate } from '../middleware/validate.js';
+import { invalidateCache } from '../middleware/cache.js';
+import { fromSupabaseError, BadRequestError, NotFoundError, ConflictError } from '../errors/index.js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { queueListingUpdateEvents } from '../jobs/webhooks.job.js';
+import {
+  paginationRules,
+  parsePage,
+  countOption,
+  applyPage,
+  toPage,
+  byNewest,
+} from '../services/pagination.service.js';
+
+// Mounted under /api/products/:id/offers, so req.params.id is the product ID.
+const router = express.Router({ mergeParams: true });
+
+const OPEN_STATUSES = ['pending', 'countered'];
+
+const loadOffer = async (client, productId, offerId) => {
+  return client
+    .from('offers')
+    .select('*')
+    .eq('id', offerId)
+    .eq('product_id', productId)
+    .maybeSingle();
+};
+
+router.post('/',
+  authenticateUser,
+  rateLimit('write'),
+  validate([
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('message').optional().trim().isLength({ max: 1000 }).withMessage('Message must be at most 1000 characters'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { amount, message } = req.body;
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { data: product, error: productError } = await userSupabase
+        .from('products')
+        .select('id, user_id, status')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (productError) {
+        throw fromSupabaseError(productError);
+      }
+
+      if (!product || product.status !== 'active') {
+        throw new NotFoundError('Product not found');
+      }
+
+      if (product.user_id === req.user.id) {
+        throw new BadRequestError('You cannot make an offer on your own listing');
+      }
+
+      // A new offer replaces whatever the buyer still had open on this listing,
+      // which is also how a buyer answers a seller's counter.
+      const { error: withdrawError } = await userSupabase
+        .from('offers')
+        .update({ status: 'withdrawn' })
+        .eq('product_id', id)
+        .eq('buyer_id', req.user.id)
+        .in('status', OPEN_STATUSES);
+
+      if (withdrawError) {
+        throw fromSupabaseError(withdrawError);
+      }
+
+      const { data: offer, error } = await userSupabase
+        .from('offers')
+        .insert({
+          product_id: id,
+          buyer_id: req.user.id,
+          seller_id: product.user_id,
+          amount,
+          message: message || '',
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      res.status(201).json({ message: 'Offer submitted successfully', offer });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/',
+  authenticateUser,
+  validate(paginationRules()),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const page = parsePage(req.query, byNewest);
+      const userSupabase = getSupabaseClient(req.token);
+
+      // RLS already limits rows to offers the caller is a party to: the seller
+      // sees every offer on the listing, a buyer sees only their own.
+      const offersQuery = userSupabase
+        .from('offers')
+        .select('*, buyer:profiles!offers_buyer_id_fkey(id, full_name, avatar_url)', countOption(page))
+        .eq('product_id', id);
+
+      const { data, error, count } = await applyPage(offersQuery, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      const { items: offers, pagination } = toPage(data, page, { total: count });
+
+      res.json({ offers, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/:offerId/accept', authenticateUser, async (req, res, next) => {
+  try {
+    const { id, offerId } = req.params;
+    const userSupabase = getSupabaseClient(req.token);
+
+    const { data: offer, error: offerError } = await loadOffer(userSupabase, id, offerId);
+
+    if (offerError) {
+      throw fromSupabaseError(offerError);
+    }
+
+    if (!offer || offer.seller_id !== req.user.id) {
+      throw new NotFoundError('Offer not found');
+    }
+
+    if (offer.status !== 'pending') {
+      throw new BadRequestError(`Cannot accept an offer that is ${offer.status}`);
+    }
+
+    const { data: listing, error: listingError } = await userSupabase
+      .from('products')
+      .select('status, price')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (listingError) {
+      throw fromSupabaseError(listingError);
+    }
+
+    if (!listing || listing.status !== 'active') {
+      throw new BadRequestError('Only active listings can be sold through an offer');
+    }
+
+    // The listing is sold and the offer accepted in one transaction, which
+    // applies only while the offer is still pending and the listing active.
+    const { data: accepted, error } = await userSupabase
+      .rpc('accept_offer', { target_offer_id: offerId })
+      .maybeSingle();
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    if (!accepted) {
+      throw new ConflictError('The offer or the listing changed in the meantime');
+    }
+
+    const { data: product, error: productError } = await userSupabase
+      .from('products')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (productError) {
+      throw fromSupabaseError(productError);
+    }
+
+    queueListingUpdateEvents(listing, product);
+
+    await invalidateCache('products');
+
+    res.json({ message: 'Offer accepted successfully', offer: accepted, product });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:offerId/reject', authenticateUser, async (req, res, next) => {
+  try {
+    const { id, offerId } = req.params;
+    const userSupabase = getSupabaseClient(req.token);
+
+    const { data: offer, error: offerError } = await loadOffer(userSupabase, id, offerId);
+
+    if (offerError) {
+      throw fromSupabaseError(offerError);
+    }
+
+    if (!offer || offer.seller_id !== req.user.id) {
+      throw new NotFoundError('Offer not found');
+    }
+
+    if (!OPEN_STATUSES.includes(offer.status)) {
+      throw new BadRequestError(`Cannot reject an offer that is ${offer.status}`);
+    }
+
+    const { data: rejected, error } = await userSupabase
+      .from('offers')
+      .update({ status: 'rejected', responded_at: new Date().toISOString() })
+      .eq('id', offerId)
+      .in('status', OPEN_STATUSES)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    if (!rejected) {
+      throw new ConflictError('The offer changed in the meantime');
+    }
+
+    res.json({ message: 'Offer rejected successfully', offer: rejected });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:offerId/counter',
+  authenticateUser,
+  validate([
+    body('counter_amount').isFloat({ gt: 0 }).withMessage('Counter amount must be greater than zero'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id, offerId } = req.params;
+      const { counter_amount } = req.body;
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { data: offer, error: offerError } = await loadOffer(userSupabase, id, offerId);
+
+      if (offerError) {
+        throw fromSupabaseError(offerError);
+      }
+
+      if (!offer || offer.seller_id !== req.user.id) {
+        throw new NotFoundError('Offer not found');
+      }
+
+      if (offer.status !== 'pending') {
+        throw new BadRequestError(`Cannot counter an offer that is ${offer.status}`);
+      }
+
+      const { data: countered, error } = await userSupabase
+        .from('offers')
+        .update({
+          status: 'countered',
+          counter_amount,
+          responded_at: new Date().toISOString(),
+        })
+        .eq('id', offerId)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      if (!countered) {
+        throw new ConflictError('The offer changed in the meantime');
+      }
+
+      res.json({ message: 'Counter offer sent successfully', offer: countered });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/:offerId/withdraw', authenticateUser, async (req, res, next) => {
+  try {
+    const { id, offerId } = req.params;
+    const userSupabase = getSupabaseClient(req.token);
+
+    const { data: offer, error: offerError } = await loadOffer(userSupabase, id, offerId);
+
+    if (offerError) {
+      throw fromSupabaseError(offerError);
+    }
+
+    if (!offer || offer.buyer_id !== req.user.id) {
+      throw new NotFoundError('Offer not found');
+    }
+
+    if (!OPEN_STATUSES.includes(offer.status)) {
+      throw new BadRequestError(`Cannot withdraw an offer that is ${offer.status}`);
+    }
+
+    const { data: withdrawn, error } = await userSupabase
+      .from('offers')
+      .update({ status: 'withdrawn' })
+      .eq('id', offerId)
+      .in('status', OPEN_STATUSES)
+      .select()
+      .maybeSingle();
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    if (!withdrawn) {
+      throw new ConflictError('The offer changed in the meantime');
+    }
+
+    res.json({ message: 'Offer withdrawn successfully', offer: withdrawn });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
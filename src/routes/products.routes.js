@@ -1,108 +1,159 @@
 import express from 'express';
-import { body, query, validationResult } from 'express-validator';
+import { body, query } from 'express-validator';
 import { authenticateUser, optionalAuth } from '../middleware/auth.js';
-import { supabase, getSupabaseClient } from '../config/supabase.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { validate } from '../middleware/validate.js';
+import { validateMultipartBody } from '../middleware/openapi.js';
+import { requireSupabase } from '../middleware/data-store.js';
+import { cacheResponse, invalidateCache } from '../middleware/cache.js';
+import { uploadListingFile } from '../middleware/upload.js';
+import { fromSupabaseError, ValidationError, BadRequestError, ForbiddenError, NotFoundError, ConflictError, UnsupportedMediaTypeError } from '../errors/index.js';
+import { getSupabaseClient } from '../config/supabase.js';
+import { getRepositories } from '../repositories/index.js';
+import { resolveLocation } from '../geocoding/index.js';
+import {
+  statusUpdates,
+  assertStatusTransition,
+  activationFields,
+  checkPublishAt,
+  createListing,
+  productCreateRules,
+  getProductOrders,
+  validateProductAttributes,
+  summarizePriceHistory,
+  PRODUCT_SORTS,
+} from '../services/products.service.js';
+import {
+  paginationRules,
+  parsePage,
+  toPage,
+} from '../services/pagination.service.js';
+import {
+  findCategory,
+  getDescendantIds,
+  getAttributeSchema,
+} from '../services/categories.service.js';
+import { parseAttributeFilters } from '../services/attributes.service.js';
+import { recordProductView } from '../services/views.service.js';
+import { RECOMMENDATION_ORDERS, SIMILAR_DEFAULT_LIMIT } from '../services/recommendations.service.js';
+import {
+  detectListingFileFormat,
+  readListingFile,
+  importListings,
+  LISTING_FILE_FORMATS,
+} from '../services/bulk-listings.service.js';
+import { queueSavedSearchMatching } from '../jobs/saved-searches.job.js';
+import { queueWebhookEvent, queueListingUpdateEvents } from '../jobs/webhooks.job.js';
+import { queuePriceDropAlerts } from '../jobs/price-drops.job.js';
+import offersRoutes from './offers.routes.js';
+import imagesRoutes from './images.routes.js';
+import promotionsRoutes from './promotions.routes.js';
 
 const router = express.Router();
 
+const REPORT_REASONS = ['scam', 'prohibited', 'duplicate', 'wrong_category', 'offensive', 'other'];
+
+router.use('/:id/offers', requireSupabase, offersRoutes);
+router.use('/:id/images', imagesRoutes);
+router.use('/:id/promotions', requireSupabase, promotionsRoutes);
+
 router.post('/',
   authenticateUser,
-  [
-    body('title').trim().notEmpty().withMessage('Title is required'),
-    body('description').trim().notEmpty().withMessage('Description is required'),
-    body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-    body('category_id').isUUID().withMessage('Valid category ID is required'),
-    body('condition').isIn(['new', 'like_new', 'good', 'fair', 'poor']).withMessage('Invalid condition'),
-    body('location').trim().notEmpty().withMessage('Location is required'),
-    body('images').optional().isArray().withMessage('Images must be an array'),
-    body('status').optional().isIn(['draft', 'active']).withMessage('Invalid status'),
-  ],
-  async (req, res) => {
+  rateLimit('write'),
+  validate(productCreateRules()),
+  async (req, res, next) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+      const repositories = getRepositories(req.token);
+
+      const product = await createListing(repositories, req.user.id, req.body);
+
+      const fullProduct = await repositories.products.findById(product.id, { contact: true });
+
+      if (product.status === 'active') {
+        queueSavedSearchMatching(product.id);
       }
 
-      const { title, description, price, category_id, condition, location, images, status } = req.body;
+      queueWebhookEvent('product.created', product.id);
 
-      const userSupabase = getSupabaseClient(req.token);
+      await invalidateCache('products');
 
-      const { data: product, error: productError } = await userSupabase
-        .from('products')
-        .insert({
-          user_id: req.user.id,
-          title,
-          description,
-          price,
-          category_id,
-          condition,
-          location,
-          status: status || 'draft',
-        })
-        .select()
-        .single();
+      res.status(201).json({ message: 'Product created successfully', product: fullProduct });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      if (productError) {
-        return res.status(400).json({ error: productError.message });
+// Creates listings from a CSV or JSON file (see bulk-listings.service.js).
+// Each row is validated like POST /api/products and reported on separately,
+// so one bad row does not stop the rest. With dry_run=true nothing is written.
+router.post('/import',
+  authenticateUser,
+  rateLimit('import'),
+  uploadListingFile('file'),
+  validateMultipartBody,
+  validate([
+    query('dry_run').optional().isBoolean().withMessage('dry_run must be true or false'),
+  ]),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw new BadRequestError('A listings file is required in the `file` field');
       }
 
-      if (images && images.length > 0) {
-        const imageRecords = images.map((url, index) => ({
-          product_id: product.id,
-          image_url: url,
-          display_order: index,
-          is_primary: index === 0,
-        }));
-
-        const { error: imagesError } = await userSupabase
-          .from('product_images')
-          .insert(imageRecords);
+      const format = detectListingFileFormat(req.file);
 
-        if (imagesError) {
-          console.error('Error adding images:', imagesError);
-        }
+      if (!format) {
+        throw new UnsupportedMediaTypeError(`Listings files must be one of: ${LISTING_FILE_FORMATS.join(', ')}`);
       }
 
-      const { data: fullProduct } = await userSupabase
-        .from('products')
-        .select(`
-          *,
-          category:categories(*),
-          seller:profiles(*),
-          images:product_images(*)
-        `)
-        .eq('id', product.id)
-        .single();
+      const rows = readListingFile(req.file.buffer, format);
 
-      res.status(201).json({ message: 'Product created successfully', product: fullProduct });
+      const report = await importListings(getRepositories(req.token), req.user.id, rows, {
+        dryRun: req.query.dry_run === 'true',
+        onCreated: (product) => {
+          if (product.status === 'active') {
+            queueSavedSearchMatching(product.id);
+          }
+
+          queueWebhookEvent('product.created', product.id);
+        },
+      });
+
+      if (report.summary.created > 0) {
+        await invalidateCache('products');
+      }
+
+      res.json(report);
     } catch (error) {
-      console.error('Create product error:', error);
-      res.status(500).json({ error: 'Failed to create product' });
+      next(error);
     }
   }
 );
 
 router.get('/',
   authenticateUser,
-  [
+  rateLimit('browse'),
+  validate([
     query('category_id').optional().isUUID(),
     query('status').optional().isIn(['active', 'sold', 'draft', 'archived']),
     query('min_price').optional().isFloat({ min: 0 }),
     query('max_price').optional().isFloat({ min: 0 }),
     query('condition').optional().isIn(['new', 'like_new', 'good', 'fair', 'poor']),
-    query('search').optional().isString(),
+    query('search').optional().isString().trim(),
     query('user_id').optional().isUUID(),
-    query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('offset').optional().isInt({ min: 0 }),
-  ],
-  async (req, res) => {
+    query('lat').optional().isFloat({ min: -90, max: 90 }),
+    query('lng').optional().isFloat({ min: -180, max: 180 }),
+    query('radius_km').optional().isFloat({ gt: 0, max: 1000 }),
+    query('attributes').optional().isObject(),
+    query('sort').optional().isIn(PRODUCT_SORTS),
+    ...paginationRules(),
+  ]),
+  // Every signed-in caller gets the same page, except sellers listing their
+  // own products in any status.
+  cacheResponse('products', { bypass: (req) => req.query.user_id === req.user.id }),
+  async (req, res, next) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-      }
-
       const {
         category_id,
         status,
@@ -111,226 +162,457 @@ router.get('/',
         condition,
         search,
         user_id,
-        limit = 20,
-        offset = 0,
+        lat,
+        lng,
+        radius_km,
       } = req.query;
+      const hasOrigin = lat !== undefined && lng !== undefined;
 
-      let query = supabase
-        .from('products')
-        .select(`
-          *,
-          category:categories(*),
-          seller:profiles(id, full_name, location, avatar_url),
-          images:product_images(*)
-        `, { count: 'exact' });
-
-      if (!req.user || !user_id || user_id !== req.user.id) {
-        query = query.eq('status', 'active');
-      } else if (user_id && req.user && user_id === req.user.id) {
-        query = query.eq('user_id', user_id);
-        if (status) {
-          query = query.eq('status', status);
-        }
+      if ((lat !== undefined) !== (lng !== undefined)) {
+        throw new BadRequestError('lat and lng must be provided together');
       }
 
-      if (category_id) {
-        query = query.eq('category_id', category_id);
+      if (radius_km !== undefined && !hasOrigin) {
+        throw new BadRequestError('radius_km requires lat and lng');
       }
 
-      if (min_price) {
-        query = query.gte('price', min_price);
+      if (req.query.sort === 'distance' && !hasOrigin) {
+        throw new BadRequestError('Sorting by distance requires lat and lng');
       }
 
-      if (max_price) {
-        query = query.lte('price', max_price);
+      const sort = req.query.sort || (search ? 'relevance' : hasOrigin ? 'distance' : 'newest');
+      const { products: productsRepository, categories: categoriesRepository } = getRepositories(req.token);
+
+      let categoryIds = null;
+      let attributeFilters = { exact: null, ranges: null };
+
+      if (req.query.attributes && !category_id) {
+        throw new BadRequestError('Filtering by attributes requires category_id');
       }
 
-      if (condition) {
-        query = query.eq('condition', condition);
+      if (category_id) {
+        const categories = await categoriesRepository.list();
+
+        if (!findCategory(categories, category_id)) {
+          throw new NotFoundError('Category not found');
+        }
+
+        categoryIds = getDescendantIds(categories, category_id);
+
+        if (req.query.attributes) {
+          // Any attribute declared within the category subtree can be filtered on.
+          const schema = [
+            ...new Map(categoryIds
+              .flatMap((categoryId) => getAttributeSchema(categories, categoryId))
+              .map((definition) => [definition.key, definition]))
+              .values(),
+          ];
+
+          attributeFilters = parseAttributeFilters(schema, req.query.attributes);
+
+          if (attributeFilters.errors.length > 0) {
+            throw new ValidationError(attributeFilters.errors);
+          }
+        }
       }
 
-      if (search) {
-        query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%`);
+      const hasAttributeFilters = !!(attributeFilters.exact || attributeFilters.ranges);
+      const useSearch = !!(search || hasOrigin || hasAttributeFilters);
+      const page = parsePage(req.query, getProductOrders(sort, { computed: useSearch }));
+
+      const filters = {
+        filter_category_ids: categoryIds,
+        filter_condition: condition || null,
+        filter_min_price: min_price || null,
+        filter_max_price: max_price || null,
+        filter_status: 'active',
+        filter_user_id: null,
+        filter_attributes: attributeFilters.exact,
+        filter_attribute_ranges: attributeFilters.ranges,
+        origin_lat: hasOrigin ? parseFloat(lat) : null,
+        origin_lng: hasOrigin ? parseFloat(lng) : null,
+        radius_km: radius_km ? parseFloat(radius_km) : null,
+      };
+
+      if (req.user && user_id && user_id === req.user.id) {
+        filters.filter_user_id = user_id;
+        filters.filter_status = status || null;
       }
 
-      query = query
-        .order('created_at', { ascending: false })
-        .range(offset, offset + limit - 1);
+      let products;
+      let count;
+      let cursorFields;
+
+      // Ranking, distance and attribute filters are computed by the data store
+      // (search_products in Postgres); plain listings are browsed.
+      if (useSearch) {
+        const { matches, total } = await productsRepository.search(filters, { search: search || null, sort }, page);
+        const matchesById = new Map(matches.map((match) => [match.id, match]));
+
+        products = matches.map((match) => ({
+          ...match.product,
+          ...(search && {
+            search: {
+              rank: match.rank,
+              title: match.title_highlight,
+              description: match.description_highlight,
+            },
+          }),
+          ...(hasOrigin && { distance_km: Math.round(match.distance_km * 10) / 10 }),
+        }));
+        count = total;
+        // The cursor keeps the unrounded rank and distance the page was sorted by.
+        cursorFields = (product) => ({ ...product, ...matchesById.get(product.id) });
+      } else {
+        ({ rows: products, total: count } = await productsRepository.browse(filters, page));
+      }
 
-      const { data: products, error, count } = await query;
+      const facets = await productsRepository.facets(filters, { search: search || null });
 
-      if (error) {
-        return res.status(400).json({ error: error.message });
-      }
+      const { items, pagination } = toPage(products, page, { total: count, cursorFields });
 
       res.json({
-        products,
-        pagination: {
-          total: count,
-          limit: parseInt(limit),
-          offset: parseInt(offset),
-          hasMore: count > parseInt(offset) + parseInt(limit),
-        },
+        products: items,
+        facets,
+        sort,
+        pagination,
       });
     } catch (error) {
-      console.error('Get products error:', error);
-      res.status(500).json({ error: 'Failed to fetch products' });
+      next(error);
     }
   }
 );
 
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const { data: product, error } = await supabase
-      .from('products')
-      .select(`
-        *,
-        category:categories(*),
-        seller:profiles(id, full_name, location, avatar_url, phone, email),
-        images:product_images(*)
-      `)
-      .eq('id', id)
-      .maybeSingle();
-
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+    const { products } = getRepositories(req.token);
+
+    const product = await products.findById(id, { contact: !!req.user });
 
     if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+      throw new NotFoundError('Product not found');
     }
 
     if (product.status !== 'active' && (!req.user || product.user_id !== req.user.id)) {
-      return res.status(403).json({ error: 'Access denied' });
+      throw new ForbiddenError('Access denied');
     }
 
-    await supabase
-      .from('products')
-      .update({ views: product.views + 1 })
-      .eq('id', id);
-
-    res.json({ product: { ...product, views: product.views + 1 } });
+    const [views, priceHistory] = await Promise.all([
+      recordProductView(req, product),
+      products.priceHistory(id),
+    ]);
+
+    res.json({
+      product: {
+        ...product,
+        views: views ?? product.views,
+        price_history: summarizePriceHistory(product, priceHistory),
+      },
+    });
   } catch (error) {
-    console.error('Get product error:', error);
-    res.status(500).json({ error: 'Failed to fetch product' });
+    next(error);
   }
 });
 
+// Other active listings like this one, best match first. Needs the same
+// access to the listing as GET /:id.
+router.get('/:id/similar',
+  optionalAuth,
+  validate(paginationRules()),
+  // Signed-in callers never see their own listings here.
+  cacheResponse('products', { bypass: (req) => !!req.user }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const page = parsePage(req.query, RECOMMENDATION_ORDERS, { defaultLimit: SIMILAR_DEFAULT_LIMIT });
+
+      const { products } = getRepositories(req.token);
+
+      const product = await products.findById(id);
+
+      if (!product) {
+        throw new NotFoundError('Product not found');
+      }
+
+      if (product.status !== 'active' && (!req.user || product.user_id !== req.user.id)) {
+        throw new ForbiddenError('Access denied');
+      }
+
+      const { rows, total } = await products.similar(id, page);
+
+      const { items, pagination } = toPage(rows, page, { total });
+
+      res.json({ products: items, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 router.put('/:id',
   authenticateUser,
-  [
+  validate([
     body('title').optional().trim().notEmpty(),
     body('description').optional().trim().notEmpty(),
     body('price').optional().isFloat({ min: 0 }),
     body('category_id').optional().isUUID(),
     body('condition').optional().isIn(['new', 'like_new', 'good', 'fair', 'poor']),
     body('location').optional().trim().notEmpty(),
+    body('latitude').optional().isFloat({ min: -90, max: 90 }),
+    body('longitude').optional().isFloat({ min: -180, max: 180 }),
+    body('attributes').optional().isObject(),
     body('status').optional().isIn(['draft', 'active', 'sold', 'archived']),
-  ],
-  async (req, res) => {
+    body('publish_at').optional({ values: 'null' }).isISO8601().withMessage('publish_at must be an ISO 8601 date-time'),
+  ]),
+  async (req, res, next) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
-      }
-
       const { id } = req.params;
       const updates = req.body;
 
-      const userSupabase = getSupabaseClient(req.token);
+      const repositories = getRepositories(req.token);
+
+      const current = await repositories.products.findOwned(id, req.user.id);
+
+      if (!current) {
+        throw new NotFoundError('Product not found');
+      }
+
+      if (updates.status === current.status) {
+        delete updates.status;
+      }
+
+      checkPublishAt(updates.publish_at, updates.status || current.status);
+
+      if (updates.status) {
+        assertStatusTransition(current.status, updates.status);
+
+        if (updates.status === 'active') {
+          Object.assign(updates, activationFields());
+        } else if (updates.status !== 'draft') {
+          updates.publish_at = null;
+        }
+      }
+
+      // Attributes are replaced as a whole and must fit the schema of the
+      // category the product ends up in, so changing category re-checks them.
+      if (updates.attributes !== undefined || updates.category_id) {
+        const {
+          values: attributeValues,
+          errors: attributeErrors,
+        } = validateProductAttributes(
+          await repositories.categories.list(),
+          updates.category_id || current.category_id,
+          updates.attributes !== undefined ? updates.attributes : current.attributes,
+        );
+
+        if (attributeErrors.length > 0) {
+          throw new ValidationError(attributeErrors);
+        }
 
-      if (updates.status === 'sold' && !updates.sold_at) {
+        updates.attributes = attributeValues;
+      }
+
+      if (updates.location) {
+        Object.assign(updates, await resolveLocation(updates.location, {
+          latitude: updates.latitude,
+          longitude: updates.longitude,
+        }));
+      }
+
+      if (updates.status === 'sold') {
         updates.sold_at = new Date().toISOString();
       }
 
-      const { data: product, error } = await userSupabase
-        .from('products')
-        .update(updates)
-        .eq('id', id)
-        .eq('user_id', req.user.id)
-        .select(`
-          *,
-          category:categories(*),
-          seller:profiles(*),
-          images:product_images(*)
-        `)
-        .single();
+      const updated = await repositories.products.update(id, req.user.id, updates);
 
-      if (error) {
-        return res.status(400).json({ error: error.message });
+      if (!updated) {
+        throw new NotFoundError('Product not found');
+      }
+
+      const product = await repositories.products.findById(id, { contact: true });
+
+      if (product.status === 'active') {
+        queueSavedSearchMatching(product.id);
+      }
+
+      if (Number(product.price) < Number(current.price)) {
+        queuePriceDropAlerts(product.id, current.price);
       }
 
+      queueListingUpdateEvents(current, product);
+
+      await invalidateCache('products');
+
       res.json({ message: 'Product updated successfully', product });
     } catch (error) {
-      console.error('Update product error:', error);
-      res.status(500).json({ error: 'Failed to update product' });
+      next(error);
     }
   }
 );
 
-router.delete('/:id', authenticateUser, async (req, res) => {
+router.delete('/:id', authenticateUser, async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const userSupabase = getSupabaseClient(req.token);
+    await getRepositories(req.token).products.delete(id, req.user.id);
 
-    const { error } = await userSupabase
-      .from('products')
-      .delete()
-      .eq('id', id)
-      .eq('user_id', req.user.id);
-
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+    await invalidateCache('products');
 
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
-    console.error('Delete product error:', error);
-    res.status(500).json({ error: 'Failed to delete product' });
+    next(error);
   }
 });
 
 router.patch('/:id/status',
   authenticateUser,
-  [
+  validate([
     body('status').isIn(['draft', 'active', 'sold', 'archived']).withMessage('Invalid status'),
-  ],
-  async (req, res) => {
+    body('buyer_id').optional().isUUID().withMessage('Valid buyer ID is required'),
+  ]),
+  async (req, res, next) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+      const { id } = req.params;
+      const { status, buyer_id } = req.body;
+
+      const { products } = getRepositories(req.token);
+
+      if (buyer_id && status !== 'sold') {
+        throw new BadRequestError('buyer_id can only be set when marking a product sold');
       }
 
-      const { id } = req.params;
-      const { status } = req.body;
+      const current = await products.findOwned(id, req.user.id);
 
-      const userSupabase = getSupabaseClient(req.token);
+      if (!current) {
+        throw new NotFoundError('Product not found');
+      }
 
-      const updates = { status };
-      if (status === 'sold') {
-        updates.sold_at = new Date().toISOString();
+      assertStatusTransition(current.status, status);
+
+      // The buyer must have contacted the seller about this listing, which is
+      // what later entitles them to leave a review.
+      if (buyer_id) {
+        if (!(await products.buyerHasContacted(id, buyer_id))) {
+          throw new BadRequestError('Buyer has not contacted you about this product');
+        }
       }
 
-      const { data: product, error } = await userSupabase
+      const product = await products.update(id, req.user.id, statusUpdates(status, { buyerId: buyer_id }), {
+        from: current.status,
+      });
+
+      if (!product) {
+        throw new NotFoundError('Product not found');
+      }
+
+      if (status === 'active') {
+        queueSavedSearchMatching(id);
+      }
+
+      queueListingUpdateEvents(current, product);
+
+      await invalidateCache('products');
+
+      res.json({ message: 'Product status updated successfully', product });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Restarts the expiry clock of an active listing, or puts an archived one
+// (typically expired) back on the market.
+router.post('/:id/renew', authenticateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const { products } = getRepositories(req.token);
+
+    const current = await products.findOwned(id, req.user.id);
+
+    if (!current) {
+      throw new NotFoundError('Product not found');
+    }
+
+    if (!['active', 'archived'].includes(current.status)) {
+      throw new BadRequestError('Only active or archived listings can be renewed');
+    }
+
+    const product = await products.update(id, req.user.id, statusUpdates('active'), { from: current.status });
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    if (current.status !== 'active') {
+      queueSavedSearchMatching(id);
+    }
+
+    queueListingUpdateEvents(current, product);
+
+    await invalidateCache('products');
+
+    res.json({ message: 'Product renewed successfully', product });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/:id/report',
+  requireSupabase,
+  authenticateUser,
+  rateLimit('write'),
+  validate([
+    body('reason').isIn(REPORT_REASONS).withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+    body('details').optional().trim().isLength({ max: 2000 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { reason, details } = req.body;
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { data: product, error: productError } = await userSupabase
         .from('products')
-        .update(updates)
+        .select('id, user_id, status')
         .eq('id', id)
-        .eq('user_id', req.user.id)
+        .maybeSingle();
+
+      if (productError) {
+        throw fromSupabaseError(productError);
+      }
+
+      if (!product || (product.status !== 'active' && product.user_id !== req.user.id)) {
+        throw new NotFoundError('Product not found');
+      }
+
+      if (product.user_id === req.user.id) {
+        throw new BadRequestError('You cannot report your own listing');
+      }
+
+      const { data: report, error } = await userSupabase
+        .from('reports')
+        .insert({
+          product_id: id,
+          reporter_id: req.user.id,
+          reason,
+          details: details || '',
+        })
         .select()
         .single();
 
       if (error) {
-        return res.status(400).json({ error: error.message });
+        if (error.code === '23505') {
+          throw new ConflictError('You have already reported this product');
+        }
+        throw fromSupabaseError(error);
       }
 
-      res.json({ message: 'Product status updated successfully', product });
+      res.status(201).json({ message: 'Report submitted successfully', report });
     } catch (error) {
-      console.error('Update product status error:', error);
-      res.status(500).json({ error: 'Failed to update product status' });
+      next(error);
     }
   }
 );
@@ -1,122 +1,410 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import { authenticateUser } from '../middleware/auth.js';
+import { body, query } from 'express-validator';
+import { authenticateUser, optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { uploadImage } from '../middleware/upload.js';
+import { validate } from '../middleware/validate.js';
+import { validateMultipartBody } from '../middleware/openapi.js';
+import { requireSupabase } from '../middleware/data-store.js';
+import { cacheResponse, invalidateCache } from '../middleware/cache.js';
+import { fromSupabaseError, AuthenticationError, NotFoundError, ConflictError, UnsupportedMediaTypeError } from '../errors/index.js';
 import { supabase, getSupabaseClient } from '../config/supabase.js';
+import { repositories, getRepositories } from '../repositories/index.js';
+import { resolveLocation } from '../geocoding/index.js';
+import {
+  isSupportedImage,
+  storeImage,
+  removeStoredImage,
+  avatarPrefix,
+  isOwnAvatarPath,
+} from '../services/images.service.js';
+import {
+  paginationRules,
+  parsePage,
+  countOption,
+  applyPage,
+  toPage,
+  byNewest,
+} from '../services/pagination.service.js';
+import { resolveDateRange, summarizeListing } from '../services/analytics.service.js';
+import { formatListingFile, LISTING_FILE_FORMATS } from '../services/bulk-listings.service.js';
+import { ACCOUNT_DELETION_GRACE_DAYS } from '../jobs/account-deletion.job.js';
 
 const router = express.Router();
 
-router.get('/', authenticateUser, async (req, res) => {
-  try {
-    const userSupabase = getSupabaseClient(req.token);
-
-    const { data: profile, error } = await userSupabase
-      .from('profiles')
-      .select('*')
-      .eq('id', req.user.id)
-      .maybeSingle();
+// Columns callers may set through PUT /. The others (email, the avatar's
+// storage path, deletion dates) are written by the server only.
+const PROFILE_FIELDS = ['full_name', 'phone', 'location', 'latitude', 'longitude', 'avatar_url'];
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
-    }
+router.get('/', authenticateUser, async (req, res, next) => {
+  try {
+    const profile = await getRepositories(req.token).profiles.findById(req.user.id);
 
     res.json({ profile });
   } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({ error: 'Failed to fetch profile' });
+    next(error);
   }
 });
 
 router.put('/',
   authenticateUser,
-  [
+  uploadImage('avatar'),
+  validateMultipartBody,
+  validate([
     body('full_name').optional().trim().notEmpty(),
     body('phone').optional().trim(),
     body('location').optional().trim().notEmpty(),
+    body('latitude').optional().isFloat({ min: -90, max: 90 }),
+    body('longitude').optional().isFloat({ min: -180, max: 180 }),
     body('avatar_url').optional().isURL(),
-  ],
-  async (req, res) => {
+  ]),
+  async (req, res, next) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ errors: errors.array() });
+      const updates = Object.fromEntries(PROFILE_FIELDS
+        .filter((field) => req.body[field] !== undefined)
+        .map((field) => [field, req.body[field]]));
+      const { profiles } = getRepositories(req.token);
+
+      if (updates.location) {
+        Object.assign(updates, await resolveLocation(updates.location, {
+          latitude: updates.latitude,
+          longitude: updates.longitude,
+        }));
       }
 
-      const updates = req.body;
-      const userSupabase = getSupabaseClient(req.token);
+      let previousAvatarPath = null;
 
-      const { data: profile, error } = await userSupabase
-        .from('profiles')
-        .update(updates)
-        .eq('id', req.user.id)
-        .select()
-        .single();
+      if (req.file) {
+        if (!(await isSupportedImage(req.file.buffer))) {
+          throw new UnsupportedMediaTypeError('Avatar is not a valid image');
+        }
 
-      if (error) {
-        return res.status(400).json({ error: error.message });
+        const current = await profiles.findById(req.user.id);
+
+        previousAvatarPath = current?.avatar_storage_path;
+
+        const avatar = await storeImage(req.file.buffer, avatarPrefix(req.user.id), { maxSize: 512, thumbSize: 128 });
+        updates.avatar_url = avatar.image_url;
+        updates.avatar_storage_path = avatar.storage_path;
+      } else if (updates.avatar_url) {
+        updates.avatar_storage_path = null;
+      }
+
+      let profile;
+
+      try {
+        profile = await profiles.update(req.user.id, updates);
+
+        if (!profile) {
+          throw new NotFoundError('Profile not found');
+        }
+      } catch (error) {
+        if (req.file) {
+          await removeStoredImage(updates.avatar_storage_path);
+        }
+        throw error;
+      }
+
+      if (isOwnAvatarPath(req.user.id, previousAvatarPath)) {
+        removeStoredImage(previousAvatarPath).catch((storageError) => {
+          console.error('Error removing previous avatar:', storageError);
+        });
       }
 
+      // Listings show their seller's name and avatar.
+      await invalidateCache('profiles', 'products');
+
       res.json({ message: 'Profile updated successfully', profile });
     } catch (error) {
-      console.error('Update profile error:', error);
-      res.status(500).json({ error: 'Failed to update profile' });
+      next(error);
     }
   }
 );
 
-router.get('/listings', authenticateUser, async (req, res) => {
-  try {
-    const { status } = req.query;
-    const userSupabase = getSupabaseClient(req.token);
-
-    let query = userSupabase
-      .from('products')
-      .select(`
-        *,
-        category:categories(*),
-        images:product_images(*)
-      `)
-      .eq('user_id', req.user.id)
-      .order('created_at', { ascending: false });
-
-    if (status) {
-      query = query.eq('status', status);
+router.delete('/',
+  authenticateUser,
+  rateLimit('auth'),
+  validate([
+    body('password').notEmpty().withMessage('Password is required'),
+  ]),
+  async (req, res, next) => {
+    try {
+      if (!(await repositories.auth.verifyPassword(req.user.email, req.body.password))) {
+        throw new AuthenticationError('Password is incorrect');
+      }
+
+      const requestedAt = new Date();
+      const scheduledFor = new Date(requestedAt.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+      const profile = await getRepositories(req.token).profiles.requestDeletion(req.user.id, {
+        requestedAt: requestedAt.toISOString(),
+        scheduledFor: scheduledFor.toISOString(),
+      });
+
+      if (!profile) {
+        throw new ConflictError('Account deletion is already scheduled');
+      }
+
+      res.status(202).json({
+        message: 'Account deletion scheduled',
+        deletion_scheduled_for: profile.deletion_scheduled_for,
+      });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    const { data: products, error } = await query;
+router.post('/cancel-deletion', authenticateUser, async (req, res, next) => {
+  try {
+    const cancelled = await getRepositories(req.token).profiles.cancelDeletion(req.user.id);
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
+    if (!cancelled) {
+      throw new NotFoundError('No account deletion is scheduled');
     }
 
-    res.json({ products });
+    res.json({ message: 'Account deletion cancelled' });
   } catch (error) {
-    console.error('Get user listings error:', error);
-    res.status(500).json({ error: 'Failed to fetch user listings' });
+    next(error);
   }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/export', authenticateUser, async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const data = await getRepositories(req.token).profiles.exportData(req.user.id);
+
+    const exportedAt = new Date().toISOString();
+
+    res.set('Content-Disposition', `attachment; filename="account-export-${exportedAt.slice(0, 10)}.json"`);
+    res.json({
+      exported_at: exportedAt,
+      account: {
+        id: req.user.id,
+        email: req.user.email,
+        created_at: req.user.created_at,
+        last_sign_in_at: req.user.last_sign_in_at,
+      },
+      ...data,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/listings',
+  authenticateUser,
+  validate([
+    query('status').optional().isIn(['draft', 'active', 'sold', 'archived', 'removed']),
+    ...paginationRules(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { status } = req.query;
+      const page = parsePage(req.query, byNewest);
+
+      const { rows, total } = await getRepositories(req.token).products.browse({
+        filter_user_id: req.user.id,
+        filter_status: status || null,
+      }, page);
+
+      const { items: products, pagination } = toPage(rows, page, { total });
+
+      res.json({ products, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// The caller's listings as a file in the format POST /api/products/import
+// reads, so it can be edited and imported again.
+router.get('/listings/export',
+  authenticateUser,
+  validate([
+    query('format').optional().isIn(LISTING_FILE_FORMATS),
+    query('status').optional().isIn(['draft', 'active', 'sold', 'archived', 'removed']),
+  ]),
+  async (req, res, next) => {
+    try {
+      const format = req.query.format || 'csv';
+
+      const data = await getRepositories(req.token).products.listAllByUser(req.user.id, {
+        status: req.query.status,
+      });
+
+      const filename = `listings-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
 
-    const { data: profile, error } = await supabase
-      .from('profiles')
-      .select('id, full_name, location, avatar_url, created_at')
-      .eq('id', id)
-      .maybeSingle();
+      if (format === 'json') {
+        return res.json(formatListingFile(data, format));
+      }
 
-    if (error) {
-      return res.status(400).json({ error: error.message });
+      res.type('text/csv').send(formatListingFile(data, format));
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+router.get('/listings/analytics',
+  requireSupabase,
+  authenticateUser,
+  validate([
+    query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('from must be a date (YYYY-MM-DD)'),
+    query('to').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('to must be a date (YYYY-MM-DD)'),
+    query('product_id').optional().isUUID(),
+    ...paginationRules(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { from, to } = resolveDateRange(req.query);
+      const page = parsePage(req.query, byNewest);
+      const userSupabase = getSupabaseClient(req.token);
+
+      let listingsQuery = userSupabase
+        .from('products')
+        .select('id, title, status, created_at', countOption(page))
+        .eq('user_id', req.user.id);
+
+      if (req.query.product_id) {
+        listingsQuery = listingsQuery.eq('id', req.query.product_id);
+      }
+
+      const { data, error, count } = await applyPage(listingsQuery, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      if (req.query.product_id && data.length === 0) {
+        throw new NotFoundError('Product not found');
+      }
+
+      const { items: products, pagination } = toPage(data, page, { total: count });
+
+      const { data: stats, error: statsError } = await userSupabase.rpc('listing_daily_stats', {
+        product_ids: products.map((product) => product.id),
+        from_date: from,
+        to_date: to,
+      });
+
+      if (statsError) {
+        throw fromSupabaseError(statsError);
+      }
+
+      const dailyById = new Map(stats.map((row) => [row.product_id, row.daily]));
+
+      res.json({
+        from,
+        to,
+        listings: products.map((product) => summarizeListing(product, dailyById.get(product.id) || [])),
+        pagination,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/offers',
+  requireSupabase,
+  authenticateUser,
+  validate([
+    query('type').optional().isIn(['sent', 'received']).withMessage('Type must be sent or received'),
+    query('status').optional().isIn(['pending', 'countered', 'accepted', 'rejected', 'declined', 'withdrawn']),
+    ...paginationRules(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { type = 'sent', status } = req.query;
+      const page = parsePage(req.query, byNewest);
+      const userSupabase = getSupabaseClient(req.token);
+
+      let offersQuery = userSupabase
+        .from('offers')
+        .select(`
+          *,
+          product:products(id, title, price, status, images:product_images(*)),
+          buyer:profiles!offers_buyer_id_fkey(id, full_name, avatar_url),
+          seller:profiles!offers_seller_id_fkey(id, full_name, avatar_url)
+        `, countOption(page))
+        .eq(type === 'sent' ? 'buyer_id' : 'seller_id', req.user.id);
+
+      if (status) {
+        offersQuery = offersQuery.eq('status', status);
+      }
+
+      const { data, error, count } = await applyPage(offersQuery, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      const { items: offers, pagination } = toPage(data, page, { total: count });
+
+      res.json({ offers, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/:id/reviews',
+  requireSupabase,
+  validate(paginationRules()),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const page = parsePage(req.query, byNewest);
+
+      const reviewsQuery = supabase
+        .from('reviews')
+        .select(`
+          *,
+          reviewer:profiles!reviews_reviewer_id_fkey(id, full_name, avatar_url)
+        `, countOption(page))
+        .eq('seller_id', id);
+
+      const { data, error, count } = await applyPage(reviewsQuery, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      const { items: reviews, pagination } = toPage(data, page, { total: count });
+
+      res.json({ reviews, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Profiles are only visible to signed-in callers, who all get the same one.
+router.get('/:id', optionalAuth, cacheResponse('profiles'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { profiles } = getRepositories(req.token);
+
+    const profile = await profiles.findPublic(id);
 
     if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+      throw new NotFoundError('Profile not found');
     }
 
-    res.json({ profile });
+    const stats = await profiles.sellerStats(id);
+
+    res.json({
+      profile: {
+        ...profile,
+        member_since: profile.created_at,
+        average_rating: stats.average_rating !== null ? Number(stats.average_rating) : null,
+        review_count: stats.review_count,
+        completed_sales: stats.completed_sales,
+      },
+    });
   } catch (error) {
-    console.error('Get public profile error:', error);
-    res.status(500).json({ error: 'Failed to fetch profile' });
+    next(error);
   }
 });
 
@@ -0,0 +1,107 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { authenticateUser } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { validate } from '../middleware/validate.js';
+import { invalidateCache } from '../middleware/cache.js';
+import { fromSupabaseError, BadRequestError, NotFoundError } from '../errors/index.js';
+import { getSupabaseClient } from '../config/supabase.js';
+import {
+  purchasePromotion,
+  PROMOTION_TYPES,
+  PROMOTION_MAX_DAYS,
+} from '../services/promotions.service.js';
+import {
+  paginationRules,
+  parsePage,
+  countOption,
+  applyPage,
+  toPage,
+  byNewest,
+} from '../services/pagination.service.js';
+
+// Mounted under /api/products/:id/promotions, so req.params.id is the product ID.
+const router = express.Router({ mergeParams: true });
+
+router.post('/',
+  authenticateUser,
+  rateLimit('write'),
+  validate([
+    body('type').isIn(PROMOTION_TYPES).withMessage(`Type must be one of: ${PROMOTION_TYPES.join(', ')}`),
+    body('days').isInt({ min: 1, max: PROMOTION_MAX_DAYS }).withMessage(`Days must be between 1 and ${PROMOTION_MAX_DAYS}`),
+    body('payment_token').optional().isString().notEmpty().withMessage('Invalid payment token'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { type, days, payment_token } = req.body;
+
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { data: product, error: productError } = await userSupabase
+        .from('products')
+        .select('id, title, status')
+        .eq('id', id)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+
+      if (productError) {
+        throw fromSupabaseError(productError);
+      }
+
+      if (!product) {
+        throw new NotFoundError('Product not found');
+      }
+
+      if (product.status !== 'active') {
+        throw new BadRequestError('Only active listings can be promoted');
+      }
+
+      const promotion = await purchasePromotion({
+        product,
+        userId: req.user.id,
+        type,
+        days: parseInt(days),
+        source: payment_token,
+      });
+
+      await invalidateCache('products');
+
+      res.status(201).json({ message: 'Promotion purchased successfully', promotion });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/',
+  authenticateUser,
+  validate(paginationRules()),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const page = parsePage(req.query, byNewest);
+      const userSupabase = getSupabaseClient(req.token);
+
+      // RLS limits the ledger to the caller's own purchases.
+      const promotionsQuery = userSupabase
+        .from('promotions')
+        .select('*', countOption(page))
+        .eq('product_id', id);
+
+      const { data, error, count } = await applyPage(promotionsQuery, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      const { items: promotions, pagination } = toPage(data, page, { total: count });
+
+      res.json({ promotions, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,116 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { authenticateUser } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { validate } from '../middleware/validate.js';
+import { invalidateCache } from '../middleware/cache.js';
+import { fromSupabaseError, BadRequestError, ForbiddenError, NotFoundError, ConflictError } from '../errors/index.js';
+import { getSupabaseClient } from '../config/supabase.js';
+
+const router = express.Router();
+
+router.post('/',
+  authenticateUser,
+  rateLimit('write'),
+  validate([
+    body('product_id').isUUID().withMessage('Valid product ID is required'),
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be an integer from 1 to 5'),
+    body('comment').optional().trim().isLength({ max: 2000 }),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { product_id, rating, comment } = req.body;
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { data: product, error: productError } = await userSupabase
+        .from('products')
+        .select('id, user_id, status, buyer_id')
+        .eq('id', product_id)
+        .maybeSingle();
+
+      if (productError) {
+        throw fromSupabaseError(productError);
+      }
+
+      if (!product || product.status !== 'sold' || product.buyer_id !== req.user.id) {
+        throw new ForbiddenError('Only the buyer of a sold product can review it');
+      }
+
+      const { data: review, error } = await userSupabase
+        .from('reviews')
+        .insert({
+          product_id,
+          reviewer_id: req.user.id,
+          seller_id: product.user_id,
+          rating,
+          comment: comment || '',
+        })
+        .select()
+        .single();
+
+      if (error) {
+        if (error.code === '23505') {
+          throw new ConflictError('You have already reviewed this purchase');
+        }
+        throw fromSupabaseError(error);
+      }
+
+      // Reviews feed the seller stats shown on their profile.
+      await invalidateCache('products', 'profiles');
+
+      res.status(201).json({ message: 'Review submitted successfully', review });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/:id/reply',
+  authenticateUser,
+  validate([
+    body('reply').trim().isLength({ min: 1, max: 2000 }).withMessage('Reply must be 1-2000 characters'),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { data: existing, error: existingError } = await userSupabase
+        .from('reviews')
+        .select('id, seller_id, reply')
+        .eq('id', id)
+        .maybeSingle();
+
+      if (existingError) {
+        throw fromSupabaseError(existingError);
+      }
+
+      if (!existing || existing.seller_id !== req.user.id) {
+        throw new NotFoundError('Review not found');
+      }
+
+      if (existing.reply) {
+        throw new BadRequestError('You have already replied to this review');
+      }
+
+      const { data: review, error } = await userSupabase
+        .from('reviews')
+        .update({ reply: req.body.reply, replied_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      await invalidateCache('products', 'profiles');
+
+      res.json({ message: 'Reply posted successfully', review });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,253 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { authenticateUser } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { validate } from '../middleware/validate.js';
+import { fromSupabaseError, BadRequestError, NotFoundError } from '../errors/index.js';
+import { getSupabaseClient } from '../config/supabase.js';
+import {
+  paginationRules,
+  parsePage,
+  countOption,
+  applyPage,
+  toPage,
+  byNewest,
+} from '../services/pagination.service.js';
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 25;
+
+const CRITERIA = ['category_id', 'min_price', 'max_price', 'condition', 'search'];
+
+const SAVED_SEARCH_SELECT = `
+  *,
+  category:categories(id, name, slug)
+`;
+
+// null clears a criterion on update
+const criteriaValidators = [
+  body('category_id').optional({ values: 'null' }).isUUID().withMessage('Valid category ID is required'),
+  body('min_price').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('min_price must be a positive number'),
+  body('max_price').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('max_price must be a positive number'),
+  body('condition').optional({ values: 'null' }).isIn(['new', 'like_new', 'good', 'fair', 'poor']).withMessage('Invalid condition'),
+  body('search').optional({ values: 'null' }).trim().isLength({ min: 1, max: 200 }).withMessage('Search must be 1-200 characters'),
+  body('notify_email').optional().isBoolean().withMessage('notify_email must be true or false').toBoolean(),
+];
+
+const checkCriteria = (search) => {
+  if (CRITERIA.every((field) => search[field] === undefined || search[field] === null)) {
+    return 'A saved search needs at least one of: category_id, min_price, max_price, condition, search';
+  }
+
+  if (search.min_price != null && search.max_price != null
+    && parseFloat(search.min_price) > parseFloat(search.max_price)) {
+    return 'min_price cannot be greater than max_price';
+  }
+
+  return null;
+};
+
+router.get('/',
+  authenticateUser,
+  validate(paginationRules()),
+  async (req, res, next) => {
+    try {
+      // Users are capped at MAX_SAVED_SEARCHES, so by default they all fit on
+      // one page.
+      const page = parsePage(req.query, byNewest, { defaultLimit: MAX_SAVED_SEARCHES });
+      const userSupabase = getSupabaseClient(req.token);
+
+      const savedSearchesQuery = userSupabase
+        .from('saved_searches')
+        .select(SAVED_SEARCH_SELECT, countOption(page))
+        .eq('user_id', req.user.id);
+
+      const { data, error, count } = await applyPage(savedSearchesQuery, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      const { items: savedSearches, pagination } = toPage(data, page, { total: count });
+
+      res.json({ saved_searches: savedSearches, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.post('/',
+  authenticateUser,
+  rateLimit('write'),
+  validate([
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    ...criteriaValidators,
+  ]),
+  async (req, res, next) => {
+    try {
+      const criteriaError = checkCriteria(req.body);
+      if (criteriaError) {
+        throw new BadRequestError(criteriaError);
+      }
+
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { count, error: countError } = await userSupabase
+        .from('saved_searches')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', req.user.id);
+
+      if (countError) {
+        throw fromSupabaseError(countError);
+      }
+
+      if (count >= MAX_SAVED_SEARCHES) {
+        throw new BadRequestError(`You can keep at most ${MAX_SAVED_SEARCHES} saved searches`);
+      }
+
+      const { name, category_id, min_price, max_price, condition, search, notify_email } = req.body;
+
+      const { data: savedSearch, error } = await userSupabase
+        .from('saved_searches')
+        .insert({
+          user_id: req.user.id,
+          name,
+          category_id,
+          min_price,
+          max_price,
+          condition,
+          search,
+          notify_email: notify_email || false,
+        })
+        .select(SAVED_SEARCH_SELECT)
+        .single();
+
+      if (error) {
+        if (error.code === '23503') {
+          throw new BadRequestError('Category not found');
+        }
+        throw fromSupabaseError(error);
+      }
+
+      res.status(201).json({ message: 'Saved search created successfully', saved_search: savedSearch });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/:id', authenticateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userSupabase = getSupabaseClient(req.token);
+
+    const { data: savedSearch, error } = await userSupabase
+      .from('saved_searches')
+      .select(SAVED_SEARCH_SELECT)
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    if (!savedSearch) {
+      throw new NotFoundError('Saved search not found');
+    }
+
+    res.json({ saved_search: savedSearch });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id',
+  authenticateUser,
+  validate([
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    ...criteriaValidators,
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { data: current, error: currentError } = await userSupabase
+        .from('saved_searches')
+        .select('*')
+        .eq('id', id)
+        .eq('user_id', req.user.id)
+        .maybeSingle();
+
+      if (currentError) {
+        throw fromSupabaseError(currentError);
+      }
+
+      if (!current) {
+        throw new NotFoundError('Saved search not found');
+      }
+
+      const updates = {};
+      ['name', ...CRITERIA, 'notify_email'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      });
+
+      const criteriaError = checkCriteria({ ...current, ...updates });
+      if (criteriaError) {
+        throw new BadRequestError(criteriaError);
+      }
+
+      const { data: savedSearch, error } = await userSupabase
+        .from('saved_searches')
+        .update(updates)
+        .eq('id', id)
+        .eq('user_id', req.user.id)
+        .select(SAVED_SEARCH_SELECT)
+        .single();
+
+      if (error) {
+        if (error.code === '23503') {
+          throw new BadRequestError('Category not found');
+        }
+        throw fromSupabaseError(error, 'Saved search not found');
+      }
+
+      res.json({ message: 'Saved search updated successfully', saved_search: savedSearch });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.delete('/:id', authenticateUser, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userSupabase = getSupabaseClient(req.token);
+
+    const { data: deleted, error } = await userSupabase
+      .from('saved_searches')
+      .delete()
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    if (deleted.length === 0) {
+      throw new NotFoundError('Saved search not found');
+    }
+
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,320 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import { authenticateUser } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rate-limit.js';
+import { validate } from '../middleware/validate.js';
+import { fromSupabaseError, BadRequestError, ForbiddenError, NotFoundError } from '../errors/index.js';
+import { getSupabaseClient } from '../config/supabase.js';
+import {
+  paginationRules,
+  parsePage,
+  countOption,
+  applyPage,
+  toPage,
+  byNewest,
+} from '../services/pagination.service.js';
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_SCOPES,
+  WEBHOOK_DELIVERY_STATUSES,
+  WEBHOOK_ENDPOINT_COLUMNS,
+  MAX_WEBHOOK_ENDPOINTS,
+  generateWebhookSecret,
+  isAllowedWebhookUrl,
+} from '../services/webhooks.service.js';
+import { redeliverWebhook } from '../jobs/webhooks.job.js';
+
+const router = express.Router();
+
+const endpointValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('A valid http(s) URL is required'),
+    field('events').isArray({ min: 1 }).withMessage('events must be a non-empty array'),
+    body('events.*').isIn(WEBHOOK_EVENTS).withMessage(`Events must be among: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be at most 200 characters'),
+    body('scope').optional().isIn(WEBHOOK_SCOPES).withMessage(`Scope must be one of: ${WEBHOOK_SCOPES.join(', ')}`),
+  ];
+};
+
+// Endpoints with scope 'all' receive events about every listing.
+const checkEndpoint = ({ url, scope }, user) => {
+  if (url && !isAllowedWebhookUrl(url)) {
+    throw new BadRequestError('Webhook URLs cannot point to local or private addresses');
+  }
+
+  if (scope === 'all' && user.role !== 'admin') {
+    throw new ForbiddenError('Only admins can receive events for all listings');
+  }
+};
+
+const findEndpoint = async (userSupabase, id, userId) => {
+  const { data: endpoint, error } = await userSupabase
+    .from('webhook_endpoints')
+    .select(WEBHOOK_ENDPOINT_COLUMNS)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw fromSupabaseError(error);
+  }
+
+  if (!endpoint) {
+    throw new NotFoundError('Webhook not found');
+  }
+
+  return endpoint;
+};
+
+router.get('/',
+  authenticateUser,
+  validate(paginationRules()),
+  async (req, res, next) => {
+    try {
+      // Users are capped at MAX_WEBHOOK_ENDPOINTS, so by default they all fit
+      // on one page.
+      const page = parsePage(req.query, byNewest, { defaultLimit: MAX_WEBHOOK_ENDPOINTS });
+      const userSupabase = getSupabaseClient(req.token);
+
+      const webhooksQuery = userSupabase
+        .from('webhook_endpoints')
+        .select(WEBHOOK_ENDPOINT_COLUMNS, countOption(page))
+        .eq('user_id', req.user.id);
+
+      const { data, error, count } = await applyPage(webhooksQuery, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      const { items: webhooks, pagination } = toPage(data, page, { total: count });
+
+      res.json({ webhooks, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// The signing secret is generated here and only returned in this response.
+router.post('/',
+  authenticateUser,
+  rateLimit('write'),
+  validate(endpointValidators(false)),
+  async (req, res, next) => {
+    try {
+      const { url, events, description, scope = 'own' } = req.body;
+
+      checkEndpoint({ url, scope }, req.user);
+
+      const userSupabase = getSupabaseClient(req.token);
+
+      const { count, error: countError } = await userSupabase
+        .from('webhook_endpoints')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', req.user.id);
+
+      if (countError) {
+        throw fromSupabaseError(countError);
+      }
+
+      if (count >= MAX_WEBHOOK_ENDPOINTS) {
+        throw new BadRequestError(`You can register at most ${MAX_WEBHOOK_ENDPOINTS} webhooks`);
+      }
+
+      const secret = generateWebhookSecret();
+
+      const { data: webhook, error } = await userSupabase
+        .from('webhook_endpoints')
+        .insert({
+          user_id: req.user.id,
+          url,
+          events: [...new Set(events)],
+          description: description || '',
+          scope,
+          secret,
+        })
+        .select(WEBHOOK_ENDPOINT_COLUMNS)
+        .single();
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      res.status(201).json({ message: 'Webhook created successfully', webhook: { ...webhook, secret } });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/:id', authenticateUser, async (req, res, next) => {
+  try {
+    const webhook = await findEndpoint(getSupabaseClient(req.token), req.params.id, req.user.id);
+
+    res.json({ webhook });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put('/:id',
+  authenticateUser,
+  validate([
+    ...endpointValidators(true),
+    body('active').optional().isBoolean().withMessage('active must be true or false').toBoolean(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      checkEndpoint(req.body, req.user);
+
+      const updates = {};
+      ['url', 'events', 'description', 'scope', 'active'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      });
+
+      if (updates.events) {
+        updates.events = [...new Set(updates.events)];
+      }
+
+      const { data: webhook, error } = await getSupabaseClient(req.token)
+        .from('webhook_endpoints')
+        .update(updates)
+        .eq('id', id)
+        .eq('user_id', req.user.id)
+        .select(WEBHOOK_ENDPOINT_COLUMNS)
+        .single();
+
+      if (error) {
+        throw fromSupabaseError(error, 'Webhook not found');
+      }
+
+      res.json({ message: 'Webhook updated successfully', webhook });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Deleting an endpoint deletes its delivery log too.
+router.delete('/:id', authenticateUser, async (req, res, next) => {
+  try {
+    const { data: deleted, error } = await getSupabaseClient(req.token)
+      .from('webhook_endpoints')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      throw fromSupabaseError(error);
+    }
+
+    if (deleted.length === 0) {
+      throw new NotFoundError('Webhook not found');
+    }
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id/deliveries',
+  authenticateUser,
+  validate([
+    query('status').optional().isIn(WEBHOOK_DELIVERY_STATUSES),
+    query('event').optional().isIn(WEBHOOK_EVENTS),
+    ...paginationRules(),
+  ]),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { status, event } = req.query;
+      const page = parsePage(req.query, byNewest);
+      const userSupabase = getSupabaseClient(req.token);
+
+      await findEndpoint(userSupabase, id, req.user.id);
+
+      let deliveriesQuery = userSupabase
+        .from('webhook_deliveries')
+        .select('*', countOption(page))
+        .eq('endpoint_id', id);
+
+      if (status) {
+        deliveriesQuery = deliveriesQuery.eq('status', status);
+      }
+
+      if (event) {
+        deliveriesQuery = deliveriesQuery.eq('event', event);
+      }
+
+      const { data, error, count } = await applyPage(deliveriesQuery, page);
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      const { items: deliveries, pagination } = toPage(data, page, { total: count });
+
+      res.json({ deliveries, pagination });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Queues a new delivery with the payload of a logged one, e.g. after the
+// receiver was fixed. The new delivery is sent right after the response and
+// retried like any other.
+router.post('/:id/deliveries/:deliveryId/redeliver',
+  authenticateUser,
+  rateLimit('write'),
+  async (req, res, next) => {
+    try {
+      const { id, deliveryId } = req.params;
+      const userSupabase = getSupabaseClient(req.token);
+
+      const endpoint = await findEndpoint(userSupabase, id, req.user.id);
+
+      if (!endpoint.active) {
+        throw new BadRequestError('Activate the webhook before redelivering');
+      }
+
+      const { data: original, error } = await userSupabase
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('id', deliveryId)
+        .eq('endpoint_id', id)
+        .maybeSingle();
+
+      if (error) {
+        throw fromSupabaseError(error);
+      }
+
+      if (!original) {
+        throw new NotFoundError('Delivery not found');
+      }
+
+      let delivery;
+
+      try {
+        delivery = await redeliverWebhook(original);
+      } catch (redeliverError) {
+        throw fromSupabaseError(redeliverError);
+      }
+
+      res.status(202).json({ message: 'Redelivery queued', delivery });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
@@ -1,60 +1,13 @@
-import express from 'express';
-import cors from 'cors';
-import helmet from 'helmet';
 import dotenv from 'dotenv';
-
-import authRoutes from './routes/auth.routes.js';
-import productsRoutes from './routes/products.routes.js';
-import categoriesRoutes from './routes/categories.routes.js';
-import profileRoutes from './routes/profile.routes.js';
-import favoritesRoutes from './routes/favorites.routes.js';
+import app from './app.js';
+import { startScheduler } from './jobs/scheduler.js';
 
 dotenv.config();
 
-const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(helmet());
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-
-app.get('/', (req, res) => {
-  res.json({
-    message: 'OLX-like Marketplace API',
-    version: '1.0.0',
-    endpoints: {
-      auth: '/api/auth',
-      products: '/api/products',
-      categories: '/api/categories',
-      profile: '/api/profile',
-      favorites: '/api/favorites',
-    },
-  });
-});
-
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
-
-app.use('/api/auth', authRoutes);
-app.use('/api/products', productsRoutes);
-app.use('/api/categories', categoriesRoutes);
-app.use('/api/profile', profileRoutes);
-app.use('/api/favorites', favoritesRoutes);
-
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
-
-app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(500).json({ error: 'Internal server error' });
-});
-
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  startScheduler();
 });
-
-export default app;
@@ -0,0 +1,38 @@
+import { BadRequestError } from '../errors/index.js';
+
+export const ANALYTICS_DEFAULT_DAYS = 30;
+export const ANALYTICS_MAX_DAYS = 90;
+
+export const ANALYTICS_METRICS = ['views', 'favorites', 'contacts', 'messages'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Resolves the inclusive UTC date range of a stats request. Without `to` the
+// range ends today; without `from` it covers the default number of days.
+export const resolveDateRange = ({ from, to }) => {
+  const end = to || toDate(Date.now());
+  const start = from || toDate(Date.parse(end) - (ANALYTICS_DEFAULT_DAYS - 1) * DAY_MS);
+  const days = (Date.parse(end) - Date.parse(start)) / DAY_MS + 1;
+
+  if (days < 1) {
+    throw new BadRequestError('from must not be after to');
+  }
+
+  if (days > ANALYTICS_MAX_DAYS) {
+    throw new BadRequestError(`The date range can cover at most ${ANALYTICS_MAX_DAYS} days`);
+  }
+
+  return { from: start, to: end };
+};
+
+// Adds per-metric totals to the daily series of a listing.
+export const summarizeListing = (product, daily) => ({
+  product,
+  totals: Object.fromEntries(ANALYTICS_METRICS.map((metric) => [
+    metric,
+    daily.reduce((sum, day) => sum + day[metric], 0),
+  ])),
+  daily,
+});
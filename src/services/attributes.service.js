@@ -0,0 +1,190 @@
+// Errors use the same shape as express-validator so routes can pass them
+// straight to ValidationError.
+const fieldError = (location, path, value, msg) => ({
+  type: 'field',
+  value,
+  msg,
+  path,
+  location,
+});
+
+const coerce = (definition, value) => {
+  switch (definition.type) {
+    case 'integer':
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      if (value === '' || value === null || Number.isNaN(number)) {
+        return { error: 'must be a number' };
+      }
+      if (definition.type === 'integer' && !Number.isInteger(number)) {
+        return { error: 'must be an integer' };
+      }
+      if (definition.min !== undefined && number < definition.min) {
+        return { error: `must be at least ${definition.min}` };
+      }
+      if (definition.max !== undefined && number > definition.max) {
+        return { error: `must be at most ${definition.max}` };
+      }
+      return { value: number };
+    }
+    case 'boolean':
+      if (value === true || value === 'true') {
+        return { value: true };
+      }
+      if (value === false || value === 'false') {
+        return { value: false };
+      }
+      return { error: 'must be true or false' };
+    case 'enum':
+      if (!(definition.options || []).includes(value)) {
+        return { error: `must be one of: ${(definition.options || []).join(', ')}` };
+      }
+      return { value };
+    case 'string':
+    default:
+      if (typeof value !== 'string' || value.trim() === '') {
+        return { error: 'must be a non-empty string' };
+      }
+      return { value: value.trim() };
+  }
+};
+
+export const validateAttributes = (schema, input = {}) => {
+  const errors = [];
+  const values = {};
+
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    return { values, errors: [fieldError('body', 'attributes', input, 'Attributes must be an object')] };
+  }
+
+  const definitions = new Map(schema.map((definition) => [definition.key, definition]));
+
+  Object.keys(input).forEach((key) => {
+    if (!definitions.has(key)) {
+      errors.push(fieldError('body', `attributes.${key}`, input[key], `Unknown attribute for this category: ${key}`));
+    }
+  });
+
+  definitions.forEach((definition, key) => {
+    const value = input[key];
+
+    if (value === undefined || value === null || value === '') {
+      if (definition.required) {
+        errors.push(fieldError('body', `attributes.${key}`, value, `${definition.label || key} is required`));
+      }
+      return;
+    }
+
+    const result = coerce(definition, value);
+    if (result.error) {
+      errors.push(fieldError('body', `attributes.${key}`, value, `${definition.label || key} ${result.error}`));
+    } else {
+      values[key] = result.value;
+    }
+  });
+
+  return { values, errors };
+};
+
+// Turns ?attributes[fuel]=diesel&attributes[year][min]=2015 into exact-match
+// and numeric-range filters for search_products.
+export const parseAttributeFilters = (schema, input = {}) => {
+  const errors = [];
+  const exact = {};
+  const ranges = {};
+  const definitions = new Map(schema.map((definition) => [definition.key, definition]));
+
+  Object.entries(input).forEach(([key, raw]) => {
+    const definition = definitions.get(key);
+    const path = `attributes.${key}`;
+
+    if (!definition) {
+      errors.push(fieldError('query', path, raw, `Unknown attribute for this category: ${key}`));
+      return;
+    }
+
+    if (raw !== null && typeof raw === 'object') {
+      if (!['number', 'integer'].includes(definition.type)) {
+        errors.push(fieldError('query', path, raw, `${definition.label || key} does not support ranges`));
+        return;
+      }
+
+      const bounds = {};
+      ['min', 'max'].forEach((bound) => {
+        if (raw[bound] === undefined) {
+          return;
+        }
+        const number = Number(raw[bound]);
+        if (raw[bound] === '' || Number.isNaN(number)) {
+          errors.push(fieldError('query', `${path}.${bound}`, raw[bound], `${bound} must be a number`));
+        } else {
+          bounds[bound] = number;
+        }
+      });
+
+      if (Object.keys(bounds).length > 0) {
+        ranges[key] = bounds;
+      }
+      return;
+    }
+
+    const result = coerce({ ...definition, min: undefined, max: undefined }, raw);
+    if (result.error) {
+      errors.push(fieldError('query', path, raw, `${definition.label || key} ${result.error}`));
+    } else {
+      exact[key] = result.value;
+    }
+  });
+
+  return {
+    exact: Object.keys(exact).length > 0 ? exact : null,
+    ranges: Object.keys(ranges).length > 0 ? ranges : null,
+    errors,
+  };
+};
+
+const ATTRIBUTE_TYPES = ['string', 'number', 'integer', 'boolean', 'enum'];
+
+// Checks the attribute definitions an admin stores on a category.
+export const validateAttributeSchema = (schema) => {
+  const errors = [];
+  const keys = new Set();
+
+  if (!Array.isArray(schema)) {
+    return [fieldError('body', 'attribute_schema', schema, 'Attribute schema must be an array')];
+  }
+
+  schema.forEach((definition, index) => {
+    const path = `attribute_schema[${index}]`;
+
+    if (!definition || typeof definition !== 'object') {
+      errors.push(fieldError('body', path, definition, 'Attribute definition must be an object'));
+      return;
+    }
+
+    if (typeof definition.key !== 'string' || !/^[a-z][a-z0-9_]*$/.test(definition.key)) {
+      errors.push(fieldError('body', `${path}.key`, definition.key, 'Key must be snake_case'));
+    } else if (keys.has(definition.key)) {
+      errors.push(fieldError('body', `${path}.key`, definition.key, `Duplicate attribute key: ${definition.key}`));
+    } else {
+      keys.add(definition.key);
+    }
+
+    if (!ATTRIBUTE_TYPES.includes(definition.type)) {
+      errors.push(fieldError('body', `${path}.type`, definition.type, `Type must be one of: ${ATTRIBUTE_TYPES.join(', ')}`));
+    }
+
+    if (definition.type === 'enum'
+      && (!Array.isArray(definition.options) || definition.options.length === 0)) {
+      errors.push(fieldError('body', `${path}.options`, definition.options, 'Enum attributes need a non-empty options array'));
+    }
+
+    ['min', 'max'].forEach((bound) => {
+      if (definition[bound] !== undefined && typeof definition[bound] !== 'number') {
+        errors.push(fieldError('body', `${path}.${bound}`, definition[bound], `${bound} must be a number`));
+      }
+    });
+  });
+
+  return errors;
+};
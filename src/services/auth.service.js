@@ -0,0 +1,9 @@
+import { createAuthClient } from '../config/supabase.js';
+
+// Signs in on a throwaway client to check a password. The caller gets that
+// client back, holding the new session, so it can act as the user.
+export const verifyPassword = async (email, password) => {
+  const authClient = createAuthClient();
+  const { data, error } = await authClient.auth.signInWithPassword({ email, password });
+  return { authClient, session: data.session, error };
+};
@@ -0,0 +1,297 @@
+import path from 'path';
+import { validationResult } from 'express-validator';
+import { parseCsv, toCsv } from './csv.service.js';
+import { findCategory } from './categories.service.js';
+import { productCreateRules, createListing } from './products.service.js';
+import { AppError, BadRequestError } from '../errors/index.js';
+
+export const LISTING_FILE_FORMATS = ['csv', 'json'];
+export const IMPORT_MAX_ROWS = 500;
+export const IMPORT_MAX_BYTES = 1024 * 1024;
+
+// A listings file has one listing per row (CSV) or array item (JSON), with
+// the fields of POST /api/products except that `category` is a category slug
+// (or ID). In CSV, `images` holds the URLs separated by `|` and each
+// attribute is an `attributes.<key>` column; in JSON they are an array and an
+// object. Exports add the read-only fields, which imports ignore, so an
+// export can be edited and imported again.
+const LISTING_FIELDS = [
+  'title',
+  'description',
+  'price',
+  'category',
+  'condition',
+  'location',
+  'latitude',
+  'longitude',
+  'status',
+  'publish_at',
+  'images',
+  'attributes',
+];
+const READ_ONLY_FIELDS = ['id', 'views', 'expires_at', 'created_at'];
+const ATTRIBUTE_PREFIX = 'attributes.';
+const IMAGE_SEPARATOR = '|';
+
+// CSV arrives under many MIME types, so the file name is checked first.
+export const detectListingFileFormat = (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.csv' || file.mimetype === 'text/csv') {
+    return 'csv';
+  }
+
+  if (extension === '.json' || file.mimetype === 'application/json') {
+    return 'json';
+  }
+
+  return null;
+};
+
+const isCsvColumn = (column) => (
+  (LISTING_FIELDS.includes(column) && column !== 'attributes')
+  || READ_ONLY_FIELDS.includes(column)
+  || (column.startsWith(ATTRIBUTE_PREFIX) && column.length > ATTRIBUTE_PREFIX.length)
+);
+
+const readCsv = (text) => {
+  let records;
+
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    throw new BadRequestError(`Invalid CSV: ${error.message}`);
+  }
+
+  if (records.length === 0) {
+    throw new BadRequestError('The file is empty');
+  }
+
+  const [header, ...data] = records;
+  const columns = header.map((column) => column.trim());
+  const unknown = columns.filter((column) => !isCsvColumn(column));
+
+  if (unknown.length > 0) {
+    throw new BadRequestError(`Unknown columns: ${unknown.join(', ')}`);
+  }
+
+  // Empty cells are left out, as if the field had not been sent.
+  return data.map((values) => columns.reduce((row, column, index) => {
+    const value = (values[index] || '').trim();
+
+    if (value === '' || READ_ONLY_FIELDS.includes(column)) {
+      return row;
+    }
+
+    if (column.startsWith(ATTRIBUTE_PREFIX)) {
+      row.attributes = { ...row.attributes, [column.slice(ATTRIBUTE_PREFIX.length)]: value };
+    } else if (column === 'images') {
+      row.images = value.split(IMAGE_SEPARATOR).map((url) => url.trim()).filter(Boolean);
+    } else {
+      row[column] = value;
+    }
+
+    return row;
+  }, {}));
+};
+
+const readJson = (text) => {
+  let parsed;
+
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new BadRequestError(`Invalid JSON: ${error.message}`);
+  }
+
+  const rows = Array.isArray(parsed) ? parsed : parsed?.listings;
+
+  if (!Array.isArray(rows)) {
+    throw new BadRequestError('The file must hold an array of listings, or an object with a `listings` array');
+  }
+
+  return rows;
+};
+
+// Parses an uploaded listings file into rows. Problems with the file as a
+// whole (syntax, unknown CSV columns, size) fail with a BadRequestError;
+// problems with single rows are reported by importListings.
+export const readListingFile = (buffer, format) => {
+  const text = buffer.toString('utf8');
+  const rows = format === 'csv' ? readCsv(text) : readJson(text);
+
+  if (rows.length === 0) {
+    throw new BadRequestError('The file has no listings');
+  }
+
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw new BadRequestError(`A file can hold at most ${IMPORT_MAX_ROWS} listings`);
+  }
+
+  return rows;
+};
+
+const rowError = (field, message) => ({ field, message });
+
+// Turns a row into the body POST /api/products expects and runs the create
+// route's validators against it. Returns { input, errors }.
+const prepareRow = async (row, categories) => {
+  if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+    return { errors: [rowError(null, 'Each listing must be an object')] };
+  }
+
+  const errors = Object.keys(row)
+    .filter((key) => !LISTING_FIELDS.includes(key) && !READ_ONLY_FIELDS.includes(key))
+    .map((key) => rowError(key, `Unknown field: ${key}`));
+
+  const fields = Object.fromEntries(Object.entries(row)
+    .filter(([key]) => LISTING_FIELDS.includes(key) && key !== 'category'));
+
+  if (row.category === undefined || row.category === null || row.category === '') {
+    errors.push(rowError('category', 'Category is required'));
+  } else {
+    const category = findCategory(categories, String(row.category));
+
+    if (category) {
+      fields.category_id = category.id;
+    } else {
+      errors.push(rowError('category', `Category not found: ${row.category}`));
+    }
+  }
+
+  // The validators read and sanitise `body` like they would a request's.
+  const req = { body: fields };
+  await Promise.all(productCreateRules().map((chain) => chain.run(req)));
+
+  validationResult(req).array()
+    .filter((error) => error.path !== 'category_id')
+    .forEach((error) => errors.push(rowError(error.path, error.msg)));
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const input = req.body;
+
+  // CSV cells are strings; the columns are numeric.
+  ['price', 'latitude', 'longitude'].forEach((field) => {
+    if (input[field] !== undefined) {
+      input[field] = Number(input[field]);
+    }
+  });
+
+  return { input, errors };
+};
+
+const importRow = async (repositories, userId, row, { categories, dryRun }) => {
+  const { input, errors } = await prepareRow(row, categories);
+
+  if (errors.length > 0) {
+    return { status: 'failed', product: null, errors };
+  }
+
+  try {
+    const product = await createListing(repositories, userId, input, { categories, dryRun });
+    return { status: dryRun ? 'valid' : 'created', product, errors: [] };
+  } catch (error) {
+    if (!(error instanceof AppError)) {
+      throw error;
+    }
+
+    if (error.status >= 500) {
+      console.error('Listing import row error:', error.cause || error);
+    }
+
+    return {
+      status: 'failed',
+      product: null,
+      errors: Array.isArray(error.details)
+        ? error.details.map((detail) => rowError(detail.field, detail.message))
+        : [rowError(null, error.message)],
+    };
+  }
+};
+
+// Validates every row with the rules of POST /api/products and, unless
+// `dryRun`, creates the valid ones. Rows are independent: a failed row does
+// not stop the others. `onCreated` is called with each created product.
+// Returns the per-row report; `row` numbers count listings from 1, so in a
+// CSV file row 1 is the line after the header. `repositories` act as the
+// seller.
+export const importListings = async (repositories, userId, rows, { dryRun = false, onCreated = () => {} } = {}) => {
+  const categories = await repositories.categories.list();
+
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    const { status, product, errors } = await importRow(repositories, userId, row, { categories, dryRun });
+
+    if (product) {
+      onCreated(product);
+    }
+
+    results.push({ row: index + 1, status, product_id: product ? product.id : null, errors });
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+
+  return {
+    dry_run: dryRun,
+    summary: {
+      total: results.length,
+      valid: results.length - count('failed'),
+      created: count('created'),
+      failed: count('failed'),
+    },
+    rows: results,
+  };
+};
+
+// `listings` are products rows with `category:categories(slug)` and
+// `images:product_images(image_url, display_order)`, as returned by
+// products.listAllByUser.
+const toExportRow = (listing) => ({
+  id: listing.id,
+  title: listing.title,
+  description: listing.description,
+  price: listing.price,
+  category: listing.category ? listing.category.slug : null,
+  condition: listing.condition,
+  location: listing.location,
+  latitude: listing.latitude,
+  longitude: listing.longitude,
+  status: listing.status,
+  publish_at: listing.publish_at,
+  images: [...listing.images]
+    .sort((a, b) => a.display_order - b.display_order)
+    .map((image) => image.image_url),
+  attributes: listing.attributes || {},
+  views: listing.views,
+  expires_at: listing.expires_at,
+  created_at: listing.created_at,
+});
+
+// Returns the rows for a JSON export, or the text of a CSV one.
+export const formatListingFile = (listings, format) => {
+  const rows = listings.map(toExportRow);
+
+  if (format === 'json') {
+    return rows;
+  }
+
+  const attributeKeys = [...new Set(rows.flatMap((row) => Object.keys(row.attributes)))].sort();
+  const columns = [
+    'id',
+    ...LISTING_FIELDS.filter((field) => field !== 'attributes'),
+    ...attributeKeys.map((key) => `${ATTRIBUTE_PREFIX}${key}`),
+    'views',
+    'expires_at',
+    'created_at',
+  ];
+
+  return toCsv(columns, rows.map(({ images, attributes, ...row }) => ({
+    ...row,
+    images: images.join(IMAGE_SEPARATOR),
+    ...Object.fromEntries(Object.entries(attributes).map(([key, value]) => [`${ATTRIBUTE_PREFIX}${key}`, value])),
+  })));
+};
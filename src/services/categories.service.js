@@ -0,0 +1,82 @@
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// The category table is small, so tree operations load it once and work in
+// memory instead of issuing recursive queries.
+export const fetchAllCategories = async (client) => {
+  return client
+    .from('categories')
+    .select('*')
+    .order('name');
+};
+
+export const findCategory = (categories, idOrSlug) => {
+  const field = UUID_PATTERN.test(idOrSlug) ? 'id' : 'slug';
+  return categories.find((category) => category[field] === idOrSlug) || null;
+};
+
+export const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map((category) => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parent_id && nodes.get(node.parent_id);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// Root first, ending with the category itself. Guards against cycles in
+// parent_id so a bad row cannot hang the request.
+export const getAncestry = (categories, id) => {
+  const byId = new Map(categories.map((category) => [category.id, category]));
+  const chain = [];
+  const seen = new Set();
+  let current = byId.get(id);
+
+  while (current && !seen.has(current.id)) {
+    chain.unshift(current);
+    seen.add(current.id);
+    current = current.parent_id ? byId.get(current.parent_id) : null;
+  }
+
+  return chain;
+};
+
+export const getBreadcrumbs = (categories, id) => {
+  return getAncestry(categories, id).map(({ id: categoryId, name, slug }) => ({
+    id: categoryId,
+    name,
+    slug,
+  }));
+};
+
+export const getDescendantIds = (categories, id) => {
+  const ids = [id];
+
+  for (let i = 0; i < ids.length; i += 1) {
+    categories
+      .filter((category) => category.parent_id === ids[i] && !ids.includes(category.id))
+      .forEach((category) => ids.push(category.id));
+  }
+
+  return ids;
+};
+
+// Attributes declared on ancestors apply to every descendant; a subcategory
+// can redefine an inherited key.
+export const getAttributeSchema = (categories, id) => {
+  const schema = new Map();
+
+  getAncestry(categories, id).forEach((category) => {
+    (category.attribute_schema || []).forEach((definition) => {
+      schema.set(definition.key, definition);
+    });
+  });
+
+  return [...schema.values()];
+};
@@ -0,0 +1,77 @@
+// RFC 4180 CSV: comma-separated fields, optionally quoted with double quotes,
+// with "" for a literal quote inside a quoted field. Quoted fields may span
+// lines. A leading byte order mark is ignored.
+
+// Returns the records as arrays of strings. Throws on an unterminated quote.
+export const parseCsv = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let index = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+
+  const endRecord = () => {
+    endField();
+    // Blank lines are skipped rather than read as a record with one empty field.
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+  };
+
+  for (; index < text.length; index += 1) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index += 1;
+      }
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Writes a header row and one row per object, taking `columns` from each.
+export const toCsv = (columns, rows) => [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+  .map((values) => values.map(formatField).join(','))
+  .join('\r\n')
+  .concat('\r\n');
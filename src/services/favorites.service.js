@@ -0,0 +1,14 @@
+import { byNewest } from './pagination.service.js';
+
+export const FAVORITE_SORTS = ['newest', 'price_drop', 'price_drop_percent'];
+
+// Price drops are measured from the price a listing had when it was
+// favorited, and kept on the favorite so pages can be ordered by them. A
+// price increase is a negative drop, so those listings come last.
+const SORT_ORDERS = {
+  newest: byNewest,
+  price_drop: [['price_drop', false], ...byNewest],
+  price_drop_percent: [['price_drop_percent', false], ...byNewest],
+};
+
+export const getFavoriteOrders = (sort) => SORT_ORDERS[sort] || byNewest;
@@ -0,0 +1,63 @@
+import { randomUUID } from 'crypto';
+import sharp from 'sharp';
+import { storage } from '../storage/index.js';
+
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+export const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES || 5 * 1024 * 1024);
+
+const SHARP_FORMATS = ['jpeg', 'png', 'webp'];
+
+// The MIME type multer reports comes from the client, so confirm the bytes
+// really decode as one of the allowed formats before storing anything.
+export const isSupportedImage = async (buffer) => {
+  try {
+    const { format } = await sharp(buffer).metadata();
+    return SHARP_FORMATS.includes(format);
+  } catch (error) {
+    return false;
+  }
+};
+
+const render = (buffer, size, fit) => {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width: size, height: size, fit, withoutEnlargement: true })
+    .webp({ quality: 82 })
+    .toBuffer();
+};
+
+// Avatars are stored under their owner's ID, so a storage path can be told
+// to belong to an account before its files are removed.
+export const avatarPrefix = (userId) => `avatars/${userId}`;
+
+export const isOwnAvatarPath = (userId, storagePath) => (
+  typeof storagePath === 'string' && storagePath.startsWith(`${avatarPrefix(userId)}/`)
+);
+
+// Stores a resized copy plus a square thumbnail and returns their URLs along
+// with the storage path needed to remove them later.
+export const storeImage = async (buffer, prefix, { maxSize = 1600, thumbSize = 320 } = {}) => {
+  const storagePath = `${prefix}/${randomUUID()}`;
+
+  const [full, thumbnail] = await Promise.all([
+    render(buffer, maxSize, 'inside'),
+    render(buffer, thumbSize, 'cover'),
+  ]);
+
+  const image_url = await storage.save(`${storagePath}.webp`, full, 'image/webp');
+  const thumbnail_url = await storage.save(`${storagePath}_thumb.webp`, thumbnail, 'image/webp');
+
+  return { image_url, thumbnail_url, storage_path: storagePath };
+};
+
+export const removeStoredImage = async (storagePath) => {
+  if (!storagePath) {
+    return;
+  }
+
+  await Promise.all([
+    storage.remove(`${storagePath}.webp`),
+    storage.remove(`${storagePath}_thumb.webp`),
+  ]);
+};
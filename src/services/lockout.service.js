@@ -0,0 +1,51 @@
+import { rateLimitStore, rateLimitDisabled } from '../rate-limit/index.js';
+
+const FREE_ATTEMPTS = 5;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Failures are counted per account and client address. Counting per account
+// alone would let anyone lock a user out by guessing wrong on purpose; the
+// per-address login rate limit bounds how fast one client can guess across
+// accounts. The first five failures are free; after that every failure locks
+// the pair for twice as long as the previous one, from one minute up to an
+// hour.
+const attemptKey = (email, ip) => `${email.trim().toLowerCase()}|${ip}`;
+
+// Returns the time the lock ends, or null if the client can try to log in to
+// the account.
+export const getLoginLock = async (email, ip) => {
+  if (rateLimitDisabled) {
+    return null;
+  }
+
+  const lock = await rateLimitStore.get(`login-lock:${attemptKey(email, ip)}`);
+  return lock ? lock.resetAt : null;
+};
+
+export const recordLoginFailure = async (email, ip) => {
+  if (rateLimitDisabled) {
+    return null;
+  }
+
+  const key = attemptKey(email, ip);
+  const { count } = await rateLimitStore.increment(`login-failures:${key}`, FAILURE_WINDOW_MS);
+
+  if (count <= FREE_ATTEMPTS) {
+    return null;
+  }
+
+  const lockMs = Math.min(BASE_LOCK_MS * 2 ** (count - FREE_ATTEMPTS - 1), MAX_LOCK_MS);
+  const resetAt = Date.now() + lockMs;
+  await rateLimitStore.set(`login-lock:${key}`, { count, resetAt });
+  return resetAt;
+};
+
+export const clearLoginFailures = async (email, ip) => {
+  const key = attemptKey(email, ip);
+  await Promise.all([
+    rateLimitStore.reset(`login-failures:${key}`),
+    rateLimitStore.reset(`login-lock:${key}`),
+  ]);
+};
@@ -0,0 +1,35 @@
+import { emailTransport } from '../email/index.js';
+
+export const NOTIFICATION_TYPES = [
+  'saved_search_match',
+  'listing_published',
+  'listing_expiring',
+  'listing_expired',
+  'price_drop',
+];
+
+// Inserts in-app notifications, skipping any whose (user_id, dedupe_key) already
+// exists. Returns only the rows that were actually created. Needs the service
+// role client because users cannot create notifications for each other.
+export const createNotifications = async (client, notifications) => {
+  if (notifications.length === 0) {
+    return { data: [], error: null };
+  }
+
+  return client
+    .from('notifications')
+    .upsert(notifications, { onConflict: 'user_id,dedupe_key', ignoreDuplicates: true })
+    .select();
+};
+
+// Email is best effort: a failed delivery is logged and never undoes the
+// in-app notification.
+export const sendNotificationEmail = async ({ to, subject, text }) => {
+  try {
+    await emailTransport.send({ to, subject, text });
+    return true;
+  } catch (error) {
+    console.error('Send notification email error:', error);
+    return false;
+  }
+};
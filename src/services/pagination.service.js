@@ -0,0 +1,129 @@
+import { query } from 'express-validator';
+import { BadRequestError } from '../errors/index.js';
+
+// Every list endpoint pages the same way. A page either starts at an offset
+// (the original behaviour, and the default) or continues after an opaque
+// cursor taken from the previous page's `nextCursor`. Cursors are keyset
+// positions: the sort values of the last item returned, so pages stay stable
+// while rows are inserted or deleted. Listings are ordered by their sort
+// columns followed by `id`, which makes the order total.
+//
+// The response envelope is the same in both modes:
+//   { limit, offset, total, hasMore, nextCursor }
+// `offset` and `total` are null when paging by cursor, which skips the count.
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+export const paginationRules = () => [
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }),
+  query('offset').optional().isInt({ min: 0 }),
+  query('cursor').optional().isString().notEmpty(),
+];
+
+// `orders` is a list of [column, ascending] pairs ending with a unique column.
+export const byNewest = [['created_at', false], ['id', false]];
+export const byOldest = [['created_at', true], ['id', true]];
+
+const orderKey = (orders) => orders
+  .map(([column, ascending]) => `${column}.${ascending ? 'asc' : 'desc'}`)
+  .join(',');
+
+export const encodeCursor = (orders, row) => Buffer
+  .from(JSON.stringify({ o: orderKey(orders), v: orders.map(([column]) => row[column]) }))
+  .toString('base64url');
+
+const isCursorValue = (value) => typeof value === 'string' || typeof value === 'number';
+
+export const decodeCursor = (cursor, orders) => {
+  let decoded;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new BadRequestError('Invalid cursor');
+  }
+
+  if (!decoded || !Array.isArray(decoded.v) || !decoded.v.every(isCursorValue)) {
+    throw new BadRequestError('Invalid cursor');
+  }
+
+  // A cursor only makes sense for the ordering it was issued for.
+  if (decoded.o !== orderKey(orders)) {
+    throw new BadRequestError('Cursor does not match the requested sort order');
+  }
+
+  if (decoded.v.length !== orders.length) {
+    throw new BadRequestError('Invalid cursor');
+  }
+
+  return decoded.v;
+};
+
+// Reads limit, offset and cursor from the (already validated) query string.
+export const parsePage = (reqQuery, orders, { defaultLimit = DEFAULT_PAGE_SIZE } = {}) => {
+  const limit = parseInt(reqQuery.limit || defaultLimit);
+
+  if (reqQuery.cursor === undefined) {
+    return { limit, offset: parseInt(reqQuery.offset || 0), after: null, orders };
+  }
+
+  if (reqQuery.offset !== undefined) {
+    throw new BadRequestError('Use either cursor or offset, not both');
+  }
+
+  return { limit, offset: null, after: decodeCursor(reqQuery.cursor, orders), orders };
+};
+
+// Only offset pages report a total.
+export const countOption = (page) => (page.offset === null ? {} : { count: 'exact' });
+
+// Values are quoted because timestamps and free text may contain the
+// characters PostgREST uses to separate filters.
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// (a, b, id) after (x, y, z) is a > x, or a = x and b > y, or a = x and
+// b = y and id > z, with > flipped to < for descending columns.
+const keysetFilter = (orders, values) => orders
+  .map((order, index) => {
+    const equal = orders.slice(0, index).map(([column], prior) => `${column}.eq.${quote(values[prior])}`);
+    const [column, ascending] = order;
+    const after = `${column}.${ascending ? 'gt' : 'lt'}.${quote(values[index])}`;
+    return equal.length > 0 ? `and(${[...equal, after].join(',')})` : after;
+  })
+  .join(',');
+
+// Orders a PostgREST query and restricts it to the page. One row more than
+// the page size is requested so hasMore is known without counting.
+export const applyPage = (builder, page) => {
+  let paged = page.orders.reduce(
+    (ordered, [column, ascending]) => ordered.order(column, { ascending }),
+    builder,
+  );
+
+  if (page.after) {
+    paged = paged.or(keysetFilter(page.orders, page.after));
+  }
+
+  const start = page.offset || 0;
+  return paged.range(start, start + page.limit);
+};
+
+// Splits the fetched rows into the page and its pagination envelope.
+// `cursorFields` supplies the sort values of a row when they are not columns
+// of the returned item (e.g. a search rank).
+export const toPage = (rows, page, { total = null, cursorFields = (row) => row } = {}) => {
+  const items = rows.slice(0, page.limit);
+  const hasMore = rows.length > page.limit;
+
+  return {
+    items,
+    pagination: {
+      limit: page.limit,
+      offset: page.offset,
+      total: page.offset === null ? null : total ?? null,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page.orders, cursorFields(items[items.length - 1])) : null,
+    },
+  };
+};
@@ -0,0 +1,199 @@
+import { body } from 'express-validator';
+import { findCategory, getAttributeSchema } from './categories.service.js';
+import { validateAttributes } from './attributes.service.js';
+import { byNewest } from './pagination.service.js';
+import { resolveLocation } from '../geocoding/index.js';
+import { BadRequestError, ValidationError } from '../errors/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Active listings expire LISTING_TTL_DAYS (default 30) after going live and
+// are archived by the scheduler; sellers are notified
+// LISTING_EXPIRY_NOTICE_DAYS (default 3) beforehand. See
+// jobs/listing-lifecycle.job.js.
+export const LISTING_TTL_DAYS = parseInt(process.env.LISTING_TTL_DAYS || 30);
+export const LISTING_EXPIRY_NOTICE_DAYS = parseInt(process.env.LISTING_EXPIRY_NOTICE_DAYS || 3);
+
+// The statuses a seller can move a listing to from each status. A sold
+// listing stays sold (it can only be archived) so the buyer's right to review
+// holds. `removed` is set and lifted by moderators only.
+export const PRODUCT_STATUS_TRANSITIONS = {
+  draft: ['active', 'archived'],
+  active: ['draft', 'sold', 'archived'],
+  archived: ['active', 'draft'],
+  sold: ['archived'],
+  removed: [],
+};
+
+export const assertStatusTransition = (from, to) => {
+  if (!PRODUCT_STATUS_TRANSITIONS[from]?.includes(to)) {
+    throw new BadRequestError(`Cannot change a listing from ${from} to ${to}`);
+  }
+};
+
+// Set whenever a listing goes live, whether it is published, re-activated or
+// renewed: the expiry clock restarts and any publishing schedule is spent.
+export const activationFields = (now = Date.now()) => ({
+  expires_at: new Date(now + LISTING_TTL_DAYS * DAY_MS).toISOString(),
+  expiry_notified_at: null,
+  publish_at: null,
+});
+
+// Shared by PATCH /api/products/:id/status and renewal so every path stamps
+// sold_at, the buyer and the expiry the same way (accept_offer does the same
+// in SQL). Any status change cancels a publishing schedule.
+export const statusUpdates = (status, { buyerId } = {}) => {
+  const updates = { status, publish_at: null };
+  if (status === 'sold') {
+    updates.sold_at = new Date().toISOString();
+    updates.buyer_id = buyerId || null;
+  }
+  if (status === 'active') {
+    Object.assign(updates, activationFields());
+  }
+  return updates;
+};
+
+export const PRODUCT_SORTS = ['relevance', 'distance', 'newest', 'price_asc', 'price_desc', 'most_viewed'];
+
+// Every ordering ends with created_at and id so pages are stable; see
+// pagination.service.js. Relevance (`rank`) and `distance_km` are only
+// computed by the search_products function, which applies the same orders.
+const SORT_ORDERS = {
+  relevance: [['rank', false], ...byNewest],
+  distance: [['distance_km', true], ...byNewest],
+  newest: byNewest,
+  price_asc: [['price', true], ...byNewest],
+  price_desc: [['price', false], ...byNewest],
+  most_viewed: [['views', false], ...byNewest],
+};
+
+// Promoted listings (featured, then bumped) come first whatever the sort.
+// Plain listings have no rank or distance and fall back to newest first.
+export const getProductOrders = (sort, { computed = false } = {}) => {
+  const orders = SORT_ORDERS[sort] || byNewest;
+  const sortOrders = !computed && ['rank', 'distance_km'].includes(orders[0][0]) ? byNewest : orders;
+  return [['promotion_tier', false], ...sortOrders];
+};
+
+// The price history shown on GET /api/products/:id: the price the listing
+// was created with, the change since then in percent, and every price it has
+// had, oldest first.
+export const summarizePriceHistory = (product, changes) => {
+  const originalPrice = changes.length > 0 ? Number(changes[0].price) : Number(product.price);
+
+  return {
+    original_price: originalPrice,
+    change_percent: originalPrice > 0
+      ? Math.round(((Number(product.price) - originalPrice) / originalPrice) * 10000) / 100
+      : null,
+    changes,
+  };
+};
+
+// Validates attribute values against the effective schema of the category,
+// given every category. Returns { values, errors }.
+export const validateProductAttributes = (categories, categoryId, attributes) => {
+  if (!findCategory(categories, categoryId)) {
+    return {
+      values: {},
+      errors: [{
+        type: 'field',
+        value: categoryId,
+        msg: 'Category not found',
+        path: 'category_id',
+        location: 'body',
+      }],
+    };
+  }
+
+  return validateAttributes(getAttributeSchema(categories, categoryId), attributes || {});
+};
+
+// The fields of a new listing, shared by POST /api/products and the bulk
+// import, which runs them against each row.
+export const productCreateRules = () => [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('description').trim().notEmpty().withMessage('Description is required'),
+  body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('category_id').isUUID().withMessage('Valid category ID is required'),
+  body('condition').isIn(['new', 'like_new', 'good', 'fair', 'poor']).withMessage('Invalid condition'),
+  body('location').trim().notEmpty().withMessage('Location is required'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+  body('attributes').optional().isObject().withMessage('Attributes must be an object'),
+  body('images').optional().isArray({ max: 10 }).withMessage('Images must be an array of at most 10 URLs'),
+  body('images.*').isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Each image must be a valid URL'),
+  body('status').optional().isIn(['draft', 'active']).withMessage('Invalid status'),
+  body('publish_at').optional().isISO8601().withMessage('publish_at must be an ISO 8601 date-time'),
+];
+
+// Drafts can be scheduled to go active at a future time; the scheduler
+// publishes them (see jobs/listing-lifecycle.job.js).
+export const checkPublishAt = (publishAt, status) => {
+  if (publishAt === undefined || publishAt === null) {
+    return;
+  }
+
+  if (status !== 'draft') {
+    throw new BadRequestError('Only drafts can be scheduled for publishing');
+  }
+
+  if (Date.parse(publishAt) <= Date.now()) {
+    throw new BadRequestError('publish_at must be in the future');
+  }
+};
+
+// Creates a listing from input that passed productCreateRules: checks the
+// attributes against the category, geocodes the location and stores the
+// listing with its image URLs. `repositories` act as the seller; callers
+// creating many listings can pass the categories they already loaded. With
+// `dryRun` everything is checked but nothing is written and null is returned.
+// Returns the products row.
+export const createListing = async (repositories, userId, input, { categories, dryRun = false } = {}) => {
+  const {
+    title,
+    description,
+    price,
+    category_id,
+    condition,
+    location,
+    latitude,
+    longitude,
+    attributes,
+    images,
+    status = 'draft',
+    publish_at,
+  } = input;
+
+  checkPublishAt(publish_at, status);
+
+  const {
+    values: attributeValues,
+    errors: attributeErrors,
+  } = validateProductAttributes(categories || await repositories.categories.list(), category_id, attributes);
+
+  if (attributeErrors.length > 0) {
+    throw new ValidationError(attributeErrors);
+  }
+
+  if (dryRun) {
+    return null;
+  }
+
+  const geodata = await resolveLocation(location, { latitude, longitude });
+
+  return repositories.products.create({
+    user_id: userId,
+    title,
+    description,
+    price,
+    category_id,
+    condition,
+    location,
+    ...geodata,
+    attributes: attributeValues,
+    status,
+    ...(status === 'active' ? activationFields() : { publish_at: publish_at || null }),
+  }, images || []);
+};
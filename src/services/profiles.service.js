@@ -0,0 +1,119 @@
+import { WEBHOOK_ENDPOINT_COLUMNS } from './webhooks.service.js';
+
+// Profile row for an auth user, from the metadata signup stores on the user.
+// Used to repair accounts that ended up without a profile.
+export const buildProfile = (user) => {
+  const metadata = user.user_metadata || {};
+
+  return {
+    id: user.id,
+    email: user.email,
+    full_name: metadata.full_name || '',
+    phone: metadata.phone || '',
+    location: metadata.location || '',
+    city: metadata.city ?? null,
+    latitude: metadata.latitude ?? null,
+    longitude: metadata.longitude ?? null,
+  };
+};
+
+// Returns the user's profile, creating it first if it is missing. `client`
+// must be authenticated as the user (or be the service client).
+export const ensureProfile = async (client, user, columns = '*') => {
+  const { data: profile, error } = await client
+    .from('profiles')
+    .select(columns)
+    .eq('id', user.id)
+    .maybeSingle();
+
+  if (error || profile) {
+    return { data: profile, error, created: false };
+  }
+
+  const { error: insertError } = await client
+    .from('profiles')
+    .insert(buildProfile(user));
+
+  // A concurrent request may have created it first
+  if (insertError && insertError.code !== '23505') {
+    return { data: null, error: insertError, created: false };
+  }
+
+  const { data: created, error: createdError } = await client
+    .from('profiles')
+    .select(columns)
+    .eq('id', user.id)
+    .single();
+
+  return { data: created, error: createdError, created: !insertError };
+};
+
+// Everything the API stores about a user, for data export requests. Uses the
+// user's own client, so RLS limits it to rows the user may see anyway.
+// Webhook signing secrets are left out.
+export const collectAccountData = async (client, userId) => {
+  const results = await Promise.all([
+    client.from('profiles').select('*').eq('id', userId).maybeSingle(),
+    client.from('products').select('*, images:product_images(*)').eq('user_id', userId).order('created_at'),
+    client.from('favorites').select('*').eq('user_id', userId).order('created_at'),
+    client.from('saved_searches').select('*').eq('user_id', userId).order('created_at'),
+    client.from('notifications').select('*').eq('user_id', userId).order('created_at'),
+    client
+      .from('conversations')
+      .select('*, messages(*)')
+      .or(`buyer_id.eq.${userId},seller_id.eq.${userId}`)
+      .order('created_at'),
+    client
+      .from('offers')
+      .select('*')
+      .or(`buyer_id.eq.${userId},seller_id.eq.${userId}`)
+      .order('created_at'),
+    client.from('reviews').select('*').eq('reviewer_id', userId).order('created_at'),
+    client.from('reviews').select('*').eq('seller_id', userId).order('created_at'),
+    client.from('reports').select('*').eq('reporter_id', userId).order('created_at'),
+    client.from('promotions').select('*').eq('user_id', userId).order('created_at'),
+    client
+      .from('webhook_endpoints')
+      .select(`${WEBHOOK_ENDPOINT_COLUMNS}, deliveries:webhook_deliveries(*)`)
+      .eq('user_id', userId)
+      .order('created_at'),
+  ]);
+
+  const failed = results.find((result) => result.error);
+  if (failed) {
+    return { data: null, error: failed.error };
+  }
+
+  const [
+    profile,
+    listings,
+    favorites,
+    savedSearches,
+    notifications,
+    conversations,
+    offers,
+    reviewsWritten,
+    reviewsReceived,
+    reports,
+    promotions,
+    webhookEndpoints,
+  ] = results.map((result) => result.data);
+
+  return {
+    data: {
+      profile,
+      listings,
+      favorites,
+      saved_searches: savedSearches,
+      notifications,
+      conversations,
+      offers,
+      reviews_written: reviewsWritten,
+      reviews_received: reviewsReceived,
+      reports,
+      promotions,
+      webhook_endpoints: webhookEndpoints,
+    },
+    error: null,
+  };
+};
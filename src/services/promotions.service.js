@@ -0,0 +1,88 @@
+import { getServiceSupabaseClient } from '../config/supabase.js';
+import { paymentProvider } from '../payments/index.js';
+import { fromSupabaseError, PaymentRequiredError } from '../errors/index.js';
+
+// A bump lists a listing above unpromoted ones, a feature above all others,
+// for the number of days bought. Prices are per day, in PROMOTION_CURRENCY.
+export const PROMOTION_TYPES = ['bump', 'feature'];
+export const PROMOTION_MAX_DAYS = 30;
+export const PROMOTION_CURRENCY = process.env.PROMOTION_CURRENCY || 'EUR';
+
+export const PROMOTION_DAILY_PRICES = {
+  bump: parseFloat(process.env.PROMOTION_BUMP_DAILY_PRICE || 0.5),
+  feature: parseFloat(process.env.PROMOTION_FEATURE_DAILY_PRICE || 2),
+};
+
+export const promotionPrice = (type, days) => Math.round(PROMOTION_DAILY_PRICES[type] * days * 100) / 100;
+
+const markFailed = async (supabase, promotionId, reason) => {
+  const { error } = await supabase
+    .from('promotions')
+    .update({ status: 'failed', failure_reason: reason, updated_at: new Date().toISOString() })
+    .eq('id', promotionId);
+
+  if (error) {
+    console.error(`Error marking promotion ${promotionId} failed:`, error);
+  }
+};
+
+// Records the purchase in the ledger as pending, charges the seller and
+// activates the promotion. A declined charge leaves a failed entry and
+// throws PaymentRequiredError. The ledger is written with the service role
+// because sellers cannot write it themselves.
+export const purchasePromotion = async ({ product, userId, type, days, source }) => {
+  const supabase = getServiceSupabaseClient();
+  const amount = promotionPrice(type, days);
+
+  const { data: pending, error: pendingError } = await supabase
+    .from('promotions')
+    .insert({
+      product_id: product.id,
+      user_id: userId,
+      type,
+      days,
+      amount,
+      currency: PROMOTION_CURRENCY,
+      payment_provider: paymentProvider.name,
+    })
+    .select()
+    .single();
+
+  if (pendingError) {
+    throw fromSupabaseError(pendingError);
+  }
+
+  let charge;
+
+  try {
+    charge = await paymentProvider.charge({
+      amount,
+      currency: PROMOTION_CURRENCY,
+      description: `${type === 'feature' ? 'Feature' : 'Bump'} "${product.title}" for ${days} days`,
+      reference: pending.id,
+      source,
+    });
+  } catch (error) {
+    await markFailed(supabase, pending.id, 'Payment provider error');
+    throw error;
+  }
+
+  if (charge.status !== 'succeeded') {
+    await markFailed(supabase, pending.id, charge.reason || 'Declined');
+    throw new PaymentRequiredError(charge.reason ? `Payment declined: ${charge.reason}` : undefined);
+  }
+
+  const { data: promotion, error: activateError } = await supabase.rpc('activate_promotion', {
+    target_promotion_id: pending.id,
+    reference: charge.reference,
+  });
+
+  if (activateError) {
+    // The seller has paid; the pending entry and charge reference are what
+    // support needs to activate or refund it.
+    console.error(`Promotion ${pending.id} was paid (charge ${charge.reference}) but not activated:`, activateError);
+    throw fromSupabaseError(activateError);
+  }
+
+  return promotion;
+};
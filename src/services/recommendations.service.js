@@ -0,0 +1,40 @@
+import { byNewest } from './pagination.service.js';
+
+// Similar listings and the feed are ranked by a `score`, then newest first.
+export const RECOMMENDATION_ORDERS = [['score', false], ...byNewest];
+
+export const SIMILAR_DEFAULT_LIMIT = 12;
+
+// How much each signal adds to the similarity of two listings; each signal
+// is between 0 and 1, so scores are too. The similar_products database
+// function uses the same weights.
+//   category - 1 for the same category, 0.5 for a parent, child or sibling
+//   text     - Share of title words the two listings have in common
+//   price    - 1 for the same price, falling towards 0 as the prices diverge
+//   location - 1 at the same place, falling to 0 at SIMILAR_RADIUS_KM
+// Only listings related by category or title are candidates.
+export const SIMILARITY_WEIGHTS = {
+  category: 0.4,
+  text: 0.3,
+  price: 0.2,
+  location: 0.1,
+};
+
+export const SIMILAR_RADIUS_KM = 100;
+
+// The feed scores a listing by the user's interest in its category: the sum
+// of these weights over their favorites, saved searches with a category and
+// listings viewed in the last FEED_VIEW_DAYS, counting each signal for its
+// category and every subcategory. Listings in categories without signals
+// follow, newest first. recommended_products in the database uses the same
+// weights.
+export const FEED_SIGNAL_WEIGHTS = {
+  favorite: 3,
+  savedSearch: 2,
+  view: 1,
+};
+
+export const FEED_VIEW_DAYS = 30;
+
+// Scores are rounded so they survive the round trip through a cursor.
+export const roundScore = (score) => Math.round(score * 1e6) / 1e6;
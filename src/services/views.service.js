@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { getRepositories } from '../repositories/index.js';
+
+// A viewer is counted once per listing per window (VIEW_WINDOW_MINUTES,
+// default 30).
+export const VIEW_WINDOW_MINUTES = parseInt(process.env.VIEW_WINDOW_MINUTES || 30);
+
+// Crawlers, link previews, uptime checks and command-line clients. Requests
+// without a user agent are not counted either.
+const BOT_USER_AGENT = /bot|crawl|spider|slurp|scrape|headless|lighthouse|preview|facebookexternalhit|embedly|monitor|curl|wget|python-requests|go-http-client|java\//i;
+
+export const isBot = (userAgent) => !userAgent || BOT_USER_AGENT.test(userAgent);
+
+// Signed-in viewers are told apart by account. Anonymous ones by address and
+// user agent, hashed so the database never holds raw addresses.
+const viewerKey = (req) => {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${req.ip}|${req.get('user-agent')}`)
+    .digest('hex');
+
+  return `anon:${hash}`;
+};
+
+// Counts a view of a listing unless it comes from its seller, a bot, or a
+// viewer already counted in the current window. The increment happens in the
+// data store (record_product_view in Postgres), so concurrent views are never
+// lost. Returns the listing's view count, or null when the view was not
+// recorded. Counting is best effort: a failure is logged and never fails the
+// request.
+export const recordProductView = async (req, product) => {
+  if (req.user?.id === product.user_id || isBot(req.get('user-agent'))) {
+    return null;
+  }
+
+  try {
+    return await getRepositories(req.token).products
+      .recordView(product.id, viewerKey(req), VIEW_WINDOW_MINUTES);
+  } catch (error) {
+    console.error('Record product view error:', error);
+    return null;
+  }
+};
@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+import { lookup } from 'dns/promises';
+import net from 'net';
+
+// Events sent to webhook endpoints. Each carries the listing as it is when the
+// event is dispatched. A sale is also a status change, so it sends both
+// product.status_changed and product.sold.
+export const WEBHOOK_EVENTS = [
+  'product.created',
+  'product.status_changed',
+  'product.sold',
+  'product.price_changed',
+  'product.favorited',
+];
+
+export const WEBHOOK_SCOPES = ['own', 'all'];
+
+export const WEBHOOK_DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+export const MAX_WEBHOOK_ENDPOINTS = 10;
+
+// Failed attempts are retried WEBHOOK_RETRY_BASE_SECONDS (default 60) after
+// the first, doubling each time, until WEBHOOK_MAX_ATTEMPTS (default 8)
+// attempts have been made. Each attempt waits WEBHOOK_TIMEOUT_MS (default
+// 10000) for a response.
+export const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+export const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS || 60);
+export const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+
+// Columns returned by the API; the secret is only shown when an endpoint is
+// created.
+export const WEBHOOK_ENDPOINT_COLUMNS = 'id, user_id, url, description, events, scope, active, created_at, updated_at';
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// The receiver recomputes the HMAC-SHA256 of `<timestamp>.<body>` with the
+// endpoint secret and compares it with X-Webhook-Signature. Including the
+// timestamp lets receivers reject replayed requests.
+export const signWebhookPayload = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+export const retryDelayMs = (attempts) => WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127
+      || (a === 100 && b >= 64 && b <= 127)
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168);
+  }
+
+  const normalized = address.toLowerCase();
+  return normalized === '::' || normalized === '::1'
+    || /^f[cd]/.test(normalized)
+    || /^fe[89ab]/.test(normalized)
+    || (normalized.startsWith('::ffff:') && isPrivateAddress(normalized.slice(7)));
+};
+
+const allowPrivateUrls = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+const hostnameOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// Endpoints must not point back into the server's own network. This checks
+// the literal host when an endpoint is saved; sendWebhook also checks what a
+// name resolves to before every attempt. WEBHOOK_ALLOW_PRIVATE_URLS=true
+// lifts both checks, e.g. for local receivers in development.
+export const isAllowedWebhookUrl = (url) => {
+  if (allowPrivateUrls()) {
+    return true;
+  }
+
+  const hostname = hostnameOf(url);
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return false;
+  }
+
+  return !net.isIP(hostname) || !isPrivateAddress(hostname);
+};
+
+// The reason to refuse sending to `url`, or null. A name that resolves to a
+// private address is refused like the address itself.
+const refuseResolvedHost = async (url) => {
+  if (allowPrivateUrls()) {
+    return null;
+  }
+
+  const hostname = hostnameOf(url);
+  const addresses = await lookup(hostname, { all: true, verbatim: true });
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+
+  return blocked ? `${hostname} resolves to the private address ${blocked.address}` : null;
+};
+
+// Sends one attempt of a delivery. Resolves to { ok, status, error }; a
+// response outside 2xx, a timeout, a network error or a host resolving to a
+// private address is a failure.
+export const sendWebhook = async ({ url, secret }, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const refused = await refuseResolvedHost(url);
+    if (refused) {
+      return { ok: false, status: null, error: refused };
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Marketplace-Webhooks/1.0',
+        'X-Webhook-Id': delivery.event_id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signWebhookPayload(secret, timestamp, body)}`,
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+
+    // The body is not used; reading it releases the connection.
+    await response.arrayBuffer().catch(() => {});
+
+    return response.ok
+      ? { ok: true, status: response.status, error: null }
+      : { ok: false, status: response.status, error: `Endpoint responded with ${response.status}` };
+  } catch (error) {
+    const message = error.name === 'TimeoutError'
+      ? `No response within ${WEBHOOK_TIMEOUT_MS} ms`
+      : error.cause?.message || error.message;
+    return { ok: false, status: null, error: message };
+  }
+};
+
+// The columns of a delivery after its `attempts`th attempt ended with
+// `result`: delivered, out of attempts, or due again after the retry delay.
+export const deliveryOutcome = (result, attempts, finishedAt = new Date()) => {
+  let outcome;
+  if (result.ok) {
+    outcome = { status: 'succeeded', delivered_at: finishedAt.toISOString(), next_attempt_at: null };
+  } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+    outcome = { status: 'failed', next_attempt_at: null };
+  } else {
+    outcome = { next_attempt_at: new Date(finishedAt.getTime() + retryDelayMs(attempts)).toISOString() };
+  }
+
+  return { ...outcome, response_status: result.status, last_error: result.error };
+};
+
+// A new delivery repeating `original`: the same event, payload and endpoint,
+// starting again from the first attempt.
+export const redeliveryOf = (original) => ({
+  endpoint_id: original.endpoint_id,
+  event_id: original.event_id,
+  event: original.event,
+  payload: original.payload,
+  redelivery_of: original.id,
+});
+
+// Claims a pending delivery, sends it and records the outcome. The claim only
+// succeeds while the delivery still has the attempt count it was read with,
+// so two workers never send the same attempt. Returns the updated delivery,
+// or null when another worker claimed it first.
+export const attemptDelivery = async (supabase, delivery, endpoint) => {
+  const attempts = delivery.attempts + 1;
+  const startedAt = new Date();
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('webhook_deliveries')
+    .update({
+      attempts,
+      last_attempt_at: startedAt.toISOString(),
+      // Held back while the attempt runs; the outcome sets the real value.
+      next_attempt_at: new Date(startedAt.getTime() + WEBHOOK_TIMEOUT_MS + retryDelayMs(attempts)).toISOString(),
+    })
+    .eq('id', delivery.id)
+    .eq('status', 'pending')
+    .eq('attempts', delivery.attempts)
+    .select('id')
+    .maybeSingle();
+
+  if (claimError) {
+    throw claimError;
+  }
+
+  if (!claimed) {
+    return null;
+  }
+
+  const result = await sendWebhook(endpoint, { ...delivery, attempts });
+
+  const { data: updated, error } = await supabase
+    .from('webhook_deliveries')
+    .update(deliveryOutcome(result, attempts))
+    .eq('id', delivery.id)
+    .select()
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return updated;
+};
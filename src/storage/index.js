@@ -0,0 +1,38 @@
+import path from 'path';
+import dotenv from 'dotenv';
+import { createLocalStorage } from './local.storage.js';
+import { createSupabaseStorage } from './supabase.storage.js';
+
+dotenv.config();
+
+/*
+  Storage adapters expose the same two methods:
+  - save(key, buffer, contentType) => Promise<string>  public URL of the stored file
+  - remove(key) => Promise<void>                       no-op if the file is already gone
+
+  STORAGE_DRIVER selects the adapter: 'local' (default) or 'supabase'.
+*/
+
+export const storageDriver = process.env.STORAGE_DRIVER || 'local';
+
+export const uploadDir = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+const createStorage = () => {
+  switch (storageDriver) {
+    case 'local':
+      return createLocalStorage({
+        rootDir: uploadDir,
+        baseUrl: process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`,
+      });
+    case 'supabase':
+      return createSupabaseStorage({
+        url: process.env.SUPABASE_URL,
+        serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+        bucket: process.env.SUPABASE_STORAGE_BUCKET || 'uploads',
+      });
+    default:
+      throw new Error(`Unknown storage driver: ${storageDriver}`);
+  }
+};
+
+export const storage = createStorage();
@@ -0,0 +1,27 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Development adapter: writes files under rootDir and serves them from
+// `${baseUrl}/uploads`, which server.js mounts with express.static.
+export const createLocalStorage = ({ rootDir, baseUrl }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(rootDir, key);
+    if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${baseUrl}/uploads/${key}`;
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
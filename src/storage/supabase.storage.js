@@ -0,0 +1,29 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Production adapter backed by a public Supabase Storage bucket. Uploads use
+// the service role key because the API, not the end user, owns the files.
+export const createSupabaseStorage = ({ url, serviceRoleKey, bucket }) => {
+  if (!url || !serviceRoleKey) {
+    throw new Error('Missing Supabase storage environment variables');
+  }
+
+  const client = createClient(url, serviceRoleKey);
+  const storage = client.storage.from(bucket);
+
+  return {
+    async save(key, buffer, contentType) {
+      const { error } = await storage.upload(key, buffer, { contentType, upsert: false });
+      if (error) {
+        throw error;
+      }
+      return storage.getPublicUrl(key).data.publicUrl;
+    },
+
+    async remove(key) {
+      const { error } = await storage.remove([key]);
+      if (error) {
+        throw error;
+      }
+    },
+  };
+};
@@ -0,0 +1,147 @@
+/*
+  # Buyer-Seller Conversations
+
+  ## Overview
+  Private messaging threads between a buyer and the seller of a listing, so buyers
+  no longer need the seller's phone number or email to get in touch.
+
+  ## New Tables
+
+  ### 1. `conversations`
+  One thread per (product, buyer) pair
+  - `id` (uuid, primary key)
+  - `product_id` (uuid) - Listing the thread is about
+  - `buyer_id` (uuid) - User who started the thread
+  - `seller_id` (uuid) - Owner of the listing
+  - `last_message_at` (timestamptz) - Time of the most recent message
+  - `last_message_preview` (text) - Truncated body of the most recent message
+  - `created_at` (timestamptz)
+  - Unique constraint on (product_id, buyer_id)
+
+  ### 2. `messages`
+  Messages inside a conversation
+  - `id` (uuid, primary key)
+  - `conversation_id` (uuid) - Conversation reference
+  - `sender_id` (uuid) - Author of the message
+  - `body` (text) - Message content
+  - `read_at` (timestamptz) - When the recipient read the message
+  - `created_at` (timestamptz)
+
+  ## Security
+
+  ### Row Level Security (RLS)
+  - Only the buyer and the seller of a conversation can view it and its messages
+  - Only the buyer can start a conversation, and never on their own listing
+  - Participants can only send messages as themselves
+  - Only the recipient of a message can mark it as read
+
+  ## Triggers
+  - Inserting a message refreshes `last_message_at` and `last_message_preview`
+*/
+
+-- Create conversations table
+CREATE TABLE IF NOT EXISTS conversations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id uuid NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  buyer_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  seller_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  last_message_at timestamptz DEFAULT now(),
+  last_message_preview text DEFAULT '',
+  created_at timestamptz DEFAULT now(),
+  UNIQUE(product_id, buyer_id),
+  CHECK (buyer_id <> seller_id)
+);
+
+-- Create messages table
+CREATE TABLE IF NOT EXISTS messages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id uuid NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  body text NOT NULL CHECK (char_length(body) BETWEEN 1 AND 2000),
+  read_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_conversations_buyer_id ON conversations(buyer_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_seller_id ON conversations(seller_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_last_message_at ON conversations(last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_id ON messages(conversation_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages(conversation_id) WHERE read_at IS NULL;
+
+-- Enable Row Level Security
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
+
+-- Conversations policies
+CREATE POLICY "Participants can view conversations"
+  ON conversations FOR SELECT
+  TO authenticated
+  USING (auth.uid() = buyer_id OR auth.uid() = seller_id);
+
+CREATE POLICY "Buyers can start conversations"
+  ON conversations FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = buyer_id
+    AND EXISTS (
+      SELECT 1 FROM products
+      WHERE products.id = conversations.product_id
+      AND products.user_id = conversations.seller_id
+      AND products.user_id <> auth.uid()
+    )
+  );
+
+-- Messages policies
+CREATE POLICY "Participants can view messages"
+  ON messages FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM conversations
+      WHERE conversations.id = messages.conversation_id
+      AND (conversations.buyer_id = auth.uid() OR conversations.seller_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "Participants can send messages"
+  ON messages FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = sender_id
+    AND EXISTS (
+      SELECT 1 FROM conversations
+      WHERE conversations.id = messages.conversation_id
+      AND (conversations.buyer_id = auth.uid() OR conversations.seller_id = auth.uid())
+    )
+  );
+
+CREATE POLICY "Recipients can mark messages as read"
+  ON messages FOR UPDATE
+  TO authenticated
+  USING (
+    sender_id <> auth.uid()
+    AND EXISTS (
+      SELECT 1 FROM conversations
+      WHERE conversations.id = messages.conversation_id
+      AND (conversations.buyer_id = auth.uid() OR conversations.seller_id = auth.uid())
+    )
+  )
+  WITH CHECK (sender_id <> auth.uid());
+
+-- Keep the inbox preview in sync with the latest message
+CREATE OR REPLACE FUNCTION update_conversation_last_message()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE conversations
+  SET last_message_at = NEW.created_at,
+      last_message_preview = left(NEW.body, 140)
+  WHERE id = NEW.conversation_id;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE TRIGGER update_conversation_on_message
+  AFTER INSERT ON messages
+  FOR EACH ROW
+  EXECUTE FUNCTION update_conversation_last_message();
@@ -0,0 +1,96 @@
+/*
+  # Offers and Price Negotiation
+
+  ## Overview
+  Buyers can make price offers on active listings. The seller can accept, reject or
+  counter each offer. Accepting an offer marks the listing as sold and declines the
+  remaining open offers.
+
+  ## New Tables
+
+  ### 1. `offers`
+  - `id` (uuid, primary key)
+  - `product_id` (uuid) - Listing the offer is made on
+  - `buyer_id` (uuid) - User making the offer
+  - `seller_id` (uuid) - Owner of the listing
+  - `amount` (numeric) - Offered price
+  - `message` (text) - Optional note from the buyer
+  - `status` (text) - 'pending', 'countered', 'accepted', 'rejected', 'declined', 'withdrawn'
+  - `counter_amount` (numeric) - Seller's counter price, set when status is 'countered'
+  - `responded_at` (timestamptz) - When the seller last acted on the offer
+  - `created_at` (timestamptz)
+  - `updated_at` (timestamptz)
+  - A buyer can hold only one open ('pending' or 'countered') offer per listing
+
+  ## Security
+
+  ### Row Level Security (RLS)
+  - Only the buyer and the seller can view an offer
+  - Buyers can make offers on active listings they do not own
+  - Sellers can update offers on their own listings (accept, reject, counter, decline)
+  - Buyers can update their own offers (withdraw)
+*/
+
+-- Create offers table
+CREATE TABLE IF NOT EXISTS offers (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id uuid NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  buyer_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  seller_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  amount numeric(10, 2) NOT NULL CHECK (amount > 0),
+  message text DEFAULT '',
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'countered', 'accepted', 'rejected', 'declined', 'withdrawn')),
+  counter_amount numeric(10, 2) CHECK (counter_amount > 0),
+  responded_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CHECK (buyer_id <> seller_id)
+);
+
+-- Create indexes for better query performance
+CREATE INDEX IF NOT EXISTS idx_offers_product_id ON offers(product_id);
+CREATE INDEX IF NOT EXISTS idx_offers_buyer_id ON offers(buyer_id);
+CREATE INDEX IF NOT EXISTS idx_offers_seller_id ON offers(seller_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_offers_open_per_buyer
+  ON offers(product_id, buyer_id)
+  WHERE status IN ('pending', 'countered');
+
+-- Enable Row Level Security
+ALTER TABLE offers ENABLE ROW LEVEL SECURITY;
+
+-- Offers policies
+CREATE POLICY "Participants can view offers"
+  ON offers FOR SELECT
+  TO authenticated
+  USING (auth.uid() = buyer_id OR auth.uid() = seller_id);
+
+CREATE POLICY "Buyers can make offers"
+  ON offers FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = buyer_id
+    AND EXISTS (
+      SELECT 1 FROM products
+      WHERE products.id = offers.product_id
+      AND products.user_id = offers.seller_id
+      AND products.user_id <> auth.uid()
+      AND products.status = 'active'
+    )
+  );
+
+CREATE POLICY "Sellers can respond to offers"
+  ON offers FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = seller_id)
+  WITH CHECK (auth.uid() = seller_id);
+
+CREATE POLICY "Buyers can withdraw own offers"
+  ON offers FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = buyer_id)
+  WITH CHECK (auth.uid() = buyer_id AND status = 'withdrawn');
+
+CREATE TRIGGER update_offers_updated_at
+  BEFORE UPDATE ON offers
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,29 @@
+/*
+  # Image Upload Storage Fields
+
+  ## Changes
+  - `product_images.thumbnail_url` (text) - URL of the generated thumbnail
+  - `product_images.storage_path` (text) - Storage key prefix of uploaded files, NULL for
+    images that were supplied as external URLs
+  - `profiles.avatar_storage_path` (text) - Storage key prefix of an uploaded avatar
+  - A product can have at most one primary image
+*/
+
+ALTER TABLE product_images ADD COLUMN IF NOT EXISTS thumbnail_url text DEFAULT '';
+ALTER TABLE product_images ADD COLUMN IF NOT EXISTS storage_path text;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS avatar_storage_path text;
+
+-- Repair products that ended up with more than one primary image
+UPDATE product_images
+SET is_primary = false
+WHERE is_primary
+AND id NOT IN (
+  SELECT DISTINCT ON (product_id) id
+  FROM product_images
+  WHERE is_primary
+  ORDER BY product_id, display_order, created_at
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_images_one_primary
+  ON product_images(product_id)
+  WHERE is_primary;
@@ -0,0 +1,178 @@
+/*
+  # Product Full-Text Search
+
+  ## Changes
+  - `products.search_vector` (tsvector) - Generated from title (weight A) and description
+    (weight B), indexed with GIN
+  - `search_products(...)` - Filtered, ranked and paginated product search. Returns one row
+    per product with its relevance rank, highlighted title/description snippets and the
+    total number of matches
+  - `product_search_facets(...)` - Facet counts by category, condition and price range for
+    the same filters. Each facet ignores its own filter so the UI can show alternatives
+
+  ## Notes
+  - Search text is parsed with `websearch_to_tsquery`, which accepts free user input
+    (quotes, `or`, `-word`) and never raises a syntax error
+  - Both functions run as the caller (SECURITY INVOKER), so RLS still applies
+  - Sort options: 'relevance', 'newest', 'price_asc', 'price_desc', 'most_viewed'
+*/
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_price ON products(price);
+CREATE INDEX IF NOT EXISTS idx_products_views ON products(views DESC);
+
+CREATE OR REPLACE FUNCTION search_products(
+  search_query text DEFAULT NULL,
+  filter_category_id uuid DEFAULT NULL,
+  filter_condition text DEFAULT NULL,
+  filter_min_price numeric DEFAULT NULL,
+  filter_max_price numeric DEFAULT NULL,
+  filter_status text DEFAULT 'active',
+  filter_user_id uuid DEFAULT NULL,
+  sort_by text DEFAULT 'relevance',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  rank real,
+  title_highlight text,
+  description_highlight text,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', coalesce(search_query, '')) AS query
+  ),
+  matches AS (
+    SELECT
+      p.id,
+      p.title,
+      p.description,
+      p.price,
+      p.views,
+      p.created_at,
+      ts_rank_cd(p.search_vector, q.query) AS rank
+    FROM products p, q
+    WHERE (search_query IS NULL OR p.search_vector @@ q.query)
+      AND (filter_status IS NULL OR p.status = filter_status)
+      AND (filter_user_id IS NULL OR p.user_id = filter_user_id)
+      AND (filter_category_id IS NULL OR p.category_id = filter_category_id)
+      AND (filter_condition IS NULL OR p.condition = filter_condition)
+      AND (filter_min_price IS NULL OR p.price >= filter_min_price)
+      AND (filter_max_price IS NULL OR p.price <= filter_max_price)
+  ),
+  page AS (
+    SELECT
+      m.*,
+      count(*) OVER () AS total_count
+    FROM matches m
+    ORDER BY
+      CASE WHEN sort_by = 'relevance' THEN m.rank END DESC,
+      CASE WHEN sort_by = 'price_asc' THEN m.price END ASC,
+      CASE WHEN sort_by = 'price_desc' THEN m.price END DESC,
+      CASE WHEN sort_by = 'most_viewed' THEN m.views END DESC,
+      m.created_at DESC,
+      m.id DESC
+    LIMIT page_limit
+    OFFSET page_offset
+  )
+  SELECT
+    page.id,
+    page.rank,
+    ts_headline('english', page.title, q.query,
+      'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', page.description, q.query,
+      'StartSel=<mark>, StopSel=</mark>, MinWords=10, MaxWords=30, MaxFragments=2, FragmentDelimiter=" ... "'),
+    page.total_count
+  FROM page, q
+  ORDER BY
+    CASE WHEN sort_by = 'relevance' THEN page.rank END DESC,
+    CASE WHEN sort_by = 'price_asc' THEN page.price END ASC,
+    CASE WHEN sort_by = 'price_desc' THEN page.price END DESC,
+    CASE WHEN sort_by = 'most_viewed' THEN page.views END DESC,
+    page.created_at DESC,
+    page.id DESC;
+$$;
+
+CREATE OR REPLACE FUNCTION product_search_facets(
+  search_query text DEFAULT NULL,
+  filter_category_id uuid DEFAULT NULL,
+  filter_condition text DEFAULT NULL,
+  filter_min_price numeric DEFAULT NULL,
+  filter_max_price numeric DEFAULT NULL,
+  filter_status text DEFAULT 'active',
+  filter_user_id uuid DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', coalesce(search_query, '')) AS query
+  ),
+  base AS (
+    SELECT p.category_id, p.condition, p.price
+    FROM products p, q
+    WHERE (search_query IS NULL OR p.search_vector @@ q.query)
+      AND (filter_status IS NULL OR p.status = filter_status)
+      AND (filter_user_id IS NULL OR p.user_id = filter_user_id)
+  ),
+  price_ranges(min_price, max_price) AS (
+    VALUES (0, 50), (50, 100), (100, 500), (500, 1000), (1000, 5000), (5000, NULL)
+  )
+  SELECT jsonb_build_object(
+    'categories', (
+      SELECT coalesce(jsonb_agg(jsonb_build_object(
+        'category_id', c.id,
+        'name', c.name,
+        'slug', c.slug,
+        'count', counts.count
+      ) ORDER BY counts.count DESC, c.name), '[]'::jsonb)
+      FROM (
+        SELECT b.category_id, count(*) AS count
+        FROM base b
+        WHERE (filter_condition IS NULL OR b.condition = filter_condition)
+          AND (filter_min_price IS NULL OR b.price >= filter_min_price)
+          AND (filter_max_price IS NULL OR b.price <= filter_max_price)
+        GROUP BY b.category_id
+      ) counts
+      JOIN categories c ON c.id = counts.category_id
+    ),
+    'conditions', (
+      SELECT coalesce(jsonb_agg(jsonb_build_object(
+        'condition', counts.condition,
+        'count', counts.count
+      ) ORDER BY counts.count DESC), '[]'::jsonb)
+      FROM (
+        SELECT b.condition, count(*) AS count
+        FROM base b
+        WHERE (filter_category_id IS NULL OR b.category_id = filter_category_id)
+          AND (filter_min_price IS NULL OR b.price >= filter_min_price)
+          AND (filter_max_price IS NULL OR b.price <= filter_max_price)
+        GROUP BY b.condition
+      ) counts
+    ),
+    'price_ranges', (
+      SELECT jsonb_agg(jsonb_build_object(
+        'min', r.min_price,
+        'max', r.max_price,
+        'count', (
+          SELECT count(*)
+          FROM base b
+          WHERE (filter_category_id IS NULL OR b.category_id = filter_category_id)
+            AND (filter_condition IS NULL OR b.condition = filter_condition)
+            AND b.price >= r.min_price
+            AND (r.max_price IS NULL OR b.price < r.max_price)
+        )
+      ) ORDER BY r.min_price)
+      FROM price_ranges r
+    )
+  );
+$$;
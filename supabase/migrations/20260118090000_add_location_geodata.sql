@@ -0,0 +1,214 @@
+/*
+  # Structured Location Data
+
+  ## Changes
+  - `profiles` and `products` get `city` (normalized city name), `latitude` and `longitude`
+    next to the existing free-text `location`
+  - `distance_km(lat1, lng1, lat2, lng2)` - Great-circle (haversine) distance in kilometres
+  - `search_products(...)` and `product_search_facets(...)` are recreated with
+    `origin_lat`, `origin_lng` and `radius_km` parameters. When an origin is given,
+    products without coordinates are excluded and `search_products` returns `distance_km`
+    and supports `sort_by = 'distance'`
+
+  ## Notes
+  - Coordinates are filled in by the API through its geocoder when a location is saved.
+    Existing rows are backfilled with `npm run backfill:geo`
+*/
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS city text;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS latitude double precision CHECK (latitude BETWEEN -90 AND 90);
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS longitude double precision CHECK (longitude BETWEEN -180 AND 180);
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS city text;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS latitude double precision CHECK (latitude BETWEEN -90 AND 90);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS longitude double precision CHECK (longitude BETWEEN -180 AND 180);
+
+CREATE INDEX IF NOT EXISTS idx_products_lat_lng ON products(latitude, longitude);
+CREATE INDEX IF NOT EXISTS idx_products_city ON products(city);
+
+CREATE OR REPLACE FUNCTION distance_km(
+  lat1 double precision,
+  lng1 double precision,
+  lat2 double precision,
+  lng2 double precision
+)
+RETURNS double precision
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT 2 * 6371 * asin(sqrt(
+    power(sin(radians(lat2 - lat1) / 2), 2) +
+    cos(radians(lat1)) * cos(radians(lat2)) * power(sin(radians(lng2 - lng1) / 2), 2)
+  ));
+$$;
+
+DROP FUNCTION IF EXISTS search_products(text, uuid, text, numeric, numeric, text, uuid, text, integer, integer);
+DROP FUNCTION IF EXISTS product_search_facets(text, uuid, text, numeric, numeric, text, uuid);
+
+CREATE OR REPLACE FUNCTION search_products(
+  search_query text DEFAULT NULL,
+  filter_category_id uuid DEFAULT NULL,
+  filter_condition text DEFAULT NULL,
+  filter_min_price numeric DEFAULT NULL,
+  filter_max_price numeric DEFAULT NULL,
+  filter_status text DEFAULT 'active',
+  filter_user_id uuid DEFAULT NULL,
+  origin_lat double precision DEFAULT NULL,
+  origin_lng double precision DEFAULT NULL,
+  radius_km double precision DEFAULT NULL,
+  sort_by text DEFAULT 'relevance',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  rank real,
+  title_highlight text,
+  description_highlight text,
+  distance_km double precision,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', coalesce(search_query, '')) AS query
+  ),
+  matches AS (
+    SELECT
+      p.id,
+      p.title,
+      p.description,
+      p.price,
+      p.views,
+      p.created_at,
+      ts_rank_cd(p.search_vector, q.query) AS rank,
+      CASE WHEN origin_lat IS NOT NULL AND origin_lng IS NOT NULL
+        THEN distance_km(origin_lat, origin_lng, p.latitude, p.longitude)
+      END AS distance_km
+    FROM products p, q
+    WHERE (search_query IS NULL OR p.search_vector @@ q.query)
+      AND (filter_status IS NULL OR p.status = filter_status)
+      AND (filter_user_id IS NULL OR p.user_id = filter_user_id)
+      AND (filter_category_id IS NULL OR p.category_id = filter_category_id)
+      AND (filter_condition IS NULL OR p.condition = filter_condition)
+      AND (filter_min_price IS NULL OR p.price >= filter_min_price)
+      AND (filter_max_price IS NULL OR p.price <= filter_max_price)
+      AND (origin_lat IS NULL OR origin_lng IS NULL OR (p.latitude IS NOT NULL AND p.longitude IS NOT NULL))
+  ),
+  page AS (
+    SELECT
+      m.*,
+      count(*) OVER () AS total_count
+    FROM matches m
+    WHERE radius_km IS NULL OR m.distance_km IS NULL OR m.distance_km <= radius_km
+    ORDER BY
+      CASE WHEN sort_by = 'relevance' THEN m.rank END DESC,
+      CASE WHEN sort_by = 'distance' THEN m.distance_km END ASC,
+      CASE WHEN sort_by = 'price_asc' THEN m.price END ASC,
+      CASE WHEN sort_by = 'price_desc' THEN m.price END DESC,
+      CASE WHEN sort_by = 'most_viewed' THEN m.views END DESC,
+      m.created_at DESC,
+      m.id DESC
+    LIMIT page_limit
+    OFFSET page_offset
+  )
+  SELECT
+    page.id,
+    page.rank,
+    ts_headline('english', page.title, q.query,
+      'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', page.description, q.query,
+      'StartSel=<mark>, StopSel=</mark>, MinWords=10, MaxWords=30, MaxFragments=2, FragmentDelimiter=" ... "'),
+    page.distance_km,
+    page.total_count
+  FROM page, q
+  ORDER BY
+    CASE WHEN sort_by = 'relevance' THEN page.rank END DESC,
+    CASE WHEN sort_by = 'distance' THEN page.distance_km END ASC,
+    CASE WHEN sort_by = 'price_asc' THEN page.price END ASC,
+    CASE WHEN sort_by = 'price_desc' THEN page.price END DESC,
+    CASE WHEN sort_by = 'most_viewed' THEN page.views END DESC,
+    page.created_at DESC,
+    page.id DESC;
+$$;
+
+CREATE OR REPLACE FUNCTION product_search_facets(
+  search_query text DEFAULT NULL,
+  filter_category_id uuid DEFAULT NULL,
+  filter_condition text DEFAULT NULL,
+  filter_min_price numeric DEFAULT NULL,
+  filter_max_price numeric DEFAULT NULL,
+  filter_status text DEFAULT 'active',
+  filter_user_id uuid DEFAULT NULL,
+  origin_lat double precision DEFAULT NULL,
+  origin_lng double precision DEFAULT NULL,
+  radius_km double precision DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', coalesce(search_query, '')) AS query
+  ),
+  base AS (
+    SELECT p.category_id, p.condition, p.price
+    FROM products p, q
+    WHERE (search_query IS NULL OR p.search_vector @@ q.query)
+      AND (filter_status IS NULL OR p.status = filter_status)
+      AND (filter_user_id IS NULL OR p.user_id = filter_user_id)
+      AND (origin_lat IS NULL OR origin_lng IS NULL OR (
+        p.latitude IS NOT NULL AND p.longitude IS NOT NULL
+        AND (radius_km IS NULL OR distance_km(origin_lat, origin_lng, p.latitude, p.longitude) <= radius_km)
+      ))
+  ),
+  price_ranges(min_price, max_price) AS (
+    VALUES (0, 50), (50, 100), (100, 500), (500, 1000), (1000, 5000), (5000, NULL)
+  )
+  SELECT jsonb_build_object(
+    'categories', (
+      SELECT coalesce(jsonb_agg(jsonb_build_object(
+        'category_id', c.id,
+        'name', c.name,
+        'slug', c.slug,
+        'count', counts.count
+      ) ORDER BY counts.count DESC, c.name), '[]'::jsonb)
+      FROM (
+        SELECT b.category_id, count(*) AS count
+        FROM base b
+        WHERE (filter_condition IS NULL OR b.condition = filter_condition)
+          AND (filter_min_price IS NULL OR b.price >= filter_min_price)
+          AND (filter_max_price IS NULL OR b.price <= filter_max_price)
+        GROUP BY b.category_id
+      ) counts
+      JOIN categories c ON c.id = counts.category_id
+    ),
+    'conditions', (
+      SELECT coalesce(jsonb_agg(jsonb_build_object(
+        'condition', counts.condition,
+        'count', counts.count
+      ) ORDER BY counts.count DESC), '[]'::jsonb)
+      FROM (
+        SELECT b.condition, count(*) AS count
+        FROM base b
+        WHERE (filter_category_id IS NULL OR b.category_id = filter_category_id)
+          AND (filter_min_price IS NULL OR b.price >= filter_min_price)
+          AND (filter_max_price IS NULL OR b.price <= filter_max_price)
+        GROUP BY b.condition
+      ) counts
+    ),
+    'price_ranges', (
+      SELECT jsonb_agg(jsonb_build_object(
+        'min', r.min_price,
+        'max', r.max_price,
+        'count', (
+          SELECT count(*)
+          FROM base b
+          WHERE (filter_category_id IS NULL OR b.category_id = filter_category_id)
+            AND (filter_condition IS NULL OR b.condition = filter_condition)
+            AND b.price >= r.min_price
+            AND (r.max_price IS NULL OR b.price < r.max_price)
+        )
+      ) ORDER BY r.min_price)
+      FROM price_ranges r
+    )
+  );
+$$;
@@ -0,0 +1,272 @@
+/*
+  # Category Tree and Category Attributes
+
+  ## Changes
+  - `categories.attribute_schema` (jsonb) - Array of typed attribute definitions. A category
+    inherits the attributes of its ancestors; a definition with the same key overrides the
+    inherited one. Each definition looks like:
+      { "key": "year", "label": "Year", "type": "integer", "required": true, "min": 1900, "max": 2100 }
+    Supported types: 'string', 'number', 'integer', 'boolean', 'enum' (with "options")
+  - `products.attributes` (jsonb) - Attribute values validated by the API against the
+    effective schema of the product's category, indexed with GIN
+  - `filtered_products(...)` - Shared base filter (search text, status, seller, location,
+    attributes) used by the search and facet functions
+  - `search_products(...)` and `product_search_facets(...)` are recreated on top of it.
+    `filter_category_id` becomes `filter_category_ids` so a parent category can match its
+    descendants, and attribute filters are added:
+      - `filter_attributes` - exact matches, e.g. { "fuel": "diesel" }
+      - `filter_attribute_ranges` - numeric bounds, e.g. { "year": { "min": 2015 } }
+  - Seeds attribute schemas and a few subcategories
+*/
+
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS attribute_schema jsonb NOT NULL DEFAULT '[]'::jsonb
+  CHECK (jsonb_typeof(attribute_schema) = 'array');
+ALTER TABLE products ADD COLUMN IF NOT EXISTS attributes jsonb NOT NULL DEFAULT '{}'::jsonb
+  CHECK (jsonb_typeof(attributes) = 'object');
+
+CREATE INDEX IF NOT EXISTS idx_products_attributes ON products USING GIN(attributes);
+
+DROP FUNCTION IF EXISTS search_products(text, uuid, text, numeric, numeric, text, uuid, double precision, double precision, double precision, text, integer, integer);
+DROP FUNCTION IF EXISTS product_search_facets(text, uuid, text, numeric, numeric, text, uuid, double precision, double precision, double precision);
+
+CREATE OR REPLACE FUNCTION filtered_products(
+  search_query text DEFAULT NULL,
+  filter_status text DEFAULT 'active',
+  filter_user_id uuid DEFAULT NULL,
+  filter_attributes jsonb DEFAULT NULL,
+  filter_attribute_ranges jsonb DEFAULT NULL,
+  origin_lat double precision DEFAULT NULL,
+  origin_lng double precision DEFAULT NULL,
+  radius_km double precision DEFAULT NULL
+)
+RETURNS SETOF products
+LANGUAGE sql STABLE
+AS $$
+  SELECT p.*
+  FROM products p
+  WHERE (search_query IS NULL OR p.search_vector @@ websearch_to_tsquery('english', search_query))
+    AND (filter_status IS NULL OR p.status = filter_status)
+    AND (filter_user_id IS NULL OR p.user_id = filter_user_id)
+    AND (filter_attributes IS NULL OR p.attributes @> filter_attributes)
+    AND (filter_attribute_ranges IS NULL OR NOT EXISTS (
+      SELECT 1
+      FROM jsonb_each(filter_attribute_ranges) AS r(key, bounds)
+      WHERE NOT coalesce(
+        (NOT bounds ? 'min' OR (p.attributes->>r.key)::numeric >= (bounds->>'min')::numeric)
+        AND (NOT bounds ? 'max' OR (p.attributes->>r.key)::numeric <= (bounds->>'max')::numeric),
+        false
+      )
+    ))
+    AND (origin_lat IS NULL OR origin_lng IS NULL OR (
+      p.latitude IS NOT NULL AND p.longitude IS NOT NULL
+      AND (radius_km IS NULL OR distance_km(origin_lat, origin_lng, p.latitude, p.longitude) <= radius_km)
+    ));
+$$;
+
+CREATE OR REPLACE FUNCTION search_products(
+  search_query text DEFAULT NULL,
+  filter_category_ids uuid[] DEFAULT NULL,
+  filter_condition text DEFAULT NULL,
+  filter_min_price numeric DEFAULT NULL,
+  filter_max_price numeric DEFAULT NULL,
+  filter_status text DEFAULT 'active',
+  filter_user_id uuid DEFAULT NULL,
+  filter_attributes jsonb DEFAULT NULL,
+  filter_attribute_ranges jsonb DEFAULT NULL,
+  origin_lat double precision DEFAULT NULL,
+  origin_lng double precision DEFAULT NULL,
+  radius_km double precision DEFAULT NULL,
+  sort_by text DEFAULT 'relevance',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0
+)
+RETURNS TABLE (
+  id uuid,
+  rank real,
+  title_highlight text,
+  description_highlight text,
+  distance_km double precision,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', coalesce(search_query, '')) AS query
+  ),
+  matches AS (
+    SELECT
+      p.id,
+      p.title,
+      p.description,
+      p.price,
+      p.views,
+      p.created_at,
+      ts_rank_cd(p.search_vector, q.query) AS rank,
+      CASE WHEN origin_lat IS NOT NULL AND origin_lng IS NOT NULL
+        THEN distance_km(origin_lat, origin_lng, p.latitude, p.longitude)
+      END AS distance_km
+    FROM filtered_products(
+      search_query, filter_status, filter_user_id, filter_attributes,
+      filter_attribute_ranges, origin_lat, origin_lng, radius_km
+    ) p, q
+    WHERE (filter_category_ids IS NULL OR p.category_id = ANY(filter_category_ids))
+      AND (filter_condition IS NULL OR p.condition = filter_condition)
+      AND (filter_min_price IS NULL OR p.price >= filter_min_price)
+      AND (filter_max_price IS NULL OR p.price <= filter_max_price)
+  ),
+  page AS (
+    SELECT
+      m.*,
+      count(*) OVER () AS total_count
+    FROM matches m
+    ORDER BY
+      CASE WHEN sort_by = 'relevance' THEN m.rank END DESC,
+      CASE WHEN sort_by = 'distance' THEN m.distance_km END ASC,
+      CASE WHEN sort_by = 'price_asc' THEN m.price END ASC,
+      CASE WHEN sort_by = 'price_desc' THEN m.price END DESC,
+      CASE WHEN sort_by = 'most_viewed' THEN m.views END DESC,
+      m.created_at DESC,
+      m.id DESC
+    LIMIT page_limit
+    OFFSET page_offset
+  )
+  SELECT
+    page.id,
+    page.rank,
+    ts_headline('english', page.title, q.query,
+      'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', page.description, q.query,
+      'StartSel=<mark>, StopSel=</mark>, MinWords=10, MaxWords=30, MaxFragments=2, FragmentDelimiter=" ... "'),
+    page.distance_km,
+    page.total_count
+  FROM page, q
+  ORDER BY
+    CASE WHEN sort_by = 'relevance' THEN page.rank END DESC,
+    CASE WHEN sort_by = 'distance' THEN page.distance_km END ASC,
+    CASE WHEN sort_by = 'price_asc' THEN page.price END ASC,
+    CASE WHEN sort_by = 'price_desc' THEN page.price END DESC,
+    CASE WHEN sort_by = 'most_viewed' THEN page.views END DESC,
+    page.created_at DESC,
+    page.id DESC;
+$$;
+
+CREATE OR REPLACE FUNCTION product_search_facets(
+  search_query text DEFAULT NULL,
+  filter_category_ids uuid[] DEFAULT NULL,
+  filter_condition text DEFAULT NULL,
+  filter_min_price numeric DEFAULT NULL,
+  filter_max_price numeric DEFAULT NULL,
+  filter_status text DEFAULT 'active',
+  filter_user_id uuid DEFAULT NULL,
+  filter_attributes jsonb DEFAULT NULL,
+  filter_attribute_ranges jsonb DEFAULT NULL,
+  origin_lat double precision DEFAULT NULL,
+  origin_lng double precision DEFAULT NULL,
+  radius_km double precision DEFAULT NULL
+)
+RETURNS jsonb
+LANGUAGE sql STABLE
+AS $$
+  WITH base AS (
+    SELECT p.category_id, p.condition, p.price
+    FROM filtered_products(
+      search_query, filter_status, filter_user_id, filter_attributes,
+      filter_attribute_ranges, origin_lat, origin_lng, radius_km
+    ) p
+  ),
+  price_ranges(min_price, max_price) AS (
+    VALUES (0, 50), (50, 100), (100, 500), (500, 1000), (1000, 5000), (5000, NULL)
+  )
+  SELECT jsonb_build_object(
+    'categories', (
+      SELECT coalesce(jsonb_agg(jsonb_build_object(
+        'category_id', c.id,
+        'name', c.name,
+        'slug', c.slug,
+        'count', counts.count
+      ) ORDER BY counts.count DESC, c.name), '[]'::jsonb)
+      FROM (
+        SELECT b.category_id, count(*) AS count
+        FROM base b
+        WHERE (filter_condition IS NULL OR b.condition = filter_condition)
+          AND (filter_min_price IS NULL OR b.price >= filter_min_price)
+          AND (filter_max_price IS NULL OR b.price <= filter_max_price)
+        GROUP BY b.category_id
+      ) counts
+      JOIN categories c ON c.id = counts.category_id
+    ),
+    'conditions', (
+      SELECT coalesce(jsonb_agg(jsonb_build_object(
+        'condition', counts.condition,
+        'count', counts.count
+      ) ORDER BY counts.count DESC), '[]'::jsonb)
+      FROM (
+        SELECT b.condition, count(*) AS count
+        FROM base b
+        WHERE (filter_category_ids IS NULL OR b.category_id = ANY(filter_category_ids))
+          AND (filter_min_price IS NULL OR b.price >= filter_min_price)
+          AND (filter_max_price IS NULL OR b.price <= filter_max_price)
+        GROUP BY b.condition
+      ) counts
+    ),
+    'price_ranges', (
+      SELECT jsonb_agg(jsonb_build_object(
+        'min', r.min_price,
+        'max', r.max_price,
+        'count', (
+          SELECT count(*)
+          FROM base b
+          WHERE (filter_category_ids IS NULL OR b.category_id = ANY(filter_category_ids))
+            AND (filter_condition IS NULL OR b.condition = filter_condition)
+            AND b.price >= r.min_price
+            AND (r.max_price IS NULL OR b.price < r.max_price)
+        )
+      ) ORDER BY r.min_price)
+      FROM price_ranges r
+    )
+  );
+$$;
+
+-- Attribute schemas for the default top-level categories
+UPDATE categories SET attribute_schema = '[
+  {"key": "brand", "label": "Brand", "type": "string"},
+  {"key": "year", "label": "Year", "type": "integer", "required": true, "min": 1900, "max": 2100},
+  {"key": "mileage", "label": "Mileage", "type": "integer", "unit": "km", "min": 0},
+  {"key": "fuel", "label": "Fuel", "type": "enum", "options": ["petrol", "diesel", "electric", "hybrid", "lpg"]},
+  {"key": "transmission", "label": "Transmission", "type": "enum", "options": ["manual", "automatic"]}
+]'::jsonb WHERE slug = 'vehicles';
+
+UPDATE categories SET attribute_schema = '[
+  {"key": "brand", "label": "Brand", "type": "string"},
+  {"key": "size", "label": "Size", "type": "enum", "options": ["XS", "S", "M", "L", "XL", "XXL"]},
+  {"key": "gender", "label": "Gender", "type": "enum", "options": ["women", "men", "unisex", "kids"]}
+]'::jsonb WHERE slug = 'fashion';
+
+UPDATE categories SET attribute_schema = '[
+  {"key": "listing_type", "label": "Listing type", "type": "enum", "required": true, "options": ["sale", "rent"]},
+  {"key": "bedrooms", "label": "Bedrooms", "type": "integer", "min": 0, "max": 50},
+  {"key": "area_sqm", "label": "Area", "type": "number", "unit": "m²", "min": 0},
+  {"key": "furnished", "label": "Furnished", "type": "boolean"}
+]'::jsonb WHERE slug = 'property';
+
+UPDATE categories SET attribute_schema = '[
+  {"key": "brand", "label": "Brand", "type": "string"}
+]'::jsonb WHERE slug = 'electronics';
+
+-- Default subcategories
+INSERT INTO categories (name, slug, description, icon, parent_id, attribute_schema)
+SELECT sub.name, sub.slug, sub.description, sub.icon, parent.id, sub.attribute_schema::jsonb
+FROM (VALUES
+  ('Cars', 'cars', 'Passenger cars', '🚗', 'vehicles',
+    '[{"key": "body_type", "label": "Body type", "type": "enum", "options": ["sedan", "hatchback", "suv", "coupe", "convertible", "wagon", "van", "pickup"]}]'),
+  ('Motorcycles', 'motorcycles', 'Motorcycles and scooters', '🏍️', 'vehicles',
+    '[{"key": "engine_cc", "label": "Engine size", "type": "integer", "unit": "cc", "min": 0}]'),
+  ('Mobile Phones', 'mobile-phones', 'Smartphones and mobile phones', '📱', 'electronics',
+    '[{"key": "storage_gb", "label": "Storage", "type": "integer", "unit": "GB", "min": 0}]'),
+  ('Computers', 'computers', 'Laptops, desktops and accessories', '💻', 'electronics', '[]'),
+  ('Clothing', 'clothing', 'Clothing for all ages', '👕', 'fashion', '[]'),
+  ('Shoes', 'shoes', 'Shoes and footwear', '👟', 'fashion',
+    '[{"key": "size", "label": "Shoe size (EU)", "type": "number", "min": 15, "max": 52}]')
+) AS sub(name, slug, description, icon, parent_slug, attribute_schema)
+JOIN categories parent ON parent.slug = sub.parent_slug
+ON CONFLICT (slug) DO NOTHING;
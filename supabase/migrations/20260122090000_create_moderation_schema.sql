@@ -0,0 +1,206 @@
+/*
+  # Roles, Moderation and Listing Reports
+
+  ## Overview
+  Adds a role model to profiles, restricts category management to admins, lets users
+  report listings and lets moderators take listings down with a reason the seller can see.
+
+  ## Changes
+
+  ### `profiles`
+  - `role` (text) - 'user' (default), 'moderator' or 'admin'
+  - `suspended_at` (timestamptz) - Set while the account is suspended
+  - `suspension_reason` (text)
+
+  ### `products`
+  - `status` accepts 'removed' for listings taken down by a moderator
+  - `takedown_reason` (text) - Reason shown to the seller
+  - `taken_down_at` (timestamptz)
+  - `taken_down_by` (uuid) - Moderator who removed the listing
+
+  ## New Tables
+
+  ### `reports`
+  - `id` (uuid, primary key)
+  - `product_id` (uuid) - Reported listing
+  - `reporter_id` (uuid) - User who filed the report
+  - `reason` (text) - 'scam', 'prohibited', 'duplicate', 'wrong_category', 'offensive', 'other'
+  - `details` (text)
+  - `status` (text) - 'open', 'dismissed', 'actioned'
+  - `resolved_by` (uuid), `resolved_at` (timestamptz), `resolution_note` (text)
+  - `created_at` (timestamptz)
+  - A user can hold only one open report per listing
+
+  ## Security
+  - `has_role(required_role)` checks the caller's role; admins satisfy every role and
+    suspended accounts satisfy none
+  - Categories can only be created, updated and deleted by admins (replaces the policies
+    that let any authenticated user modify categories)
+  - Moderators can update any product and profile; triggers stop regular users from
+    changing their own role or suspension, or reactivating a removed listing
+  - Reporters see their own reports; moderators see and resolve all reports
+*/
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS role text NOT NULL DEFAULT 'user'
+  CHECK (role IN ('user', 'moderator', 'admin'));
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS suspended_at timestamptz;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS suspension_reason text;
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_status_check;
+ALTER TABLE products ADD CONSTRAINT products_status_check
+  CHECK (status IN ('draft', 'active', 'sold', 'archived', 'removed'));
+ALTER TABLE products ADD COLUMN IF NOT EXISTS takedown_reason text;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS taken_down_at timestamptz;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS taken_down_by uuid REFERENCES profiles(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS reports (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id uuid NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  reporter_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  reason text NOT NULL CHECK (reason IN ('scam', 'prohibited', 'duplicate', 'wrong_category', 'offensive', 'other')),
+  details text DEFAULT '',
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'dismissed', 'actioned')),
+  resolved_by uuid REFERENCES profiles(id) ON DELETE SET NULL,
+  resolved_at timestamptz,
+  resolution_note text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_profiles_role ON profiles(role);
+CREATE INDEX IF NOT EXISTS idx_reports_status ON reports(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_reports_product_id ON reports(product_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reports_open_per_reporter
+  ON reports(product_id, reporter_id)
+  WHERE status = 'open';
+
+CREATE OR REPLACE FUNCTION has_role(required_role text)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM profiles
+    WHERE id = auth.uid()
+    AND suspended_at IS NULL
+    AND (
+      role = 'admin'
+      OR (role = 'moderator' AND required_role IN ('moderator', 'user'))
+      OR required_role = 'user'
+    )
+  );
+$$;
+
+-- Categories: admin-only writes
+DROP POLICY IF EXISTS "Authenticated users can create categories" ON categories;
+DROP POLICY IF EXISTS "Authenticated users can update categories" ON categories;
+DROP POLICY IF EXISTS "Authenticated users can delete categories" ON categories;
+
+CREATE POLICY "Admins can create categories"
+  ON categories FOR INSERT
+  TO authenticated
+  WITH CHECK (has_role('admin'));
+
+CREATE POLICY "Admins can update categories"
+  ON categories FOR UPDATE
+  TO authenticated
+  USING (has_role('admin'))
+  WITH CHECK (has_role('admin'));
+
+CREATE POLICY "Admins can delete categories"
+  ON categories FOR DELETE
+  TO authenticated
+  USING (has_role('admin'));
+
+-- Moderators act on any profile or product
+CREATE POLICY "Moderators can update profiles"
+  ON profiles FOR UPDATE
+  TO authenticated
+  USING (has_role('moderator'))
+  WITH CHECK (has_role('moderator'));
+
+CREATE POLICY "Moderators can view all products"
+  ON products FOR SELECT
+  TO authenticated
+  USING (has_role('moderator'));
+
+CREATE POLICY "Moderators can update products"
+  ON products FOR UPDATE
+  TO authenticated
+  USING (has_role('moderator'))
+  WITH CHECK (has_role('moderator'));
+
+-- Reports policies
+ALTER TABLE reports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own reports"
+  ON reports FOR SELECT
+  TO authenticated
+  USING (auth.uid() = reporter_id OR has_role('moderator'));
+
+CREATE POLICY "Users can file reports"
+  ON reports FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = reporter_id AND status = 'open');
+
+CREATE POLICY "Moderators can resolve reports"
+  ON reports FOR UPDATE
+  TO authenticated
+  USING (has_role('moderator'))
+  WITH CHECK (has_role('moderator'));
+
+-- Only admins change roles and only moderators change suspensions. Requests
+-- without a user (service role, SQL console) are trusted.
+CREATE OR REPLACE FUNCTION protect_profile_privileges()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.role IS DISTINCT FROM OLD.role AND NOT has_role('admin') THEN
+    RAISE EXCEPTION 'Only admins can change roles' USING ERRCODE = '42501';
+  END IF;
+
+  IF (NEW.suspended_at IS DISTINCT FROM OLD.suspended_at
+      OR NEW.suspension_reason IS DISTINCT FROM OLD.suspension_reason)
+    AND NOT has_role('moderator') THEN
+    RAISE EXCEPTION 'Only moderators can change suspensions' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER protect_profile_privileges
+  BEFORE UPDATE ON profiles
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_profile_privileges();
+
+-- Sellers cannot remove listings themselves, edit the takedown fields or bring
+-- a removed listing back
+CREATE OR REPLACE FUNCTION protect_product_moderation()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL OR has_role('moderator') THEN
+    RETURN NEW;
+  END IF;
+
+  IF OLD.status = 'removed' THEN
+    RAISE EXCEPTION 'This listing was removed by a moderator' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.status = 'removed'
+    OR NEW.takedown_reason IS DISTINCT FROM OLD.takedown_reason
+    OR NEW.taken_down_at IS DISTINCT FROM OLD.taken_down_at
+    OR NEW.taken_down_by IS DISTINCT FROM OLD.taken_down_by THEN
+    RAISE EXCEPTION 'Only moderators can remove listings' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER protect_product_moderation
+  BEFORE UPDATE ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_product_moderation();
@@ -0,0 +1,125 @@
+/*
+  # Seller Ratings and Reviews
+
+  ## Changes
+
+  ### `products`
+  - `buyer_id` (uuid) - Buyer of a sold listing. Set when an offer is accepted or when the
+    seller marks the listing sold for a buyer they talked to
+
+  ## New Tables
+
+  ### `reviews`
+  One review per completed sale
+  - `id` (uuid, primary key)
+  - `product_id` (uuid, unique) - The sold listing
+  - `reviewer_id` (uuid) - Buyer who wrote the review
+  - `seller_id` (uuid) - Seller being reviewed
+  - `rating` (integer) - 1 to 5
+  - `comment` (text)
+  - `reply` (text) - The seller's single reply
+  - `replied_at` (timestamptz)
+  - `created_at` (timestamptz)
+
+  ## Security
+  - Buyers can view the listings they bought
+  - Everyone can read reviews
+  - Only the recorded buyer of a sold listing can review it, once
+  - The seller can reply once; triggers keep everything else read-only for them
+
+  ## Functions
+  - `seller_stats(seller uuid)` - Average rating, review count and completed sales.
+    SECURITY DEFINER because sold listings are not visible to other users through RLS
+*/
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS buyer_id uuid REFERENCES profiles(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS reviews (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id uuid UNIQUE NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  reviewer_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  seller_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  rating integer NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  comment text DEFAULT '',
+  reply text,
+  replied_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_buyer_id ON products(buyer_id);
+CREATE INDEX IF NOT EXISTS idx_reviews_seller_id ON reviews(seller_id, created_at DESC);
+
+CREATE POLICY "Buyers can view purchased products"
+  ON products FOR SELECT
+  TO authenticated
+  USING (buyer_id = auth.uid());
+
+ALTER TABLE reviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public can view reviews"
+  ON reviews FOR SELECT
+  USING (true);
+
+CREATE POLICY "Buyers can review completed purchases"
+  ON reviews FOR INSERT
+  TO authenticated
+  WITH CHECK (
+    auth.uid() = reviewer_id
+    AND reply IS NULL
+    AND EXISTS (
+      SELECT 1 FROM products
+      WHERE products.id = reviews.product_id
+      AND products.status = 'sold'
+      AND products.buyer_id = auth.uid()
+      AND products.user_id = reviews.seller_id
+    )
+  );
+
+CREATE POLICY "Sellers can reply to reviews"
+  ON reviews FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = seller_id)
+  WITH CHECK (auth.uid() = seller_id);
+
+CREATE OR REPLACE FUNCTION protect_review_reply()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF OLD.reply IS NOT NULL THEN
+    RAISE EXCEPTION 'This review already has a reply' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.rating IS DISTINCT FROM OLD.rating
+    OR NEW.comment IS DISTINCT FROM OLD.comment
+    OR NEW.reviewer_id IS DISTINCT FROM OLD.reviewer_id
+    OR NEW.seller_id IS DISTINCT FROM OLD.seller_id
+    OR NEW.product_id IS DISTINCT FROM OLD.product_id THEN
+    RAISE EXCEPTION 'Sellers can only reply to reviews' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER protect_review_reply
+  BEFORE UPDATE ON reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_review_reply();
+
+CREATE OR REPLACE FUNCTION seller_stats(seller uuid)
+RETURNS TABLE (
+  average_rating numeric,
+  review_count bigint,
+  completed_sales bigint
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT
+    (SELECT round(avg(rating), 2) FROM reviews WHERE seller_id = seller),
+    (SELECT count(*) FROM reviews WHERE seller_id = seller),
+    (SELECT count(*) FROM products WHERE user_id = seller AND status = 'sold');
+$$;
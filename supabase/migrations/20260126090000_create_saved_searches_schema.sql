@@ -0,0 +1,144 @@
+/*
+  # Saved Searches and Notifications
+
+  ## New Tables
+
+  ### 1. `saved_searches`
+  A product query a user wants to be alerted about
+  - `id` (uuid, primary key)
+  - `user_id` (uuid) - Owner
+  - `name` (text) - Label shown in the UI
+  - `category_id` (uuid) - Matches the category and all of its subcategories
+  - `min_price`, `max_price` (numeric)
+  - `condition` (text)
+  - `search` (text) - Full-text query, same syntax as `GET /api/products?search=`
+  - `notify_email` (boolean) - Also send alerts by email
+  - `created_at`, `updated_at` (timestamptz)
+
+  ### 2. `notifications`
+  In-app notification feed
+  - `id` (uuid, primary key)
+  - `user_id` (uuid) - Recipient
+  - `type` (text) - e.g. 'saved_search_match'
+  - `title`, `body` (text)
+  - `data` (jsonb) - Type-specific payload such as product and saved search IDs
+  - `dedupe_key` (text) - Optional; a user never gets two notifications with the same key
+  - `read_at` (timestamptz)
+  - `created_at` (timestamptz)
+
+  ## Functions
+  - `saved_searches_matching(target_product_id)` - Saved searches of other users that an
+    active product matches. Called by the API's matching job with the service role
+
+  ## Security
+  - Users manage only their own saved searches
+  - Users can view, mark read and delete only their own notifications. Notifications are
+    created by the server with the service role
+*/
+
+CREATE TABLE IF NOT EXISTS saved_searches (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  category_id uuid REFERENCES categories(id) ON DELETE CASCADE,
+  min_price numeric(10, 2) CHECK (min_price >= 0),
+  max_price numeric(10, 2) CHECK (max_price >= 0),
+  condition text CHECK (condition IN ('new', 'like_new', 'good', 'fair', 'poor')),
+  search text,
+  notify_email boolean NOT NULL DEFAULT false,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  type text NOT NULL,
+  title text NOT NULL,
+  body text DEFAULT '',
+  data jsonb NOT NULL DEFAULT '{}'::jsonb,
+  dedupe_key text,
+  read_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE(user_id, dedupe_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON saved_searches(user_id);
+CREATE INDEX IF NOT EXISTS idx_saved_searches_category_id ON saved_searches(category_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+ALTER TABLE saved_searches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+-- Saved searches policies
+CREATE POLICY "Users can view own saved searches"
+  ON saved_searches FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create own saved searches"
+  ON saved_searches FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own saved searches"
+  ON saved_searches FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own saved searches"
+  ON saved_searches FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+-- Notifications policies
+CREATE POLICY "Users can view own notifications"
+  ON notifications FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can mark own notifications read"
+  ON notifications FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own notifications"
+  ON notifications FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_saved_searches_updated_at
+  BEFORE UPDATE ON saved_searches
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE FUNCTION saved_searches_matching(target_product_id uuid)
+RETURNS SETOF saved_searches
+LANGUAGE sql STABLE
+AS $$
+  WITH RECURSIVE product AS (
+    SELECT * FROM products
+    WHERE id = target_product_id
+    AND status = 'active'
+  ),
+  ancestry AS (
+    SELECT c.id, c.parent_id
+    FROM categories c
+    JOIN product p ON c.id = p.category_id
+    UNION
+    SELECT c.id, c.parent_id
+    FROM categories c
+    JOIN ancestry a ON c.id = a.parent_id
+  )
+  SELECT s.*
+  FROM saved_searches s, product p
+  WHERE s.user_id <> p.user_id
+    AND (s.category_id IS NULL OR s.category_id IN (SELECT id FROM ancestry))
+    AND (s.min_price IS NULL OR p.price >= s.min_price)
+    AND (s.max_price IS NULL OR p.price <= s.max_price)
+    AND (s.condition IS NULL OR p.condition = s.condition)
+    AND (s.search IS NULL OR p.search_vector @@ websearch_to_tsquery('english', s.search));
+$$;
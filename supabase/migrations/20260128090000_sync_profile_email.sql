@@ -0,0 +1,34 @@
+/*
+  # Keep Profile Email in Sync with Auth
+
+  ## Overview
+  Email changes are confirmed through a link handled by Supabase Auth, so the API never
+  sees the moment `auth.users.email` changes. This trigger copies the confirmed address
+  to `profiles.email`.
+
+  ## Functions
+  - `sync_profile_email()` - SECURITY DEFINER trigger function on `auth.users`
+*/
+
+CREATE OR REPLACE FUNCTION sync_profile_email()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE profiles
+  SET email = NEW.email
+  WHERE id = NEW.id
+  AND email IS DISTINCT FROM NEW.email;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_auth_user_email_changed ON auth.users;
+
+CREATE TRIGGER on_auth_user_email_changed
+  AFTER UPDATE OF email ON auth.users
+  FOR EACH ROW
+  WHEN (NEW.email IS DISTINCT FROM OLD.email)
+  EXECUTE FUNCTION sync_profile_email();
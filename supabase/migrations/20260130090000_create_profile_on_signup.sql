@@ -0,0 +1,53 @@
+/*
+  # Create Profiles Atomically with Auth Users
+
+  ## Overview
+  Signup used to create the auth user and then insert the profile in a second request.
+  When the second step failed the account had no profile and could never log in. The
+  profile is now created by a trigger in the same transaction as the auth user, from the
+  metadata the API passes to `auth.signUp`, so either both exist or neither does.
+
+  ## Functions
+  - `handle_new_user()` - SECURITY DEFINER trigger on `auth.users` that inserts the profile
+
+  ## Security
+  - Users creating their own profile (the lazy repair path on login) can no longer pick
+    a role other than 'user' or set a suspension
+*/
+
+CREATE OR REPLACE FUNCTION handle_new_user()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO profiles (id, email, full_name, phone, location, city, latitude, longitude)
+  VALUES (
+    NEW.id,
+    NEW.email,
+    COALESCE(NEW.raw_user_meta_data->>'full_name', ''),
+    COALESCE(NEW.raw_user_meta_data->>'phone', ''),
+    COALESCE(NEW.raw_user_meta_data->>'location', ''),
+    NEW.raw_user_meta_data->>'city',
+    (NEW.raw_user_meta_data->>'latitude')::double precision,
+    (NEW.raw_user_meta_data->>'longitude')::double precision
+  )
+  ON CONFLICT (id) DO NOTHING;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+
+CREATE TRIGGER on_auth_user_created
+  AFTER INSERT ON auth.users
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_new_user();
+
+DROP POLICY IF EXISTS "Users can insert own profile" ON profiles;
+
+CREATE POLICY "Users can insert own profile"
+  ON profiles FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = id AND role = 'user' AND suspended_at IS NULL);
@@ -0,0 +1,49 @@
+/*
+  # Account Deletion
+
+  ## Changes
+
+  ### `profiles`
+  - `deletion_requested_at` (timestamptz) - When the user asked for their account to be deleted
+  - `deletion_scheduled_for` (timestamptz) - End of the grace period; cleared when the user cancels
+  - `deleted_at` (timestamptz) - Set once the account has been anonymised. Only the service
+    role can set it
+
+  See "Account Deletion Policy" in README.md for what happens to each table.
+
+  ## Security
+  - `protect_profile_privileges` additionally stops users from setting `deleted_at`
+*/
+
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS deletion_requested_at timestamptz;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS deletion_scheduled_for timestamptz;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_deletion_scheduled_for
+  ON profiles(deletion_scheduled_for)
+  WHERE deletion_scheduled_for IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION protect_profile_privileges()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.role IS DISTINCT FROM OLD.role AND NOT has_role('admin') THEN
+    RAISE EXCEPTION 'Only admins can change roles' USING ERRCODE = '42501';
+  END IF;
+
+  IF (NEW.suspended_at IS DISTINCT FROM OLD.suspended_at
+      OR NEW.suspension_reason IS DISTINCT FROM OLD.suspension_reason)
+    AND NOT has_role('moderator') THEN
+    RAISE EXCEPTION 'Only moderators can change suspensions' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.deleted_at IS DISTINCT FROM OLD.deleted_at THEN
+    RAISE EXCEPTION 'Accounts are deleted by the server' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,134 @@
+/*
+  # Keyset Pagination
+
+  ## Changes
+  - `search_products(...)` is recreated with keyset arguments, so search results can be paged
+    with a cursor as well as an offset:
+      - `after_sort_value` - Value of the leading sort column (rank, distance, price or views)
+        of the last row of the previous page; NULL when sorting by newest
+      - `after_created_at`, `after_id` - Tie-breakers of that row
+    `total_count` still counts every match, independent of the cursor
+  - Indexes matching the `created_at DESC, id DESC` order used by the list endpoints, so a
+    page after a cursor is an index range scan
+*/
+
+DROP FUNCTION IF EXISTS search_products(text, uuid[], text, numeric, numeric, text, uuid, jsonb, jsonb, double precision, double precision, double precision, text, integer, integer);
+
+CREATE OR REPLACE FUNCTION search_products(
+  search_query text DEFAULT NULL,
+  filter_category_ids uuid[] DEFAULT NULL,
+  filter_condition text DEFAULT NULL,
+  filter_min_price numeric DEFAULT NULL,
+  filter_max_price numeric DEFAULT NULL,
+  filter_status text DEFAULT 'active',
+  filter_user_id uuid DEFAULT NULL,
+  filter_attributes jsonb DEFAULT NULL,
+  filter_attribute_ranges jsonb DEFAULT NULL,
+  origin_lat double precision DEFAULT NULL,
+  origin_lng double precision DEFAULT NULL,
+  radius_km double precision DEFAULT NULL,
+  sort_by text DEFAULT 'relevance',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0,
+  after_sort_value double precision DEFAULT NULL,
+  after_created_at timestamptz DEFAULT NULL,
+  after_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  rank real,
+  title_highlight text,
+  description_highlight text,
+  distance_km double precision,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', coalesce(search_query, '')) AS query
+  ),
+  matches AS (
+    SELECT
+      p.id,
+      p.title,
+      p.description,
+      p.price,
+      p.views,
+      p.created_at,
+      ts_rank_cd(p.search_vector, q.query) AS rank,
+      CASE WHEN origin_lat IS NOT NULL AND origin_lng IS NOT NULL
+        THEN distance_km(origin_lat, origin_lng, p.latitude, p.longitude)
+      END AS distance_km
+    FROM filtered_products(
+      search_query, filter_status, filter_user_id, filter_attributes,
+      filter_attribute_ranges, origin_lat, origin_lng, radius_km
+    ) p, q
+    WHERE (filter_category_ids IS NULL OR p.category_id = ANY(filter_category_ids))
+      AND (filter_condition IS NULL OR p.condition = filter_condition)
+      AND (filter_min_price IS NULL OR p.price >= filter_min_price)
+      AND (filter_max_price IS NULL OR p.price <= filter_max_price)
+  ),
+  counted AS (
+    SELECT
+      m.*,
+      count(*) OVER () AS total_count
+    FROM matches m
+  ),
+  page AS (
+    SELECT c.*
+    FROM counted c
+    -- Rows after the cursor in the same order as below. The rank is real, so
+    -- the cursor value is compared at that precision.
+    WHERE after_id IS NULL OR CASE sort_by
+      WHEN 'relevance' THEN c.rank < after_sort_value::real
+        OR (c.rank = after_sort_value::real AND (c.created_at, c.id) < (after_created_at, after_id))
+      WHEN 'distance' THEN c.distance_km > after_sort_value
+        OR (c.distance_km = after_sort_value AND (c.created_at, c.id) < (after_created_at, after_id))
+      WHEN 'price_asc' THEN c.price > after_sort_value::numeric
+        OR (c.price = after_sort_value::numeric AND (c.created_at, c.id) < (after_created_at, after_id))
+      WHEN 'price_desc' THEN c.price < after_sort_value::numeric
+        OR (c.price = after_sort_value::numeric AND (c.created_at, c.id) < (after_created_at, after_id))
+      WHEN 'most_viewed' THEN c.views < after_sort_value
+        OR (c.views = after_sort_value AND (c.created_at, c.id) < (after_created_at, after_id))
+      ELSE (c.created_at, c.id) < (after_created_at, after_id)
+    END
+    ORDER BY
+      CASE WHEN sort_by = 'relevance' THEN c.rank END DESC,
+      CASE WHEN sort_by = 'distance' THEN c.distance_km END ASC,
+      CASE WHEN sort_by = 'price_asc' THEN c.price END ASC,
+      CASE WHEN sort_by = 'price_desc' THEN c.price END DESC,
+      CASE WHEN sort_by = 'most_viewed' THEN c.views END DESC,
+      c.created_at DESC,
+      c.id DESC
+    LIMIT page_limit
+    OFFSET page_offset
+  )
+  SELECT
+    page.id,
+    page.rank,
+    ts_headline('english', page.title, q.query,
+      'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', page.description, q.query,
+      'StartSel=<mark>, StopSel=</mark>, MinWords=10, MaxWords=30, MaxFragments=2, FragmentDelimiter=" ... "'),
+    page.distance_km,
+    page.total_count
+  FROM page, q
+  ORDER BY
+    CASE WHEN sort_by = 'relevance' THEN page.rank END DESC,
+    CASE WHEN sort_by = 'distance' THEN page.distance_km END ASC,
+    CASE WHEN sort_by = 'price_asc' THEN page.price END ASC,
+    CASE WHEN sort_by = 'price_desc' THEN page.price END DESC,
+    CASE WHEN sort_by = 'most_viewed' THEN page.views END DESC,
+    page.created_at DESC,
+    page.id DESC;
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_products_status_created_at ON products(status, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_products_user_id_created_at ON products(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_favorites_user_id_created_at ON favorites(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_offers_product_id_created_at ON offers(product_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_last_message_at_id ON conversations(last_message_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_id_created_at ON messages(conversation_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id_created_at ON notifications(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_reviews_seller_id_created_at ON reviews(seller_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_status_created_at ON reports(status, created_at, id);
@@ -0,0 +1,153 @@
+/*
+  # View Tracking and Listing Analytics
+
+  ## New Tables
+
+  ### `product_views`
+  - `product_id` (uuid) - Viewed listing
+  - `viewer_key` (text) - `user:<id>` for signed-in viewers, otherwise `anon:` and a hash of
+    the client address and user agent. Raw addresses are never stored
+  - `window_start` (timestamptz) - Start of the deduplication window the view fell into
+  - `viewed_at` (timestamptz) - Time of the first view in that window
+  A viewer is counted once per listing per window; the primary key enforces it.
+
+  ## Changes
+  - `products.views` is NOT NULL (existing NULLs become 0)
+
+  ## Functions
+  - `record_product_view(target_product_id, viewer, window_minutes)` - Records a view and,
+    when it is the viewer's first in the current window, increments `products.views` in the
+    same statement as the insert. Returns the listing's view count. Only the service role can
+    call it, so counts cannot be inflated by calling it directly
+  - `listing_daily_stats(product_ids, from_date, to_date)` - Daily views, favorites added,
+    new conversations (contacts) and buyer messages for the caller's own listings, one row per
+    listing with a zero-filled `daily` array. Days are UTC
+
+  ## Security
+  - RLS is enabled on `product_views` without policies; it is only read and written through
+    the functions above
+*/
+
+CREATE TABLE IF NOT EXISTS product_views (
+  product_id uuid NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  viewer_key text NOT NULL,
+  window_start timestamptz NOT NULL,
+  viewed_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (product_id, viewer_key, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_views_viewed_at ON product_views(product_id, viewed_at);
+CREATE INDEX IF NOT EXISTS idx_favorites_product_id_created_at ON favorites(product_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_conversations_product_id ON conversations(product_id, created_at);
+
+ALTER TABLE product_views ENABLE ROW LEVEL SECURITY;
+
+UPDATE products SET views = 0 WHERE views IS NULL;
+ALTER TABLE products ALTER COLUMN views SET NOT NULL;
+
+CREATE OR REPLACE FUNCTION record_product_view(
+  target_product_id uuid,
+  viewer text,
+  window_minutes integer DEFAULT 30
+)
+RETURNS integer
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  view_count integer;
+BEGIN
+  WITH recorded AS (
+    INSERT INTO product_views (product_id, viewer_key, window_start)
+    VALUES (
+      target_product_id,
+      viewer,
+      date_bin(make_interval(mins => window_minutes), now(), timestamptz '2000-01-01 00:00:00+00')
+    )
+    ON CONFLICT DO NOTHING
+    RETURNING product_id
+  )
+  UPDATE products
+  SET views = views + 1
+  FROM recorded
+  WHERE products.id = recorded.product_id
+  RETURNING products.views INTO view_count;
+
+  IF view_count IS NULL THEN
+    SELECT views INTO view_count FROM products WHERE id = target_product_id;
+  END IF;
+
+  RETURN view_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_product_view(uuid, text, integer) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION listing_daily_stats(
+  product_ids uuid[],
+  from_date date,
+  to_date date
+)
+RETURNS TABLE (
+  product_id uuid,
+  daily jsonb
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH owned AS (
+    SELECT p.id
+    FROM products p
+    WHERE p.id = ANY(product_ids) AND p.user_id = auth.uid()
+  ),
+  days AS (
+    SELECT d::date AS day
+    FROM generate_series(from_date::timestamp, to_date::timestamp, interval '1 day') d
+  ),
+  view_counts AS (
+    SELECT v.product_id, (v.viewed_at AT TIME ZONE 'UTC')::date AS day, count(*) AS count
+    FROM product_views v
+    JOIN owned o ON o.id = v.product_id
+    WHERE (v.viewed_at AT TIME ZONE 'UTC')::date BETWEEN from_date AND to_date
+    GROUP BY 1, 2
+  ),
+  favorite_counts AS (
+    SELECT f.product_id, (f.created_at AT TIME ZONE 'UTC')::date AS day, count(*) AS count
+    FROM favorites f
+    JOIN owned o ON o.id = f.product_id
+    WHERE (f.created_at AT TIME ZONE 'UTC')::date BETWEEN from_date AND to_date
+    GROUP BY 1, 2
+  ),
+  contact_counts AS (
+    SELECT c.product_id, (c.created_at AT TIME ZONE 'UTC')::date AS day, count(*) AS count
+    FROM conversations c
+    JOIN owned o ON o.id = c.product_id
+    WHERE (c.created_at AT TIME ZONE 'UTC')::date BETWEEN from_date AND to_date
+    GROUP BY 1, 2
+  ),
+  message_counts AS (
+    SELECT c.product_id, (m.created_at AT TIME ZONE 'UTC')::date AS day, count(*) AS count
+    FROM messages m
+    JOIN conversations c ON c.id = m.conversation_id
+    JOIN owned o ON o.id = c.product_id
+    WHERE m.sender_id = c.buyer_id
+      AND (m.created_at AT TIME ZONE 'UTC')::date BETWEEN from_date AND to_date
+    GROUP BY 1, 2
+  )
+  SELECT
+    o.id,
+    jsonb_agg(jsonb_build_object(
+      'date', d.day,
+      'views', coalesce(v.count, 0),
+      'favorites', coalesce(f.count, 0),
+      'contacts', coalesce(c.count, 0),
+      'messages', coalesce(m.count, 0)
+    ) ORDER BY d.day)
+  FROM owned o
+  CROSS JOIN days d
+  LEFT JOIN view_counts v ON v.product_id = o.id AND v.day = d.day
+  LEFT JOIN favorite_counts f ON f.product_id = o.id AND f.day = d.day
+  LEFT JOIN contact_counts c ON c.product_id = o.id AND c.day = d.day
+  LEFT JOIN message_counts m ON m.product_id = o.id AND m.day = d.day
+  GROUP BY o.id;
+$$;
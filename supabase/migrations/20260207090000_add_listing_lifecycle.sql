@@ -0,0 +1,25 @@
+/*
+  # Listing Lifecycle
+
+  ## Changes
+  - `products.expires_at` (timestamptz) - When an active listing is archived by the scheduler.
+    Set each time the listing goes live (published, re-activated or renewed)
+  - `products.publish_at` (timestamptz) - When a scheduled draft goes active. Cleared by any
+    status change
+  - `products.expiry_notified_at` (timestamptz) - When the seller was warned that the listing
+    expires soon; cleared when the listing goes live again so the next term is announced too
+  - Listings that are already active expire 30 days after this migration
+  - Partial indexes for the scheduler, which looks for active listings by expiry and drafts by
+    publishing time
+*/
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS expires_at timestamptz;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS publish_at timestamptz;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS expiry_notified_at timestamptz;
+
+UPDATE products
+SET expires_at = now() + interval '30 days'
+WHERE status = 'active' AND expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_products_active_expires_at ON products(expires_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_products_draft_publish_at ON products(publish_at) WHERE status = 'draft';
@@ -0,0 +1,332 @@
+/*
+  # Listing Promotions
+
+  ## New Tables
+
+  ### `promotions`
+  Ledger of paid promotions, one row per purchase:
+  - `id` (uuid, primary key)
+  - `product_id` (uuid) - Promoted listing; set to NULL if the listing is deleted so the ledger
+    entry (a payment record) survives
+  - `user_id` (uuid) - Seller who paid
+  - `type` (text) - 'bump' (listed above unpromoted listings) or 'feature' (listed above all others)
+  - `days` (integer) - Duration bought
+  - `amount` (numeric), `currency` (text) - Price charged
+  - `status` (text) - 'pending' while the payment runs, then 'active', 'failed' or 'expired'
+  - `payment_provider` (text), `payment_reference` (text) - Provider and its charge ID
+  - `failure_reason` (text) - Why the payment failed
+  - `starts_at`, `ends_at` (timestamptz) - Set on activation. A purchase for a listing that already
+    has an active promotion of the same type starts when that one ends
+  - `created_at`, `updated_at` (timestamptz)
+
+  ## Changes
+  - `products.promotion_tier` (smallint) - 2 while featured, 1 while bumped, 0 otherwise. Listings
+    are ordered by it before any other sort column
+  - `products.featured` now tracks whether a feature promotion is in effect and is NOT NULL. It was
+    never set by the API, so values set by hand are cleared
+  - `products.featured_until`, `products.bumped_until` (timestamptz) - End of the current run of
+    promotions of each type
+  - `search_products(...)` is recreated to order promoted listings first, with the keyset argument
+    `after_promotion_tier` for the tier of the last row of the previous page
+
+  ## Functions
+  - `refresh_product_promotion(target_product_id)` - Recomputes the promotion columns of a listing
+    from its active ledger entries
+  - `activate_promotion(target_promotion_id, reference)` - Marks a paid promotion active, schedules
+    it and refreshes the listing
+  - `expire_promotions()` - Marks ended promotions expired and refreshes their listings. Returns the
+    number of promotions expired
+  Only the service role can call them.
+
+  ## Security
+  - RLS on `promotions`: sellers can read their own entries. Entries are written by the API with the
+    service role only, after the payment provider has been called
+  - A trigger stops sellers from setting the promotion columns of their listings themselves
+*/
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id uuid REFERENCES products(id) ON DELETE SET NULL,
+  user_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  type text NOT NULL CHECK (type IN ('bump', 'feature')),
+  days integer NOT NULL CHECK (days > 0),
+  amount numeric(10,2) NOT NULL CHECK (amount >= 0),
+  currency text NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'failed', 'expired')),
+  payment_provider text NOT NULL,
+  payment_reference text,
+  failure_reason text,
+  starts_at timestamptz,
+  ends_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_product_id_created_at ON promotions(product_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_promotions_active_ends_at ON promotions(ends_at) WHERE status = 'active';
+
+ALTER TABLE promotions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Sellers can view own promotions"
+  ON promotions FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+UPDATE products SET featured = false WHERE featured IS DISTINCT FROM false;
+ALTER TABLE products ALTER COLUMN featured SET NOT NULL;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS promotion_tier smallint NOT NULL DEFAULT 0
+  CHECK (promotion_tier BETWEEN 0 AND 2);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS featured_until timestamptz;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS bumped_until timestamptz;
+
+CREATE INDEX IF NOT EXISTS idx_products_status_promotion_tier_created_at
+  ON products(status, promotion_tier DESC, created_at DESC, id DESC);
+
+-- Promotion columns are maintained from the ledger by the functions below,
+-- which run as the service role
+CREATE OR REPLACE FUNCTION protect_product_promotion()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.featured OR NEW.promotion_tier <> 0
+      OR NEW.featured_until IS NOT NULL OR NEW.bumped_until IS NOT NULL THEN
+      RAISE EXCEPTION 'Listings are promoted through a promotion purchase' USING ERRCODE = '42501';
+    END IF;
+  ELSIF NEW.featured IS DISTINCT FROM OLD.featured
+    OR NEW.promotion_tier IS DISTINCT FROM OLD.promotion_tier
+    OR NEW.featured_until IS DISTINCT FROM OLD.featured_until
+    OR NEW.bumped_until IS DISTINCT FROM OLD.bumped_until THEN
+    RAISE EXCEPTION 'Listings are promoted through a promotion purchase' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER protect_product_promotion
+  BEFORE INSERT OR UPDATE ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_product_promotion();
+
+CREATE OR REPLACE FUNCTION refresh_product_promotion(target_product_id uuid)
+RETURNS void
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH current AS (
+    SELECT
+      coalesce(bool_or(type = 'feature' AND starts_at <= now()), false) AS featured,
+      coalesce(bool_or(type = 'bump' AND starts_at <= now()), false) AS bumped,
+      max(ends_at) FILTER (WHERE type = 'feature') AS featured_until,
+      max(ends_at) FILTER (WHERE type = 'bump') AS bumped_until
+    FROM promotions
+    WHERE product_id = target_product_id
+      AND status = 'active'
+      AND ends_at > now()
+  )
+  UPDATE products p
+  SET
+    featured = c.featured,
+    featured_until = c.featured_until,
+    bumped_until = c.bumped_until,
+    promotion_tier = CASE WHEN c.featured THEN 2 WHEN c.bumped THEN 1 ELSE 0 END
+  FROM current c
+  WHERE p.id = target_product_id;
+$$;
+
+CREATE OR REPLACE FUNCTION activate_promotion(target_promotion_id uuid, reference text)
+RETURNS promotions
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  promotion promotions;
+  run_end timestamptz;
+BEGIN
+  SELECT * INTO promotion
+  FROM promotions
+  WHERE id = target_promotion_id AND status = 'pending'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Promotion % is not pending', target_promotion_id;
+  END IF;
+
+  -- Purchases for the same listing are serialised so consecutive promotions
+  -- of a type never overlap
+  PERFORM 1 FROM products WHERE id = promotion.product_id FOR UPDATE;
+
+  SELECT max(ends_at) INTO run_end
+  FROM promotions
+  WHERE product_id = promotion.product_id
+    AND type = promotion.type
+    AND status = 'active'
+    AND ends_at > now();
+
+  UPDATE promotions
+  SET
+    status = 'active',
+    payment_reference = reference,
+    starts_at = coalesce(run_end, now()),
+    ends_at = coalesce(run_end, now()) + make_interval(days => promotion.days),
+    updated_at = now()
+  WHERE id = target_promotion_id
+  RETURNING * INTO promotion;
+
+  PERFORM refresh_product_promotion(promotion.product_id);
+
+  RETURN promotion;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION expire_promotions()
+RETURNS integer
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  expired_count integer;
+  product_ids uuid[];
+BEGIN
+  WITH expired AS (
+    UPDATE promotions
+    SET status = 'expired', updated_at = now()
+    WHERE status = 'active' AND ends_at <= now()
+    RETURNING product_id
+  )
+  SELECT count(*), array_agg(DISTINCT product_id) FILTER (WHERE product_id IS NOT NULL)
+  INTO expired_count, product_ids
+  FROM expired;
+
+  PERFORM refresh_product_promotion(target_product_id)
+  FROM unnest(coalesce(product_ids, '{}')) AS target_product_id;
+
+  RETURN expired_count;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION refresh_product_promotion(uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION activate_promotion(uuid, text) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION expire_promotions() FROM PUBLIC, anon, authenticated;
+
+DROP FUNCTION IF EXISTS search_products(text, uuid[], text, numeric, numeric, text, uuid, jsonb, jsonb, double precision, double precision, double precision, text, integer, integer, double precision, timestamptz, uuid);
+
+CREATE OR REPLACE FUNCTION search_products(
+  search_query text DEFAULT NULL,
+  filter_category_ids uuid[] DEFAULT NULL,
+  filter_condition text DEFAULT NULL,
+  filter_min_price numeric DEFAULT NULL,
+  filter_max_price numeric DEFAULT NULL,
+  filter_status text DEFAULT 'active',
+  filter_user_id uuid DEFAULT NULL,
+  filter_attributes jsonb DEFAULT NULL,
+  filter_attribute_ranges jsonb DEFAULT NULL,
+  origin_lat double precision DEFAULT NULL,
+  origin_lng double precision DEFAULT NULL,
+  radius_km double precision DEFAULT NULL,
+  sort_by text DEFAULT 'relevance',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0,
+  after_promotion_tier smallint DEFAULT NULL,
+  after_sort_value double precision DEFAULT NULL,
+  after_created_at timestamptz DEFAULT NULL,
+  after_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  rank real,
+  title_highlight text,
+  description_highlight text,
+  distance_km double precision,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', coalesce(search_query, '')) AS query
+  ),
+  matches AS (
+    SELECT
+      p.id,
+      p.title,
+      p.description,
+      p.price,
+      p.views,
+      p.promotion_tier,
+      p.created_at,
+      ts_rank_cd(p.search_vector, q.query) AS rank,
+      CASE WHEN origin_lat IS NOT NULL AND origin_lng IS NOT NULL
+        THEN distance_km(origin_lat, origin_lng, p.latitude, p.longitude)
+      END AS distance_km
+    FROM filtered_products(
+      search_query, filter_status, filter_user_id, filter_attributes,
+      filter_attribute_ranges, origin_lat, origin_lng, radius_km
+    ) p, q
+    WHERE (filter_category_ids IS NULL OR p.category_id = ANY(filter_category_ids))
+      AND (filter_condition IS NULL OR p.condition = filter_condition)
+      AND (filter_min_price IS NULL OR p.price >= filter_min_price)
+      AND (filter_max_price IS NULL OR p.price <= filter_max_price)
+  ),
+  counted AS (
+    SELECT
+      m.*,
+      count(*) OVER () AS total_count
+    FROM matches m
+  ),
+  page AS (
+    SELECT c.*
+    FROM counted c
+    -- Rows after the cursor in the same order as below: promoted listings
+    -- first, then the requested sort. The rank is real, so the cursor value
+    -- is compared at that precision.
+    WHERE after_id IS NULL
+      OR c.promotion_tier < after_promotion_tier
+      OR (c.promotion_tier = after_promotion_tier AND CASE sort_by
+        WHEN 'relevance' THEN c.rank < after_sort_value::real
+          OR (c.rank = after_sort_value::real AND (c.created_at, c.id) < (after_created_at, after_id))
+        WHEN 'distance' THEN c.distance_km > after_sort_value
+          OR (c.distance_km = after_sort_value AND (c.created_at, c.id) < (after_created_at, after_id))
+        WHEN 'price_asc' THEN c.price > after_sort_value::numeric
+          OR (c.price = after_sort_value::numeric AND (c.created_at, c.id) < (after_created_at, after_id))
+        WHEN 'price_desc' THEN c.price < after_sort_value::numeric
+          OR (c.price = after_sort_value::numeric AND (c.created_at, c.id) < (after_created_at, after_id))
+        WHEN 'most_viewed' THEN c.views < after_sort_value
+          OR (c.views = after_sort_value AND (c.created_at, c.id) < (after_created_at, after_id))
+        ELSE (c.created_at, c.id) < (after_created_at, after_id)
+      END)
+    ORDER BY
+      c.promotion_tier DESC,
+      CASE WHEN sort_by = 'relevance' THEN c.rank END DESC,
+      CASE WHEN sort_by = 'distance' THEN c.distance_km END ASC,
+      CASE WHEN sort_by = 'price_asc' THEN c.price END ASC,
+      CASE WHEN sort_by = 'price_desc' THEN c.price END DESC,
+      CASE WHEN sort_by = 'most_viewed' THEN c.views END DESC,
+      c.created_at DESC,
+      c.id DESC
+    LIMIT page_limit
+    OFFSET page_offset
+  )
+  SELECT
+    page.id,
+    page.rank,
+    ts_headline('english', page.title, q.query,
+      'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', page.description, q.query,
+      'StartSel=<mark>, StopSel=</mark>, MinWords=10, MaxWords=30, MaxFragments=2, FragmentDelimiter=" ... "'),
+    page.distance_km,
+    page.total_count
+  FROM page, q
+  ORDER BY
+    page.promotion_tier DESC,
+    CASE WHEN sort_by = 'relevance' THEN page.rank END DESC,
+    CASE WHEN sort_by = 'distance' THEN page.distance_km END ASC,
+    CASE WHEN sort_by = 'price_asc' THEN page.price END ASC,
+    CASE WHEN sort_by = 'price_desc' THEN page.price END DESC,
+    CASE WHEN sort_by = 'most_viewed' THEN page.views END DESC,
+    page.created_at DESC,
+    page.id DESC;
+$$;
@@ -0,0 +1,113 @@
+/*
+  # Outbound Webhooks
+
+  ## New Tables
+
+  ### `webhook_endpoints`
+  A URL that receives marketplace events:
+  - `id` (uuid, primary key)
+  - `user_id` (uuid) - Owner
+  - `url` (text) - Receives a signed POST per event
+  - `description` (text)
+  - `events` (text[]) - Subscribed event types, e.g. 'product.created'
+  - `scope` (text) - 'own' (events about the owner's listings) or 'all' (every listing; admins only)
+  - `secret` (text) - HMAC signing key, generated by the API
+  - `active` (boolean) - Inactive endpoints get no new deliveries
+  - `created_at`, `updated_at` (timestamptz)
+
+  ### `webhook_deliveries`
+  Delivery log, one row per event and endpoint:
+  - `id` (uuid, primary key)
+  - `endpoint_id` (uuid) - Receiving endpoint
+  - `event_id` (uuid) - Shared by the deliveries of one event, and by redeliveries
+  - `event` (text) - Event type
+  - `payload` (jsonb) - Body sent, unchanged across attempts
+  - `status` (text) - 'pending' until delivered ('succeeded') or out of attempts ('failed')
+  - `attempts` (integer) - Attempts made so far
+  - `next_attempt_at` (timestamptz) - When a pending delivery is due
+  - `last_attempt_at` (timestamptz), `response_status` (integer), `last_error` (text) - Outcome of
+    the latest attempt
+  - `delivered_at` (timestamptz)
+  - `redelivery_of` (uuid) - The delivery this one repeats, for manual redeliveries
+  - `created_at` (timestamptz)
+
+  ## Security
+  - Users manage their own endpoints; only admins can create or switch to scope 'all'
+  - Users can read the deliveries of their own endpoints. Deliveries are written by the API with
+    the service role, since events about one user's listing reach other users' endpoints
+*/
+
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  url text NOT NULL,
+  description text NOT NULL DEFAULT '',
+  events text[] NOT NULL CHECK (cardinality(events) > 0),
+  scope text NOT NULL DEFAULT 'own' CHECK (scope IN ('own', 'all')),
+  secret text NOT NULL,
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  endpoint_id uuid NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+  event_id uuid NOT NULL,
+  event text NOT NULL,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  next_attempt_at timestamptz DEFAULT now(),
+  last_attempt_at timestamptz,
+  response_status integer,
+  last_error text,
+  delivered_at timestamptz,
+  redelivery_of uuid REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user_id ON webhook_endpoints(user_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_events ON webhook_endpoints USING GIN(events) WHERE active;
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint_id_created_at ON webhook_deliveries(endpoint_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own webhook endpoints"
+  ON webhook_endpoints FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create own webhook endpoints"
+  ON webhook_endpoints FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id AND (scope = 'own' OR has_role('admin')));
+
+CREATE POLICY "Users can update own webhook endpoints"
+  ON webhook_endpoints FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id AND (scope = 'own' OR has_role('admin')));
+
+CREATE POLICY "Users can delete own webhook endpoints"
+  ON webhook_endpoints FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view deliveries of own webhook endpoints"
+  ON webhook_deliveries FOR SELECT
+  TO authenticated
+  USING (
+    EXISTS (
+      SELECT 1 FROM webhook_endpoints
+      WHERE webhook_endpoints.id = webhook_deliveries.endpoint_id
+      AND webhook_endpoints.user_id = auth.uid()
+    )
+  );
+
+CREATE TRIGGER update_webhook_endpoints_updated_at
+  BEFORE UPDATE ON webhook_endpoints
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,120 @@
+/*
+  # Price History and Price Drops
+
+  ## New Tables
+
+  ### `product_price_history`
+  One row per price a listing has had:
+  - `id` (uuid, primary key)
+  - `product_id` (uuid) - Listing
+  - `price` (numeric) - New price
+  - `previous_price` (numeric) - Price before the change; NULL for the price the listing was
+    created with
+  - `changed_at` (timestamptz)
+  Existing listings get a single row with their current price at their creation time.
+
+  ## Changes
+  - `favorites.price_at_favorite` (numeric) - Price of the listing when it was favorited
+  - `favorites.price_drop` (numeric) - `price_at_favorite` minus the current price; negative
+    when the price went up
+  - `favorites.price_drop_percent` (numeric) - The drop as a percentage of `price_at_favorite`
+  The drop columns are kept up to date on every price change, so favorites can be ordered by them.
+  Existing favorites start from the listing's current price.
+
+  ## Triggers
+  - `record_product_price` - Records the price of a new listing and every change of it, and updates
+    the drop columns of the listing's favorites
+  - `set_favorite_price` - Fills `price_at_favorite` on new favorites and zeroes the drop columns,
+    whatever the client sends
+
+  ## Security
+  - RLS on `product_price_history`: readable by anyone who can see the listing. Rows are only
+    written by the trigger
+*/
+
+CREATE TABLE IF NOT EXISTS product_price_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  product_id uuid NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  price numeric(10, 2) NOT NULL,
+  previous_price numeric(10, 2),
+  changed_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_price_history_product_id ON product_price_history(product_id, changed_at, id);
+
+ALTER TABLE product_price_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public can view price history of visible products"
+  ON product_price_history FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM products
+      WHERE products.id = product_price_history.product_id
+    )
+  );
+
+INSERT INTO product_price_history (product_id, price, changed_at)
+SELECT p.id, p.price, p.created_at
+FROM products p
+WHERE NOT EXISTS (
+  SELECT 1 FROM product_price_history h WHERE h.product_id = p.id
+);
+
+ALTER TABLE favorites ADD COLUMN IF NOT EXISTS price_at_favorite numeric(10, 2);
+ALTER TABLE favorites ADD COLUMN IF NOT EXISTS price_drop numeric NOT NULL DEFAULT 0;
+ALTER TABLE favorites ADD COLUMN IF NOT EXISTS price_drop_percent numeric NOT NULL DEFAULT 0;
+
+UPDATE favorites f
+SET price_at_favorite = p.price
+FROM products p
+WHERE p.id = f.product_id AND f.price_at_favorite IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_favorites_user_id_price_drop ON favorites(user_id, price_drop DESC, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_favorites_user_id_price_drop_percent ON favorites(user_id, price_drop_percent DESC, created_at DESC, id DESC);
+
+CREATE OR REPLACE FUNCTION record_product_price()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO product_price_history (product_id, price)
+    VALUES (NEW.id, NEW.price);
+  ELSIF NEW.price IS DISTINCT FROM OLD.price THEN
+    INSERT INTO product_price_history (product_id, price, previous_price)
+    VALUES (NEW.id, NEW.price, OLD.price);
+
+    UPDATE favorites
+    SET
+      price_drop = price_at_favorite - NEW.price,
+      price_drop_percent = CASE WHEN price_at_favorite > 0
+        THEN round((price_at_favorite - NEW.price) * 100 / price_at_favorite, 2)
+        ELSE 0
+      END
+    WHERE product_id = NEW.id;
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER record_product_price
+  AFTER INSERT OR UPDATE OF price ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION record_product_price();
+
+CREATE OR REPLACE FUNCTION set_favorite_price()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.price_at_favorite := (SELECT price FROM products WHERE id = NEW.product_id);
+  NEW.price_drop := 0;
+  NEW.price_drop_percent := 0;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER set_favorite_price
+  BEFORE INSERT ON favorites
+  FOR EACH ROW
+  EXECUTE FUNCTION set_favorite_price();
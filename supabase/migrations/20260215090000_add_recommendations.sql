@@ -0,0 +1,186 @@
+/*
+  # Similar Listings and Recommendations
+
+  ## Functions
+  - `similar_products(target_product_id, page_limit, page_offset, after_score, after_created_at, after_id)` -
+    Active listings like the target that do not belong to the caller, with a `score` between 0 and 1:
+      - 0.4 x category: 1 for the same category, 0.5 for its parent, a child or a sibling
+      - 0.3 x text: share of title lexemes the two listings have in common
+      - 0.2 x price: 1 - |difference| / higher price
+      - 0.1 x location: 1 - distance / 100 km, 0 beyond or without coordinates
+    Only listings related by category or title are returned
+  - `recommended_products(page_limit, page_offset, after_score, after_created_at, after_id)` - Active
+    listings of other sellers that the caller has not favorited. The `score` of a listing is the
+    caller's interest in its category: 3 per favorite, 2 per saved search and 1 per listing viewed in
+    the last 30 days, in that category or one of its parents. Returns nothing for anonymous callers.
+    It reads the caller's `product_views`, which have no policies, so it runs as its owner and only
+    ever uses `auth.uid()`
+  Both order by score, then newest first, and page like `search_products`: `total_count` counts every
+  row, and the `after_*` arguments are the score, created_at and id of the last row of the previous
+  page.
+*/
+
+CREATE OR REPLACE FUNCTION similar_products(
+  target_product_id uuid,
+  page_limit integer DEFAULT 12,
+  page_offset integer DEFAULT 0,
+  after_score double precision DEFAULT NULL,
+  after_created_at timestamptz DEFAULT NULL,
+  after_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  score double precision,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH target AS (
+    SELECT
+      p.*,
+      c.parent_id AS category_parent_id,
+      tsvector_to_array(to_tsvector('english', p.title)) AS lexemes
+    FROM products p
+    JOIN categories c ON c.id = p.category_id
+    WHERE p.id = target_product_id
+  ),
+  signals AS (
+    SELECT
+      p.id,
+      p.created_at,
+      CASE
+        WHEN p.category_id = t.category_id THEN 1
+        WHEN c.parent_id = t.category_parent_id
+          OR p.category_id = t.category_parent_id
+          OR c.parent_id = t.category_id THEN 0.5
+        ELSE 0
+      END::double precision AS category_score,
+      coalesce(
+        (SELECT count(*) FROM (
+          SELECT unnest(tsvector_to_array(to_tsvector('english', p.title)))
+          INTERSECT
+          SELECT unnest(t.lexemes)
+        ) shared)::double precision
+        / nullif((SELECT count(*) FROM (
+          SELECT unnest(tsvector_to_array(to_tsvector('english', p.title)))
+          UNION
+          SELECT unnest(t.lexemes)
+        ) combined), 0),
+        0
+      ) AS text_score,
+      CASE WHEN greatest(p.price, t.price) = 0 THEN 1
+        ELSE 1 - abs(p.price - t.price) / greatest(p.price, t.price)
+      END::double precision AS price_score,
+      CASE WHEN p.latitude IS NOT NULL AND p.longitude IS NOT NULL
+        AND t.latitude IS NOT NULL AND t.longitude IS NOT NULL
+        THEN greatest(0, 1 - distance_km(t.latitude, t.longitude, p.latitude, p.longitude) / 100)
+        ELSE 0
+      END AS location_score
+    FROM products p
+    JOIN categories c ON c.id = p.category_id
+    CROSS JOIN target t
+    WHERE p.status = 'active'
+      AND p.id <> t.id
+      AND p.user_id IS DISTINCT FROM auth.uid()
+  ),
+  scored AS (
+    SELECT
+      s.id,
+      s.created_at,
+      round((0.4 * s.category_score + 0.3 * s.text_score + 0.2 * s.price_score + 0.1 * s.location_score)::numeric, 6)::double precision AS score
+    FROM signals s
+    WHERE s.category_score > 0 OR s.text_score > 0
+  ),
+  counted AS (
+    SELECT s.*, count(*) OVER () AS total_count
+    FROM scored s
+  )
+  SELECT c.id, c.score, c.total_count
+  FROM counted c
+  WHERE after_id IS NULL
+    OR c.score < after_score
+    OR (c.score = after_score AND (c.created_at, c.id) < (after_created_at, after_id))
+  ORDER BY c.score DESC, c.created_at DESC, c.id DESC
+  LIMIT page_limit
+  OFFSET page_offset;
+$$;
+
+CREATE OR REPLACE FUNCTION recommended_products(
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0,
+  after_score double precision DEFAULT NULL,
+  after_created_at timestamptz DEFAULT NULL,
+  after_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  score double precision,
+  total_count bigint
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH RECURSIVE signals AS (
+    SELECT p.category_id, 3 AS weight
+    FROM favorites f
+    JOIN products p ON p.id = f.product_id
+    WHERE f.user_id = auth.uid()
+    UNION ALL
+    SELECT s.category_id, 2
+    FROM saved_searches s
+    WHERE s.user_id = auth.uid() AND s.category_id IS NOT NULL
+    UNION ALL
+    SELECT p.category_id, 1
+    FROM (
+      SELECT DISTINCT v.product_id
+      FROM product_views v
+      WHERE v.viewer_key = 'user:' || auth.uid()
+        AND v.viewed_at > now() - interval '30 days'
+    ) viewed
+    JOIN products p ON p.id = viewed.product_id
+  ),
+  category_weights AS (
+    SELECT category_id, sum(weight) AS weight
+    FROM signals
+    GROUP BY category_id
+  ),
+  -- Every category paired with itself and each of its parents
+  ancestry AS (
+    SELECT c.id AS category_id, c.id AS ancestor_id, c.parent_id
+    FROM categories c
+    UNION ALL
+    SELECT a.category_id, c.id, c.parent_id
+    FROM ancestry a
+    JOIN categories c ON c.id = a.parent_id
+  ),
+  interest AS (
+    SELECT a.category_id, sum(w.weight) AS weight
+    FROM ancestry a
+    JOIN category_weights w ON w.category_id = a.ancestor_id
+    GROUP BY a.category_id
+  ),
+  scored AS (
+    SELECT p.id, p.created_at, coalesce(i.weight, 0)::double precision AS score
+    FROM products p
+    LEFT JOIN interest i ON i.category_id = p.category_id
+    WHERE auth.uid() IS NOT NULL
+      AND p.status = 'active'
+      AND p.user_id <> auth.uid()
+      AND NOT EXISTS (
+        SELECT 1 FROM favorites f
+        WHERE f.product_id = p.id AND f.user_id = auth.uid()
+      )
+  ),
+  counted AS (
+    SELECT s.*, count(*) OVER () AS total_count
+    FROM scored s
+  )
+  SELECT c.id, c.score, c.total_count
+  FROM counted c
+  WHERE after_id IS NULL
+    OR c.score < after_score
+    OR (c.score = after_score AND (c.created_at, c.id) < (after_created_at, after_id))
+  ORDER BY c.score DESC, c.created_at DESC, c.id DESC
+  LIMIT page_limit
+  OFFSET page_offset;
+$$;
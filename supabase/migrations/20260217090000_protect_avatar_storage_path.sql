@@ -0,0 +1,52 @@
+/*
+  # Protect Avatar Storage Paths
+
+  ## Overview
+  `profiles.avatar_storage_path` tells the server which files to remove when an avatar is
+  replaced or the account is deleted. The API sets it when it stores an avatar, always under
+  `avatars/<profile id>/`. A path outside that prefix would let a user have someone else's
+  files removed.
+
+  ## Changes
+  - Existing paths outside the profile's own prefix are cleared
+
+  ## Security
+  - `protect_profile_privileges` additionally rejects avatar storage paths outside
+    `avatars/<profile id>/`
+*/
+
+UPDATE profiles
+SET avatar_storage_path = NULL
+WHERE avatar_storage_path IS NOT NULL
+AND avatar_storage_path NOT LIKE 'avatars/' || id || '/%';
+
+CREATE OR REPLACE FUNCTION protect_profile_privileges()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.role IS DISTINCT FROM OLD.role AND NOT has_role('admin') THEN
+    RAISE EXCEPTION 'Only admins can change roles' USING ERRCODE = '42501';
+  END IF;
+
+  IF (NEW.suspended_at IS DISTINCT FROM OLD.suspended_at
+      OR NEW.suspension_reason IS DISTINCT FROM OLD.suspension_reason)
+    AND NOT has_role('moderator') THEN
+    RAISE EXCEPTION 'Only moderators can change suspensions' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.deleted_at IS DISTINCT FROM OLD.deleted_at THEN
+    RAISE EXCEPTION 'Accounts are deleted by the server' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.avatar_storage_path IS DISTINCT FROM OLD.avatar_storage_path
+    AND NEW.avatar_storage_path IS NOT NULL
+    AND NEW.avatar_storage_path NOT LIKE 'avatars/' || NEW.id || '/%' THEN
+    RAISE EXCEPTION 'Avatars are stored by the server' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
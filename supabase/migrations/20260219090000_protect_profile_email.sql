@@ -0,0 +1,48 @@
+/*
+  # Protect Profile Email
+
+  ## Overview
+  `profiles.email` is filled by the signup trigger and kept in step with `auth.users` by
+  `sync_profile_email`. It is shown to buyers as the seller's contact address and receives
+  listing and notification emails, so it must be an address the user has confirmed.
+
+  ## Security
+  - `protect_profile_privileges` additionally stops users from changing `email`. Email
+    changes go through Supabase Auth, whose confirmation updates the profile via
+    `sync_profile_email`
+*/
+
+CREATE OR REPLACE FUNCTION protect_profile_privileges()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.role IS DISTINCT FROM OLD.role AND NOT has_role('admin') THEN
+    RAISE EXCEPTION 'Only admins can change roles' USING ERRCODE = '42501';
+  END IF;
+
+  IF (NEW.suspended_at IS DISTINCT FROM OLD.suspended_at
+      OR NEW.suspension_reason IS DISTINCT FROM OLD.suspension_reason)
+    AND NOT has_role('moderator') THEN
+    RAISE EXCEPTION 'Only moderators can change suspensions' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.deleted_at IS DISTINCT FROM OLD.deleted_at THEN
+    RAISE EXCEPTION 'Accounts are deleted by the server' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.avatar_storage_path IS DISTINCT FROM OLD.avatar_storage_path
+    AND NEW.avatar_storage_path IS NOT NULL
+    AND NEW.avatar_storage_path NOT LIKE 'avatars/' || NEW.id || '/%' THEN
+    RAISE EXCEPTION 'Avatars are stored by the server' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.email IS DISTINCT FROM OLD.email THEN
+    RAISE EXCEPTION 'Email addresses are changed through Supabase Auth' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,16 @@
+/*
+  # Restrict Message Updates
+
+  ## Overview
+  The "Recipients can mark messages as read" policy decides which messages a user may update,
+  but not which columns. Recipients could rewrite the `body` or `sender_id` of messages sent
+  to them.
+
+  ## Security
+  - `anon` and `authenticated` lose UPDATE on `messages` and get it back for `read_at` only,
+    so marking messages as read is the one change clients can make
+*/
+
+REVOKE UPDATE ON messages FROM anon, authenticated;
+
+GRANT UPDATE (read_at) ON messages TO authenticated;
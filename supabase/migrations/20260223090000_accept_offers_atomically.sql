@@ -0,0 +1,93 @@
+/*
+  # Accept Offers Atomically
+
+  ## Overview
+  Accepting an offer used to mark the listing sold and then the offer accepted in two
+  requests. When the second failed, or lost a race with another accept or a withdrawal, the
+  listing stayed sold without an accepted offer. Both now happen in one transaction.
+
+  ## Functions
+  - `accept_offer(target_offer_id)` - Runs as the caller. Locks the offer, marks the listing
+    sold to the buyer, accepts the offer and declines the listing's other open offers. Only
+    applies while the offer is 'pending' and the listing 'active'. Returns the accepted offer, or
+    no row when it did not apply or the caller is not the seller
+
+  ## Security
+  - `protect_offer_terms` limits what each party can change: sellers only `status`,
+    `responded_at` and `counter_amount`, buyers only `status`. The amount, the parties and the
+    listing of an offer are fixed once it is made
+*/
+
+CREATE OR REPLACE FUNCTION protect_offer_terms()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.product_id IS DISTINCT FROM OLD.product_id
+    OR NEW.buyer_id IS DISTINCT FROM OLD.buyer_id
+    OR NEW.seller_id IS DISTINCT FROM OLD.seller_id
+    OR NEW.amount IS DISTINCT FROM OLD.amount
+    OR NEW.message IS DISTINCT FROM OLD.message
+    OR NEW.created_at IS DISTINCT FROM OLD.created_at THEN
+    RAISE EXCEPTION 'The terms of an offer cannot be changed' USING ERRCODE = '42501';
+  END IF;
+
+  IF auth.uid() = OLD.buyer_id
+    AND (NEW.counter_amount IS DISTINCT FROM OLD.counter_amount
+      OR NEW.responded_at IS DISTINCT FROM OLD.responded_at) THEN
+    RAISE EXCEPTION 'Only the seller can respond to an offer' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_offer_terms ON offers;
+
+CREATE TRIGGER protect_offer_terms
+  BEFORE UPDATE ON offers
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_offer_terms();
+
+CREATE OR REPLACE FUNCTION accept_offer(target_offer_id uuid)
+RETURNS SETOF offers
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  offer offers;
+  responded timestamptz := now();
+BEGIN
+  SELECT * INTO offer
+  FROM offers
+  WHERE id = target_offer_id AND seller_id = auth.uid() AND status = 'pending'
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE products
+  SET status = 'sold', sold_at = responded, buyer_id = offer.buyer_id, publish_at = NULL
+  WHERE id = offer.product_id AND user_id = auth.uid() AND status = 'active';
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE offers
+  SET status = 'accepted', responded_at = responded
+  WHERE id = target_offer_id
+  RETURNING * INTO offer;
+
+  UPDATE offers
+  SET status = 'declined', responded_at = responded
+  WHERE product_id = offer.product_id
+    AND id <> target_offer_id
+    AND status IN ('pending', 'countered');
+
+  RETURN NEXT offer;
+END;
+$$;
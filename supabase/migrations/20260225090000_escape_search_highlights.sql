@@ -0,0 +1,141 @@
+/*
+  # Escape Search Highlights
+
+  ## Overview
+  `search_products` returns the title and description of each match as HTML, with the matched
+  words in <mark> tags. The text itself was not escaped, so markup in a listing ended up in the
+  highlight as live HTML. The text is now escaped before the tags are added.
+
+  ## Functions
+  - `escape_html(text)` - Replaces & < > " ' with their HTML entities
+  - `search_products(...)` - Recreated with the same arguments; highlights are built from the
+    escaped title and description
+*/
+
+CREATE OR REPLACE FUNCTION escape_html(value text)
+RETURNS text
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT replace(replace(replace(replace(replace(value,
+    '&', '&amp;'),
+    '<', '&lt;'),
+    '>', '&gt;'),
+    '"', '&quot;'),
+    '''', '&#39;');
+$$;
+
+CREATE OR REPLACE FUNCTION search_products(
+  search_query text DEFAULT NULL,
+  filter_category_ids uuid[] DEFAULT NULL,
+  filter_condition text DEFAULT NULL,
+  filter_min_price numeric DEFAULT NULL,
+  filter_max_price numeric DEFAULT NULL,
+  filter_status text DEFAULT 'active',
+  filter_user_id uuid DEFAULT NULL,
+  filter_attributes jsonb DEFAULT NULL,
+  filter_attribute_ranges jsonb DEFAULT NULL,
+  origin_lat double precision DEFAULT NULL,
+  origin_lng double precision DEFAULT NULL,
+  radius_km double precision DEFAULT NULL,
+  sort_by text DEFAULT 'relevance',
+  page_limit integer DEFAULT 20,
+  page_offset integer DEFAULT 0,
+  after_promotion_tier smallint DEFAULT NULL,
+  after_sort_value double precision DEFAULT NULL,
+  after_created_at timestamptz DEFAULT NULL,
+  after_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  rank real,
+  title_highlight text,
+  description_highlight text,
+  distance_km double precision,
+  total_count bigint
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', coalesce(search_query, '')) AS query
+  ),
+  matches AS (
+    SELECT
+      p.id,
+      p.title,
+      p.description,
+      p.price,
+      p.views,
+      p.promotion_tier,
+      p.created_at,
+      ts_rank_cd(p.search_vector, q.query) AS rank,
+      CASE WHEN origin_lat IS NOT NULL AND origin_lng IS NOT NULL
+        THEN distance_km(origin_lat, origin_lng, p.latitude, p.longitude)
+      END AS distance_km
+    FROM filtered_products(
+      search_query, filter_status, filter_user_id, filter_attributes,
+      filter_attribute_ranges, origin_lat, origin_lng, radius_km
+    ) p, q
+    WHERE (filter_category_ids IS NULL OR p.category_id = ANY(filter_category_ids))
+      AND (filter_condition IS NULL OR p.condition = filter_condition)
+      AND (filter_min_price IS NULL OR p.price >= filter_min_price)
+      AND (filter_max_price IS NULL OR p.price <= filter_max_price)
+  ),
+  counted AS (
+    SELECT
+      m.*,
+      count(*) OVER () AS total_count
+    FROM matches m
+  ),
+  page AS (
+    SELECT c.*
+    FROM counted c
+    -- Rows after the cursor in the same order as below: promoted listings
+    -- first, then the requested sort. The rank is real, so the cursor value
+    -- is compared at that precision.
+    WHERE after_id IS NULL
+      OR c.promotion_tier < after_promotion_tier
+      OR (c.promotion_tier = after_promotion_tier AND CASE sort_by
+        WHEN 'relevance' THEN c.rank < after_sort_value::real
+          OR (c.rank = after_sort_value::real AND (c.created_at, c.id) < (after_created_at, after_id))
+        WHEN 'distance' THEN c.distance_km > after_sort_value
+          OR (c.distance_km = after_sort_value AND (c.created_at, c.id) < (after_created_at, after_id))
+        WHEN 'price_asc' THEN c.price > after_sort_value::numeric
+          OR (c.price = after_sort_value::numeric AND (c.created_at, c.id) < (after_created_at, after_id))
+        WHEN 'price_desc' THEN c.price < after_sort_value::numeric
+          OR (c.price = after_sort_value::numeric AND (c.created_at, c.id) < (after_created_at, after_id))
+        WHEN 'most_viewed' THEN c.views < after_sort_value
+          OR (c.views = after_sort_value AND (c.created_at, c.id) < (after_created_at, after_id))
+        ELSE (c.created_at, c.id) < (after_created_at, after_id)
+      END)
+    ORDER BY
+      c.promotion_tier DESC,
+      CASE WHEN sort_by = 'relevance' THEN c.rank END DESC,
+      CASE WHEN sort_by = 'distance' THEN c.distance_km END ASC,
+      CASE WHEN sort_by = 'price_asc' THEN c.price END ASC,
+      CASE WHEN sort_by = 'price_desc' THEN c.price END DESC,
+      CASE WHEN sort_by = 'most_viewed' THEN c.views END DESC,
+      c.created_at DESC,
+      c.id DESC
+    LIMIT page_limit
+    OFFSET page_offset
+  )
+  SELECT
+    page.id,
+    page.rank,
+    ts_headline('english', escape_html(page.title), q.query,
+      'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'),
+    ts_headline('english', escape_html(page.description), q.query,
+      'StartSel=<mark>, StopSel=</mark>, MinWords=10, MaxWords=30, MaxFragments=2, FragmentDelimiter=" ... "'),
+    page.distance_km,
+    page.total_count
+  FROM page, q
+  ORDER BY
+    page.promotion_tier DESC,
+    CASE WHEN sort_by = 'relevance' THEN page.rank END DESC,
+    CASE WHEN sort_by = 'distance' THEN page.distance_km END ASC,
+    CASE WHEN sort_by = 'price_asc' THEN page.price END ASC,
+    CASE WHEN sort_by = 'price_desc' THEN page.price END DESC,
+    CASE WHEN sort_by = 'most_viewed' THEN page.views END DESC,
+    page.created_at DESC,
+    page.id DESC;
+$$;
@@ -0,0 +1,35 @@
+/*
+  # Protect Product View Counts
+
+  ## Overview
+  `products.views` is maintained by `record_product_view`, which only the service role can call.
+  The "Users can update own products" policy still let sellers write the column directly, and
+  with it change their place in the `most_viewed` sort.
+
+  ## Security
+  - `protect_product_views` rejects inserts with a view count other than 0 and changes to
+    `views` by authenticated users. The service role (no `auth.uid()`) is not affected
+*/
+
+CREATE OR REPLACE FUNCTION protect_product_views()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF (TG_OP = 'INSERT' AND NEW.views <> 0)
+    OR (TG_OP = 'UPDATE' AND NEW.views IS DISTINCT FROM OLD.views) THEN
+    RAISE EXCEPTION 'View counts are recorded by the server' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_product_views ON products;
+
+CREATE TRIGGER protect_product_views
+  BEFORE INSERT OR UPDATE ON products
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_product_views();
@@ -0,0 +1,52 @@
+/*
+  # Close Answered Offers
+
+  ## Overview
+  "Buyers can withdraw own offers" did not look at the current status, so a buyer could set an
+  accepted, rejected or declined offer to 'withdrawn' through PostgREST and undo a completed
+  sale. Only open offers ('pending' or 'countered') can change status now.
+
+  ## Changes
+  - "Buyers can withdraw own offers" only applies to open offers
+  - `protect_offer_terms` also rejects any status change of an offer that is no longer open,
+    whoever makes it. The service role (no `auth.uid()`) is not affected
+*/
+
+DROP POLICY IF EXISTS "Buyers can withdraw own offers" ON offers;
+
+CREATE POLICY "Buyers can withdraw own offers"
+  ON offers FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = buyer_id AND status IN ('pending', 'countered'))
+  WITH CHECK (auth.uid() = buyer_id AND status = 'withdrawn');
+
+CREATE OR REPLACE FUNCTION protect_offer_terms()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.product_id IS DISTINCT FROM OLD.product_id
+    OR NEW.buyer_id IS DISTINCT FROM OLD.buyer_id
+    OR NEW.seller_id IS DISTINCT FROM OLD.seller_id
+    OR NEW.amount IS DISTINCT FROM OLD.amount
+    OR NEW.message IS DISTINCT FROM OLD.message
+    OR NEW.created_at IS DISTINCT FROM OLD.created_at THEN
+    RAISE EXCEPTION 'The terms of an offer cannot be changed' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.status IS DISTINCT FROM OLD.status
+    AND OLD.status NOT IN ('pending', 'countered') THEN
+    RAISE EXCEPTION 'This offer has already been answered' USING ERRCODE = '42501';
+  END IF;
+
+  IF auth.uid() = OLD.buyer_id
+    AND (NEW.counter_amount IS DISTINCT FROM OLD.counter_amount
+      OR NEW.responded_at IS DISTINCT FROM OLD.responded_at) THEN
+    RAISE EXCEPTION 'Only the seller can respond to an offer' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,54 @@
+/*
+  # Limit Moderator Profile Updates
+
+  ## Overview
+  "Moderators can update profiles" exists so moderators can suspend users and admins can change
+  roles, but it let them rewrite any column of any profile, including the name, phone, email and
+  avatar.
+
+  ## Security
+  - `protect_profile_privileges` additionally rejects changes to another user's profile other
+    than `role`, `suspended_at` and `suspension_reason` (and the `updated_at` maintained by its
+    trigger). Who may change those is checked as before
+*/
+
+CREATE OR REPLACE FUNCTION protect_profile_privileges()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  IF OLD.id <> auth.uid()
+    AND to_jsonb(NEW) - ARRAY['role', 'suspended_at', 'suspension_reason', 'updated_at']
+      IS DISTINCT FROM to_jsonb(OLD) - ARRAY['role', 'suspended_at', 'suspension_reason', 'updated_at'] THEN
+    RAISE EXCEPTION 'Moderators can only change roles and suspensions' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.role IS DISTINCT FROM OLD.role AND NOT has_role('admin') THEN
+    RAISE EXCEPTION 'Only admins can change roles' USING ERRCODE = '42501';
+  END IF;
+
+  IF (NEW.suspended_at IS DISTINCT FROM OLD.suspended_at
+      OR NEW.suspension_reason IS DISTINCT FROM OLD.suspension_reason)
+    AND NOT has_role('moderator') THEN
+    RAISE EXCEPTION 'Only moderators can change suspensions' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.deleted_at IS DISTINCT FROM OLD.deleted_at THEN
+    RAISE EXCEPTION 'Accounts are deleted by the server' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.avatar_storage_path IS DISTINCT FROM OLD.avatar_storage_path
+    AND NEW.avatar_storage_path IS NOT NULL
+    AND NEW.avatar_storage_path NOT LIKE 'avatars/' || NEW.id || '/%' THEN
+    RAISE EXCEPTION 'Avatars are stored by the server' USING ERRCODE = '42501';
+  END IF;
+
+  IF NEW.email IS DISTINCT FROM OLD.email THEN
+    RAISE EXCEPTION 'Email addresses are changed through Supabase Auth' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
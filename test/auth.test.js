@@ -0,0 +1,80 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Login lockout is part of rate limiting, so this file turns limiting on,
+// and tells clients apart by X-Forwarded-For, before the app is loaded.
+process.env.RATE_LIMIT_DISABLED = 'false';
+process.env.TRUST_PROXY = '1';
+
+const { resetStores, startServer, createUser } = await import('./helpers.js');
+
+let request;
+let close;
+let user;
+let clientCount = 0;
+let client;
+
+before(async () => {
+  ({ request, close } = await startServer());
+});
+
+after(() => close());
+
+beforeEach(async () => {
+  await resetStores();
+  user = createUser({ email: 'ana@example.com', password: 'correct-horse' });
+  clientCount += 1;
+  client = `203.0.113.${clientCount}`;
+});
+
+const login = (password, from = client) => request('POST', '/auth/login', {
+  body: { email: 'ana@example.com', password },
+  headers: { 'X-Forwarded-For': from },
+});
+
+const failTimes = async (count, from) => {
+  for (let attempt = 0; attempt < count; attempt += 1) {
+    assert.equal((await login('wrong-password', from)).status, 401);
+  }
+};
+
+describe('POST /api/auth/login', () => {
+  test('returns a session for the right password', async () => {
+    const response = await login('correct-horse');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.id, user.user.id);
+
+    const me = await request('GET', '/auth/me', { token: response.body.session.access_token });
+    assert.equal(me.body.profile.id, user.user.id);
+  });
+
+  test('locks the account for the client after five failures', async () => {
+    await failTimes(5);
+
+    const locked = await login('wrong-password');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.error.code, 'rate_limited');
+    assert.equal(locked.headers.get('retry-after'), '60');
+
+    const correct = await login('correct-horse');
+    assert.equal(correct.status, 429);
+    assert.ok(Number(correct.headers.get('retry-after')) > 0);
+  });
+
+  test('does not lock the account for other clients', async () => {
+    await failTimes(5);
+    assert.equal((await login('wrong-password')).status, 429);
+
+    const elsewhere = await login('correct-horse', '198.51.100.7');
+
+    assert.equal(elsewhere.status, 200);
+  });
+
+  test('starts counting again after a successful login', async () => {
+    await failTimes(5);
+    assert.equal((await login('correct-horse')).status, 200);
+
+    assert.equal((await login('wrong-password')).status, 401);
+  });
+});
@@ -0,0 +1,151 @@
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resetStores,
+  startServer,
+  createUser,
+  createCategory,
+  createListing,
+} from './helpers.js';
+
+let request;
+let close;
+let parent;
+let child;
+
+before(async () => {
+  ({ request, close } = await startServer());
+});
+
+after(() => close());
+
+beforeEach(async () => {
+  await resetStores();
+  parent = createCategory({ name: 'Electronics', slug: 'electronics' });
+  child = createCategory({ name: 'Phones', slug: 'phones', parent_id: parent.id });
+});
+
+test('lists categories and their tree', async () => {
+  const list = await request('GET', '/categories');
+  assert.deepEqual(list.body.categories.map((category) => category.slug), ['electronics', 'phones']);
+
+  const tree = await request('GET', '/categories/tree');
+  assert.equal(tree.body.categories.length, 1);
+  assert.equal(tree.body.categories[0].children[0].id, child.id);
+});
+
+test('finds a category by slug with its breadcrumbs', async () => {
+  const response = await request('GET', '/categories/phones');
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.category.id, child.id);
+  assert.deepEqual(response.body.breadcrumbs.map((crumb) => crumb.slug), ['electronics', 'phones']);
+});
+
+test('returns 404 for an unknown category', async () => {
+  assert.equal((await request('GET', '/categories/unknown')).status, 404);
+});
+
+test('lists the active listings of a category and its subcategories', async () => {
+  const seller = createUser();
+  const phone = await createListing(request, seller, child.id);
+  await createListing(request, seller, child.id, { status: 'draft' });
+
+  const response = await request('GET', '/categories/electronics/products');
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.products.map((product) => product.id), [phone.id]);
+  assert.equal(response.body.pagination.total, 1);
+});
+
+test('serves categories from the cache and answers conditional requests with a 304', async () => {
+  const first = await request('GET', '/categories');
+  const etag = first.headers.get('etag');
+
+  assert.equal(first.headers.get('x-cache'), 'MISS');
+  assert.ok(etag);
+  assert.ok(first.headers.get('last-modified'));
+
+  const second = await request('GET', '/categories');
+  assert.equal(second.headers.get('x-cache'), 'HIT');
+  assert.equal(second.headers.get('etag'), etag);
+  assert.deepEqual(second.body, first.body);
+
+  // fetch marks requests with If-None-Match `Cache-Control: no-cache` unless
+  // told otherwise, and Express never answers those with a 304.
+  const conditional = await request('GET', '/categories', {
+    headers: { 'If-None-Match': etag, 'Cache-Control': 'max-age=0' },
+  });
+  assert.equal(conditional.status, 304);
+  assert.equal(conditional.body, '');
+});
+
+test('invalidates cached category listings when a listing is created', async () => {
+  const seller = createUser();
+  const before = await request('GET', '/categories/phones/products');
+  assert.equal(before.body.pagination.total, 0);
+
+  const phone = await createListing(request, seller, child.id);
+
+  const after = await request('GET', '/categories/phones/products');
+  assert.equal(after.headers.get('x-cache'), 'MISS');
+  assert.notEqual(after.headers.get('etag'), before.headers.get('etag'));
+  assert.deepEqual(after.body.products.map((product) => product.id), [phone.id]);
+});
+
+test('lets admins create, update and delete categories', async () => {
+  const admin = createUser({ profile: { role: 'admin' } });
+
+  const created = await request('POST', '/admin/categories', {
+    token: admin.token,
+    body: { name: 'Tablets', slug: 'tablets', parent_id: parent.id },
+  });
+  assert.equal(created.status, 201);
+
+  const updated = await request('PUT', `/admin/categories/${created.body.category.id}`, {
+    token: admin.token,
+    body: { name: 'Tablets and e-readers' },
+  });
+  assert.equal(updated.body.category.name, 'Tablets and e-readers');
+
+  const duplicate = await request('POST', '/admin/categories', {
+    token: admin.token,
+    body: { name: 'Phones', slug: 'phones-2' },
+  });
+  assert.equal(duplicate.status, 409);
+
+  const deleted = await request('DELETE', `/admin/categories/${created.body.category.id}`, { token: admin.token });
+  assert.equal(deleted.status, 200);
+});
+
+test('rejects a category name of only spaces', async () => {
+  const admin = createUser({ profile: { role: 'admin' } });
+
+  const response = await request('POST', '/admin/categories', {
+    token: admin.token,
+    body: { name: '   ', slug: 'blank' },
+  });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error.details[0].field, 'name');
+});
+
+test('keeps categories with listings', async () => {
+  const admin = createUser({ profile: { role: 'admin' } });
+  await createListing(request, createUser(), child.id);
+
+  const response = await request('DELETE', `/admin/categories/${child.id}`, { token: admin.token });
+
+  assert.equal(response.status, 409);
+});
+
+test('leaves category management to admins', async () => {
+  const moderator = createUser({ profile: { role: 'moderator' } });
+
+  const response = await request('POST', '/admin/categories', {
+    token: moderator.token,
+    body: { name: 'Tablets', slug: 'tablets' },
+  });
+
+  assert.equal(response.status, 403);
+});
@@ -0,0 +1,120 @@
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resetStores,
+  startServer,
+  createUser,
+  createCategory,
+  createListing,
+} from './helpers.js';
+
+let request;
+let close;
+let seller;
+let buyer;
+let product;
+
+before(async () => {
+  ({ request, close } = await startServer());
+});
+
+after(() => close());
+
+beforeEach(async () => {
+  await resetStores();
+  seller = createUser();
+  buyer = createUser();
+  product = await createListing(request, seller, createCategory().id);
+});
+
+test('adds, checks, lists and removes a favorite', async () => {
+  const added = await request('POST', '/favorites', { token: buyer.token, body: { product_id: product.id } });
+  assert.equal(added.status, 201);
+  assert.equal(added.body.favorite.user_id, buyer.user.id);
+
+  const check = await request('GET', `/favorites/check/${product.id}`, { token: buyer.token });
+  assert.equal(check.body.isFavorite, true);
+
+  const list = await request('GET', '/favorites', { token: buyer.token });
+  assert.equal(list.status, 200);
+  assert.equal(list.body.favorites.length, 1);
+  assert.equal(list.body.favorites[0].product.id, product.id);
+  assert.equal(list.body.favorites[0].product.seller.id, seller.user.id);
+
+  const removed = await request('DELETE', `/favorites/${product.id}`, { token: buyer.token });
+  assert.equal(removed.status, 200);
+
+  const after = await request('GET', `/favorites/check/${product.id}`, { token: buyer.token });
+  assert.equal(after.body.isFavorite, false);
+});
+
+test('sorts favorites by price drop since they were favorited', async () => {
+  const categoryId = product.category_id;
+  const cheaper = await createListing(request, seller, categoryId, { price: 200 });
+  const pricier = await createListing(request, seller, categoryId, { price: 50 });
+
+  for (const { id } of [product, cheaper, pricier]) {
+    await request('POST', '/favorites', { token: buyer.token, body: { product_id: id } });
+  }
+
+  await request('PUT', `/products/${product.id}`, { token: seller.token, body: { price: 90 } });
+  await request('PUT', `/products/${cheaper.id}`, { token: seller.token, body: { price: 150 } });
+  await request('PUT', `/products/${pricier.id}`, { token: seller.token, body: { price: 60 } });
+
+  const byAmount = await request('GET', '/favorites?sort=price_drop', { token: buyer.token });
+  assert.equal(byAmount.status, 200);
+  assert.deepEqual(
+    byAmount.body.favorites.map(({ product_id, price_drop }) => [product_id, price_drop]),
+    [[cheaper.id, 50], [product.id, 10], [pricier.id, -10]],
+  );
+
+  const byPercent = await request('GET', '/favorites?sort=price_drop_percent&limit=1', { token: buyer.token });
+  assert.equal(byPercent.body.favorites[0].product_id, cheaper.id);
+  assert.equal(byPercent.body.favorites[0].price_drop_percent, 25);
+
+  const next = await request('GET', `/favorites?sort=price_drop_percent&cursor=${byPercent.body.pagination.nextCursor}`, {
+    token: buyer.token,
+  });
+  assert.deepEqual(next.body.favorites.map(({ product_id }) => product_id), [product.id, pricier.id]);
+});
+
+test('rejects a duplicate favorite', async () => {
+  await request('POST', '/favorites', { token: buyer.token, body: { product_id: product.id } });
+
+  const response = await request('POST', '/favorites', { token: buyer.token, body: { product_id: product.id } });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error.message, 'Product already in favorites');
+});
+
+test('rejects a product that does not exist', async () => {
+  const response = await request('POST', '/favorites', {
+    token: buyer.token,
+    body: { product_id: '00000000-0000-4000-8000-000000000000' },
+  });
+
+  assert.equal(response.status, 409);
+});
+
+test('keeps favorites private', async () => {
+  await request('POST', '/favorites', { token: buyer.token, body: { product_id: product.id } });
+
+  const list = await request('GET', '/favorites', { token: seller.token });
+  assert.deepEqual(list.body.favorites, []);
+
+  await request('DELETE', `/favorites/${product.id}`, { token: seller.token });
+  const check = await request('GET', `/favorites/check/${product.id}`, { token: buyer.token });
+  assert.equal(check.body.isFavorite, true);
+});
+
+test('drops favorites of a deleted listing', async () => {
+  await request('POST', '/favorites', { token: buyer.token, body: { product_id: product.id } });
+  await request('DELETE', `/products/${product.id}`, { token: seller.token });
+
+  const list = await request('GET', '/favorites', { token: buyer.token });
+  assert.deepEqual(list.body.favorites, []);
+});
+
+test('requires authentication', async () => {
+  assert.equal((await request('GET', '/favorites')).status, 401);
+});
@@ -0,0 +1,75 @@
+import { after, before, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resetStores,
+  startServer,
+  createUser,
+  createCategory,
+  createListing,
+} from './helpers.js';
+
+let request;
+let close;
+let seller;
+let buyer;
+let phones;
+let bikes;
+
+before(async () => {
+  ({ request, close } = await startServer());
+});
+
+after(() => close());
+
+beforeEach(async () => {
+  await resetStores();
+  seller = createUser();
+  buyer = createUser();
+  phones = createCategory();
+  bikes = createCategory({ name: 'Bikes', slug: 'bikes' });
+});
+
+test('ranks listings in the categories the user favorites and views first', async () => {
+  const favorite = await createListing(request, seller, phones.id);
+  const phone = await createListing(request, seller, phones.id, { title: 'Blue phone' });
+  const viewed = await createListing(request, seller, bikes.id, { title: 'Road bike' });
+  const bike = await createListing(request, seller, bikes.id, { title: 'Mountain bike' });
+
+  await request('POST', '/favorites', { token: buyer.token, body: { product_id: favorite.id } });
+  await request('GET', `/products/${viewed.id}`, { token: buyer.token, headers: { 'User-Agent': 'Mozilla/5.0' } });
+
+  const response = await request('GET', '/feed', { token: buyer.token });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.body.products.map(({ id, score }) => [id, score]),
+    [[phone.id, 3], [bike.id, 1], [viewed.id, 1]],
+  );
+});
+
+test('leaves out the user\'s own listings and listings that are not active', async () => {
+  const listing = await createListing(request, seller, phones.id);
+  await createListing(request, seller, phones.id, { status: 'draft' });
+  await createListing(request, buyer, phones.id);
+
+  const response = await request('GET', '/feed', { token: buyer.token });
+
+  assert.deepEqual(response.body.products.map(({ id }) => id), [listing.id]);
+});
+
+test('pages with a cursor', async () => {
+  for (let index = 0; index < 3; index += 1) {
+    await createListing(request, seller, phones.id);
+  }
+
+  const first = await request('GET', '/feed?limit=2', { token: buyer.token });
+  const second = await request('GET', `/feed?limit=2&cursor=${first.body.pagination.nextCursor}`, { token: buyer.token });
+
+  assert.equal(first.body.products.length, 2);
+  assert.equal(second.body.products.length, 1);
+  assert.equal(new Set([...first.body.products, ...second.body.products].map(({ id }) => id)).size, 3);
+});
+
+test('requires authentication', async () => {
+  assert.equal((await request('GET', '/feed')).status, 401);
+});
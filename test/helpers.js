@@ -0,0 +1,102 @@
+import os from 'os';
+import path from 'path';
+
+// The suite runs the HTTP API against the memory data store: no Supabase,
+// network or background jobs. Modules read their configuration when first
+// imported, so it is set before the app is loaded.
+process.env.DATA_STORE = 'memory';
+process.env.RATE_LIMIT_DISABLED ??= 'true';
+process.env.SCHEDULER_DISABLED = 'true';
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), `marketplace-test-uploads-${process.pid}`);
+
+const { default: app } = await import('../src/app.js');
+const { repositories } = await import('../src/repositories/index.js');
+const { responseCache } = await import('../src/cache/index.js');
+
+export { repositories };
+
+// Empties the data store and the response cache, whose entries would
+// otherwise outlive the rows they were built from.
+export const resetStores = async () => {
+  repositories.reset();
+  await responseCache.clear();
+};
+
+// Starts the app on a free port. Returns { request, close }; request(method,
+// path, { token, body, form }) resolves to { status, headers, body }. `form`
+// is sent as multipart FormData instead of a JSON body.
+export const startServer = async () => {
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  const request = async (method, url, { token, body, form, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: form || (body !== undefined ? JSON.stringify(body) : undefined),
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson && text ? JSON.parse(text) : text,
+    };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { request, close };
+};
+
+let userCount = 0;
+
+export const createUser = (overrides = {}) => {
+  userCount += 1;
+  return repositories.createUser({
+    email: `user${userCount}@example.com`,
+    metadata: { full_name: `User ${userCount}` },
+    ...overrides,
+  });
+};
+
+export const createCategory = (fields = {}) => repositories.createCategory({
+  name: 'Phones',
+  slug: 'phones',
+  ...fields,
+});
+
+export const listingInput = (categoryId, overrides = {}) => ({
+  title: 'Red phone',
+  description: 'A red phone in good shape',
+  price: 100,
+  category_id: categoryId,
+  condition: 'good',
+  location: 'Lisbon',
+  latitude: 38.72,
+  longitude: -9.14,
+  status: 'active',
+  ...overrides,
+});
+
+// Creates a listing through the API as `user`.
+export const createListing = async (request, user, categoryId, overrides = {}) => {
+  const response = await request('POST', '/products', {
+    token: user.token,
+    body: listingInput(categoryId, overrides),
+  });
+
+  if (response.status !== 201) {
+    throw new Error(`Creating a listing failed with ${response.status}: ${JSON.stringify(response.body)}`);
+  }
+
+  return response.body.product;
+};
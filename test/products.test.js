@@ -0,0 +1,550 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import {
+  resetStores,
+  startServer,
+  createUser,
+  createCategory,
+  createListing,
+  listingInput,
+  repositories,
+} from './helpers.js';
+
+let request;
+let close;
+let seller;
+let buyer;
+let category;
+
+before(async () => {
+  ({ request, close } = await startServer());
+});
+
+after(() => close());
+
+beforeEach(async () => {
+  await resetStores();
+  seller = createUser();
+  buyer = createUser();
+  category = createCategory();
+});
+
+describe('POST /api/products', () => {
+  test('creates a listing with its images', async () => {
+    const response = await request('POST', '/products', {
+      token: seller.token,
+      body: listingInput(category.id, { images: ['https://example.com/1.jpg', 'https://example.com/2.jpg'] }),
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.product.user_id, seller.user.id);
+    assert.equal(response.body.product.category.id, category.id);
+    assert.equal(response.body.product.seller.id, seller.user.id);
+    assert.deepEqual(response.body.product.images.map((image) => image.is_primary), [true, false]);
+    assert.ok(response.body.product.expires_at);
+  });
+
+  test('requires authentication', async () => {
+    const response = await request('POST', '/products', { body: listingInput(category.id) });
+
+    assert.equal(response.status, 401);
+  });
+
+  test('rejects invalid fields', async () => {
+    const response = await request('POST', '/products', {
+      token: seller.token,
+      body: listingInput(category.id, { price: -1, title: '' }),
+    });
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.error.details.map((detail) => detail.field).sort(), ['price', 'title']);
+  });
+
+  test('rejects an unknown category', async () => {
+    const response = await request('POST', '/products', {
+      token: seller.token,
+      body: listingInput('00000000-0000-4000-8000-000000000000'),
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.details[0].field, 'category_id');
+  });
+});
+
+describe('GET /api/products/:id', () => {
+  test('shows an active listing to anyone and counts the view', async () => {
+    const product = await createListing(request, seller, category.id);
+
+    const response = await request('GET', `/products/${product.id}`, { headers: { 'User-Agent': 'Mozilla/5.0' } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.product.views, 1);
+    assert.equal(response.body.product.seller, null);
+  });
+
+  test('counts a viewer once per window', async () => {
+    const product = await createListing(request, seller, category.id);
+    const options = { token: buyer.token, headers: { 'User-Agent': 'Mozilla/5.0' } };
+
+    await request('GET', `/products/${product.id}`, options);
+    const response = await request('GET', `/products/${product.id}`, options);
+
+    assert.equal(response.body.product.views, 1);
+    assert.equal(response.body.product.seller.email, seller.user.email);
+  });
+
+  test('does not let sellers set the view count', async () => {
+    const product = await createListing(request, seller, category.id);
+    const { products } = repositories.forCaller(seller.token);
+
+    await assert.rejects(products.update(product.id, seller.user.id, { views: 1000 }), { status: 403 });
+    assert.equal((await products.findById(product.id)).views, 0);
+  });
+
+  test('hides drafts from everyone but the seller', async () => {
+    const product = await createListing(request, seller, category.id, { status: 'draft' });
+
+    assert.equal((await request('GET', `/products/${product.id}`, { token: buyer.token })).status, 404);
+    assert.equal((await request('GET', `/products/${product.id}`)).status, 404);
+    assert.equal((await request('GET', `/products/${product.id}`, { token: seller.token })).status, 200);
+  });
+});
+
+describe('GET /api/products/:id/similar', () => {
+  test('ranks other active listings by category, title, price and distance', async () => {
+    const other = createCategory({ name: 'Bikes', slug: 'bikes' });
+    const product = await createListing(request, seller, category.id, { title: 'Red phone 128GB' });
+    const close = await createListing(request, seller, category.id, { title: 'Red phone 64GB', price: 90 });
+    const sameCategory = await createListing(request, seller, category.id, { title: 'Blue tablet', price: 400 });
+    const sameTitle = await createListing(request, seller, other.id, { title: 'Red bike' });
+    await createListing(request, seller, other.id, { title: 'Mountain bike' });
+    await createListing(request, seller, category.id, { title: 'Red phone case', status: 'draft' });
+    await createListing(request, buyer, category.id, { title: 'Red phone 256GB' });
+
+    const response = await request('GET', `/products/${product.id}/similar`, { token: buyer.token });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.products.map(({ id }) => id), [close.id, sameCategory.id, sameTitle.id]);
+    assert.ok(response.body.products[0].score > response.body.products[1].score);
+    assert.equal(response.body.pagination.total, 3);
+  });
+
+  test('hides similar listings of a draft from other users', async () => {
+    const product = await createListing(request, seller, category.id, { status: 'draft' });
+
+    assert.equal((await request('GET', `/products/${product.id}/similar`, { token: buyer.token })).status, 404);
+    assert.equal((await request('GET', `/products/${product.id}/similar`, { token: seller.token })).status, 200);
+  });
+});
+
+describe('PUT /api/products/:id', () => {
+  test('updates the seller\'s listing', async () => {
+    const product = await createListing(request, seller, category.id);
+
+    const response = await request('PUT', `/products/${product.id}`, {
+      token: seller.token,
+      body: { price: 80, title: 'Red phone, barely used' },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.product.price, 80);
+    assert.equal(response.body.product.title, 'Red phone, barely used');
+  });
+
+  test('does not let other users change a listing', async () => {
+    const product = await createListing(request, seller, category.id);
+
+    const response = await request('PUT', `/products/${product.id}`, {
+      token: buyer.token,
+      body: { price: 1 },
+    });
+
+    assert.equal(response.status, 404);
+
+    const unchanged = await request('GET', `/products/${product.id}`);
+    assert.equal(unchanged.body.product.price, 100);
+  });
+
+  test('records price changes in the price history', async () => {
+    const product = await createListing(request, seller, category.id);
+
+    await request('PUT', `/products/${product.id}`, { token: seller.token, body: { price: 90 } });
+    await request('PUT', `/products/${product.id}`, { token: seller.token, body: { title: 'Red phone, as new' } });
+    await request('PUT', `/products/${product.id}`, { token: seller.token, body: { price: 75 } });
+
+    const response = await request('GET', `/products/${product.id}`);
+    const history = response.body.product.price_history;
+
+    assert.equal(history.original_price, 100);
+    assert.equal(history.change_percent, -25);
+    assert.deepEqual(
+      history.changes.map(({ price, previous_price }) => [price, previous_price]),
+      [[100, null], [90, 100], [75, 90]],
+    );
+  });
+
+  test('rejects invalid status transitions', async () => {
+    const product = await createListing(request, seller, category.id, { status: 'draft' });
+
+    const response = await request('PUT', `/products/${product.id}`, {
+      token: seller.token,
+      body: { status: 'sold' },
+    });
+
+    assert.equal(response.status, 400);
+  });
+});
+
+describe('PATCH /api/products/:id/status', () => {
+  test('marks a listing sold', async () => {
+    const product = await createListing(request, seller, category.id);
+
+    const response = await request('PATCH', `/products/${product.id}/status`, {
+      token: seller.token,
+      body: { status: 'sold' },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.product.status, 'sold');
+    assert.ok(response.body.product.sold_at);
+  });
+
+  test('only applies to the seller\'s listings', async () => {
+    const product = await createListing(request, seller, category.id);
+
+    const response = await request('PATCH', `/products/${product.id}/status`, {
+      token: buyer.token,
+      body: { status: 'archived' },
+    });
+
+    assert.equal(response.status, 404);
+  });
+
+  test('needs a buyer who contacted the seller', async () => {
+    const product = await createListing(request, seller, category.id);
+
+    const response = await request('PATCH', `/products/${product.id}/status`, {
+      token: seller.token,
+      body: { status: 'sold', buyer_id: buyer.user.id },
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.message, 'Buyer has not contacted you about this product');
+  });
+});
+
+const imageForm = async (count = 1) => {
+  const image = await sharp({
+    create: { width: 16, height: 16, channels: 3, background: '#00c' },
+  }).png().toBuffer();
+
+  const form = new FormData();
+  for (let index = 0; index < count; index += 1) {
+    form.append('images', new Blob([image], { type: 'image/png' }), `photo-${index}.png`);
+  }
+  return form;
+};
+
+describe('/api/products/:id/images', () => {
+  test('adds uploaded images after the existing ones', async () => {
+    const product = await createListing(request, seller, category.id, { images: ['https://example.com/1.jpg'] });
+
+    const response = await request('POST', `/products/${product.id}/images`, {
+      token: seller.token,
+      form: await imageForm(2),
+    });
+
+    assert.equal(response.status, 201);
+    assert.deepEqual(response.body.images.map((image) => image.display_order), [0, 1, 2]);
+    assert.deepEqual(response.body.images.map((image) => image.is_primary), [true, false, false]);
+    assert.ok(response.body.images[1].storage_path.startsWith(`products/${product.id}/`));
+  });
+
+  test('does not add images to other users\' listings', async () => {
+    const product = await createListing(request, seller, category.id);
+
+    const response = await request('POST', `/products/${product.id}/images`, {
+      token: buyer.token,
+      form: await imageForm(),
+    });
+
+    assert.equal(response.status, 404);
+  });
+
+  test('reorders the images and moves the primary flag', async () => {
+    const product = await createListing(request, seller, category.id, {
+      images: ['https://example.com/1.jpg', 'https://example.com/2.jpg'],
+    });
+    const [first, second] = (await request('GET', `/products/${product.id}`)).body.product.images;
+
+    const response = await request('PUT', `/products/${product.id}/images/order`, {
+      token: seller.token,
+      body: { image_ids: [second.id, first.id] },
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.images.map((image) => [image.id, image.is_primary]), [
+      [second.id, true],
+      [first.id, false],
+    ]);
+  });
+
+  test('requires every image in a new order', async () => {
+    const product = await createListing(request, seller, category.id, {
+      images: ['https://example.com/1.jpg', 'https://example.com/2.jpg'],
+    });
+    const [first] = (await request('GET', `/products/${product.id}`)).body.product.images;
+
+    const response = await request('PUT', `/products/${product.id}/images/order`, {
+      token: seller.token,
+      body: { image_ids: [first.id] },
+    });
+
+    assert.equal(response.status, 400);
+  });
+
+  test('deletes an image and closes the gap', async () => {
+    const product = await createListing(request, seller, category.id, {
+      images: ['https://example.com/1.jpg', 'https://example.com/2.jpg'],
+    });
+    const [first, second] = (await request('GET', `/products/${product.id}`)).body.product.images;
+
+    const response = await request('DELETE', `/products/${product.id}/images/${first.id}`, { token: seller.token });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.images.map((image) => [image.id, image.display_order, image.is_primary]), [
+      [second.id, 0, true],
+    ]);
+    assert.equal(
+      (await request('DELETE', `/products/${product.id}/images/${first.id}`, { token: seller.token })).status,
+      404,
+    );
+  });
+});
+
+describe('POST /api/products/:id/renew', () => {
+  test('puts an archived listing back on the market', async () => {
+    const product = await createListing(request, seller, category.id);
+    await request('PATCH', `/products/${product.id}/status`, { token: seller.token, body: { status: 'archived' } });
+
+    const response = await request('POST', `/products/${product.id}/renew`, { token: seller.token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.product.status, 'active');
+  });
+
+  test('refuses drafts', async () => {
+    const product = await createListing(request, seller, category.id, { status: 'draft' });
+
+    const response = await request('POST', `/products/${product.id}/renew`, { token: seller.token });
+
+    assert.equal(response.status, 400);
+  });
+});
+
+describe('DELETE /api/products/:id', () => {
+  test('deletes the seller\'s listing', async () => {
+    const product = await createListing(request, seller, category.id);
+
+    assert.equal((await request('DELETE', `/products/${product.id}`, { token: seller.token })).status, 200);
+    assert.equal((await request('GET', `/products/${product.id}`)).status, 404);
+  });
+
+  test('leaves other users\' listings alone', async () => {
+    const product = await createListing(request, seller, category.id);
+
+    await request('DELETE', `/products/${product.id}`, { token: buyer.token });
+
+    assert.equal((await request('GET', `/products/${product.id}`)).status, 200);
+  });
+});
+
+describe('GET /api/products', () => {
+  test('lists active listings, newest first, with facets', async () => {
+    const first = await createListing(request, seller, category.id, { title: 'First phone' });
+    const second = await createListing(request, seller, category.id, { title: 'Second phone', condition: 'new' });
+    await createListing(request, seller, category.id, { title: 'Draft phone', status: 'draft' });
+
+    const response = await request('GET', '/products', { token: buyer.token });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.products.map((product) => product.id), [second.id, first.id]);
+    assert.equal(response.body.pagination.total, 2);
+    assert.deepEqual(response.body.facets.categories.map((facet) => facet.count), [2]);
+    assert.equal(response.body.facets.conditions.length, 2);
+  });
+
+  test('shows sellers without their contact details', async () => {
+    await createListing(request, seller, category.id, { title: 'Blue bicycle' });
+
+    for (const url of ['/products', '/products?search=bicycle']) {
+      const [listing] = (await request('GET', url, { token: buyer.token })).body.products;
+      assert.equal(listing.seller.id, seller.user.id);
+      assert.equal(listing.seller.email, undefined);
+      assert.equal(listing.seller.phone, undefined);
+    }
+  });
+
+  test('filters by price and condition', async () => {
+    await createListing(request, seller, category.id, { price: 50 });
+    const match = await createListing(request, seller, category.id, { price: 150, condition: 'new' });
+    await createListing(request, seller, category.id, { price: 300 });
+
+    const response = await request('GET', '/products?min_price=100&max_price=200&condition=new', { token: buyer.token });
+
+    assert.deepEqual(response.body.products.map((product) => product.id), [match.id]);
+  });
+
+  test('searches titles and descriptions with highlights', async () => {
+    const match = await createListing(request, seller, category.id, { title: 'Blue bicycle', description: 'A fast bicycle' });
+    await createListing(request, seller, category.id);
+
+    const response = await request('GET', '/products?search=bicycle', { token: buyer.token });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.products.map((product) => product.id), [match.id]);
+    assert.equal(response.body.products[0].search.title, 'Blue <mark>bicycle</mark>');
+    assert.equal(response.body.sort, 'relevance');
+  });
+
+  test('escapes markup in the highlighted text', async () => {
+    await createListing(request, seller, category.id, {
+      title: '<img src=x onerror=alert(1)> bicycle',
+      description: 'Tom & Jerry\'s "bicycle"',
+    });
+
+    const response = await request('GET', '/products?search=bicycle', { token: buyer.token });
+
+    assert.deepEqual(response.body.products[0].search, {
+      ...response.body.products[0].search,
+      title: '&lt;img src=x onerror=alert(1)&gt; <mark>bicycle</mark>',
+      description: 'Tom &amp; Jerry&#39;s &quot;<mark>bicycle</mark>&quot;',
+    });
+  });
+
+  test('excludes words prefixed with a minus', async () => {
+    await createListing(request, seller, category.id, { title: 'Red phone case' });
+    const match = await createListing(request, seller, category.id, { title: 'Red phone' });
+
+    const response = await request('GET', `/products?search=${encodeURIComponent('phone -case')}`, { token: buyer.token });
+
+    assert.deepEqual(response.body.products.map((product) => product.id), [match.id]);
+  });
+
+  test('filters and sorts by distance', async () => {
+    const near = await createListing(request, seller, category.id, { latitude: 38.73, longitude: -9.15 });
+    const far = await createListing(request, seller, category.id, { location: 'Porto', latitude: 41.15, longitude: -8.61 });
+
+    const sorted = await request('GET', '/products?lat=38.72&lng=-9.14', { token: buyer.token });
+    assert.deepEqual(sorted.body.products.map((product) => product.id), [near.id, far.id]);
+    assert.ok(sorted.body.products[0].distance_km < 5);
+
+    const nearby = await request('GET', '/products?lat=38.72&lng=-9.14&radius_km=50', { token: buyer.token });
+    assert.deepEqual(nearby.body.products.map((product) => product.id), [near.id]);
+  });
+
+  test('pages with a cursor', async () => {
+    const created = [];
+    for (let index = 0; index < 3; index += 1) {
+      created.push(await createListing(request, seller, category.id, { title: `Phone ${index}` }));
+    }
+
+    const invalid = await request('GET', '/products?limit=2&cursor=nonsense', { token: buyer.token });
+    assert.equal(invalid.status, 400);
+
+    const page1 = await request('GET', '/products?limit=2', { token: buyer.token });
+    assert.equal(page1.body.pagination.hasMore, true);
+
+    const page2 = await request('GET', `/products?limit=2&cursor=${page1.body.pagination.nextCursor}`, { token: buyer.token });
+    assert.equal(page2.body.pagination.hasMore, false);
+    assert.equal(page2.body.pagination.total, null);
+
+    const ids = [...page1.body.products, ...page2.body.products].map((product) => product.id);
+    assert.deepEqual(ids.sort(), created.map((product) => product.id).sort());
+  });
+
+  test('shows the caller\'s own drafts when asked for their listings', async () => {
+    const draft = await createListing(request, seller, category.id, { status: 'draft' });
+
+    const own = await request('GET', `/products?user_id=${seller.user.id}&status=draft`, { token: seller.token });
+    assert.deepEqual(own.body.products.map((product) => product.id), [draft.id]);
+
+    const others = await request('GET', `/products?user_id=${seller.user.id}&status=draft`, { token: buyer.token });
+    assert.deepEqual(others.body.products, []);
+  });
+  test('shares cached pages between callers until a listing changes', async () => {
+    const phone = await createListing(request, seller, category.id);
+
+    const first = await request('GET', '/products', { token: buyer.token });
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+
+    const second = await request('GET', '/products', { token: seller.token });
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+    assert.deepEqual(second.body.products.map((product) => product.id), [phone.id]);
+
+    await request('PATCH', `/products/${phone.id}/status`, { token: seller.token, body: { status: 'sold' } });
+
+    const after = await request('GET', '/products', { token: buyer.token });
+    assert.equal(after.headers.get('x-cache'), 'MISS');
+    assert.deepEqual(after.body.products, []);
+  });
+});
+
+describe('POST /api/products/import', () => {
+  const csvFile = (rows) => {
+    const form = new FormData();
+    const csv = ['title,description,price,category,condition,location,status', ...rows].join('\n');
+    form.append('file', new Blob([csv], { type: 'text/csv' }), 'listings.csv');
+    return form;
+  };
+
+  test('creates the valid rows and reports the others', async () => {
+    const response = await request('POST', '/products/import', {
+      token: seller.token,
+      form: csvFile([
+        'Old phone,Works fine,20,phones,fair,Lisbon,active',
+        'No price,Missing a price,,phones,good,Lisbon,draft',
+      ]),
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.summary, { total: 2, valid: 1, created: 1, failed: 1 });
+    assert.equal(response.body.rows[1].errors[0].field, 'price');
+
+    const listings = await request('GET', '/profile/listings', { token: seller.token });
+    assert.equal(listings.body.products.length, 1);
+  });
+
+  test('writes nothing on a dry run', async () => {
+    const response = await request('POST', '/products/import?dry_run=true', {
+      token: seller.token,
+      form: csvFile(['Old phone,Works fine,20,phones,fair,Lisbon,active']),
+    });
+
+    assert.equal(response.body.summary.valid, 1);
+    assert.equal(response.body.summary.created, 0);
+
+    const listings = await request('GET', '/profile/listings', { token: seller.token });
+    assert.equal(listings.body.products.length, 0);
+  });
+});
+
+describe('features that need Supabase', () => {
+  test('answer 501 with the memory store', async () => {
+    const product = await createListing(request, seller, category.id);
+
+    const responses = await Promise.all([
+      request('POST', `/products/${product.id}/offers`, { token: buyer.token, body: { amount: 80 } }),
+      request('GET', `/products/${product.id}/promotions`, { token: seller.token }),
+      request('POST', `/products/${product.id}/report`, { token: buyer.token, body: { reason: 'scam' } }),
+      request('GET', '/notifications', { token: buyer.token }),
+      request('GET', '/conversations', { token: buyer.token }),
+    ]);
+
+    responses.forEach((response) => {
+      assert.equal(response.status, 501);
+      assert.equal(response.body.error.code, 'not_implemented');
+    });
+  });
+});
@@ -0,0 +1,264 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import {
+  resetStores,
+  startServer,
+  createUser,
+  createCategory,
+  createListing,
+  repositories,
+} from './helpers.js';
+
+let request;
+let close;
+let user;
+let other;
+
+before(async () => {
+  ({ request, close } = await startServer());
+});
+
+after(() => close());
+
+beforeEach(async () => {
+  await resetStores();
+  user = createUser({ email: 'ana@example.com', password: 'correct-horse', metadata: { full_name: 'Ana' } });
+  other = createUser();
+});
+
+describe('GET /api/profile', () => {
+  test('returns the caller\'s profile', async () => {
+    const response = await request('GET', '/profile', { token: user.token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.profile.full_name, 'Ana');
+    assert.equal(response.body.profile.email, 'ana@example.com');
+  });
+
+  test('rejects an unknown token', async () => {
+    assert.equal((await request('GET', '/profile', { token: 'not-a-token' })).status, 401);
+  });
+
+  test('refuses suspended accounts', async () => {
+    const suspended = createUser({ profile: { suspended_at: new Date().toISOString(), suspension_reason: 'Spam' } });
+
+    const response = await request('GET', '/profile', { token: suspended.token });
+
+    assert.equal(response.status, 403);
+    assert.equal(response.body.error.code, 'account_suspended');
+  });
+});
+
+describe('PUT /api/profile', () => {
+  test('updates the profile and geocodes the location', async () => {
+    const response = await request('PUT', '/profile', {
+      token: user.token,
+      body: { full_name: 'Ana Silva', location: 'Lisbon' },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.profile.full_name, 'Ana Silva');
+    assert.equal(response.body.profile.city, 'Lisbon');
+  });
+
+  test('rejects fields that are not part of the profile', async () => {
+    const response = await request('PUT', '/profile', { token: user.token, body: { role: 'admin' } });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.details[0].field, 'role');
+  });
+
+  test('keeps the email address of the account', async () => {
+    await request('PUT', '/profile', { token: user.token, body: { full_name: 'Ana', email: 'someone@example.com' } });
+
+    const response = await request('GET', '/profile', { token: user.token });
+
+    assert.equal(response.body.profile.email, 'ana@example.com');
+  });
+});
+
+const avatarForm = async () => {
+  const image = await sharp({
+    create: { width: 16, height: 16, channels: 3, background: '#c00' },
+  }).png().toBuffer();
+
+  const form = new FormData();
+  form.append('avatar', new Blob([image], { type: 'image/png' }), 'avatar.png');
+  return form;
+};
+
+const storedFile = (storagePath) => path.join(process.env.UPLOAD_DIR, `${storagePath}.webp`);
+
+describe('PUT /api/profile avatars', () => {
+  test('stores an uploaded avatar under the caller\'s prefix', async () => {
+    const response = await request('PUT', '/profile', { token: user.token, form: await avatarForm() });
+
+    assert.equal(response.status, 200);
+    assert.ok(response.body.profile.avatar_storage_path.startsWith(`avatars/${user.user.id}/`));
+    assert.ok(fs.existsSync(storedFile(response.body.profile.avatar_storage_path)));
+  });
+
+  test('checks the text fields sent with the file', async () => {
+    const invalid = await avatarForm();
+    invalid.append('latitude', 'north');
+
+    const invalidResponse = await request('PUT', '/profile', { token: user.token, form: invalid });
+    assert.equal(invalidResponse.status, 400);
+    assert.equal(invalidResponse.body.error.details[0].field, 'latitude');
+
+    const unknown = await avatarForm();
+    unknown.append('email', 'someone@example.com');
+
+    const unknownResponse = await request('PUT', '/profile', { token: user.token, form: unknown });
+    assert.equal(unknownResponse.status, 400);
+    assert.equal(unknownResponse.body.error.details[0].field, 'email');
+  });
+
+  test('does not take the storage path from the caller', async () => {
+    const victim = await request('PUT', '/profile', { token: other.token, form: await avatarForm() });
+    const victimPath = victim.body.profile.avatar_storage_path;
+
+    const response = await request('PUT', '/profile', {
+      token: user.token,
+      body: { full_name: 'Ana', avatar_storage_path: victimPath },
+    });
+
+    assert.equal(response.status, 400);
+
+    await request('PUT', '/profile', { token: user.token, form: await avatarForm() });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.ok(fs.existsSync(storedFile(victimPath)));
+  });
+});
+
+describe('GET /api/profile/:id', () => {
+  test('shows a seller\'s public profile to signed-in users', async () => {
+    const product = await createListing(request, user, createCategory().id);
+    await request('PATCH', `/products/${product.id}/status`, { token: user.token, body: { status: 'sold' } });
+
+    const response = await request('GET', `/profile/${user.user.id}`, { token: other.token });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.profile.full_name, 'Ana');
+    assert.equal(response.body.profile.completed_sales, 1);
+    assert.equal(response.body.profile.email, undefined);
+  });
+
+  test('is not visible anonymously', async () => {
+    assert.equal((await request('GET', `/profile/${user.user.id}`)).status, 404);
+  });
+});
+
+describe('GET /api/profile/listings', () => {
+  test('lists the caller\'s listings of every status', async () => {
+    const category = createCategory();
+    await createListing(request, user, category.id);
+    await createListing(request, user, category.id, { status: 'draft' });
+    await createListing(request, other, category.id);
+
+    const all = await request('GET', '/profile/listings', { token: user.token });
+    assert.equal(all.body.products.length, 2);
+
+    const drafts = await request('GET', '/profile/listings?status=draft', { token: user.token });
+    assert.equal(drafts.body.products.length, 1);
+  });
+
+  test('exports them as CSV', async () => {
+    await createListing(request, user, createCategory().id, { title: 'Red phone' });
+
+    const response = await request('GET', '/profile/listings/export', { token: user.token });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+    assert.match(response.body, /Red phone/);
+  });
+
+  test('answers 501 for analytics, which need Supabase', async () => {
+    const response = await request('GET', '/profile/listings/analytics', { token: user.token });
+
+    assert.equal(response.status, 501);
+  });
+});
+
+describe('GET /api/profile/export', () => {
+  test('returns the caller\'s profile, listings and favorites', async () => {
+    const category = createCategory();
+    const own = await createListing(request, user, category.id, { images: ['https://example.com/1.jpg'] });
+    const liked = await createListing(request, other, category.id);
+    await request('POST', '/favorites', { token: user.token, body: { product_id: liked.id } });
+
+    const response = await request('GET', '/profile/export', { token: user.token });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="account-export-/);
+    assert.equal(response.body.account.id, user.user.id);
+    assert.equal(response.body.profile.email, 'ana@example.com');
+    assert.deepEqual(response.body.listings.map((listing) => listing.id), [own.id]);
+    assert.equal(response.body.listings[0].images.length, 1);
+    assert.deepEqual(response.body.favorites.map((favorite) => favorite.product_id), [liked.id]);
+    assert.deepEqual(response.body.offers, []);
+  });
+});
+
+describe('DELETE /api/profile', () => {
+  test('schedules the deletion after checking the password', async () => {
+    const wrong = await request('DELETE', '/profile', { token: user.token, body: { password: 'wrong' } });
+    assert.equal(wrong.status, 401);
+
+    const response = await request('DELETE', '/profile', { token: user.token, body: { password: 'correct-horse' } });
+    assert.equal(response.status, 202);
+    assert.ok(response.body.deletion_scheduled_for);
+
+    const again = await request('DELETE', '/profile', { token: user.token, body: { password: 'correct-horse' } });
+    assert.equal(again.status, 409);
+  });
+
+  test('can be cancelled', async () => {
+    assert.equal((await request('POST', '/profile/cancel-deletion', { token: user.token })).status, 404);
+
+    await request('DELETE', '/profile', { token: user.token, body: { password: 'correct-horse' } });
+
+    assert.equal((await request('POST', '/profile/cancel-deletion', { token: user.token })).status, 200);
+  });
+
+  test('cannot be scheduled or cleared through a profile update', async () => {
+    await request('PUT', '/profile', {
+      token: user.token,
+      body: { deletion_requested_at: new Date().toISOString(), deletion_scheduled_for: new Date().toISOString() },
+    });
+
+    let profile = (await request('GET', '/profile', { token: user.token })).body.profile;
+    assert.equal(profile.deletion_scheduled_for, null);
+
+    const scheduled = await request('DELETE', '/profile', { token: user.token, body: { password: 'correct-horse' } });
+
+    await request('PUT', '/profile', {
+      token: user.token,
+      body: { deletion_requested_at: null, deletion_scheduled_for: null },
+    });
+
+    profile = (await request('GET', '/profile', { token: user.token })).body.profile;
+    assert.equal(profile.deletion_scheduled_for, scheduled.body.deletion_scheduled_for);
+  });
+});
+
+describe('moderators', () => {
+  test('can suspend someone else\'s profile but not edit it', async () => {
+    const moderator = createUser({ profile: { role: 'moderator' } });
+    const profiles = repositories.forCaller(moderator.token).profiles;
+
+    await assert.rejects(profiles.update(user.user.id, { full_name: 'Spam' }), { status: 403 });
+
+    const suspended = await profiles.update(user.user.id, {
+      suspended_at: new Date().toISOString(),
+      suspension_reason: 'Spam',
+    });
+
+    assert.equal(suspended.suspension_reason, 'Spam');
+    assert.equal(suspended.full_name, 'Ana');
+  });
+});
@@ -0,0 +1,178 @@
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import {
+  WEBHOOK_MAX_ATTEMPTS,
+  isAllowedWebhookUrl,
+  sendWebhook,
+  deliveryOutcome,
+  redeliveryOf,
+} from '../src/services/webhooks.service.js';
+
+// Webhooks are stored in Supabase only, so these tests cover the sending,
+// signing and scheduling that do not depend on the data store, against a
+// receiver on a local port. Private addresses are allowed for it unless a
+// test says otherwise.
+
+const SECRET = 'whsec_test';
+
+let receiver;
+let url;
+let received;
+let responseStatus;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(responseStatus).end();
+    });
+  });
+
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(() => new Promise((resolve) => receiver.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+  responseStatus = 200;
+  process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+});
+
+const delivery = (overrides = {}) => ({
+  id: crypto.randomUUID(),
+  endpoint_id: crypto.randomUUID(),
+  event_id: crypto.randomUUID(),
+  event: 'product.created',
+  payload: { event: 'product.created', data: { product: { id: 'p1', title: 'Red phone' } } },
+  attempts: 0,
+  ...overrides,
+});
+
+// What a receiver does with the endpoint secret.
+const verify = (secret, { headers, body }) => {
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${headers['x-webhook-timestamp']}.${body}`)
+    .digest('hex');
+
+  return crypto.timingSafeEqual(Buffer.from(`sha256=${expected}`), Buffer.from(headers['x-webhook-signature']));
+};
+
+describe('sendWebhook', () => {
+  test('signs the timestamp and raw body with the endpoint secret', async () => {
+    const sent = delivery();
+
+    const result = await sendWebhook({ url, secret: SECRET }, sent);
+
+    assert.deepEqual(result, { ok: true, status: 200, error: null });
+    assert.equal(received.length, 1);
+    assert.equal(received[0].headers['x-webhook-id'], sent.event_id);
+    assert.equal(received[0].headers['x-webhook-delivery'], sent.id);
+    assert.deepEqual(JSON.parse(received[0].body), sent.payload);
+    assert.ok(verify(SECRET, received[0]));
+    assert.ok(!verify('whsec_other', received[0]));
+    assert.ok(!verify(SECRET, { ...received[0], body: received[0].body.replace('Red', 'Blue') }));
+  });
+
+  test('reports a response outside 2xx as a failure', async () => {
+    responseStatus = 500;
+
+    const result = await sendWebhook({ url, secret: SECRET }, delivery());
+
+    assert.deepEqual(result, { ok: false, status: 500, error: 'Endpoint responded with 500' });
+  });
+
+  test('refuses a hostname that resolves to a private address', async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+    const result = await sendWebhook({ url: url.replace('127.0.0.1', 'localhost'), secret: SECRET }, delivery());
+
+    assert.equal(result.ok, false);
+    assert.match(result.error, /^localhost resolves to the private address (127\.0\.0\.1|::1)$/);
+    assert.equal(received.length, 0);
+  });
+});
+
+describe('isAllowedWebhookUrl', () => {
+  test('rejects loopback, private, shared and link-local addresses', () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+    [
+      'http://localhost/hook',
+      'http://127.0.0.1/hook',
+      'http://10.1.2.3/hook',
+      'http://100.64.0.1/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hook',
+    ].forEach((candidate) => assert.equal(isAllowedWebhookUrl(candidate), false, candidate));
+
+    assert.equal(isAllowedWebhookUrl('https://example.com/hook'), true);
+    assert.equal(isAllowedWebhookUrl('http://100.128.0.1/hook'), true);
+  });
+});
+
+describe('deliveryOutcome', () => {
+  const finishedAt = new Date('2026-02-11T12:00:00Z');
+  const failure = { ok: false, status: 503, error: 'Endpoint responded with 503' };
+
+  test('retries after 60 seconds, doubling the delay each attempt', () => {
+    const delays = [];
+
+    for (let attempts = 1; attempts < WEBHOOK_MAX_ATTEMPTS; attempts += 1) {
+      const outcome = deliveryOutcome(failure, attempts, finishedAt);
+      assert.equal(outcome.status, undefined);
+      delays.push((new Date(outcome.next_attempt_at) - finishedAt) / 1000);
+    }
+
+    assert.deepEqual(delays, [60, 120, 240, 480, 960, 1920, 3840]);
+  });
+
+  test('gives up after the last attempt', () => {
+    assert.deepEqual(deliveryOutcome(failure, WEBHOOK_MAX_ATTEMPTS, finishedAt), {
+      status: 'failed',
+      next_attempt_at: null,
+      response_status: 503,
+      last_error: 'Endpoint responded with 503',
+    });
+  });
+
+  test('marks a successful attempt delivered', () => {
+    assert.deepEqual(deliveryOutcome({ ok: true, status: 204, error: null }, 3, finishedAt), {
+      status: 'succeeded',
+      delivered_at: finishedAt.toISOString(),
+      next_attempt_at: null,
+      response_status: 204,
+      last_error: null,
+    });
+  });
+});
+
+describe('redeliveryOf', () => {
+  test('repeats the event with the same payload and webhook ID', async () => {
+    const original = delivery({ status: 'failed', attempts: WEBHOOK_MAX_ATTEMPTS, last_error: 'Timeout' });
+
+    const redelivery = redeliveryOf(original);
+
+    assert.deepEqual(redelivery, {
+      endpoint_id: original.endpoint_id,
+      event_id: original.event_id,
+      event: original.event,
+      payload: original.payload,
+      redelivery_of: original.id,
+    });
+
+    await sendWebhook({ url, secret: SECRET }, { ...redelivery, id: crypto.randomUUID() });
+
+    assert.equal(received[0].headers['x-webhook-id'], original.event_id);
+    assert.notEqual(received[0].headers['x-webhook-delivery'], original.id);
+    assert.deepEqual(JSON.parse(received[0].body), original.payload);
+  });
+});